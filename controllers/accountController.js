@@ -0,0 +1,493 @@
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+const Reconciliation = require('../models/Reconciliation')
+const currencyService = require('../services/currencyService')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+exports.getAll = async (req, res) => {
+  try {
+    const { incluirArquivadas = 'false', tipo } = req.query
+
+    // Garante que o usuário sempre tenha ao menos a conta padrão
+    await Account.obterPadrao(req.userId)
+
+    const filtros = { userId: req.userId }
+    if (incluirArquivadas !== 'true') filtros.arquivada = false
+    if (tipo) filtros.tipo = tipo
+
+    const contas = await Account.find(filtros)
+      .sort({ padrao: -1, nome: 1 })
+      .lean()
+
+    const [saldos, pendentes, moedaBase] = await Promise.all([
+      Account.calcularSaldos(req.userId, contas),
+      Account.calcularPendentes(req.userId, contas),
+      currencyService.moedaBase(req.userId)
+    ])
+
+    // Saldo na moeda da conta e, para o total, na moeda base pela cotação de hoje
+    // O saldo projetado soma as pendentes (a receber menos a pagar) ao realizado
+    const contasComSaldo = await Promise.all(contas.map(async conta => {
+      const saldoAtual = saldos[conta._id.toString()]
+      const pendente = pendentes[conta._id.toString()]
+      const saldoProjetado = saldoAtual + pendente.receitas - pendente.despesas
+      return {
+        ...conta,
+        saldoAtual,
+        saldoConvertido: await currencyService.paraMoedaBase(req.userId, saldoAtual, conta.moeda, moedaBase),
+        pendente,
+        saldoProjetado,
+        saldoProjetadoConvertido: await currencyService.paraMoedaBase(req.userId, saldoProjetado, conta.moeda, moedaBase)
+      }
+    }))
+
+    const ativas = contasComSaldo.filter(conta => !conta.arquivada)
+    const saldoTotal = ativas.reduce((total, conta) => total + conta.saldoConvertido, 0)
+    const saldoProjetadoTotal = ativas.reduce((total, conta) => total + conta.saldoProjetadoConvertido, 0)
+
+    res.json({
+      success: true,
+      data: {
+        contas: contasComSaldo,
+        resumo: {
+          moedaBase,
+          saldoTotal,
+          saldoProjetadoTotal,
+          totalContas: contasComSaldo.length
+        }
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar contas:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const conta = await Account.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!conta) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
+    const saldoAtual = await conta.calcularSaldo()
+
+    res.json({
+      success: true,
+      data: {
+        ...conta.toObject(),
+        saldoAtual
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getSaldo = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { id } = req.params
+
+    const conta = await Account.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!conta) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
+    // Saldo ao final do dia informado (ou atual)
+    let data = null
+    if (req.query.data) {
+      data = new Date(req.query.data)
+      data.setHours(23, 59, 59, 999)
+    }
+
+    const saldo = await conta.calcularSaldo(data)
+
+    res.json({
+      success: true,
+      data: {
+        contaId: conta._id,
+        nome: conta.nome,
+        moeda: conta.moeda,
+        data: data || new Date(),
+        saldo
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao calcular saldo da conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getExtrato = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { id } = req.params
+    const { dataInicio, dataFim, page = 1, limit = 50 } = req.query
+
+    const conta = await Account.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!conta) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
+    const filtros = {
+      userId: new mongoose.Types.ObjectId(req.userId),
+      contaId: conta._id,
+      status: 'confirmada'
+    }
+
+    let inicio = null
+    if (dataInicio || dataFim) {
+      filtros.data = {}
+      if (dataInicio) {
+        inicio = new Date(dataInicio)
+        filtros.data.$gte = inicio
+      }
+      if (dataFim) {
+        const fim = new Date(dataFim)
+        fim.setHours(23, 59, 59, 999)
+        filtros.data.$lte = fim
+      }
+    }
+
+    // Saldo imediatamente antes do período
+    const saldoAnterior = inicio
+      ? await conta.calcularSaldo(new Date(inicio.getTime() - 1))
+      : conta.saldoInicial
+
+    const pageNum = parseInt(page)
+    const limitNum = parseInt(limit)
+    const skip = (pageNum - 1) * limitNum
+    const ordenacao = { data: 1, _id: 1 }
+
+    const [transacoes, total, [anteriores], [periodo]] = await Promise.all([
+      Transaction.find(filtros)
+        .sort(ordenacao)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Transaction.countDocuments(filtros),
+      // Movimentação das páginas anteriores, para o saldo acumulado continuar correto
+      skip > 0
+        ? Transaction.aggregate([
+          { $match: filtros },
+          { $sort: ordenacao },
+          { $limit: skip },
+          {
+            $group: {
+              _id: null,
+              movimento: {
+                $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', { $multiply: ['$valor', -1] }] }
+              }
+            }
+          }
+        ])
+        : [],
+      Transaction.aggregate([
+        { $match: filtros },
+        {
+          $group: {
+            _id: null,
+            totalReceitas: {
+              $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] }
+            },
+            totalDespesas: {
+              $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] }
+            }
+          }
+        }
+      ])
+    ])
+
+    let saldoAcumulado = saldoAnterior + (anteriores?.movimento || 0)
+    const lancamentos = transacoes.map(transacao => {
+      saldoAcumulado += transacao.tipo === 'receita' ? transacao.valor : -transacao.valor
+      return { ...transacao, saldoAcumulado }
+    })
+
+    const totalReceitas = periodo?.totalReceitas || 0
+    const totalDespesas = periodo?.totalDespesas || 0
+
+    res.json({
+      success: true,
+      data: {
+        conta: {
+          _id: conta._id,
+          nome: conta.nome,
+          tipo: conta.tipo,
+          moeda: conta.moeda
+        },
+        lancamentos,
+        paginacao: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum
+        },
+        resumo: {
+          saldoAnterior,
+          totalReceitas,
+          totalDespesas,
+          saldoFinal: saldoAnterior + totalReceitas - totalDespesas,
+          totalTransacoes: total
+        }
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao gerar extrato da conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.create = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { nome, tipo, instituicao, saldoInicial, moeda, cor, icone, cartao } = req.body
+
+    // Verificar se já existe conta com mesmo nome para o usuário
+    const existente = await Account.findOne({
+      userId: req.userId,
+      nome: nome.trim()
+    })
+
+    if (existente) {
+      return res.status(400).json({ error: 'Já existe uma conta com este nome' })
+    }
+
+    const conta = await Account.create({
+      userId: req.userId,
+      nome: nome.trim(),
+      tipo,
+      instituicao,
+      saldoInicial,
+      moeda: moeda || await currencyService.moedaBase(req.userId),
+      cor,
+      icone,
+      cartao: tipo === 'cartao_credito' ? cartao : undefined
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Conta criada com sucesso',
+      data: conta
+    })
+
+  } catch (err) {
+    console.error('Erro ao criar conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.update = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { id } = req.params
+    const updates = req.body
+
+    const conta = await Account.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!conta) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
+    // Verificar se o novo nome já existe (se está sendo alterado)
+    if (updates.nome && updates.nome.trim() !== conta.nome) {
+      const existente = await Account.findOne({
+        userId: req.userId,
+        nome: updates.nome.trim(),
+        _id: { $ne: id }
+      })
+
+      if (existente) {
+        return res.status(400).json({ error: 'Já existe uma conta com este nome' })
+      }
+    }
+
+    // As transações guardam a moeda da conta: só dá para trocar enquanto a conta estiver vazia
+    if (updates.moeda && updates.moeda.toUpperCase() !== conta.moeda) {
+      const temTransacoes = await Transaction.exists({ userId: req.userId, contaId: conta._id })
+      if (temTransacoes) {
+        return res.status(400).json({ error: 'Não é possível alterar a moeda de uma conta com transações' })
+      }
+    }
+
+    // Aplicar atualizações (arquivamento tem rota própria)
+    Object.keys(updates).forEach(key => {
+      if (['_id', 'userId', 'padrao', 'arquivada'].includes(key)) return
+
+      if (key === 'cartao' && updates.cartao) {
+        // Atualização parcial da configuração do cartão
+        Object.keys(updates.cartao).forEach(campo => {
+          conta.set(`cartao.${campo}`, updates.cartao[campo])
+        })
+      } else {
+        conta[key] = updates[key]
+      }
+    })
+
+    await conta.save()
+
+    res.json({
+      success: true,
+      message: 'Conta atualizada com sucesso',
+      data: conta
+    })
+
+  } catch (err) {
+    console.error('Erro ao atualizar conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.arquivar = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const conta = await Account.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!conta) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
+    if (conta.padrao) {
+      return res.status(400).json({ error: 'Não é possível arquivar a conta padrão' })
+    }
+
+    conta.arquivada = true
+    await conta.save()
+
+    res.json({
+      success: true,
+      message: 'Conta arquivada com sucesso',
+      data: conta
+    })
+
+  } catch (err) {
+    console.error('Erro ao arquivar conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.desarquivar = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const conta = await Account.findOneAndUpdate(
+      { _id: id, userId: req.userId },
+      { arquivada: false, atualizadoEm: new Date() },
+      { new: true }
+    )
+
+    if (!conta) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Conta reativada com sucesso',
+      data: conta
+    })
+
+  } catch (err) {
+    console.error('Erro ao reativar conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.remove = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const conta = await Account.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!conta) {
+      return res.status(404).json({ error: 'Conta não encontrada' })
+    }
+
+    if (conta.padrao) {
+      return res.status(400).json({ error: 'Não é possível excluir a conta padrão' })
+    }
+
+    // Verificar se há transações nesta conta
+    const transacoesCount = await Transaction.countDocuments({
+      userId: req.userId,
+      contaId: conta._id
+    })
+
+    if (transacoesCount > 0) {
+      return res.status(400).json({
+        error: `Não é possível excluir esta conta pois ela possui ${transacoesCount} transação(ões) associada(s)`,
+        sugestao: 'Você pode arquivar a conta ao invés de excluí-la'
+      })
+    }
+
+    await Account.deleteOne({ _id: id, userId: req.userId })
+    await Reconciliation.deleteMany({ userId: req.userId, contaId: conta._id })
+
+    res.json({
+      success: true,
+      message: 'Conta removida com sucesso'
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover conta:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
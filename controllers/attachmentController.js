@@ -0,0 +1,192 @@
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const attachmentService = require('../services/attachmentService')
+
+async function buscarTransacao(userId, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null
+  return await Transaction.findOne({ _id: id, userId })
+}
+
+// Dados públicos do anexo (as chaves do armazenamento ficam internas)
+function apresentarAnexo(anexo) {
+  const { chave, chaveMiniatura, ...dados } = anexo.toObject ? anexo.toObject() : anexo
+
+  return {
+    ...dados,
+    miniaturaUrl: chaveMiniatura ? `${anexo.url}/miniatura` : null
+  }
+}
+
+// Nome do arquivo no cabeçalho Content-Disposition (com variante UTF-8)
+function cabecalhoArquivo(anexo, download) {
+  const nome = anexo.nome || 'anexo'
+  const ascii = nome.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_')
+  return `${download ? 'attachment' : 'inline'}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(nome)}`
+}
+
+async function enviarArquivo(res, chave, { tipoConteudo, disposicao }) {
+  const arquivo = await attachmentService.abrir(chave)
+
+  if (!arquivo) {
+    return res.status(404).json({ error: 'Arquivo do anexo não encontrado' })
+  }
+
+  res.set({
+    'Content-Type': tipoConteudo,
+    'Content-Disposition': disposicao,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600'
+  })
+
+  arquivo.on('error', err => {
+    console.error('Erro ao ler arquivo de anexo:', err)
+    res.destroy(err)
+  })
+  arquivo.pipe(res)
+}
+
+exports.getUso = async (req, res) => {
+  try {
+    const uso = await attachmentService.uso(req.userId)
+
+    res.json({
+      success: true,
+      data: {
+        ...uso,
+        tamanhoMaximoArquivo: attachmentService.tamanhoMaximo,
+        tiposPermitidos: attachmentService.tiposPermitidos
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao calcular uso de anexos:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.upload = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Envie o arquivo no campo "arquivo"' })
+    }
+
+    const transacao = await buscarTransacao(req.userId, req.params.id)
+
+    if (!transacao) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
+    }
+
+    if ((transacao.anexos || []).length >= attachmentService.anexosPorTransacao) {
+      return res.status(400).json({
+        error: `Uma transação pode ter no máximo ${attachmentService.anexosPorTransacao} anexos`
+      })
+    }
+
+    const uso = await attachmentService.uso(req.userId)
+    if (req.file.size > uso.disponivel) {
+      return res.status(400).json({
+        error: 'Cota de armazenamento de anexos excedida',
+        uso
+      })
+    }
+
+    const preparado = await attachmentService.preparar(req.file)
+    if (preparado.erro) {
+      return res.status(400).json({ error: preparado.erro })
+    }
+
+    const anexo = await attachmentService.anexar(transacao, req.file, preparado)
+
+    console.log(`📎 Anexo ${anexo.nome} (${anexo.tamanho} bytes) adicionado à transação ${transacao._id}`)
+
+    res.status(201).json({
+      success: true,
+      message: 'Anexo adicionado com sucesso',
+      data: apresentarAnexo(anexo)
+    })
+
+  } catch (err) {
+    console.error('Erro ao adicionar anexo:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.download = async (req, res) => {
+  try {
+    const transacao = await buscarTransacao(req.userId, req.params.id)
+    const anexo = transacao && mongoose.Types.ObjectId.isValid(req.params.anexoId)
+      ? transacao.anexos.id(req.params.anexoId)
+      : null
+
+    if (!anexo) {
+      return res.status(404).json({ error: 'Anexo não encontrado' })
+    }
+
+    // Links externos não têm arquivo armazenado
+    if (!anexo.chave) {
+      if (!anexo.url) {
+        return res.status(404).json({ error: 'Arquivo do anexo não encontrado' })
+      }
+      return res.redirect(anexo.url)
+    }
+
+    await enviarArquivo(res, anexo.chave, {
+      tipoConteudo: anexo.mimeType || 'application/octet-stream',
+      disposicao: cabecalhoArquivo(anexo, req.query.download === 'true')
+    })
+
+  } catch (err) {
+    console.error('Erro ao baixar anexo:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.miniatura = async (req, res) => {
+  try {
+    const transacao = await buscarTransacao(req.userId, req.params.id)
+    const anexo = transacao && mongoose.Types.ObjectId.isValid(req.params.anexoId)
+      ? transacao.anexos.id(req.params.anexoId)
+      : null
+
+    if (!anexo) {
+      return res.status(404).json({ error: 'Anexo não encontrado' })
+    }
+
+    if (!anexo.chaveMiniatura) {
+      return res.status(404).json({ error: 'Este anexo não tem miniatura' })
+    }
+
+    await enviarArquivo(res, anexo.chaveMiniatura, {
+      tipoConteudo: 'image/webp',
+      disposicao: 'inline'
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar miniatura do anexo:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.remove = async (req, res) => {
+  try {
+    const transacao = await buscarTransacao(req.userId, req.params.id)
+    const anexo = transacao && mongoose.Types.ObjectId.isValid(req.params.anexoId)
+      ? transacao.anexos.id(req.params.anexoId)
+      : null
+
+    if (!anexo) {
+      return res.status(404).json({ error: 'Anexo não encontrado' })
+    }
+
+    await attachmentService.remover(transacao, anexo)
+
+    res.json({
+      success: true,
+      message: 'Anexo removido com sucesso'
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover anexo:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
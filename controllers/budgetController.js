@@ -1,6 +1,8 @@
 const Budget = require('../models/Budget')
 const Transaction = require('../models/Transaction')
 const Category = require('../models/Category')
+const currencyService = require('../services/currencyService')
+const trashService = require('../services/trashService')
 const { validationResult } = require('express-validator')
 const mongoose = require('mongoose')
 
@@ -54,18 +56,12 @@ exports.getAll = async (req, res) => {
     // Calcular dados adicionais para cada orçamento
     const orcamentosEnriquecidos = await Promise.all(
       orcamentos.map(async (orcamento) => {
-        // Recalcular valor gasto baseado nas transações
-        const transacoes = await Transaction.find({
-          userId: req.userId,
-          categoria: orcamento.categoria,
-          tipo: 'despesa',
-          data: {
-            $gte: orcamento.dataInicio,
-            $lte: orcamento.dataFim
-          }
-        })
+        // Recalcular valor gasto baseado nas transações (linhas de transações divididas incluídas)
+        const gasto = await Transaction.gastoNaCategoria(
+          req.userId, orcamento.categoria, orcamento.dataInicio, orcamento.dataFim
+        )
 
-        const valorGastoReal = transacoes.reduce((sum, t) => sum + t.valor, 0)
+        const valorGastoReal = gasto.total
         
         // Atualizar no banco se houver diferença
         if (Math.abs(valorGastoReal - orcamento.valorGasto) > 0.01) {
@@ -81,7 +77,7 @@ exports.getAll = async (req, res) => {
           porcentagemGasta: orcamento.valorLimite > 0 ? 
             Math.round((valorGastoReal / orcamento.valorLimite) * 100) : 0,
           diasRestantes: Math.max(0, Math.ceil((orcamento.dataFim - new Date()) / (1000 * 60 * 60 * 24))),
-          transacoesCount: transacoes.length
+          transacoesCount: gasto.quantidade
         }
       })
     )
@@ -140,18 +136,24 @@ exports.getById = async (req, res) => {
     }
 
     // Buscar transações relacionadas
-    const transacoes = await Transaction.find({
+    const transacoes = await Transaction.find(Transaction.realizadas({
       userId: req.userId,
-      categoria: orcamento.categoria,
+      $or: [
+        { categoria: orcamento.categoria },
+        { 'divisoes.categoria': orcamento.categoria }
+      ],
       tipo: 'despesa',
       data: {
         $gte: orcamento.dataInicio,
         $lte: orcamento.dataFim
       }
-    }).sort({ data: -1 })
+    })).sort({ data: -1 })
 
-    // Recalcular valor gasto
-    const valorGastoReal = transacoes.reduce((sum, t) => sum + t.valor, 0)
+    // Recalcular valor gasto (de transações divididas, só as linhas da categoria)
+    const valorGastoReal = transacoes.reduce((sum, t) =>
+      sum + Transaction.lancamentos(t)
+        .filter(l => l.categoria === orcamento.categoria)
+        .reduce((soma, l) => soma + l.valor, 0), 0)
 
     // Estatísticas detalhadas
     const estatisticas = {
@@ -208,13 +210,7 @@ exports.create = async (req, res) => {
     }
 
     // Validar se categoria existe
-    const categoria = await Category.findOne({
-      $or: [
-        { userId: req.userId, nome: dadosOrcamento.categoria },
-        { padrao: true, nome: dadosOrcamento.categoria }
-      ],
-      ativa: true
-    })
+    const categoria = await Category.buscarPorNome(req.userId, dadosOrcamento.categoria, { ativa: true })
 
     if (!categoria) {
       return res.status(400).json({ error: 'Categoria não encontrada' })
@@ -240,17 +236,11 @@ exports.create = async (req, res) => {
     }
 
     // Calcular valor gasto inicial baseado em transações existentes
-    const transacoesExistentes = await Transaction.find({
-      userId: req.userId,
-      categoria: dadosOrcamento.categoria,
-      tipo: 'despesa',
-      data: {
-        $gte: new Date(dadosOrcamento.dataInicio),
-        $lte: new Date(dadosOrcamento.dataFim)
-      }
-    })
+    const gastoExistente = await Transaction.gastoNaCategoria(
+      req.userId, dadosOrcamento.categoria, dadosOrcamento.dataInicio, dadosOrcamento.dataFim
+    )
 
-    dadosOrcamento.valorGasto = transacoesExistentes.reduce((sum, t) => sum + t.valor, 0)
+    dadosOrcamento.valorGasto = gastoExistente.total
 
     // Criar orçamento
     const orcamento = await Budget.create(dadosOrcamento)
@@ -273,6 +263,14 @@ exports.create = async (req, res) => {
 
 exports.update = async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
     const { id } = req.params
     const updates = req.body
 
@@ -289,8 +287,9 @@ exports.update = async (req, res) => {
     const valorLimiteAntigo = orcamento.valorLimite
 
     // Aplicar atualizações
+    const camposProtegidos = ['_id', 'userId', 'valorGasto', 'historico', 'estatisticasRenovacao']
     Object.keys(updates).forEach(key => {
-      if (key !== 'userId' && key !== 'valorGasto') {
+      if (!camposProtegidos.includes(key)) {
         orcamento[key] = updates[key]
       }
     })
@@ -302,23 +301,17 @@ exports.update = async (req, res) => {
       }
 
       // Recalcular valor gasto se as datas mudaram
-      const transacoes = await Transaction.find({
-        userId: req.userId,
-        categoria: orcamento.categoria,
-        tipo: 'despesa',
-        data: {
-          $gte: orcamento.dataInicio,
-          $lte: orcamento.dataFim
-        }
-      })
+      const gasto = await Transaction.gastoNaCategoria(
+        req.userId, orcamento.categoria, orcamento.dataInicio, orcamento.dataFim
+      )
 
-      orcamento.valorGasto = transacoes.reduce((sum, t) => sum + t.valor, 0)
+      orcamento.valorGasto = gasto.total
     }
 
     // Adicionar ao histórico se valor limite mudou
     if (updates.valorLimite && updates.valorLimite !== valorLimiteAntigo) {
       orcamento.adicionarHistorico('editado', updates.valorLimite, 
-        `Limite alterado de R$ ${valorLimiteAntigo} para R$ ${updates.valorLimite}`)
+        `Limite alterado de ${currencyService.formatar(valorLimiteAntigo, orcamento.moeda)} para ${currencyService.formatar(updates.valorLimite, orcamento.moeda)}`)
     }
 
     await orcamento.save()
@@ -348,7 +341,8 @@ exports.remove = async (req, res) => {
       return res.status(404).json({ error: 'Orçamento não encontrado' })
     }
 
-    // Remover referências em transações
+    // Remover referências em transações (refeitas se o orçamento for restaurado da lixeira)
+    const vinculadas = await Transaction.find({ orcamentoId: id }).distinct('_id')
     await Transaction.updateMany(
       { orcamentoId: id },
       { $unset: { orcamentoId: 1 } }
@@ -356,10 +350,11 @@ exports.remove = async (req, res) => {
 
     // Deletar orçamento
     await Budget.deleteOne({ _id: id, userId: req.userId })
+    await trashService.mover('orcamento', [orcamento], { vinculos: { transacoes: vinculadas } })
 
     res.json({
       success: true,
-      message: 'Orçamento removido com sucesso'
+      message: 'Orçamento movido para a lixeira'
     })
 
   } catch (err) {
@@ -495,17 +490,9 @@ exports.getResumo = async (req, res) => {
 
     for (const orcamento of orcamentosAtencao) {
       // Recalcular valores em tempo real
-      const transacoes = await Transaction.find({
-        userId: req.userId,
-        categoria: orcamento.categoria,
-        tipo: 'despesa',
-        data: {
-          $gte: orcamento.dataInicio,
-          $lte: orcamento.dataFim
-        }
-      })
-
-      const valorGasto = transacoes.reduce((sum, t) => sum + t.valor, 0)
+      const { total: valorGasto } = await Transaction.gastoNaCategoria(
+        req.userId, orcamento.categoria, orcamento.dataInicio, orcamento.dataFim
+      )
       const porcentagem = orcamento.valorLimite > 0 ? (valorGasto / orcamento.valorLimite) * 100 : 0
       const diasRestantes = Math.ceil((orcamento.dataFim - agora) / (1000 * 60 * 60 * 24))
 
@@ -587,8 +574,9 @@ exports.processarVencimentos = async (req, res) => {
   try {
     const agora = new Date()
     
-    // Buscar orçamentos que venceram
+    // Buscar orçamentos do usuário que venceram
     const orcamentosVencidos = await Budget.find({
+      userId: req.userId,
       dataFim: { $lt: agora },
       status: 'ativo'
     })
@@ -676,7 +664,7 @@ function gerarAlertasOrcamento(orcamento, estatisticas) {
     alertas.push({
       tipo: 'warning',
       titulo: 'Projeção de Excesso',
-      mensagem: `Mantendo o ritmo atual, você pode exceder o orçamento em R$ ${excesso.toFixed(2)}`,
+      mensagem: `Mantendo o ritmo atual, você pode exceder o orçamento em ${currencyService.formatar(excesso, orcamento.moeda)}`,
       valor: excesso
     })
   }
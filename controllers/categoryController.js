@@ -1,6 +1,10 @@
 const Category = require('../models/Category')
 const Transaction = require('../models/Transaction')
+const CategoryRule = require('../models/CategoryRule')
+const categorySuggestionService = require('../services/categorySuggestionService')
+const trashService = require('../services/trashService')
 const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
 
 exports.getAll = async (req, res) => {
   try {
@@ -9,7 +13,7 @@ exports.getAll = async (req, res) => {
     const filtro = {
       $or: [
         { userId: req.userId },
-        { padrao: true }
+        { padrao: true, userId: null }
       ]
     }
     
@@ -30,17 +34,23 @@ exports.getAll = async (req, res) => {
     
     let categories = await Category.find(filtro).sort({ ordem: 1, nome: 1 }).lean()
     
+    // Categorias do usuário sobrepõem as padrão do sistema com o mesmo nome
+    categories = Category.mesclarComPadrao(categories)
+    
     // Incluir estatísticas se solicitado
     if (incluirEstatisticas === 'true') {
       categories = await Promise.all(
         categories.map(async (categoria) => {
           const estatisticas = await Transaction.aggregate([
             {
-              $match: {
-                userId: req.userId,
-                categoria: categoria.nome
-              }
+              $match: Transaction.realizadas({
+                userId: new mongoose.Types.ObjectId(req.userId),
+                $or: [{ categoria: categoria.nome }, { 'divisoes.categoria': categoria.nome }]
+              })
             },
+            // Transações divididas contam pelo valor da linha da categoria
+            ...Transaction.expandirDivisoes(),
+            { $match: { categoria: categoria.nome } },
             {
               $group: {
                 _id: '$tipo',
@@ -89,7 +99,7 @@ exports.getById = async (req, res) => {
       _id: id,
       $or: [
         { userId: req.userId },
-        { padrao: true }
+        { padrao: true, userId: null }
       ]
     })
 
@@ -97,15 +107,21 @@ exports.getById = async (req, res) => {
       return res.status(404).json({ error: 'Categoria não encontrada' })
     }
 
+    // Transações da categoria, inteiras ou em uma das linhas da divisão
+    const daCategoria = { $or: [{ categoria: categoria.nome }, { 'divisoes.categoria': categoria.nome }] }
+
     // Buscar estatísticas detalhadas
     const [estatisticas, transacoesRecentes] = await Promise.all([
       Transaction.aggregate([
         {
-          $match: {
-            userId: req.userId,
-            categoria: categoria.nome
-          }
+          $match: Transaction.realizadas({
+            userId: new mongoose.Types.ObjectId(req.userId),
+            ...daCategoria
+          })
         },
+        // Transações divididas contam pelo valor da linha da categoria
+        ...Transaction.expandirDivisoes(),
+        { $match: { categoria: categoria.nome } },
         {
           $facet: {
             porTipo: [
@@ -151,7 +167,7 @@ exports.getById = async (req, res) => {
 
       Transaction.find({
         userId: req.userId,
-        categoria: categoria.nome
+        ...daCategoria
       }).sort({ data: -1 }).limit(10)
     ])
 
@@ -186,7 +202,7 @@ exports.create = async (req, res) => {
     const existente = await Category.findOne({
       $or: [
         { userId: req.userId, nome: nome.trim() },
-        { padrao: true, nome: nome.trim() }
+        { padrao: true, userId: null, nome: nome.trim() }
       ],
       ativa: true
     })
@@ -227,6 +243,14 @@ exports.create = async (req, res) => {
 
 exports.update = async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
     const { id } = req.params
     const updates = req.body
     
@@ -249,7 +273,7 @@ exports.update = async (req, res) => {
       const existente = await Category.findOne({
         $or: [
           { userId: req.userId, nome: updates.nome.trim() },
-          { padrao: true, nome: updates.nome.trim() }
+          { padrao: true, userId: null, nome: updates.nome.trim() }
         ],
         _id: { $ne: id },
         ativa: true
@@ -260,21 +284,33 @@ exports.update = async (req, res) => {
       }
     }
     
+    const nomeAnterior = category.nome
+    
     // Aplicar atualizações
     Object.keys(updates).forEach(key => {
-      if (key !== 'userId' && key !== 'padrao') {
+      if (!['_id', 'userId', 'padrao', 'estatisticas'].includes(key)) {
         category[key] = updates[key]
       }
     })
     
     await category.save()
     
-    // Se o nome mudou, atualizar transações relacionadas
-    if (updates.nome && updates.nome !== category.nome) {
+    // Se o nome mudou, atualizar transações, regras e sugestões relacionadas
+    if (category.nome !== nomeAnterior) {
+      await Transaction.updateMany(
+        { userId: req.userId, categoria: nomeAnterior },
+        { categoria: category.nome }
+      )
       await Transaction.updateMany(
-        { userId: req.userId, categoria: category.nome },
-        { categoria: updates.nome }
+        { userId: req.userId, 'divisoes.categoria': nomeAnterior },
+        { $set: { 'divisoes.$[linha].categoria': category.nome } },
+        { arrayFilters: [{ 'linha.categoria': nomeAnterior }] }
+      )
+      await CategoryRule.updateMany(
+        { userId: req.userId, 'acoes.categoria': nomeAnterior },
+        { 'acoes.categoria': category.nome }
       )
+      await categorySuggestionService.renomearCategoria(req.userId, nomeAnterior, category.nome)
     }
     
     res.json({
@@ -320,10 +356,11 @@ exports.remove = async (req, res) => {
     }
     
     await Category.deleteOne({ _id: id, userId: req.userId })
+    await trashService.mover('categoria', [category])
     
     res.json({
       success: true,
-      message: 'Categoria removida com sucesso'
+      message: 'Categoria movida para a lixeira'
     })
     
   } catch (err) {
@@ -456,7 +493,7 @@ exports.removeSubcategoria = async (req, res) => {
       })
     }
 
-    category.subcategorias.pull(subcategoriaId)
+    category.removerSubcategoria(subcategoriaId)
     await category.save()
 
     res.json({
@@ -502,11 +539,12 @@ exports.getEstatisticas = async (req, res) => {
 
     const estatisticas = await Transaction.aggregate([
       {
-        $match: {
-          userId: req.userId,
+        $match: Transaction.realizadas({
+          userId: new mongoose.Types.ObjectId(req.userId),
           data: { $gte: dataInicio, $lte: dataFim }
-        }
+        })
       },
+      ...Transaction.expandirDivisoes(),
       {
         $group: {
           _id: {
@@ -544,7 +582,7 @@ exports.getEstatisticas = async (req, res) => {
     const categoriasInfo = await Category.find({
       $or: [
         { userId: req.userId },
-        { padrao: true }
+        { padrao: true, userId: null }
       ],
       ativa: true
     }).select('nome tipo icone cor').lean()
@@ -657,7 +695,7 @@ exports.duplicar = async (req, res) => {
       _id: id,
       $or: [
         { userId: req.userId },
-        { padrao: true }
+        { padrao: true, userId: null }
       ]
     })
 
@@ -669,7 +707,7 @@ exports.duplicar = async (req, res) => {
     const existente = await Category.findOne({
       $or: [
         { userId: req.userId, nome: nome.trim() },
-        { padrao: true, nome: nome.trim() }
+        { padrao: true, userId: null, nome: nome.trim() }
       ],
       ativa: true
     })
@@ -720,7 +758,7 @@ exports.buscar = async (req, res) => {
     const filtro = {
       $or: [
         { userId: req.userId },
-        { padrao: true }
+        { padrao: true, userId: null }
       ],
       ativa: true,
       nome: { $regex: q.trim(), $options: 'i' }
@@ -737,16 +775,15 @@ exports.buscar = async (req, res) => {
       ]
     }
 
-    const categorias = await Category.find(filtro)
-      .limit(parseInt(limite))
-      .sort({ nome: 1 })
-      .lean()
+    const categorias = Category.mesclarComPadrao(
+      await Category.find(filtro).sort({ nome: 1 }).lean()
+    ).slice(0, parseInt(limite))
 
     // Também buscar em subcategorias
     const categoriasComSubcategorias = await Category.find({
       $or: [
         { userId: req.userId },
-        { padrao: true }
+        { padrao: true, userId: null }
       ],
       ativa: true,
       'subcategorias.nome': { $regex: q.trim(), $options: 'i' }
@@ -779,20 +816,65 @@ exports.buscar = async (req, res) => {
   }
 }
 
+// Sugerir categoria para uma nova descrição com base no histórico do usuário
+exports.sugerir = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { descricao, valor, metodoPagamento, tipo, limite = 3 } = req.query
+
+    const sugestao = await categorySuggestionService.sugerir(req.userId, {
+      descricao,
+      valor: valor !== undefined ? parseFloat(valor) : null,
+      metodoPagamento,
+      tipo,
+      limite: parseInt(limite)
+    })
+
+    res.json({
+      success: true,
+      data: sugestao
+    })
+
+  } catch (err) {
+    console.error('Erro ao sugerir categoria:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Reconstruir o classificador de sugestões com todo o histórico
+exports.retreinarSugestoes = async (req, res) => {
+  try {
+    const resultado = await categorySuggestionService.retreinar(req.userId)
+
+    res.json({
+      success: true,
+      message: `Sugestões treinadas com ${resultado.transacoes} transações`,
+      data: resultado
+    })
+
+  } catch (err) {
+    console.error('Erro ao treinar sugestões de categoria:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
 exports.importarPadrao = async (req, res) => {
   try {
     const { sobrescrever = false } = req.body
 
-    // Buscar categorias padrão
-    const categoriasPadrao = await Category.find({ padrao: true })
+    // Buscar categorias padrão do sistema, criando-as se ainda não existirem
+    let categoriasPadrao = await Category.find({ padrao: true, userId: null })
 
     if (categoriasPadrao.length === 0) {
-      // Criar categorias padrão se não existirem
       await Category.criarCategoriasPadrao()
-      return res.json({
-        success: true,
-        message: 'Categorias padrão criadas com sucesso'
-      })
+      categoriasPadrao = await Category.find({ padrao: true, userId: null })
     }
 
     let criadas = 0
@@ -819,9 +901,10 @@ exports.importarPadrao = async (req, res) => {
         }
       } else {
         // Criar nova categoria para o usuário
+        const { _id, estatisticas, criadoEm, atualizadoEm, createdAt, updatedAt, ...dadosCategoria } = categoriaPadrao.toObject()
         await Category.create({
-          ...categoriaPadrao.toObject(),
-          _id: undefined,
+          ...dadosCategoria,
+          subcategorias: dadosCategoria.subcategorias.map(({ _id, ...sub }) => sub),
           userId: req.userId,
           padrao: false
         })
@@ -2,6 +2,10 @@ const Transaction = require('../models/Transaction')
 const Budget = require('../models/Budget')
 const Goal = require('../models/Goal')
 const Category = require('../models/Category')
+const Account = require('../models/Account')
+const SavedView = require('../models/SavedView')
+const transactionQueryService = require('../services/transactionQueryService')
+const currencyService = require('../services/currencyService')
 const mongoose = require('mongoose')
 const { validationResult } = require('express-validator')
 
@@ -54,11 +58,12 @@ exports.getOverview = async (req, res) => {
       // 1. Resumo financeiro do período
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -144,11 +149,13 @@ exports.getOverview = async (req, res) => {
       // 5. Categorias mais utilizadas
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        // Transações divididas contam em cada categoria pelo valor da linha
+        ...Transaction.expandirDivisoes(),
         {
           $group: {
             _id: '$categoria',
@@ -167,12 +174,13 @@ exports.getOverview = async (req, res) => {
       // 6. Gastos por categoria (apenas despesas)
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             tipo: 'despesa',
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        ...Transaction.expandirDivisoes(),
         {
           $group: {
             _id: '$categoria',
@@ -250,8 +258,53 @@ exports.getOverview = async (req, res) => {
       })
     }
 
+    // Contas pendentes: vencidas e as que vencem nos próximos 30 dias
+    const pendentes = await transactionQueryService.resumirPendentes(req.userId, {
+      ate: new Date(agora.getTime() + 30 * 24 * 60 * 60 * 1000)
+    })
+
+    if (pendentes.vencidas > 0) {
+      alertas.push({
+        tipo: 'vencimento',
+        titulo: 'Contas Vencidas',
+        mensagem: `${pendentes.vencidas} conta(s) pendente(s) venceram sem confirmação`,
+        nivel: 'critico',
+        icone: 'alert'
+      })
+    }
+
+    // Limite disponível dos cartões de crédito
+    const cartoesCredito = await Account.calcularCreditoDisponivel(req.userId)
+
+    cartoesCredito
+      .filter(cartao => cartao.limite > 0 && cartao.disponivel / cartao.limite < 0.1)
+      .forEach(cartao => {
+        alertas.push({
+          tipo: 'cartao',
+          titulo: 'Limite do Cartão Quase Esgotado',
+          mensagem: `${cartao.nome}: restam ${currencyService.formatar(cartao.disponivel, cartao.moeda)} de limite`,
+          nivel: 'aviso',
+          icone: 'card'
+        })
+      })
+
+    // Limites de cartões em outra moeda somam pela cotação de hoje
+    const moedaBase = await currencyService.moedaBase(req.userId)
+    const limitesConvertidos = await Promise.all(cartoesCredito.map(async cartao => ({
+      limite: await currencyService.paraMoedaBase(req.userId, cartao.limite, cartao.moeda, moedaBase),
+      disponivel: await currencyService.paraMoedaBase(req.userId, cartao.disponivel, cartao.moeda, moedaBase)
+    })))
+
+    // Visões salvas fixadas pelo usuário, com os totais do período de cada uma
+    const visoes = await SavedView.find({ userId: req.userId, fixadaNoDashboard: true })
+      .sort({ posicaoNoDashboard: 1, nome: 1 })
+    const visoesFixadas = await Promise.all(
+      visoes.map(visao => transactionQueryService.resumirVisao(req.userId, visao))
+    )
+
     // Montar resposta final
     const overview = {
+      moedaBase,
       resumoFinanceiro: {
         receitas,
         despesas,
@@ -260,11 +313,18 @@ exports.getOverview = async (req, res) => {
         crescimentoReceitas: 0, // Calcular comparação com período anterior
         crescimentoDespesas: 0
       },
+      // Fora do resumo realizado; entram na projeção do saldo
+      pendentes: {
+        ...pendentes,
+        saldoProjetado: receitas - despesas + pendentes.aReceber - pendentes.aPagar
+      },
       transacoesRecentes: transacoesRecentes.map(t => ({
         _id: t._id,
         tipo: t.tipo,
         descricao: t.descricao,
         valor: t.valor,
+        moeda: t.moeda || moedaBase,
+        valorConvertido: Transaction.valorNaMoedaBase(t),
         categoria: t.categoria,
         data: t.data,
         metodoPagamento: t.metodoPagamento
@@ -295,7 +355,13 @@ exports.getOverview = async (req, res) => {
         valor: cat.total,
         transacoes: cat.count
       })),
+      cartoesCredito: {
+        cartoes: cartoesCredito,
+        limiteTotal: limitesConvertidos.reduce((total, c) => total + c.limite, 0),
+        disponivelTotal: limitesConvertidos.reduce((total, c) => total + c.disponivel, 0)
+      },
       alertas,
+      visoesFixadas,
       periodo: {
         tipo: periodo,
         dataInicio,
@@ -355,11 +421,12 @@ exports.getStats = async (req, res) => {
       // Estatísticas por categoria
       pipeline = [
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        ...Transaction.expandirDivisoes(),
         {
           $group: {
             _id: {
@@ -388,11 +455,12 @@ exports.getStats = async (req, res) => {
       
       pipeline = [
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: {
@@ -411,11 +479,12 @@ exports.getStats = async (req, res) => {
       // Estatísticas gerais
       pipeline = [
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -438,6 +507,7 @@ exports.getStats = async (req, res) => {
         tipo,
         dataInicio,
         dataFim: agora,
+        moedaBase: await currencyService.moedaBase(req.userId),
         estatisticas: stats
       }
     })
@@ -490,11 +560,12 @@ exports.getChartData = async (req, res) => {
 
       const dados = await Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: {
@@ -515,12 +586,13 @@ exports.getChartData = async (req, res) => {
       // Gráfico pizza por categorias
       const dados = await Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicio, $lte: agora },
             tipo: 'despesa' // Focar nas despesas para o gráfico
-          }
+          })
         },
+        ...Transaction.expandirDivisoes(),
         {
           $group: {
             _id: '$categoria',
@@ -544,6 +616,7 @@ exports.getChartData = async (req, res) => {
       data: {
         tipo,
         periodo,
+        moedaBase: await currencyService.moedaBase(req.userId),
         chartData
       }
     })
@@ -568,15 +641,16 @@ exports.getQuickSummary = async (req, res) => {
 
     const userObjectId = new mongoose.Types.ObjectId(req.userId)
 
-    const [resumoMes, resumoAno, proximasContas] = await Promise.all([
+    const [resumoMes, resumoAno, proximasContas, pendentes] = await Promise.all([
       // Resumo do mês
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: inicioMes, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -588,11 +662,12 @@ exports.getQuickSummary = async (req, res) => {
       // Resumo do ano
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: inicioAno, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -609,7 +684,12 @@ exports.getQuickSummary = async (req, res) => {
           $gte: agora,
           $lte: new Date(agora.getTime() + 7 * 24 * 60 * 60 * 1000) // 7 dias
         }
-      }).limit(5)
+      }).limit(5),
+
+      // Pendentes vencidas e a vencer nos próximos 7 dias
+      transactionQueryService.resumirPendentes(req.userId, {
+        ate: new Date(agora.getTime() + 7 * 24 * 60 * 60 * 1000)
+      })
     ])
 
     const receitasMes = resumoMes.find(r => r._id === 'receita')?.total || 0
@@ -620,6 +700,7 @@ exports.getQuickSummary = async (req, res) => {
     res.json({
       success: true,
       data: {
+        moedaBase: await currencyService.moedaBase(req.userId),
         mesCorrente: {
           receitas: receitasMes,
           despesas: despesasMes,
@@ -634,9 +715,11 @@ exports.getQuickSummary = async (req, res) => {
           _id: conta._id,
           descricao: conta.descricao,
           valor: conta.valor,
+          moeda: conta.moeda,
           data: conta.recorrente.proximaData,
           tipo: conta.tipo
-        }))
+        })),
+        pendentes
       }
     })
 
@@ -674,11 +757,12 @@ exports.getComparison = async (req, res) => {
     const [dadosAtual, dadosAnterior] = await Promise.all([
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicioAtual, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -690,11 +774,12 @@ exports.getComparison = async (req, res) => {
       
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: userObjectId,
             data: { $gte: dataInicioAnterior, $lte: dataFimAnterior }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -721,6 +806,7 @@ exports.getComparison = async (req, res) => {
       success: true,
       data: {
         periodo,
+        moedaBase: await currencyService.moedaBase(req.userId),
         atual: {
           receitas: receitasAtual,
           despesas: despesasAtual,
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose')
+const ExchangeRate = require('../models/ExchangeRate')
+const currencyService = require('../services/currencyService')
+const { validationResult } = require('express-validator')
+
+// Cotações visíveis para o usuário: as próprias e as da tabela geral
+function filtroVisivel(userId) {
+  return { userId: { $in: [null, new mongoose.Types.ObjectId(userId)] } }
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const {
+      moedaOrigem,
+      moedaDestino,
+      dataInicio,
+      dataFim,
+      fonte,
+      page = 1,
+      limit = 50
+    } = req.query
+
+    const filtros = filtroVisivel(req.userId)
+    if (moedaOrigem) filtros.moedaOrigem = moedaOrigem.toUpperCase()
+    if (moedaDestino) filtros.moedaDestino = moedaDestino.toUpperCase()
+    if (fonte) filtros.fonte = fonte
+
+    if (dataInicio || dataFim) {
+      filtros.data = {}
+      if (dataInicio) filtros.data.$gte = new Date(dataInicio)
+      if (dataFim) filtros.data.$lte = new Date(dataFim)
+    }
+
+    const skip = (page - 1) * limit
+
+    const [cotacoes, total, moedaBase] = await Promise.all([
+      ExchangeRate.find(filtros)
+        .sort({ data: -1, moedaOrigem: 1, moedaDestino: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ExchangeRate.countDocuments(filtros),
+      currencyService.moedaBase(req.userId)
+    ])
+
+    res.json({
+      success: true,
+      data: cotacoes.map(cotacao => ({ ...cotacao, geral: !cotacao.userId })),
+      moedaBase,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: cotacoes.length,
+        totalRecords: total
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar cotações:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Cadastrar (ou substituir) a cotação do usuário para um par e data
+exports.create = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const moedaOrigem = req.body.moedaOrigem.toUpperCase()
+    const moedaDestino = req.body.moedaDestino.toUpperCase()
+
+    if (moedaOrigem === moedaDestino) {
+      return res.status(400).json({ error: 'Moedas de origem e destino devem ser diferentes' })
+    }
+
+    const cotacao = {
+      moedaOrigem,
+      moedaDestino,
+      data: req.body.data ? new Date(req.body.data) : new Date(),
+      taxa: Number(req.body.taxa)
+    }
+
+    await currencyService.registrar([cotacao], { userId: req.userId, fonte: 'manual' })
+
+    const salva = await ExchangeRate.findOne({
+      userId: req.userId,
+      moedaOrigem,
+      moedaDestino,
+      data: ExchangeRate.inicioDoDia(cotacao.data)
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Cotação registrada com sucesso',
+      data: salva
+    })
+
+  } catch (err) {
+    console.error('Erro ao registrar cotação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Importar cotações do usuário a partir de um CSV (data, moeda_origem, moeda_destino, taxa)
+// Linhas inválidas são informadas e as demais são gravadas
+exports.importarCsv = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Arquivo CSV não enviado (campo "arquivo")' })
+    }
+
+    let leitura
+    try {
+      leitura = currencyService.lerCsv(req.file.buffer)
+    } catch (err) {
+      return res.status(400).json({ error: err.message })
+    }
+
+    const { cotacoes, erros } = leitura
+
+    if (cotacoes.length === 0) {
+      return res.status(400).json({ error: 'Nenhuma cotação válida no arquivo', detalhes: erros })
+    }
+
+    const { importadas, atualizadas } = await currencyService.registrar(cotacoes, {
+      userId: req.userId,
+      fonte: 'csv'
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `${cotacoes.length} cotação(ões) processada(s)`,
+      data: {
+        importadas,
+        atualizadas,
+        erros
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao importar cotações:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Converter um valor entre duas moedas pela cotação da data
+exports.converter = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const origem = req.query.de.toUpperCase()
+    const destino = (req.query.para || await currencyService.moedaBase(req.userId)).toUpperCase()
+    const data = req.query.data ? new Date(req.query.data) : new Date()
+    const valor = Number(req.query.valor)
+
+    const conversao = await currencyService.converter(req.userId, valor, origem, destino, data)
+
+    if (!conversao) {
+      return res.status(404).json({ error: `Nenhuma cotação de ${origem} para ${destino} cadastrada` })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        original: { valor, moeda: origem },
+        convertido: { valor: conversao.valor, moeda: destino },
+        taxa: conversao.taxa,
+        dataCotacao: conversao.dataCotacao
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao converter valor:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Somente cotações do próprio usuário podem ser removidas; a tabela geral é do administrador
+exports.remove = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Cotação não encontrada' })
+    }
+
+    const cotacao = await ExchangeRate.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+
+    if (!cotacao) {
+      return res.status(404).json({ error: 'Cotação não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Cotação removida com sucesso'
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover cotação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
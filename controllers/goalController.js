@@ -1,4 +1,6 @@
 const Goal = require('../models/Goal')
+const currencyService = require('../services/currencyService')
+const trashService = require('../services/trashService')
 const mongoose = require('mongoose')
 const { validationResult } = require('express-validator')
 
@@ -412,11 +414,13 @@ exports.delete = async (req, res) => {
       })
     }
 
-    console.log('✅ Meta excluída:', meta._id)
+    await trashService.mover('meta', [meta])
+
+    console.log('✅ Meta movida para a lixeira:', meta._id)
 
     res.json({
       success: true,
-      message: 'Meta excluída com sucesso',
+      message: 'Meta movida para a lixeira',
       data: {
         metaExcluida: {
           id: meta._id,
@@ -509,7 +513,7 @@ exports.addContribuicao = async (req, res) => {
     console.log(`✅ Contribuição de ${novaContribuicao.valor} adicionada à meta ${meta._id}`)
 
     // Preparar resposta
-    let mensagem = `${tipo === 'contribuicao' ? 'Contribuição' : tipo === 'retirada' ? 'Retirada' : 'Ajuste'} de R$ ${Math.abs(valor)} registrada com sucesso`
+    let mensagem = `${tipo === 'contribuicao' ? 'Contribuição' : tipo === 'retirada' ? 'Retirada' : 'Ajuste'} de ${currencyService.formatar(Math.abs(valor), meta.moeda)} registrada com sucesso`
     if (foiConcluida) {
       mensagem += '. 🎉 Parabéns! Meta atingida!'
     }
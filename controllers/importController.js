@@ -0,0 +1,527 @@
+const Account = require('../models/Account')
+const Category = require('../models/Category')
+const ImportProfile = require('../models/ImportProfile')
+const OfxParser = require('../utils/ofxParser')
+const CsvParser = require('../utils/csvParser')
+const importService = require('../services/importService')
+const currencyService = require('../services/currencyService')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+// Campos de formulário multipart chegam como texto: aceita "1,4,7" ou "[1,4,7]"
+function parseListaLinhas(valor) {
+  if (!valor) return []
+  if (Array.isArray(valor)) return valor.map(Number).filter(Number.isInteger)
+
+  const texto = String(valor).trim()
+  try {
+    const lista = JSON.parse(texto)
+    if (Array.isArray(lista)) return lista.map(Number).filter(Number.isInteger)
+  } catch (err) {
+    // não é JSON, tenta lista separada por vírgulas
+  }
+
+  return texto.split(',').map(v => parseInt(v.trim())).filter(Number.isInteger)
+}
+
+// Mapeamento pode chegar como objeto (JSON) ou texto (multipart)
+function parseObjeto(valor) {
+  if (!valor) return null
+  if (typeof valor === 'object') return valor
+
+  try {
+    const objeto = JSON.parse(valor)
+    return objeto && typeof objeto === 'object' && !Array.isArray(objeto) ? objeto : null
+  } catch (err) {
+    return null
+  }
+}
+
+async function buscarConta(userId, contaId) {
+  if (!mongoose.Types.ObjectId.isValid(contaId)) return null
+  return await Account.findOne({ _id: contaId, userId, arquivada: false })
+}
+
+// Categorias escolhidas para os lançamentos importados sem categoria
+// Retorna { erro } ou { categorias: { receita, despesa } }
+async function resolverCategorias(userId, { categoriaReceita, categoriaDespesa }) {
+  const categorias = {}
+
+  for (const [tipo, nome] of [['receita', categoriaReceita], ['despesa', categoriaDespesa]]) {
+    if (!nome) continue
+
+    const categoria = await Category.buscarPorNome(userId, nome, { ativa: true })
+    if (!categoria) {
+      return { erro: `Categoria não encontrada: ${nome}` }
+    }
+    categorias[tipo] = categoria.nome
+  }
+
+  return { categorias }
+}
+
+// Ler o OFX enviado e classificar as linhas na conta escolhida
+// Retorna { erro } com status HTTP ou { conta, extrato, linhas }
+async function processarOfx(req) {
+  if (!req.file) {
+    return { status: 400, erro: 'Arquivo OFX não enviado (campo "arquivo")' }
+  }
+
+  const conta = await buscarConta(req.userId, req.body.contaId)
+
+  if (!conta) {
+    return { status: 400, erro: 'Conta não encontrada' }
+  }
+
+  let extrato
+  try {
+    extrato = OfxParser.parse(req.file.buffer)
+  } catch (err) {
+    return { status: 400, erro: err.message }
+  }
+
+  const linhas = await importService.classificar(
+    req.userId,
+    conta,
+    importService.linhasDoOfx(extrato, conta)
+  )
+
+  return { conta, extrato, linhas }
+}
+
+function montarAvisos(conta, extrato) {
+  const avisos = []
+
+  if (extrato.moeda && extrato.moeda.toUpperCase() !== conta.moeda) {
+    avisos.push(`Moeda do extrato (${extrato.moeda}) diferente da moeda da conta (${conta.moeda})`)
+  }
+
+  if (extrato.conta.tipo === 'cartao_credito' && conta.tipo !== 'cartao_credito') {
+    avisos.push('O arquivo é um extrato de cartão de crédito, mas a conta escolhida não é um cartão')
+  }
+
+  return avisos
+}
+
+exports.previewOfx = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { status, erro, conta, extrato, linhas } = await processarOfx(req)
+
+    if (erro) {
+      return res.status(status).json({ error: erro })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        arquivo: {
+          nome: req.file.originalname,
+          conta: extrato.conta,
+          moeda: extrato.moeda,
+          periodo: extrato.periodo,
+          saldo: extrato.saldo
+        },
+        conta: {
+          _id: conta._id,
+          nome: conta.nome,
+          tipo: conta.tipo
+        },
+        avisos: montarAvisos(conta, extrato),
+        linhas,
+        resumo: importService.resumir(linhas)
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao pré-visualizar OFX:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.confirmarOfx = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { erro: erroCategoria, categorias } = await resolverCategorias(req.userId, req.body)
+
+    if (erroCategoria) {
+      return res.status(400).json({ error: erroCategoria })
+    }
+
+    const { status, erro, conta, linhas } = await processarOfx(req)
+
+    if (erro) {
+      return res.status(status).json({ error: erro })
+    }
+
+    const erroMoeda = await currencyService.validarMoedaDaConta(req.userId, conta)
+    if (erroMoeda) {
+      return res.status(400).json({ error: erroMoeda })
+    }
+
+    // A classificação é refeita na confirmação; reenviar o mesmo arquivo não duplica lançamentos
+    const criadas = await importService.importar(req.userId, conta, linhas, {
+      origem: 'ofx',
+      linhasConflito: parseListaLinhas(req.body.importarConflitos),
+      categorias
+    })
+
+    const resumo = importService.resumir(linhas)
+
+    res.status(201).json({
+      success: true,
+      message: `${criadas.length} transação(ões) importada(s) com sucesso`,
+      data: {
+        importadas: criadas.length,
+        ignoradas: linhas.length - criadas.length,
+        resumo,
+        transacoes: criadas
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao importar OFX:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Ler o CSV enviado, montar a configuração (perfil, mapeamento informado ou sugerido)
+// e validar/classificar cada linha. Retorna { erro } com status HTTP ou o resultado
+async function processarCsv(req) {
+  if (!req.file) {
+    return { status: 400, erro: 'Arquivo CSV não enviado (campo "arquivo")' }
+  }
+
+  const conta = await buscarConta(req.userId, req.body.contaId)
+
+  if (!conta) {
+    return { status: 400, erro: 'Conta não encontrada' }
+  }
+
+  let perfil = null
+  if (req.body.perfilId) {
+    perfil = mongoose.Types.ObjectId.isValid(req.body.perfilId)
+      ? await ImportProfile.findOne({ _id: req.body.perfilId, userId: req.userId })
+      : null
+
+    if (!perfil) {
+      return { status: 404, erro: 'Perfil de importação não encontrado' }
+    }
+  }
+
+  let csv
+  try {
+    csv = CsvParser.parse(req.file.buffer, req.body.delimitador || perfil?.delimitador)
+  } catch (err) {
+    return { status: 400, erro: err.message }
+  }
+
+  // Prioridade: mapeamento enviado > perfil > sugestão pelo cabeçalho
+  const mapeamentoSugerido = importService.sugerirMapeamento(csv.cabecalho)
+  const mapeamento = parseObjeto(req.body.mapeamento) ||
+    (perfil ? perfil.mapeamento.toObject() : mapeamentoSugerido)
+
+  const ausentes = importService.colunasAusentes(mapeamento, csv.cabecalho)
+  const semValor = !mapeamento.valor && !mapeamento.valorReceita && !mapeamento.valorDespesa
+
+  if (!mapeamento.data || !mapeamento.descricao || semValor || ausentes.length > 0) {
+    return {
+      status: 400,
+      erro: 'Mapeamento de colunas incompleto',
+      extras: {
+        colunasAusentes: ausentes,
+        cabecalho: csv.cabecalho,
+        mapeamentoSugerido
+      }
+    }
+  }
+
+  const inverterSinal = req.body.inverterSinal !== undefined
+    ? String(req.body.inverterSinal) === 'true'
+    : Boolean(perfil?.inverterSinal)
+
+  const { linhas: linhasCsv, deteccao } = await importService.linhasDoCsv(req.userId, csv, {
+    mapeamento,
+    separadorDecimal: req.body.separadorDecimal || perfil?.separadorDecimal,
+    formatoData: req.body.formatoData || perfil?.formatoData,
+    inverterSinal
+  })
+
+  const linhas = await importService.classificar(req.userId, conta, linhasCsv)
+
+  return { conta, perfil, csv, mapeamento, deteccao, inverterSinal, linhas }
+}
+
+exports.previewCsv = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const resultado = await processarCsv(req)
+
+    if (resultado.erro) {
+      return res.status(resultado.status).json({ error: resultado.erro, ...resultado.extras })
+    }
+
+    const { conta, perfil, csv, mapeamento, deteccao, inverterSinal, linhas } = resultado
+
+    const perfis = await ImportProfile.find({ userId: req.userId })
+
+    res.json({
+      success: true,
+      data: {
+        arquivo: {
+          nome: req.file.originalname,
+          cabecalho: csv.cabecalho,
+          totalLinhas: csv.linhas.length
+        },
+        deteccao,
+        mapeamento,
+        inverterSinal,
+        perfil: perfil ? { _id: perfil._id, nome: perfil.nome } : null,
+        perfisCompativeis: perfis
+          .filter(p => p.compativelCom(csv.cabecalho))
+          .map(p => ({ _id: p._id, nome: p.nome })),
+        conta: {
+          _id: conta._id,
+          nome: conta.nome,
+          tipo: conta.tipo
+        },
+        linhas,
+        resumo: importService.resumir(linhas)
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao pré-visualizar CSV:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.confirmarCsv = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { erro: erroCategoria, categorias } = await resolverCategorias(req.userId, req.body)
+
+    if (erroCategoria) {
+      return res.status(400).json({ error: erroCategoria })
+    }
+
+    const resultado = await processarCsv(req)
+
+    if (resultado.erro) {
+      return res.status(resultado.status).json({ error: resultado.erro, ...resultado.extras })
+    }
+
+    const { conta, perfil, linhas } = resultado
+
+    const erroMoeda = await currencyService.validarMoedaDaConta(req.userId, conta)
+    if (erroMoeda) {
+      return res.status(400).json({ error: erroMoeda })
+    }
+
+    // Linhas inválidas e duplicadas nunca são importadas
+    const criadas = await importService.importar(req.userId, conta, linhas, {
+      origem: 'csv',
+      linhasConflito: parseListaLinhas(req.body.importarConflitos),
+      categorias
+    })
+
+    if (perfil) {
+      perfil.ultimoUso = new Date()
+      await perfil.save()
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${criadas.length} transação(ões) importada(s) com sucesso`,
+      data: {
+        importadas: criadas.length,
+        ignoradas: linhas.length - criadas.length,
+        resumo: importService.resumir(linhas),
+        erros: linhas
+          .filter(l => l.status === 'invalida')
+          .map(l => ({ linha: l.linha, erros: l.erros || [l.motivo] })),
+        transacoes: criadas
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao importar CSV:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Perfis de mapeamento de colunas
+
+exports.getPerfis = async (req, res) => {
+  try {
+    const perfis = await ImportProfile.find({ userId: req.userId })
+      .sort({ ultimoUso: -1, nome: 1 })
+
+    res.json({
+      success: true,
+      data: perfis
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar perfis de importação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.createPerfil = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { nome, mapeamento, delimitador, separadorDecimal, formatoData, inverterSinal, contaId } = req.body
+
+    const existente = await ImportProfile.findOne({ userId: req.userId, nome: nome.trim() })
+
+    if (existente) {
+      return res.status(400).json({ error: 'Já existe um perfil com este nome' })
+    }
+
+    if (contaId && !(await buscarConta(req.userId, contaId))) {
+      return res.status(400).json({ error: 'Conta não encontrada' })
+    }
+
+    const perfil = await ImportProfile.create({
+      userId: req.userId,
+      nome,
+      mapeamento,
+      delimitador,
+      separadorDecimal,
+      formatoData,
+      inverterSinal,
+      contaId
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Perfil de importação criado com sucesso',
+      data: perfil
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: Object.values(err.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      })
+    }
+    console.error('Erro ao criar perfil de importação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.updatePerfil = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const perfil = await ImportProfile.findOne({ _id: req.params.id, userId: req.userId })
+
+    if (!perfil) {
+      return res.status(404).json({ error: 'Perfil de importação não encontrado' })
+    }
+
+    const { nome, contaId } = req.body
+
+    if (nome && nome.trim() !== perfil.nome) {
+      const existente = await ImportProfile.findOne({ userId: req.userId, nome: nome.trim() })
+      if (existente) {
+        return res.status(400).json({ error: 'Já existe um perfil com este nome' })
+      }
+    }
+
+    if (contaId && !(await buscarConta(req.userId, contaId))) {
+      return res.status(400).json({ error: 'Conta não encontrada' })
+    }
+
+    const campos = ['nome', 'mapeamento', 'delimitador', 'separadorDecimal', 'formatoData', 'inverterSinal', 'contaId']
+    campos.forEach(campo => {
+      if (req.body[campo] !== undefined) perfil[campo] = req.body[campo]
+    })
+
+    await perfil.save()
+
+    res.json({
+      success: true,
+      message: 'Perfil de importação atualizado com sucesso',
+      data: perfil
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: Object.values(err.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      })
+    }
+    console.error('Erro ao atualizar perfil de importação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.removePerfil = async (req, res) => {
+  try {
+    const perfil = await ImportProfile.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+
+    if (!perfil) {
+      return res.status(404).json({ error: 'Perfil de importação não encontrado' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Perfil de importação removido com sucesso'
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover perfil de importação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
@@ -0,0 +1,226 @@
+const Invoice = require('../models/Invoice')
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+const currencyService = require('../services/currencyService')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+// Calcular totais, atualizar status e montar a resposta de cada fatura
+async function enriquecerFaturas(faturas) {
+  if (faturas.length === 0) return []
+
+  const totais = await Invoice.calcularTotais(faturas)
+
+  return await Promise.all(faturas.map(async (fatura) => {
+    const totaisFatura = totais[fatura._id.toString()]
+    const statusAnterior = fatura.status
+
+    fatura.atualizarStatus(totaisFatura.total)
+    if (fatura.status !== statusAnterior) {
+      await fatura.save()
+    }
+
+    return {
+      ...fatura.toObject(),
+      ...totaisFatura,
+      valorPago: fatura.valorPago,
+      valorRestante: Math.max(0, totaisFatura.total - fatura.valorPago)
+    }
+  }))
+}
+
+async function buscarCartao(userId, contaId) {
+  if (!mongoose.Types.ObjectId.isValid(contaId)) return null
+  return await Account.findOne({ _id: contaId, userId, tipo: 'cartao_credito' })
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const { contaId, status, ano } = req.query
+
+    const filtros = { userId: req.userId }
+    if (contaId) filtros.contaId = contaId
+    if (ano) filtros.ano = parseInt(ano)
+
+    const faturas = await Invoice.find(filtros)
+      .sort({ dataVencimento: -1 })
+      .populate('contaId', 'nome instituicao cor')
+
+    // O status depende da data atual, por isso o filtro é aplicado após a atualização
+    let resultado = await enriquecerFaturas(faturas)
+    if (status) {
+      resultado = resultado.filter(f => f.status === status)
+    }
+
+    const totalEmAberto = resultado
+      .filter(f => f.status !== 'paga')
+      .reduce((total, f) => total + f.valorRestante, 0)
+
+    res.json({
+      success: true,
+      data: {
+        faturas: resultado,
+        resumo: {
+          totalFaturas: resultado.length,
+          totalEmAberto
+        }
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar faturas:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getAtual = async (req, res) => {
+  try {
+    const { contaId } = req.params
+
+    const cartao = await buscarCartao(req.userId, contaId)
+
+    if (!cartao) {
+      return res.status(404).json({ error: 'Cartão não encontrado' })
+    }
+
+    if (!cartao.cartao?.diaFechamento || !cartao.cartao?.diaVencimento) {
+      return res.status(400).json({ error: 'Cartão sem dia de fechamento e vencimento configurados' })
+    }
+
+    const fatura = await Invoice.obterPorData(cartao, new Date())
+    const [resultado] = await enriquecerFaturas([fatura])
+
+    res.json({
+      success: true,
+      data: resultado
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar fatura atual:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const fatura = await Invoice.findOne({
+      _id: id,
+      userId: req.userId
+    }).populate('contaId', 'nome instituicao cor cartao')
+
+    if (!fatura) {
+      return res.status(404).json({ error: 'Fatura não encontrada' })
+    }
+
+    const [[resultado], transacoes] = await Promise.all([
+      enriquecerFaturas([fatura]),
+      Transaction.find({ userId: req.userId, faturaId: fatura._id })
+        .sort({ data: -1 })
+        .lean()
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        ...resultado,
+        transacoes
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar fatura:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.pagar = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { id } = req.params
+    const { contaOrigemId, data, observacoes } = req.body
+
+    const fatura = await Invoice.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!fatura) {
+      return res.status(404).json({ error: 'Fatura não encontrada' })
+    }
+
+    const [cartao, contaOrigem] = await Promise.all([
+      Account.findOne({ _id: fatura.contaId, userId: req.userId }),
+      Account.findOne({ _id: contaOrigemId, userId: req.userId, arquivada: false })
+    ])
+
+    if (!cartao) {
+      return res.status(404).json({ error: 'Cartão não encontrado' })
+    }
+
+    if (!contaOrigem) {
+      return res.status(400).json({ error: 'Conta de pagamento não encontrada' })
+    }
+
+    if (contaOrigem._id.equals(cartao._id) || contaOrigem.tipo === 'cartao_credito') {
+      return res.status(400).json({ error: 'A fatura deve ser paga a partir de uma conta que não seja cartão' })
+    }
+
+    const erroMoeda = await currencyService.validarTransferencia(req.userId, contaOrigem, cartao)
+    if (erroMoeda) {
+      return res.status(400).json({ error: erroMoeda })
+    }
+
+    const totais = await Invoice.calcularTotais([fatura])
+    const valorRestante = totais[fatura._id.toString()].total - fatura.valorPago
+
+    // Sem valor informado, paga o restante da fatura
+    const valor = req.body.valor !== undefined ? parseFloat(req.body.valor) : valorRestante
+
+    if (!(valor > 0)) {
+      return res.status(400).json({ error: 'Não há valor a pagar nesta fatura' })
+    }
+
+    // O pagamento é uma transferência da conta corrente para o cartão
+    const [debito] = await Transaction.criarTransferencia({
+      userId: req.userId,
+      contaOrigem,
+      contaDestino: cartao,
+      valor,
+      data,
+      descricao: `Pagamento fatura ${cartao.nome} ${String(fatura.mes).padStart(2, '0')}/${fatura.ano}`,
+      observacoes
+    })
+
+    fatura.pagamentos.push({
+      transferenciaId: debito.transferenciaId,
+      valor,
+      data: debito.data
+    })
+    fatura.atualizarStatus(totais[fatura._id.toString()].total)
+    await fatura.save()
+
+    const [resultado] = await enriquecerFaturas([fatura])
+
+    res.status(201).json({
+      success: true,
+      message: 'Pagamento da fatura registrado com sucesso',
+      data: {
+        fatura: resultado,
+        transferenciaId: debito.transferenciaId
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao pagar fatura:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
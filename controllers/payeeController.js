@@ -0,0 +1,355 @@
+const Payee = require('../models/Payee')
+const Category = require('../models/Category')
+const Transaction = require('../models/Transaction')
+const payeeService = require('../services/payeeService')
+const currencyService = require('../services/currencyService')
+const QueryParser = require('../utils/queryParser')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+// Conferir a categoria padrão e guardar o tipo dela (a categoria só vale para transações desse tipo)
+async function resolverCategoriaPadrao(userId, categoriaPadrao) {
+  if (!categoriaPadrao?.nome) return { categoriaPadrao: { nome: null, subcategoria: null, tipo: null } }
+
+  const categoria = await Category.buscarPorNome(userId, categoriaPadrao.nome, { ativa: true })
+  if (!categoria) return { erro: `Categoria não encontrada: ${categoriaPadrao.nome}` }
+
+  if (categoriaPadrao.subcategoria &&
+    !categoria.subcategorias.some(s => s.nome === categoriaPadrao.subcategoria && s.ativa)) {
+    return { erro: `Subcategoria não encontrada em ${categoria.nome}: ${categoriaPadrao.subcategoria}` }
+  }
+
+  return {
+    categoriaPadrao: {
+      nome: categoria.nome,
+      subcategoria: categoriaPadrao.subcategoria || null,
+      tipo: categoria.tipo
+    }
+  }
+}
+
+function erroDeValidacao(err) {
+  return {
+    error: 'Dados inválidos',
+    detalhes: Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.message
+    }))
+  }
+}
+
+async function buscarBeneficiario(userId, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null
+  return await Payee.findOne({ _id: id, userId })
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const { busca, origem, page = 1, limit = 50 } = req.query
+
+    const filtros = { userId: req.userId }
+    if (origem) filtros.origem = origem
+    if (busca) {
+      filtros.$or = [
+        { nome: QueryParser.contem(busca) },
+        { aliases: QueryParser.contem(Payee.normalizarDescricao(busca) || busca) }
+      ]
+    }
+
+    const skip = (page - 1) * limit
+
+    const [beneficiarios, total] = await Promise.all([
+      Payee.find(filtros)
+        .sort({ nome: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Payee.countDocuments(filtros)
+    ])
+
+    // Quantidade de transações de cada beneficiário da página
+    const contagem = await Transaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.userId), beneficiarioId: { $in: beneficiarios.map(b => b._id) } } },
+      { $group: { _id: '$beneficiarioId', quantidade: { $sum: 1 } } }
+    ])
+    const quantidades = new Map(contagem.map(c => [String(c._id), c.quantidade]))
+
+    res.json({
+      success: true,
+      data: beneficiarios.map(beneficiario => ({
+        ...beneficiario,
+        transacoes: quantidades.get(String(beneficiario._id)) || 0
+      })),
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: beneficiarios.length,
+        totalRecords: total
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar beneficiários:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const beneficiario = await buscarBeneficiario(req.userId, req.params.id)
+
+    if (!beneficiario) {
+      return res.status(404).json({ error: 'Beneficiário não encontrado' })
+    }
+
+    const [recentes, quantidade] = await Promise.all([
+      Transaction.find({ userId: req.userId, beneficiarioId: beneficiario._id })
+        .sort({ data: -1 })
+        .limit(20)
+        .select('descricao valor moeda tipo categoria data status')
+        .lean(),
+      Transaction.countDocuments({ userId: req.userId, beneficiarioId: beneficiario._id })
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        ...beneficiario.toObject(),
+        transacoes: quantidade,
+        recentes
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar beneficiário:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.create = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { nome, aliases = [], padroes = [] } = req.body
+
+    const { categoriaPadrao, erro } = await resolverCategoriaPadrao(req.userId, req.body.categoriaPadrao)
+    if (erro) {
+      return res.status(400).json({ error: erro })
+    }
+
+    const beneficiario = await Payee.create({
+      userId: req.userId,
+      nome,
+      aliases,
+      padroes,
+      categoriaPadrao,
+      origem: 'manual'
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Beneficiário criado com sucesso',
+      data: beneficiario
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json(erroDeValidacao(err))
+    }
+
+    if (err.code === 11000) {
+      return res.status(400).json({
+        error: 'Já existe um beneficiário com este nome',
+        sugestao: 'Adicione o nome como alias do beneficiário existente ou mescle os dois'
+      })
+    }
+
+    console.error('Erro ao criar beneficiário:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.update = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const beneficiario = await buscarBeneficiario(req.userId, req.params.id)
+
+    if (!beneficiario) {
+      return res.status(404).json({ error: 'Beneficiário não encontrado' })
+    }
+
+    const { nome, aliases, padroes } = req.body
+
+    if (req.body.categoriaPadrao !== undefined) {
+      const { categoriaPadrao, erro } = await resolverCategoriaPadrao(req.userId, req.body.categoriaPadrao)
+      if (erro) {
+        return res.status(400).json({ error: erro })
+      }
+      beneficiario.categoriaPadrao = categoriaPadrao
+    }
+
+    // Aliases e padrões informados substituem os anteriores por inteiro
+    if (nome !== undefined) beneficiario.nome = nome
+    if (aliases !== undefined) beneficiario.aliases = aliases
+    if (padroes !== undefined) beneficiario.padroes = padroes
+    // Editado pelo usuário: deixa de ser automático
+    beneficiario.origem = 'manual'
+
+    await beneficiario.save()
+
+    res.json({
+      success: true,
+      message: 'Beneficiário atualizado com sucesso',
+      data: beneficiario
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json(erroDeValidacao(err))
+    }
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'Já existe um beneficiário com este nome' })
+    }
+
+    console.error('Erro ao atualizar beneficiário:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Excluir o beneficiário; as transações ficam sem beneficiário
+exports.remove = async (req, res) => {
+  try {
+    const beneficiario = await Payee.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+
+    if (!beneficiario) {
+      return res.status(404).json({ error: 'Beneficiário não encontrado' })
+    }
+
+    const resultado = await Transaction.updateMany(
+      { userId: req.userId, beneficiarioId: beneficiario._id },
+      { beneficiarioId: null }
+    )
+
+    res.json({
+      success: true,
+      message: 'Beneficiário removido com sucesso',
+      data: { transacoesDesvinculadas: resultado.modifiedCount }
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover beneficiário:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Mesclar outro beneficiário neste (ex.: "Ifood Sp" no "iFood")
+exports.mesclar = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { origemId } = req.body
+
+    if (String(origemId) === String(req.params.id)) {
+      return res.status(400).json({ error: 'Escolha outro beneficiário para mesclar' })
+    }
+
+    const [destino, origem] = await Promise.all([
+      buscarBeneficiario(req.userId, req.params.id),
+      buscarBeneficiario(req.userId, origemId)
+    ])
+
+    if (!destino || !origem) {
+      return res.status(404).json({ error: 'Beneficiário não encontrado' })
+    }
+
+    const movidas = await payeeService.mesclar(destino, origem)
+
+    res.json({
+      success: true,
+      message: `"${origem.nome}" mesclado em "${destino.nome}" (${movidas} transação(ões))`,
+      data: destino
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json(erroDeValidacao(err))
+    }
+
+    console.error('Erro ao mesclar beneficiários:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Reconhecer o beneficiário das transações já cadastradas
+exports.reprocessar = async (req, res) => {
+  try {
+    const sobrescrever = req.body.sobrescrever === true || req.body.sobrescrever === 'true'
+
+    const resumo = await payeeService.reprocessar(req.userId, { sobrescrever })
+
+    res.json({
+      success: true,
+      message: `${resumo.atualizadas} transação(ões) vinculada(s) a beneficiários`,
+      data: resumo
+    })
+
+  } catch (err) {
+    console.error('Erro ao reprocessar beneficiários:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Estabelecimentos com mais gastos, frequência e ticket médio
+exports.getAnalytics = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { tipo, dataInicio, dataFim, ordenarPor, limit } = req.query
+
+    const [analise, moedaBase] = await Promise.all([
+      payeeService.analise(req.userId, {
+        tipo,
+        dataInicio,
+        dataFim,
+        ordenarPor,
+        limite: limit ? parseInt(limit) : undefined
+      }),
+      currencyService.moedaBase(req.userId)
+    ])
+
+    res.json({
+      success: true,
+      data: { ...analise, moedaBase }
+    })
+
+  } catch (err) {
+    console.error('Erro ao gerar análise de beneficiários:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
@@ -0,0 +1,132 @@
+const placeService = require('../services/placeService')
+const { validationResult } = require('express-validator')
+
+// Gastos num raio em volta de um ponto
+exports.getProximos = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { latitude, longitude, raio, tipo, dataInicio, dataFim, limit } = req.query
+
+    const resultado = await placeService.gastosProximos(req.userId, {
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      raio: raio ? parseFloat(raio) : undefined,
+      tipo,
+      dataInicio,
+      dataFim,
+      limite: limit ? parseInt(limit) : undefined
+    })
+
+    res.json({
+      success: true,
+      data: resultado
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar gastos próximos:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Lugares com mais gastos (ou receitas) no período
+exports.getMaiores = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { tipo, dataInicio, dataFim, limit } = req.query
+
+    const lugares = await placeService.maioresLugares(req.userId, {
+      tipo,
+      dataInicio,
+      dataFim,
+      limite: limit ? parseInt(limit) : undefined
+    })
+
+    res.json({
+      success: true,
+      data: lugares
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar lugares com mais gastos:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Lugares visitados com frequência, agrupando transações próximas
+exports.getFrequentes = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { raio, minimo, dataInicio, dataFim, limit } = req.query
+
+    const lugares = await placeService.lugaresFrequentes(req.userId, {
+      raio: raio ? parseFloat(raio) : undefined,
+      minimo: minimo ? parseInt(minimo) : undefined,
+      dataInicio,
+      dataFim,
+      limite: limit ? parseInt(limit) : undefined
+    })
+
+    res.json({
+      success: true,
+      data: lugares
+    })
+
+  } catch (err) {
+    console.error('Erro ao agrupar lugares frequentes:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Renomear um lugar em todas as transações feitas nele
+exports.renomear = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { latitude, longitude, raio, nome, nomeAtual } = req.body
+
+    const renomeadas = await placeService.renomear(req.userId, {
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      raio: raio ? parseFloat(raio) : undefined,
+      nome: nome.trim(),
+      nomeAtual
+    })
+
+    res.json({
+      success: true,
+      message: `${renomeadas} transação(ões) renomeada(s) para "${nome.trim()}"`,
+      data: { modifiedCount: renomeadas }
+    })
+
+  } catch (err) {
+    console.error('Erro ao renomear lugar:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
@@ -0,0 +1,326 @@
+const Reconciliation = require('../models/Reconciliation')
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+const reconciliationService = require('../services/reconciliationService')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+async function buscarSessao(userId, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null
+  return await Reconciliation.findOne({ _id: id, userId })
+}
+
+// Sessão com o resumo e as transações: candidatas enquanto estiver em andamento,
+// as transações marcadas (com os totais gravados) depois de encerrada
+async function montarSessao(sessao, conta) {
+  if (sessao.status === 'em_andamento') {
+    const [resumo, transacoes] = await Promise.all([
+      reconciliationService.calcularResumo(sessao, conta),
+      reconciliationService.listarCandidatas(sessao)
+    ])
+    return { ...sessao.toObject(), conta: resumirConta(conta), resumo, transacoes }
+  }
+
+  const transacoes = await Transaction.find({ _id: { $in: sessao.transacoes } })
+    .sort({ data: 1 })
+    .select('descricao valor tipo data categoria transferenciaId conciliacao')
+    .lean()
+
+  return { ...sessao.toObject(), conta: resumirConta(conta), transacoes }
+}
+
+function resumirConta(conta) {
+  return conta && { _id: conta._id, nome: conta.nome, moeda: conta.moeda }
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { contaId, status, page = 1, limit = 20 } = req.query
+
+    const filtros = { userId: req.userId }
+    if (contaId) filtros.contaId = contaId
+    if (status) filtros.status = status
+
+    const skip = (page - 1) * limit
+
+    const [sessoes, total] = await Promise.all([
+      Reconciliation.find(filtros)
+        .sort({ dataExtrato: -1, criadoEm: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-transacoes')
+        .populate('contaId', 'nome moeda cor'),
+      Reconciliation.countDocuments(filtros)
+    ])
+
+    res.json({
+      success: true,
+      data: sessoes,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: sessoes.length,
+        totalRecords: total
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar conciliações:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const sessao = await buscarSessao(req.userId, req.params.id)
+
+    if (!sessao) {
+      return res.status(404).json({ error: 'Conciliação não encontrada' })
+    }
+
+    const conta = await Account.findById(sessao.contaId)
+
+    res.json({
+      success: true,
+      data: await montarSessao(sessao, conta)
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar conciliação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Iniciar a conciliação de uma conta com o saldo final e a data do extrato
+exports.create = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { contaId, saldoExtrato, observacoes } = req.body
+    const dataExtrato = new Date(req.body.dataExtrato)
+
+    const conta = await Account.findOne({ _id: contaId, userId: req.userId, arquivada: false })
+
+    if (!conta) {
+      return res.status(400).json({ error: 'Conta não encontrada' })
+    }
+
+    const emAndamento = await Reconciliation.findOne({ contaId: conta._id, status: 'em_andamento' })
+    if (emAndamento) {
+      return res.status(400).json({
+        error: 'Já existe uma conciliação em andamento para esta conta',
+        sugestao: `Conclua ou cancele a conciliação em /api/reconciliations/${emAndamento._id}`
+      })
+    }
+
+    const { ultima, saldoInicial } = await reconciliationService.saldoDePartida(conta)
+
+    if (ultima && dataExtrato < ultima.dataExtrato) {
+      return res.status(400).json({
+        error: 'A data do extrato é anterior à última conciliação da conta',
+        sugestao: `Desfaça a conciliação em /api/reconciliations/${ultima._id}/desfazer para conciliar um período anterior`
+      })
+    }
+
+    const sessao = await Reconciliation.create({
+      userId: req.userId,
+      contaId: conta._id,
+      dataExtrato,
+      saldoExtrato,
+      saldoInicial,
+      observacoes
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Conciliação iniciada com sucesso',
+      data: await montarSessao(sessao, conta)
+    })
+
+  } catch (err) {
+    console.error('Erro ao iniciar conciliação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Marcar/desmarcar transações e corrigir o saldo ou a data do extrato
+exports.update = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const sessao = await buscarSessao(req.userId, req.params.id)
+
+    if (!sessao) {
+      return res.status(404).json({ error: 'Conciliação não encontrada' })
+    }
+
+    if (sessao.status !== 'em_andamento') {
+      return res.status(400).json({ error: 'Apenas conciliações em andamento podem ser alteradas' })
+    }
+
+    const { dataExtrato, saldoExtrato, observacoes, marcar, desmarcar } = req.body
+
+    if (dataExtrato !== undefined) {
+      const ultima = await Reconciliation.ultimaConcluida(sessao.contaId)
+      if (ultima && new Date(dataExtrato) < ultima.dataExtrato) {
+        return res.status(400).json({ error: 'A data do extrato é anterior à última conciliação da conta' })
+      }
+      sessao.dataExtrato = new Date(dataExtrato)
+    }
+    if (saldoExtrato !== undefined) sessao.saldoExtrato = saldoExtrato
+    if (observacoes !== undefined) sessao.observacoes = observacoes
+
+    if (marcar || desmarcar) {
+      const erro = await reconciliationService.marcar(sessao, { marcar, desmarcar })
+      if (erro) {
+        return res.status(400).json({ error: erro })
+      }
+    }
+
+    await sessao.save()
+
+    const conta = await Account.findById(sessao.contaId)
+
+    res.json({
+      success: true,
+      message: 'Conciliação atualizada com sucesso',
+      data: await montarSessao(sessao, conta)
+    })
+
+  } catch (err) {
+    console.error('Erro ao atualizar conciliação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Concluir: exige diferença zero e trava as transações marcadas
+exports.concluir = async (req, res) => {
+  try {
+    const sessao = await buscarSessao(req.userId, req.params.id)
+
+    if (!sessao) {
+      return res.status(404).json({ error: 'Conciliação não encontrada' })
+    }
+
+    if (sessao.status !== 'em_andamento') {
+      return res.status(400).json({ error: 'Apenas conciliações em andamento podem ser concluídas' })
+    }
+
+    const conta = await Account.findById(sessao.contaId)
+    const resumo = await reconciliationService.calcularResumo(sessao, conta)
+
+    if (resumo.diferenca !== 0) {
+      return res.status(400).json({
+        error: `O saldo conferido difere do extrato em ${resumo.diferenca.toFixed(2)} ${resumo.moeda}`,
+        sugestao: 'Marque as transações que constam no extrato ou lance as que estão faltando',
+        data: resumo
+      })
+    }
+
+    await reconciliationService.concluir(sessao, resumo)
+
+    console.log(`🧾 Conciliação ${sessao._id} concluída com ${sessao.transacoes.length} transação(ões)`)
+
+    res.json({
+      success: true,
+      message: `Conciliação concluída: ${sessao.transacoes.length} transação(ões) conciliada(s)`,
+      data: await montarSessao(sessao, conta)
+    })
+
+  } catch (err) {
+    console.error('Erro ao concluir conciliação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Desfazer a última conciliação concluída da conta, liberando suas transações
+exports.desfazer = async (req, res) => {
+  try {
+    const sessao = await buscarSessao(req.userId, req.params.id)
+
+    if (!sessao) {
+      return res.status(404).json({ error: 'Conciliação não encontrada' })
+    }
+
+    if (sessao.status !== 'concluida') {
+      return res.status(400).json({ error: 'Apenas conciliações concluídas podem ser desfeitas' })
+    }
+
+    const ultima = await Reconciliation.ultimaConcluida(sessao.contaId)
+    if (String(ultima._id) !== String(sessao._id)) {
+      return res.status(400).json({
+        error: 'Apenas a última conciliação da conta pode ser desfeita',
+        sugestao: `Desfaça antes a conciliação em /api/reconciliations/${ultima._id}/desfazer`
+      })
+    }
+
+    // A sessão em andamento parte do saldo desta conciliação
+    const emAndamento = await Reconciliation.findOne({ contaId: sessao.contaId, status: 'em_andamento' })
+    if (emAndamento) {
+      return res.status(400).json({
+        error: 'Há uma conciliação em andamento para esta conta',
+        sugestao: `Cancele a conciliação em /api/reconciliations/${emAndamento._id}/cancelar`
+      })
+    }
+
+    const liberadas = await reconciliationService.desfazer(sessao)
+
+    res.json({
+      success: true,
+      message: `Conciliação desfeita: ${liberadas} transação(ões) liberada(s) para edição`,
+      data: sessao
+    })
+
+  } catch (err) {
+    console.error('Erro ao desfazer conciliação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Cancelar uma sessão em andamento; ela permanece no histórico
+exports.cancelar = async (req, res) => {
+  try {
+    const sessao = await buscarSessao(req.userId, req.params.id)
+
+    if (!sessao) {
+      return res.status(404).json({ error: 'Conciliação não encontrada' })
+    }
+
+    if (sessao.status !== 'em_andamento') {
+      return res.status(400).json({ error: 'Apenas conciliações em andamento podem ser canceladas' })
+    }
+
+    sessao.status = 'cancelada'
+    await sessao.save()
+
+    res.json({
+      success: true,
+      message: 'Conciliação cancelada com sucesso',
+      data: sessao
+    })
+
+  } catch (err) {
+    console.error('Erro ao cancelar conciliação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
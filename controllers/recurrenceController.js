@@ -0,0 +1,432 @@
+const Transaction = require('../models/Transaction')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const recurrenceService = require('../services/recurrenceService')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+// Séries são as transações recorrentes originais (a primeira ocorrência)
+async function buscarSerie(userId, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null
+
+  return await Transaction.findOne({
+    _id: id,
+    userId,
+    recorrenciaOrigemId: null,
+    'recorrente.ativo': true
+  })
+}
+
+// Validar categoria e conta informadas nas alterações
+async function validarAlteracoes(userId, alteracoes) {
+  if (alteracoes.categoria) {
+    const categoria = await Category.buscarPorNome(userId, alteracoes.categoria, { ativa: true })
+    if (!categoria) return 'Categoria não encontrada'
+  }
+
+  if (Array.isArray(alteracoes.divisoes)) {
+    for (const divisao of alteracoes.divisoes) {
+      const categoria = await Category.buscarPorNome(userId, divisao.categoria, { ativa: true })
+      if (!categoria) return `Categoria não encontrada: ${divisao.categoria}`
+    }
+  }
+
+  if (alteracoes.contaId) {
+    const conta = mongoose.Types.ObjectId.isValid(alteracoes.contaId)
+      ? await Account.findOne({ _id: alteracoes.contaId, userId, arquivada: false })
+      : null
+    if (!conta) return 'Conta não encontrada'
+  }
+
+  return null
+}
+
+function mesmoDia(a, b) {
+  return new Date(a).toDateString() === new Date(b).toDateString()
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const { contaId, tipo } = req.query
+
+    const filtros = {
+      userId: req.userId,
+      recorrenciaOrigemId: null,
+      'recorrente.ativo': true
+    }
+    if (contaId) filtros.contaId = contaId
+    if (tipo) filtros.tipo = tipo
+
+    const series = await Transaction.find(filtros)
+      .sort({ 'recorrente.proximaData': 1 })
+      .populate('contaId', 'nome tipo cor')
+      .lean()
+
+    const ocorrencias = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(req.userId),
+          recorrenciaOrigemId: { $in: series.map(s => s._id) }
+        }
+      },
+      {
+        $group: {
+          _id: '$recorrenciaOrigemId',
+          quantidade: { $sum: 1 },
+          ultimaData: { $max: '$data' }
+        }
+      }
+    ])
+
+    const porSerie = {}
+    ocorrencias.forEach(o => { porSerie[o._id.toString()] = o })
+
+    res.json({
+      success: true,
+      data: series.map(serie => ({
+        ...serie,
+        ocorrenciasGeradas: (porSerie[serie._id.toString()]?.quantidade || 0) + 1,
+        ultimaOcorrencia: porSerie[serie._id.toString()]?.ultimaData || serie.data,
+        encerrada: !serie.recorrente.proximaData
+      }))
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar recorrências:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getProximas = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const dias = parseInt(req.query.dias) || 30
+    const { contaId } = req.query
+
+    const ocorrencias = await recurrenceService.listarProximas(req.userId, { dias, contaId })
+
+    const totalReceitas = ocorrencias
+      .filter(o => o.tipo === 'receita')
+      .reduce((total, o) => total + o.valor, 0)
+    const totalDespesas = ocorrencias
+      .filter(o => o.tipo === 'despesa')
+      .reduce((total, o) => total + o.valor, 0)
+
+    res.json({
+      success: true,
+      data: {
+        ocorrencias,
+        resumo: {
+          dias,
+          totalOcorrencias: ocorrencias.length,
+          totalReceitas,
+          totalDespesas,
+          saldoPrevisto: totalReceitas - totalDespesas
+        }
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar próximas ocorrências:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const serie = await buscarSerie(req.userId, req.params.id)
+
+    if (!serie) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' })
+    }
+
+    const ocorrencias = await Transaction.find({
+      userId: req.userId,
+      recorrenciaOrigemId: serie._id
+    }).sort({ recorrenciaData: -1 })
+
+    const proximas = serie.projetarOcorrencias(new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), 12)
+      .filter(data => !serie.ocorrenciaPulada(data))
+
+    res.json({
+      success: true,
+      data: {
+        serie,
+        ocorrencias,
+        proximas
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar recorrência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.pular = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const serie = await buscarSerie(req.userId, req.params.id)
+
+    if (!serie) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' })
+    }
+
+    if (mesmoDia(req.body.data, serie.data)) {
+      return res.status(400).json({
+        error: 'A primeira ocorrência é a própria transação da série',
+        sugestao: `Exclua a transação em /api/transactions/${serie._id} ou encerre a recorrência`
+      })
+    }
+
+    const dataPrevista = recurrenceService.dataPrevistaNoDia(serie, req.body.data)
+
+    if (!dataPrevista) {
+      return res.status(400).json({ error: 'A recorrência não tem ocorrência nesta data' })
+    }
+
+    if (serie.ocorrenciaPulada(dataPrevista)) {
+      return res.status(400).json({ error: 'Esta ocorrência já foi pulada' })
+    }
+
+    const gerada = await recurrenceService.buscarOcorrencia(serie, dataPrevista)
+    const bloqueio = gerada && Transaction.bloqueioDeConciliacao([gerada])
+    if (bloqueio) {
+      return res.status(400).json(bloqueio)
+    }
+
+    const { removida } = await recurrenceService.pularOcorrencia(serie, dataPrevista)
+
+    res.json({
+      success: true,
+      message: removida
+        ? 'Ocorrência pulada e transação gerada removida'
+        : 'Ocorrência pulada com sucesso',
+      data: { data: dataPrevista }
+    })
+
+  } catch (err) {
+    console.error('Erro ao pular ocorrência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.editarOcorrencia = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const serie = await buscarSerie(req.userId, req.params.id)
+
+    if (!serie) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' })
+    }
+
+    if (mesmoDia(req.body.data, serie.data)) {
+      return res.status(400).json({
+        error: 'A primeira ocorrência é a própria transação da série',
+        sugestao: `Edite a transação em /api/transactions/${serie._id}`
+      })
+    }
+
+    const dataPrevista = recurrenceService.dataPrevistaNoDia(serie, req.body.data)
+
+    if (!dataPrevista) {
+      return res.status(400).json({ error: 'A recorrência não tem ocorrência nesta data' })
+    }
+
+    if (serie.ocorrenciaPulada(dataPrevista)) {
+      return res.status(400).json({ error: 'Esta ocorrência foi pulada' })
+    }
+
+    const alteracoes = recurrenceService.extrairAlteracoes(req.body)
+
+    if (Object.keys(alteracoes).length === 0) {
+      return res.status(400).json({ error: 'Nenhuma alteração informada' })
+    }
+
+    const erro = await validarAlteracoes(req.userId, alteracoes)
+    if (erro) {
+      return res.status(400).json({ error: erro })
+    }
+
+    const gerada = await recurrenceService.buscarOcorrencia(serie, dataPrevista)
+    const bloqueio = gerada && Transaction.bloqueioDeConciliacao([gerada], alteracoes)
+    if (bloqueio) {
+      return res.status(400).json(bloqueio)
+    }
+
+    const ocorrencia = await recurrenceService.editarOcorrencia(serie, dataPrevista, alteracoes)
+
+    res.json({
+      success: true,
+      message: 'Ocorrência atualizada com sucesso',
+      data: ocorrencia
+    })
+
+  } catch (err) {
+    // Ex.: valor alterado sem acompanhar a soma das divisões da série
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: Object.values(err.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      })
+    }
+
+    console.error('Erro ao editar ocorrência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.editarFuturas = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const serie = await buscarSerie(req.userId, req.params.id)
+
+    if (!serie) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' })
+    }
+
+    // Sem data, as alterações valem a partir da próxima ocorrência
+    const aPartirDe = req.body.aPartirDe
+      ? new Date(req.body.aPartirDe)
+      : serie.recorrente.proximaData
+
+    if (!aPartirDe) {
+      return res.status(400).json({ error: 'A recorrência não tem ocorrências futuras' })
+    }
+
+    if (aPartirDe <= serie.data || mesmoDia(aPartirDe, serie.data)) {
+      return res.status(400).json({
+        error: 'A data deve ser posterior à primeira ocorrência da série',
+        sugestao: `Para alterar a primeira ocorrência, edite a transação em /api/transactions/${serie._id}`
+      })
+    }
+
+    if (!serie.dentroDaRecorrencia(aPartirDe)) {
+      return res.status(400).json({ error: 'A data é posterior ao fim da recorrência' })
+    }
+
+    const alteracoes = recurrenceService.extrairAlteracoes(req.body)
+    const regra = {}
+    if (req.body.recorrente) {
+      const { tipo, intervalo, dataFim } = req.body.recorrente
+      if (tipo !== undefined) regra.tipo = tipo
+      if (intervalo !== undefined) regra.intervalo = parseInt(intervalo)
+      if (dataFim !== undefined) regra.dataFim = dataFim ? new Date(dataFim) : null
+    }
+
+    if (Object.keys(alteracoes).length === 0 && Object.keys(regra).length === 0) {
+      return res.status(400).json({ error: 'Nenhuma alteração informada' })
+    }
+
+    const erro = await validarAlteracoes(req.userId, alteracoes)
+    if (erro) {
+      return res.status(400).json({ error: erro })
+    }
+
+    // Ocorrências a partir da data são substituídas pela nova série
+    const conciliadas = await Transaction.find({
+      userId: req.userId,
+      recorrenciaOrigemId: serie._id,
+      recorrenciaData: { $gte: new Date(new Date(aPartirDe).setHours(0, 0, 0, 0)) },
+      'conciliacao.conciliacaoId': { $ne: null }
+    })
+    const bloqueio = Transaction.bloqueioDeConciliacao(conciliadas)
+    if (bloqueio) {
+      return res.status(400).json({ ...bloqueio, error: `Há ocorrências conciliadas a partir da data. ${bloqueio.error}` })
+    }
+
+    const resultado = await recurrenceService.dividirSerie(serie, aPartirDe, alteracoes, regra)
+
+    res.json({
+      success: true,
+      message: 'Ocorrências futuras atualizadas com sucesso',
+      data: resultado
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: Object.values(err.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }))
+      })
+    }
+
+    console.error('Erro ao editar ocorrências futuras:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.encerrar = async (req, res) => {
+  try {
+    const serie = await buscarSerie(req.userId, req.params.id)
+
+    if (!serie) {
+      return res.status(404).json({ error: 'Recorrência não encontrada' })
+    }
+
+    await recurrenceService.encerrarSerie(serie)
+
+    res.json({
+      success: true,
+      message: 'Recorrência encerrada. As transações já geradas foram mantidas'
+    })
+
+  } catch (err) {
+    console.error('Erro ao encerrar recorrência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.processar = async (req, res) => {
+  try {
+    const resultados = await recurrenceService.processarRecorrencias(req.userId)
+
+    if (!resultados) {
+      return res.status(409).json({ error: 'O processamento de recorrências já está em andamento' })
+    }
+
+    res.json({
+      success: true,
+      message: `${resultados.geradas} ocorrência(s) gerada(s)`,
+      data: resultados
+    })
+
+  } catch (err) {
+    console.error('Erro ao processar recorrências:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
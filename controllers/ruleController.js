@@ -0,0 +1,304 @@
+const CategoryRule = require('../models/CategoryRule')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const Budget = require('../models/Budget')
+const Goal = require('../models/Goal')
+const ruleService = require('../services/ruleService')
+const { validationResult } = require('express-validator')
+
+// Verificar se categoria, subcategoria, contas, orçamento e meta da regra pertencem ao usuário
+async function validarReferencias(userId, { condicoes = {}, acoes = {} }) {
+  if (acoes.categoria) {
+    const categoria = await Category.buscarPorNome(userId, acoes.categoria, { ativa: true })
+    if (!categoria) return `Categoria não encontrada: ${acoes.categoria}`
+
+    if (acoes.subcategoria && !categoria.subcategorias.some(s => s.nome === acoes.subcategoria && s.ativa)) {
+      return `Subcategoria não encontrada em ${categoria.nome}: ${acoes.subcategoria}`
+    }
+  }
+
+  if (condicoes.contaIds?.length) {
+    const contas = await Account.countDocuments({ _id: { $in: condicoes.contaIds }, userId })
+    if (contas !== new Set(condicoes.contaIds.map(String)).size) return 'Conta não encontrada'
+  }
+
+  if (acoes.orcamentoId) {
+    const orcamento = await Budget.findOne({ _id: acoes.orcamentoId, userId })
+    if (!orcamento) return 'Orçamento não encontrado'
+  }
+
+  if (acoes.metaId) {
+    const meta = await Goal.findOne({ _id: acoes.metaId, userId })
+    if (!meta) return 'Meta não encontrada'
+  }
+
+  return null
+}
+
+function erroDeValidacao(err) {
+  return {
+    error: 'Dados inválidos',
+    detalhes: Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.message
+    }))
+  }
+}
+
+// Período e filtros da aplicação retroativa
+function opcoesRetroativas(body) {
+  const dataFim = new Date(body.dataFim)
+  dataFim.setHours(23, 59, 59, 999)
+
+  return {
+    dataInicio: new Date(body.dataInicio),
+    dataFim,
+    contaId: body.contaId || null,
+    regraIds: body.regraIds || null,
+    sobrescrever: body.sobrescrever === undefined ? true : body.sobrescrever === true || body.sobrescrever === 'true'
+  }
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const regras = await CategoryRule.find({ userId: req.userId })
+      .sort({ prioridade: 1, criadoEm: 1 })
+      .lean()
+
+    res.json({
+      success: true,
+      data: regras
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar regras:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const regra = await CategoryRule.findOne({ _id: req.params.id, userId: req.userId })
+
+    if (!regra) {
+      return res.status(404).json({ error: 'Regra não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      data: regra
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar regra:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.create = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { userId, estatisticas, ...dados } = req.body
+
+    const erro = await validarReferencias(req.userId, dados)
+    if (erro) {
+      return res.status(400).json({ error: erro })
+    }
+
+    // Sem prioridade informada, a regra entra no fim da fila
+    if (dados.prioridade === undefined) {
+      const ultima = await CategoryRule.findOne({ userId: req.userId }).sort({ prioridade: -1 })
+      dados.prioridade = ultima ? ultima.prioridade + 1 : 0
+    }
+
+    const regra = await CategoryRule.create({ ...dados, userId: req.userId })
+
+    res.status(201).json({
+      success: true,
+      message: 'Regra criada com sucesso',
+      data: regra
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json(erroDeValidacao(err))
+    }
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'Já existe uma regra com este nome' })
+    }
+
+    console.error('Erro ao criar regra:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.update = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const regra = await CategoryRule.findOne({ _id: req.params.id, userId: req.userId })
+
+    if (!regra) {
+      return res.status(404).json({ error: 'Regra não encontrada' })
+    }
+
+    const { userId, estatisticas, ...updates } = req.body
+
+    // Condições e ações informadas substituem as anteriores por inteiro
+    regra.set(updates)
+
+    const erro = await validarReferencias(req.userId, {
+      condicoes: regra.condicoes,
+      acoes: regra.acoes
+    })
+    if (erro) {
+      return res.status(400).json({ error: erro })
+    }
+
+    await regra.save()
+
+    res.json({
+      success: true,
+      message: 'Regra atualizada com sucesso',
+      data: regra
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json(erroDeValidacao(err))
+    }
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'Já existe uma regra com este nome' })
+    }
+
+    console.error('Erro ao atualizar regra:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.remove = async (req, res) => {
+  try {
+    const regra = await CategoryRule.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+
+    if (!regra) {
+      return res.status(404).json({ error: 'Regra não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Regra removida com sucesso'
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover regra:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Reordenar: a posição na lista define a prioridade
+exports.reorder = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { ids } = req.body
+
+    const regras = await CategoryRule.find({ userId: req.userId }).select('_id')
+    const existentes = new Set(regras.map(r => r._id.toString()))
+
+    const informadas = new Set(ids.map(String))
+
+    if (informadas.size !== ids.length || informadas.size !== existentes.size ||
+        !ids.every(id => existentes.has(String(id)))) {
+      return res.status(400).json({ error: 'Informe todas as regras do usuário, cada uma uma vez' })
+    }
+
+    await CategoryRule.bulkWrite(ids.map((id, indice) => ({
+      updateOne: {
+        filter: { _id: id, userId: req.userId },
+        update: { $set: { prioridade: indice, atualizadoEm: new Date() } }
+      }
+    })))
+
+    const ordenadas = await CategoryRule.find({ userId: req.userId })
+      .sort({ prioridade: 1 })
+      .lean()
+
+    res.json({
+      success: true,
+      message: 'Prioridades atualizadas com sucesso',
+      data: ordenadas
+    })
+
+  } catch (err) {
+    console.error('Erro ao reordenar regras:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.previewRetroativa = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const simulacao = await ruleService.simularRetroativa(req.userId, opcoesRetroativas(req.body))
+
+    res.json({
+      success: true,
+      data: simulacao
+    })
+
+  } catch (err) {
+    console.error('Erro ao simular aplicação de regras:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.aplicarRetroativa = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const resumo = await ruleService.aplicarRetroativa(req.userId, opcoesRetroativas(req.body))
+
+    res.json({
+      success: true,
+      message: `${resumo.alteradas} transação(ões) atualizada(s) pelas regras`,
+      data: resumo
+    })
+
+  } catch (err) {
+    console.error('Erro ao aplicar regras:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
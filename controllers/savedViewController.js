@@ -0,0 +1,269 @@
+const mongoose = require('mongoose')
+const SavedView = require('../models/SavedView')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const transactionQueryService = require('../services/transactionQueryService')
+const transactionController = require('./transactionController')
+const { validationResult } = require('express-validator')
+
+// Visões fixadas exibidas no dashboard
+const LIMITE_FIXADAS = 6
+
+function erroDeValidacao(err) {
+  return {
+    error: 'Dados inválidos',
+    detalhes: Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.message
+    }))
+  }
+}
+
+async function buscarVisao(userId, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null
+  return await SavedView.findOne({ _id: id, userId })
+}
+
+// Conferir conta, categoria e consulta da visão antes de salvar
+async function validarVisao(userId, visao) {
+  const { contaId, categoria } = visao.filtros || {}
+
+  if (contaId) {
+    const conta = await Account.findOne({ _id: contaId, userId })
+    if (!conta) return ['Conta não encontrada']
+  }
+
+  if (categoria) {
+    const encontrada = await Category.buscarPorNome(userId, categoria)
+    if (!encontrada) return [`Categoria não encontrada: ${categoria}`]
+  }
+
+  const { erros } = await transactionQueryService.montarFiltros(userId, visao.parametros())
+  if (erros.length > 0) return erros
+
+  if (visao.fixadaNoDashboard && (visao.isNew || visao.isModified('fixadaNoDashboard'))) {
+    const fixadas = await SavedView.countDocuments({
+      userId,
+      fixadaNoDashboard: true,
+      _id: { $ne: visao._id }
+    })
+    if (fixadas >= LIMITE_FIXADAS) {
+      return [`O dashboard comporta no máximo ${LIMITE_FIXADAS} visões fixadas`]
+    }
+  }
+
+  return []
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const visoes = await SavedView.find({ userId: req.userId })
+      .sort({ fixadaNoDashboard: -1, posicaoNoDashboard: 1, nome: 1 })
+
+    // Totais atuais de cada visão, quando solicitados
+    const data = req.query.incluirResumo === 'true'
+      ? await Promise.all(visoes.map(async visao => ({
+        ...visao.toObject(),
+        ...(await transactionQueryService.resumirVisao(req.userId, visao))
+      })))
+      : visoes
+
+    res.json({
+      success: true,
+      data
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar visões:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Visões fixadas no dashboard, com os totais atuais
+exports.getFixadas = async (req, res) => {
+  try {
+    const visoes = await SavedView.find({ userId: req.userId, fixadaNoDashboard: true })
+      .sort({ posicaoNoDashboard: 1, nome: 1 })
+
+    const data = await Promise.all(
+      visoes.map(visao => transactionQueryService.resumirVisao(req.userId, visao))
+    )
+
+    res.json({
+      success: true,
+      data
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar visões fixadas:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const visao = await buscarVisao(req.userId, req.params.id)
+
+    if (!visao) {
+      return res.status(404).json({ error: 'Visão não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      data: visao
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar visão:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.create = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { userId, ...dados } = req.body
+    const visao = new SavedView({ ...dados, userId: req.userId })
+
+    const erros = await validarVisao(req.userId, visao)
+    if (erros.length > 0) {
+      return res.status(400).json({ error: 'Visão inválida', detalhes: erros })
+    }
+
+    await visao.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Visão criada com sucesso',
+      data: visao
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json(erroDeValidacao(err))
+    }
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'Já existe uma visão com este nome' })
+    }
+
+    console.error('Erro ao criar visão:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.update = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const visao = await buscarVisao(req.userId, req.params.id)
+
+    if (!visao) {
+      return res.status(404).json({ error: 'Visão não encontrada' })
+    }
+
+    const { userId, ...updates } = req.body
+
+    // Filtros informados substituem os anteriores por inteiro
+    visao.set(updates)
+
+    const erros = await validarVisao(req.userId, visao)
+    if (erros.length > 0) {
+      return res.status(400).json({ error: 'Visão inválida', detalhes: erros })
+    }
+
+    await visao.save()
+
+    res.json({
+      success: true,
+      message: 'Visão atualizada com sucesso',
+      data: visao
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json(erroDeValidacao(err))
+    }
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'Já existe uma visão com este nome' })
+    }
+
+    console.error('Erro ao atualizar visão:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.remove = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Visão não encontrada' })
+    }
+
+    const visao = await SavedView.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+
+    if (!visao) {
+      return res.status(404).json({ error: 'Visão não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Visão removida com sucesso'
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover visão:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Totais atuais da visão (e grupos, se a visão agrupa)
+exports.getResumo = async (req, res) => {
+  try {
+    const visao = await buscarVisao(req.userId, req.params.id)
+
+    if (!visao) {
+      return res.status(404).json({ error: 'Visão não encontrada' })
+    }
+
+    const resumo = await transactionQueryService.resumirVisao(req.userId, visao)
+
+    if (resumo.erros) {
+      return res.status(400).json({ error: 'Os filtros da visão não são mais válidos', detalhes: resumo.erros })
+    }
+
+    if (visao.agrupamento) {
+      const { filtros } = await transactionQueryService.montarFiltros(req.userId, visao.parametros())
+      resumo.agrupamento = visao.agrupamento
+      resumo.grupos = await transactionQueryService.agrupar(filtros, visao.agrupamento)
+    }
+
+    res.json({
+      success: true,
+      data: resumo
+    })
+
+  } catch (err) {
+    console.error('Erro ao calcular resumo da visão:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Executar a visão: mesma resposta de GET /api/transactions?viewId=
+exports.getTransacoes = async (req, res) => {
+  req.query.viewId = req.params.id
+  return transactionController.getAll(req, res)
+}
@@ -0,0 +1,159 @@
+const tagService = require('../services/tagService')
+const currencyService = require('../services/currencyService')
+const { validationResult } = require('express-validator')
+
+exports.getAll = async (req, res) => {
+  try {
+    const tags = await tagService.listar(req.userId, { busca: req.query.busca })
+
+    res.json({
+      success: true,
+      data: tags,
+      moedaBase: await currencyService.moedaBase(req.userId)
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar tags:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Renomear uma tag; se o novo nome já existir, as duas viram uma só
+exports.renomear = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { tag } = req.params
+    const { nome } = req.body
+
+    const resultado = await tagService.substituir(req.userId, [tag], nome, req.userId)
+
+    if (resultado.transacoes === 0 && resultado.regras === 0) {
+      return res.status(404).json({ error: 'Tag não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      message: `Tag "${tag}" renomeada para "${nome}" em ${resultado.transacoes} transação(ões)`,
+      data: resultado
+    })
+
+  } catch (err) {
+    console.error('Erro ao renomear tag:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Mesclar várias tags em uma
+exports.mesclar = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { origens, destino } = req.body
+
+    const resultado = await tagService.substituir(req.userId, origens, destino, req.userId)
+
+    res.json({
+      success: true,
+      message: `${origens.length} tag(s) mesclada(s) em "${destino}" em ${resultado.transacoes} transação(ões)`,
+      data: resultado
+    })
+
+  } catch (err) {
+    console.error('Erro ao mesclar tags:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Remover a tag de todas as transações e regras
+exports.remove = async (req, res) => {
+  try {
+    const { tag } = req.params
+
+    const resultado = await tagService.substituir(req.userId, [tag], null, req.userId)
+
+    if (resultado.transacoes === 0 && resultado.regras === 0) {
+      return res.status(404).json({ error: 'Tag não encontrada' })
+    }
+
+    res.json({
+      success: true,
+      message: `Tag "${tag}" removida de ${resultado.transacoes} transação(ões)`,
+      data: resultado
+    })
+
+  } catch (err) {
+    console.error('Erro ao excluir tag:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getStatistics = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { periodo = 'mes', tags } = req.query
+    const agora = new Date()
+    const ano = req.query.ano !== undefined ? parseInt(req.query.ano) : agora.getFullYear()
+    const mes = req.query.mes !== undefined ? parseInt(req.query.mes) : agora.getMonth()
+
+    // Definir período
+    let dataInicio, dataFim
+
+    switch (periodo) {
+      case 'semana':
+        dataInicio = new Date(agora)
+        dataInicio.setDate(agora.getDate() - 6)
+        dataFim = agora
+        break
+      case 'ano':
+        dataInicio = new Date(ano, 0, 1)
+        dataFim = new Date(ano, 11, 31, 23, 59, 59, 999)
+        break
+      case 'mes':
+      default:
+        dataInicio = new Date(ano, mes, 1)
+        dataFim = new Date(ano, mes + 1, 0, 23, 59, 59, 999)
+        break
+    }
+
+    // No ano a evolução é mensal; na semana e no mês, diária
+    const estatisticas = await tagService.estatisticas(req.userId, {
+      dataInicio,
+      dataFim,
+      tags: tags ? tags.split(',').filter(tag => tag.trim()) : [],
+      agruparPorMes: periodo === 'ano'
+    })
+
+    res.json({
+      success: true,
+      data: {
+        periodo: { inicio: dataInicio, fim: dataFim },
+        moedaBase: await currencyService.moedaBase(req.userId),
+        estatisticas
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar estatísticas de tags:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
@@ -1,44 +1,65 @@
 const Transaction = require('../models/Transaction')
 const Budget = require('../models/Budget')
-const Goal = require('../models/Goal')
 const Category = require('../models/Category')
+const Account = require('../models/Account')
+const Invoice = require('../models/Invoice')
+const SavedView = require('../models/SavedView')
+const Payee = require('../models/Payee')
+const { reverterImpactos, aplicarImpactos } = require('../services/transactionImpactService')
+const recurrenceService = require('../services/recurrenceService')
+const ruleService = require('../services/ruleService')
+const payeeService = require('../services/payeeService')
+const transactionQueryService = require('../services/transactionQueryService')
+const currencyService = require('../services/currencyService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const trashService = require('../services/trashService')
 const { validationResult } = require('express-validator')
 const mongoose = require('mongoose')
 
+const UM_DIA = 24 * 60 * 60 * 1000
+
 exports.getAll = async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      tipo, 
-      categoria, 
-      dataInicio, 
-      dataFim, 
-      search,
-      metodoPagamento,
+    let parametros = req.query
+    let visao = null
+
+    // Visão salva: seus filtros são a base e os parâmetros da requisição têm prioridade
+    if (req.query.viewId) {
+      visao = mongoose.Types.ObjectId.isValid(req.query.viewId)
+        ? await SavedView.findOne({ _id: req.query.viewId, userId: req.userId })
+        : null
+
+      if (!visao) {
+        return res.status(404).json({ error: 'Visão não encontrada' })
+      }
+      parametros = { ...visao.parametros(), ...req.query }
+    }
+
+    const {
+      page = 1,
+      limit = 20,
       sortBy = 'data',
-      sortOrder = 'desc'
-    } = req.query
+      sortOrder = 'desc',
+      agruparPor
+    } = parametros
 
-    // Construir filtros
-    const filtros = { userId: req.userId }
-    
-    if (tipo && tipo !== 'todos') filtros.tipo = tipo
-    if (categoria) filtros.categoria = categoria
-    if (metodoPagamento) filtros.metodoPagamento = metodoPagamento
-    
-    if (dataInicio || dataFim) {
-      filtros.data = {}
-      if (dataInicio) filtros.data.$gte = new Date(dataInicio)
-      if (dataFim) filtros.data.$lte = new Date(dataFim)
+    if (agruparPor && !transactionQueryService.agrupamentos.includes(agruparPor)) {
+      return res.status(400).json({
+        error: `Agrupamento inválido (use ${transactionQueryService.agrupamentos.join(', ')})`
+      })
     }
-    
-    if (search) {
-      filtros.$or = [
-        { descricao: { $regex: search, $options: 'i' } },
-        { observacoes: { $regex: search, $options: 'i' } },
-        { 'tags': { $in: [new RegExp(search, 'i')] } }
-      ]
+
+    if (!transactionQueryService.camposOrdenacao.includes(sortBy)) {
+      return res.status(400).json({
+        error: `Ordenação inválida (use ${transactionQueryService.camposOrdenacao.join(', ')})`
+      })
+    }
+
+    // Construir filtros
+    const { filtros, erros } = await transactionQueryService.montarFiltros(req.userId, parametros)
+
+    if (erros.length > 0) {
+      return res.status(400).json({ error: 'Busca inválida', detalhes: erros })
     }
 
     // Configurar paginação
@@ -50,39 +71,18 @@ exports.getAll = async (req, res) => {
     const sortOptions = {}
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1
 
-    // Buscar transações com paginação
-    const [transacoes, total] = await Promise.all([
+    // Buscar transações com paginação, totais e grupos
+    const [transacoes, total, resumo, grupos] = await Promise.all([
       Transaction.find(filtros)
         .sort(sortOptions)
         .skip(skip)
         .limit(limitNum)
         .lean(),
-      Transaction.countDocuments(filtros)
+      Transaction.countDocuments(filtros),
+      transactionQueryService.resumir(filtros),
+      agruparPor ? transactionQueryService.agrupar(filtros, agruparPor) : null
     ])
 
-    // Calcular totais
-    const [estatisticas] = await Transaction.aggregate([
-      { $match: filtros },
-      {
-        $group: {
-          _id: null,
-          totalReceitas: {
-            $sum: {
-              $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0]
-            }
-          },
-          totalDespesas: {
-            $sum: {
-              $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0]
-            }
-          },
-          count: { $sum: 1 }
-        }
-      }
-    ])
-
-    const saldo = estatisticas ? estatisticas.totalReceitas - estatisticas.totalDespesas : 0
-
     res.json({
       success: true,
       data: {
@@ -94,11 +94,16 @@ exports.getAll = async (req, res) => {
           itemsPerPage: limitNum
         },
         resumo: {
-          totalReceitas: estatisticas?.totalReceitas || 0,
-          totalDespesas: estatisticas?.totalDespesas || 0,
-          saldo,
-          totalTransacoes: total
-        }
+          moedaBase: resumo.moedaBase,
+          totalReceitas: resumo.totalReceitas,
+          totalDespesas: resumo.totalDespesas,
+          saldo: resumo.saldo,
+          totalTransacoes: total,
+          pendentes: resumo.pendentes,
+          porMoeda: resumo.porMoeda
+        },
+        ...(grupos && { agrupamento: agruparPor, grupos }),
+        ...(visao && { visao: { _id: visao._id, nome: visao.nome } })
       }
     })
 
@@ -142,58 +147,124 @@ exports.create = async (req, res) => {
       })
     }
 
-    const transactionData = { ...req.body, userId: req.userId }
-    
+    const {
+      transferenciaId,
+      faturaId,
+      parcelamento,
+      recorrenciaOrigemId,
+      recorrenciaData,
+      anexos,
+      conversao,
+      confirmacao,
+      conciliacao,
+      parcelas = 1,
+      taxaJuros = 0,
+      ...dados
+    } = req.body
+    const transactionData = { ...dados, userId: req.userId }
+
+    // O envio do lembrete é controlado pelo job de vencimentos
+    if (transactionData.lembrete) {
+      transactionData.lembrete = { diasAntes: transactionData.lembrete.diasAntes ?? null }
+    }
+
+    // A próxima data e as exceções da série são controladas pelo motor de recorrências
+    if (transactionData.recorrente) {
+      const { proximaData, excecoes, ...regra } = transactionData.recorrente
+      transactionData.recorrente = regra
+
+      // Série de contas a pagar: a primeira também espera a confirmação
+      if (regra.ativo && regra.pendente && !transactionData.status) {
+        transactionData.status = 'pendente'
+      }
+    }
+
+    const totalParcelas = parseInt(parcelas)
+
+    // Transação dividida: a categoria principal é a da maior linha
+    if (transactionData.divisoes?.length > 0) {
+      if (totalParcelas > 1) {
+        return res.status(400).json({ error: 'Uma compra parcelada não pode ser dividida entre categorias' })
+      }
+
+      const erroDivisoes = await validarDivisoes(req.userId, transactionData.divisoes, transactionData)
+      if (erroDivisoes) {
+        return res.status(400).json({ error: erroDivisoes })
+      }
+
+      const principal = Transaction.divisaoPrincipal(transactionData.divisoes)
+      transactionData.categoria = principal.categoria
+      transactionData.subcategoria = principal.subcategoria || null
+    }
+
+    // Regras de categorização preenchem os campos não informados
+    const [regrasAplicadas] = await ruleService.aplicarEmNovas(req.userId, [transactionData])
+    // Beneficiário reconhecido pela descrição; sua categoria padrão entra se ainda faltar categoria
+    await payeeService.aplicarEmNovas(req.userId, [transactionData])
+
+    if (!transactionData.categoria) {
+      return res.status(400).json({ error: 'Categoria é obrigatória (nenhuma regra de categorização ou beneficiário definiu uma)' })
+    }
+
     // Validar se categoria existe
-    const categoria = await Category.findOne({
-      $or: [
-        { userId: req.userId, nome: transactionData.categoria },
-        { padrao: true, nome: transactionData.categoria }
-      ],
-      ativa: true
-    })
+    const categoria = await Category.buscarPorNome(req.userId, transactionData.categoria, { ativa: true })
     
     if (!categoria) {
       return res.status(400).json({ error: 'Categoria não encontrada' })
     }
 
-    // Criar transação
-    const transacao = await Transaction.create(transactionData)
+    // Validar conta (sem contaId, usa a conta padrão do usuário)
+    const conta = await resolverConta(req.userId, transactionData.contaId)
 
-    // Atualizar orçamento se especificado
-    if (transactionData.orcamentoId && transactionData.tipo === 'despesa') {
-      await Budget.findOneAndUpdate(
-        { _id: transactionData.orcamentoId, userId: req.userId },
-        { $inc: { valorGasto: transactionData.valor } }
-      )
+    if (!conta) {
+      return res.status(400).json({ error: 'Conta não encontrada' })
     }
+    transactionData.contaId = conta._id
 
-    // Atualizar meta se especificado
-    if (transactionData.metaId && transactionData.tipo === 'receita') {
-      const meta = await Goal.findOne({
-        _id: transactionData.metaId,
-        userId: req.userId
-      })
-      
-      if (meta) {
-        meta.adicionarContribuicao(transactionData.valor, transactionData.observacoes || '')
-        await meta.save()
+    // O valor é informado na moeda da conta e convertido para a moeda base ao gravar
+    const erroMoeda = await currencyService.validarMoedaDaConta(req.userId, conta, transactionData.moeda)
+    if (erroMoeda) {
+      return res.status(400).json({ error: erroMoeda })
+    }
+    transactionData.moeda = conta.moeda
+
+    // Compra parcelada: uma transação por parcela, vinculadas pelo grupo
+    if (totalParcelas > 1) {
+      if (transactionData.recorrente?.ativo) {
+        return res.status(400).json({ error: 'Uma transação não pode ser parcelada e recorrente ao mesmo tempo' })
       }
+
+      const parcelasCriadas = await criarParcelas(transactionData, totalParcelas, parseFloat(taxaJuros) || 0)
+
+      return res.status(201).json({
+        success: true,
+        message: `Compra parcelada em ${totalParcelas}x criada com sucesso`,
+        data: parcelasCriadas[0],
+        parcelas: parcelasCriadas,
+        regrasAplicadas
+      })
     }
 
-    // Atualizar estatísticas da categoria
-    categoria.atualizarEstatisticas(transactionData.valor, 'adicionar')
-    await categoria.save()
+    // Compras em cartão entram na fatura do ciclo da data da compra
+    transactionData.faturaId = await Invoice.faturaParaTransacao(transactionData)
+
+    // Criar transação
+    const transacao = await Transaction.create(transactionData)
+
+    // Orçamentos (por linha, se dividida), meta, estatísticas das categorias e sugestões
+    await aplicarImpactos(transacao)
+    await transactionHistoryService.registrar([transacao], { operacao: 'criacao', autorId: req.userId })
 
-    // Criar transações recorrentes se configurado
+    // Gerar as ocorrências já vencidas da série, se configurada
     if (transactionData.recorrente?.ativo) {
-      await criarTransacoesRecorrentes(transacao)
+      await recurrenceService.iniciarSerie(transacao)
     }
 
     res.status(201).json({
       success: true,
       message: 'Transação criada com sucesso',
-      data: transacao
+      data: transacao,
+      regrasAplicadas
     })
 
   } catch (err) {
@@ -204,8 +275,31 @@ exports.create = async (req, res) => {
 
 exports.update = async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
     const { id } = req.params
-    const updates = req.body
+    const {
+      userId,
+      transferenciaId,
+      faturaId,
+      parcelamento,
+      recorrenciaOrigemId,
+      recorrenciaData,
+      recorrente,
+      anexos,
+      conversao,
+      moeda,
+      confirmacao,
+      conciliacao,
+      lembrete,
+      ...updates
+    } = req.body
 
     // Buscar transação original
     const transacaoOriginal = await Transaction.findOne({
@@ -217,6 +311,104 @@ exports.update = async (req, res) => {
       return res.status(404).json({ error: 'Transação não encontrada' })
     }
 
+    if (transacaoOriginal.transferenciaId) {
+      return res.status(400).json({
+        error: 'Esta transação faz parte de uma transferência',
+        sugestao: `Edite a transferência em /api/transfers/${transacaoOriginal.transferenciaId}`
+      })
+    }
+
+    const bloqueio = Transaction.bloqueioDeConciliacao([transacaoOriginal], updates)
+    if (bloqueio) {
+      return res.status(400).json(bloqueio)
+    }
+
+    if (updates.contaId !== undefined) {
+      const conta = await resolverConta(req.userId, updates.contaId)
+
+      if (!conta) {
+        return res.status(400).json({ error: 'Conta não encontrada' })
+      }
+
+      const erroMoeda = erroTrocaDeMoeda(transacaoOriginal, conta)
+      if (erroMoeda) {
+        return res.status(400).json({ error: erroMoeda })
+      }
+      updates.contaId = conta._id
+      updates.moeda = conta.moeda
+    }
+
+    // Correção manual do beneficiário reconhecido
+    if (updates.beneficiarioId && !(await Payee.exists({ _id: updates.beneficiarioId, userId: req.userId }))) {
+      return res.status(400).json({ error: 'Beneficiário não encontrado' })
+    }
+
+    if (moeda && moeda.toUpperCase() !== (updates.moeda || transacaoOriginal.moeda)) {
+      return res.status(400).json({ error: 'A moeda da transação é a da conta e não pode ser alterada' })
+    }
+
+    // Divisões: enviadas por inteiro (lista vazia desfaz a divisão)
+    if (updates.divisoes !== undefined) {
+      if (transacaoOriginal.parcelamento?.grupoId && updates.divisoes.length > 0) {
+        return res.status(400).json({ error: 'Uma compra parcelada não pode ser dividida entre categorias' })
+      }
+
+      const erroDivisoes = await validarDivisoes(req.userId, updates.divisoes, {
+        tipo: updates.tipo || transacaoOriginal.tipo,
+        valor: updates.valor !== undefined ? updates.valor : transacaoOriginal.valor
+      })
+      if (erroDivisoes) {
+        return res.status(400).json({ error: erroDivisoes })
+      }
+
+      if (updates.divisoes.length > 0) {
+        const principal = Transaction.divisaoPrincipal(updates.divisoes)
+        updates.categoria = principal.categoria
+        updates.subcategoria = principal.subcategoria || null
+        updates.orcamentoId = null
+      }
+    } else if (transacaoOriginal.divisoes?.length > 0) {
+      const erroDivisoes = alteracaoEmDividida(updates)
+      if (erroDivisoes) {
+        return res.status(400).json({ error: erroDivisoes })
+      }
+    }
+
+    // Alterações na regra de recorrência preservam a próxima data e as exceções
+    if (recorrente) {
+      if (transacaoOriginal.recorrenciaOrigemId) {
+        return res.status(400).json({ error: 'Uma ocorrência gerada não pode ter regra de recorrência própria' })
+      }
+
+      if (transacaoOriginal.parcelamento?.grupoId && recorrente.ativo) {
+        return res.status(400).json({ error: 'Uma transação não pode ser parcelada e recorrente ao mesmo tempo' })
+      }
+
+      const { proximaData, excecoes, ...regra } = recorrente
+      Object.keys(regra).forEach(campo => {
+        updates[`recorrente.${campo}`] = regra[campo]
+      })
+    }
+
+    // Novo vencimento ou antecedência: o lembrete volta a ser enviado
+    if (lembrete && lembrete.diasAntes !== undefined) {
+      updates['lembrete.diasAntes'] = lembrete.diasAntes
+    }
+    if (updates['lembrete.diasAntes'] !== undefined || updates.data !== undefined) {
+      updates['lembrete.enviadoEm'] = null
+    }
+
+    if (updates.status === 'confirmada' && transacaoOriginal.status === 'pendente') {
+      updates['confirmacao.confirmadaEm'] = new Date()
+    }
+
+    const { grupoId, numero, total } = transacaoOriginal.parcelamento || {}
+
+    // Parcelas mantêm o rótulo "n/N" na descrição
+    if (grupoId && updates.descricao) {
+      updates.descricao = `${removerRotuloParcela(updates.descricao)} (${numero}/${total})`
+    }
+
     // Reverter impactos da transação original
     await reverterImpactos(transacaoOriginal)
 
@@ -227,12 +419,39 @@ exports.update = async (req, res) => {
       { new: true, runValidators: true }
     )
 
+    // Valor e data definem a conversão para a moeda base
+    if (alteraConversao(updates)) {
+      await transacaoAtualizada.reconverter()
+    }
+
     // Aplicar novos impactos
     await aplicarImpactos(transacaoAtualizada)
+    await transactionHistoryService.registrar([transacaoAtualizada], {
+      operacao: 'edicao',
+      autorId: req.userId,
+      anteriores: [transacaoOriginal]
+    })
+
+    // Série ativada agora (ou desativada) precisa ter a próxima data recalculada
+    if (recorrente && transacaoAtualizada.recorrente.ativo !== transacaoOriginal.recorrente.ativo) {
+      if (transacaoAtualizada.recorrente.ativo) {
+        await recurrenceService.iniciarSerie(transacaoAtualizada)
+      } else {
+        await recurrenceService.encerrarSerie(transacaoAtualizada)
+      }
+    }
+
+    // Alterações na parcela 1 (a compra) valem para as parcelas restantes
+    let parcelasAtualizadas = 0
+    if (grupoId && numero === 1) {
+      parcelasAtualizadas = await propagarParaParcelas(transacaoAtualizada, updates)
+    }
 
     res.json({
       success: true,
-      message: 'Transação atualizada com sucesso',
+      message: parcelasAtualizadas > 0
+        ? `Transação e ${parcelasAtualizadas} parcela(s) restante(s) atualizadas com sucesso`
+        : 'Transação atualizada com sucesso',
       data: transacaoAtualizada
     })
 
@@ -255,15 +474,44 @@ exports.remove = async (req, res) => {
       return res.status(404).json({ error: 'Transação não encontrada' })
     }
 
+    if (transacao.transferenciaId) {
+      return res.status(400).json({
+        error: 'Esta transação faz parte de uma transferência',
+        sugestao: `Exclua a transferência em /api/transfers/${transacao.transferenciaId}`
+      })
+    }
+
+    // Excluir a parcela 1 (a compra) remove todas as parcelas
+    const { grupoId, numero } = transacao.parcelamento || {}
+    const transacoes = grupoId && numero === 1
+      ? await Transaction.find({ userId: req.userId, 'parcelamento.grupoId': grupoId })
+      : [transacao]
+
+    const bloqueio = Transaction.bloqueioDeConciliacao(transacoes)
+    if (bloqueio) {
+      return res.status(400).json(bloqueio)
+    }
+
     // Reverter impactos antes de deletar
-    await reverterImpactos(transacao)
+    for (const item of transacoes) {
+      await reverterImpactos(item)
+    }
 
     // Deletar transação
-    await Transaction.deleteOne({ _id: id, userId: req.userId })
+    await Transaction.deleteMany({
+      _id: { $in: transacoes.map(t => t._id) },
+      userId: req.userId
+    })
+
+    // Os anexos continuam guardados enquanto a transação estiver na lixeira
+    await trashService.mover('transacao', transacoes)
+    await transactionHistoryService.registrar(transacoes, { operacao: 'exclusao', autorId: req.userId })
 
     res.json({
       success: true,
-      message: 'Transação removida com sucesso'
+      message: transacoes.length > 1
+        ? `Compra parcelada movida para a lixeira com suas ${transacoes.length} parcelas`
+        : 'Transação movida para a lixeira'
     })
 
   } catch (err) {
@@ -274,23 +522,121 @@ exports.remove = async (req, res) => {
 
 exports.bulkCreate = async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
     const { transacoes } = req.body
 
     if (!Array.isArray(transacoes) || transacoes.length === 0) {
       return res.status(400).json({ error: 'Lista de transações inválida' })
     }
 
-    // Adicionar userId a todas as transações
-    const transacoesComUserId = transacoes.map(t => ({
-      ...t,
-      userId: req.userId
-    }))
+    // Validar as contas informadas (sem contaId, usa a conta padrão)
+    const contas = {}
+    for (const t of transacoes) {
+      const chave = t.contaId ? String(t.contaId) : 'padrao'
+      if (contas[chave]) continue
 
-    // Criar todas as transações
-    const transacoesCriadas = await Transaction.insertMany(transacoesComUserId, {
-      ordered: false // Continua mesmo se algumas falharem
+      const conta = await resolverConta(req.userId, t.contaId)
+      if (!conta) {
+        return res.status(400).json({ error: `Conta não encontrada: ${t.contaId}` })
+      }
+
+      const erroMoeda = await currencyService.validarMoedaDaConta(req.userId, conta)
+      if (erroMoeda) {
+        return res.status(400).json({ error: erroMoeda })
+      }
+      contas[chave] = conta
+    }
+
+    // Adicionar userId e conta a todas as transações
+    const transacoesComUserId = transacoes.map(({
+      transferenciaId,
+      faturaId,
+      parcelamento,
+      recorrenciaOrigemId,
+      recorrenciaData,
+      anexos,
+      conversao,
+      confirmacao,
+      conciliacao,
+      ...t
+    }) => {
+      const conta = contas[t.contaId ? String(t.contaId) : 'padrao']
+      return { ...t, userId: req.userId, contaId: conta._id, moeda: conta.moeda }
     })
 
+    // Transações divididas: mesmas validações da criação; a categoria é a da maior linha
+    for (const [indice, t] of transacoesComUserId.entries()) {
+      if (!(t.divisoes?.length > 0)) continue
+
+      const erroDivisoes = await validarDivisoes(req.userId, t.divisoes, t)
+      if (erroDivisoes) {
+        return res.status(400).json({ error: `Transação ${indice + 1}: ${erroDivisoes}` })
+      }
+
+      const principal = Transaction.divisaoPrincipal(t.divisoes)
+      t.categoria = principal.categoria
+      t.subcategoria = principal.subcategoria || null
+    }
+
+    // Regras de categorização preenchem os campos não informados em cada transação
+    await ruleService.aplicarEmNovas(req.userId, transacoesComUserId)
+    await payeeService.aplicarEmNovas(req.userId, transacoesComUserId)
+
+    // Validar se as categorias existem (cada nome é consultado uma vez)
+    const categoriasExistentes = {}
+    for (const [indice, t] of transacoesComUserId.entries()) {
+      if (!t.categoria) {
+        return res.status(400).json({
+          error: `Transação ${indice + 1}: Categoria é obrigatória (nenhuma regra de categorização ou beneficiário definiu uma)`
+        })
+      }
+
+      if (categoriasExistentes[t.categoria] === undefined) {
+        categoriasExistentes[t.categoria] = Boolean(
+          await Category.buscarPorNome(req.userId, t.categoria, { ativa: true })
+        )
+      }
+      if (!categoriasExistentes[t.categoria]) {
+        return res.status(400).json({ error: `Transação ${indice + 1}: Categoria não encontrada: ${t.categoria}` })
+      }
+    }
+
+    // Validar todos os documentos antes de gravar: um item inválido recusa o lote inteiro
+    const documentos = transacoesComUserId.map(t => new Transaction(t))
+    const detalhes = []
+    for (const [indice, documento] of documentos.entries()) {
+      const erro = await documento.validate().catch(err => err)
+      if (erro?.name !== 'ValidationError') {
+        if (erro) throw erro
+        continue
+      }
+      detalhes.push(...Object.values(erro.errors).map(e => ({
+        field: `transacoes[${indice}].${e.path}`,
+        message: e.message
+      })))
+    }
+
+    if (detalhes.length > 0) {
+      return res.status(400).json({ error: 'Dados inválidos', detalhes })
+    }
+
+    // Criar todas as transações
+    const transacoesCriadas = await Transaction.insertMany(documentos)
+
+    // Aplicar impactos em orçamentos, metas e categorias
+    for (const transacao of transacoesCriadas) {
+      await aplicarImpactos(transacao)
+      await recurrenceService.iniciarSerie(transacao)
+    }
+    await transactionHistoryService.registrar(transacoesCriadas, { operacao: 'criacao', autorId: req.userId })
+
     res.status(201).json({
       success: true,
       message: `${transacoesCriadas.length} transações criadas com sucesso`,
@@ -305,23 +651,130 @@ exports.bulkCreate = async (req, res) => {
 
 exports.bulkUpdate = async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
     const { ids, updates } = req.body
 
     if (!Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({ error: 'IDs inválidos' })
     }
 
+    if (!updates || typeof updates !== 'object') {
+      return res.status(400).json({ error: 'Atualizações inválidas' })
+    }
+
+    const {
+      userId,
+      transferenciaId,
+      faturaId,
+      parcelamento,
+      anexos,
+      conversao,
+      moeda,
+      confirmacao,
+      conciliacao,
+      lembrete,
+      ...camposAtualizados
+    } = updates
+
+    let contaNova = null
+    if (camposAtualizados.contaId !== undefined) {
+      contaNova = await resolverConta(req.userId, camposAtualizados.contaId)
+
+      if (!contaNova) {
+        return res.status(400).json({ error: 'Conta não encontrada' })
+      }
+      camposAtualizados.contaId = contaNova._id
+      camposAtualizados.moeda = contaNova.moeda
+    }
+
+    if (camposAtualizados.beneficiarioId && !(await Payee.exists({ _id: camposAtualizados.beneficiarioId, userId: req.userId }))) {
+      return res.status(400).json({ error: 'Beneficiário não encontrado' })
+    }
+
+    const filtro = {
+      _id: { $in: ids },
+      userId: req.userId
+    }
+
+    // Reverter impactos antes de atualizar
+    const transacoesOriginais = await Transaction.find(filtro)
+
+    if (transacoesOriginais.some(t => t.transferenciaId)) {
+      return res.status(400).json({
+        error: 'A seleção inclui transações de transferências',
+        sugestao: 'Transferências devem ser editadas em /api/transfers'
+      })
+    }
+
+    if (camposAtualizados.divisoes !== undefined) {
+      return res.status(400).json({ error: 'Divisões devem ser editadas em cada transação' })
+    }
+
+    const bloqueio = Transaction.bloqueioDeConciliacao(transacoesOriginais, camposAtualizados)
+    if (bloqueio) {
+      return res.status(400).json({ ...bloqueio, error: `A seleção inclui transações conciliadas. ${bloqueio.error}` })
+    }
+
+    const erroMoeda = contaNova && transacoesOriginais
+      .map(t => erroTrocaDeMoeda(t, contaNova))
+      .find(Boolean)
+    if (erroMoeda) {
+      return res.status(400).json({ error: `A seleção inclui transações em outra moeda. ${erroMoeda}` })
+    }
+
+    if (transacoesOriginais.some(t => t.divisoes?.length > 0)) {
+      const erroDivisoes = alteracaoEmDividida(camposAtualizados)
+      if (erroDivisoes) {
+        return res.status(400).json({ error: `A seleção inclui transações divididas. ${erroDivisoes}` })
+      }
+    }
+
+    for (const transacao of transacoesOriginais) {
+      await reverterImpactos(transacao)
+    }
+
+    // Pendentes confirmadas em lote registram a data da confirmação
+    const confirmadasAgora = camposAtualizados.status === 'confirmada'
+      ? transacoesOriginais.filter(t => t.status === 'pendente').map(t => t._id)
+      : []
+
     const resultado = await Transaction.updateMany(
+      filtro,
       { 
-        _id: { $in: ids },
-        userId: req.userId
-      },
-      { 
-        ...updates,
+        ...camposAtualizados,
         atualizadoEm: new Date()
-      }
+      },
+      { runValidators: true }
     )
 
+    if (confirmadasAgora.length > 0) {
+      await Transaction.updateMany(
+        { _id: { $in: confirmadasAgora } },
+        { 'confirmacao.confirmadaEm': new Date() }
+      )
+    }
+
+    // Aplicar impactos com os novos valores (e a nova conversão, se valor ou data mudaram)
+    const transacoesAtualizadas = await Transaction.find(filtro)
+    for (const transacao of transacoesAtualizadas) {
+      if (alteraConversao(camposAtualizados)) {
+        await transacao.reconverter()
+      }
+      await aplicarImpactos(transacao)
+    }
+    await transactionHistoryService.registrar(transacoesAtualizadas, {
+      operacao: 'edicao',
+      autorId: req.userId,
+      anteriores: transacoesOriginais
+    })
+
     res.json({
       success: true,
       message: `${resultado.modifiedCount} transações atualizadas`,
@@ -339,6 +792,14 @@ exports.bulkUpdate = async (req, res) => {
 
 exports.bulkDelete = async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
     const { ids } = req.body
 
     if (!Array.isArray(ids) || ids.length === 0) {
@@ -351,17 +812,45 @@ exports.bulkDelete = async (req, res) => {
       userId: req.userId
     })
 
+    // A outra perna das transferências selecionadas também é excluída
+    const transferenciaIds = transacoes
+      .filter(t => t.transferenciaId)
+      .map(t => t.transferenciaId)
+    const pernas = await Transaction.find({
+      userId: req.userId,
+      transferenciaId: { $in: transferenciaIds }
+    })
+
+    // Seleção completa: as transações avulsas e as duas pernas de cada transferência
+    const avulsas = transacoes.filter(t => !t.transferenciaId)
+    const excluidas = [...avulsas, ...pernas]
+
+    const bloqueio = Transaction.bloqueioDeConciliacao(excluidas)
+    if (bloqueio) {
+      return res.status(400).json({ ...bloqueio, error: `A seleção inclui transações conciliadas. ${bloqueio.error}` })
+    }
+
     // Reverter impactos de todas as transações
-    for (const transacao of transacoes) {
+    for (const transacao of excluidas) {
       await reverterImpactos(transacao)
     }
 
+    // Pagamentos de fatura feitos por essas transferências deixam de valer
+    for (const transferenciaId of transferenciaIds) {
+      await Invoice.sincronizarPagamento(req.userId, transferenciaId)
+    }
+
     // Deletar transações
     const resultado = await Transaction.deleteMany({
-      _id: { $in: ids },
-      userId: req.userId
+      userId: req.userId,
+      _id: { $in: excluidas.map(t => t._id) }
     })
 
+    // Vão para a lixeira com os anexos; cada transferência vira um item com as duas pernas
+    await trashService.mover('transacao', avulsas)
+    await trashService.moverTransferencias(pernas)
+    await transactionHistoryService.registrar(excluidas, { operacao: 'exclusao', autorId: req.userId })
+
     res.json({
       success: true,
       message: `${resultado.deletedCount} transações removidas`,
@@ -378,11 +867,13 @@ exports.bulkDelete = async (req, res) => {
 
 exports.getStatistics = async (req, res) => {
   try {
-    const { periodo = 'mes', ano, mes } = req.query
+    const { periodo = 'mes' } = req.query
+    const agora = new Date()
+    const ano = req.query.ano !== undefined ? parseInt(req.query.ano) : agora.getFullYear()
+    const mes = req.query.mes !== undefined ? parseInt(req.query.mes) : agora.getMonth()
     
     // Definir período
     let dataInicio, dataFim
-    const agora = new Date()
 
     switch (periodo) {
       case 'semana':
@@ -390,25 +881,39 @@ exports.getStatistics = async (req, res) => {
         dataInicio.setDate(agora.getDate() - 6)
         dataFim = agora
         break
-      case 'mes':
-        dataInicio = new Date(ano || agora.getFullYear(), mes || agora.getMonth(), 1)
-        dataFim = new Date(ano || agora.getFullYear(), (mes || agora.getMonth()) + 1, 0)
-        break
       case 'ano':
-        dataInicio = new Date(ano || agora.getFullYear(), 0, 1)
-        dataFim = new Date(ano || agora.getFullYear(), 11, 31)
+        dataInicio = new Date(ano, 0, 1)
+        dataFim = new Date(ano, 11, 31, 23, 59, 59, 999)
+        break
+      case 'mes':
+      default:
+        dataInicio = new Date(ano, mes, 1)
+        dataFim = new Date(ano, mes + 1, 0, 23, 59, 59, 999)
         break
     }
 
     const estatisticas = await Transaction.aggregate([
       {
-        $match: {
-          userId: mongoose.Types.ObjectId(req.userId),
+        $match: Transaction.realizadas({
+          userId: new mongoose.Types.ObjectId(req.userId),
           data: { $gte: dataInicio, $lte: dataFim }
-        }
+        })
       },
+      // Totais na moeda base; porMoeda traz os valores originais de cada moeda
+      Transaction.emMoedaBase(),
       {
         $facet: {
+          porMoeda: [
+            {
+              $group: {
+                _id: { moeda: '$moeda', tipo: '$tipo' },
+                totalOriginal: { $sum: '$valorOriginal' },
+                totalConvertido: { $sum: '$valor' },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { totalConvertido: -1 } }
+          ],
           porTipo: [
             {
               $group: {
@@ -420,6 +925,8 @@ exports.getStatistics = async (req, res) => {
             }
           ],
           porCategoria: [
+            // Transações divididas contam em cada categoria pelo valor da linha
+            ...Transaction.expandirDivisoes(),
             {
               $group: {
                 _id: { categoria: '$categoria', tipo: '$tipo' },
@@ -462,6 +969,7 @@ exports.getStatistics = async (req, res) => {
       success: true,
       data: {
         periodo: { inicio: dataInicio, fim: dataFim },
+        moedaBase: await currencyService.moedaBase(req.userId),
         estatisticas: estatisticas[0]
       }
     })
@@ -472,114 +980,591 @@ exports.getStatistics = async (req, res) => {
   }
 }
 
-// Funções auxiliares
-async function reverterImpactos(transacao) {
+exports.getParcelas = async (req, res) => {
   try {
-    // Reverter orçamento
-    if (transacao.orcamentoId && transacao.tipo === 'despesa') {
-      await Budget.findOneAndUpdate(
-        { _id: transacao.orcamentoId },
-        { $inc: { valorGasto: -transacao.valor } }
-      )
+    const { id } = req.params
+
+    const transacao = await Transaction.findOne({
+      _id: id,
+      userId: req.userId
+    })
+
+    if (!transacao) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
     }
 
-    // Reverter meta
-    if (transacao.metaId && transacao.tipo === 'receita') {
-      const meta = await Goal.findById(transacao.metaId)
-      if (meta) {
-        meta.adicionarContribuicao(-transacao.valor, 'Reversão de transação', 'retirada')
-        await meta.save()
-      }
+    if (!transacao.parcelamento?.grupoId) {
+      return res.status(400).json({ error: 'Esta transação não é parcelada' })
     }
 
-    // Reverter estatísticas da categoria
-    const categoria = await Category.findOne({
-      $or: [
-        { userId: transacao.userId, nome: transacao.categoria },
-        { padrao: true, nome: transacao.categoria }
-      ]
+    const parcelas = await Transaction.find({
+      userId: req.userId,
+      'parcelamento.grupoId': transacao.parcelamento.grupoId
     })
-    
-    if (categoria) {
-      categoria.atualizarEstatisticas(transacao.valor, 'remover')
-      await categoria.save()
+      .sort({ 'parcelamento.numero': 1 })
+      .lean()
+
+    const agora = new Date()
+    const pagas = parcelas.filter(p => p.data <= agora && p.status !== 'cancelada')
+    const restantes = parcelas.filter(p => p.data > agora && p.status !== 'cancelada')
+
+    res.json({
+      success: true,
+      data: {
+        grupoId: transacao.parcelamento.grupoId,
+        descricao: removerRotuloParcela(parcelas[0]?.descricao || transacao.descricao),
+        valorCompra: transacao.parcelamento.valorCompra,
+        taxaJuros: transacao.parcelamento.taxaJuros,
+        totalParcelas: transacao.parcelamento.total,
+        valorTotal: parcelas.reduce((total, p) => total + p.valor, 0),
+        valorPago: pagas.reduce((total, p) => total + p.valor, 0),
+        valorRestante: restantes.reduce((total, p) => total + p.valor, 0),
+        parcelas
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar parcelas:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getParcelasFuturas = async (req, res) => {
+  try {
+    const { contaId } = req.query
+
+    const filtros = {
+      userId: new mongoose.Types.ObjectId(req.userId),
+      'parcelamento.grupoId': { $ne: null },
+      status: { $ne: 'cancelada' },
+      data: { $gt: new Date() }
+    }
+
+    if (contaId && mongoose.Types.ObjectId.isValid(contaId)) {
+      filtros.contaId = new mongoose.Types.ObjectId(contaId)
     }
 
+    const [porMes, compras] = await Promise.all([
+      Transaction.aggregate([
+        { $match: filtros },
+        Transaction.emMoedaBase(),
+        {
+          $group: {
+            _id: { ano: { $year: '$data' }, mes: { $month: '$data' } },
+            total: { $sum: '$valor' },
+            parcelas: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.ano': 1, '_id.mes': 1 } }
+      ]),
+      Transaction.aggregate([
+        { $match: filtros },
+        { $sort: { data: 1 } },
+        {
+          $group: {
+            _id: '$parcelamento.grupoId',
+            descricao: { $first: '$descricao' },
+            contaId: { $first: '$contaId' },
+            totalParcelas: { $first: '$parcelamento.total' },
+            proximaParcela: { $first: '$parcelamento.numero' },
+            proximaData: { $first: '$data' },
+            parcelasRestantes: { $sum: 1 },
+            moeda: { $first: '$moeda' },
+            valorRestante: { $sum: '$valor' },
+            valorRestanteConvertido: { $sum: { $ifNull: ['$conversao.valor', '$valor'] } }
+          }
+        },
+        { $sort: { proximaData: 1 } }
+      ])
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        porMes: porMes.map(m => ({
+          ano: m._id.ano,
+          mes: m._id.mes,
+          total: m.total,
+          parcelas: m.parcelas
+        })),
+        compras: compras.map(c => ({
+          grupoId: c._id,
+          descricao: removerRotuloParcela(c.descricao),
+          contaId: c.contaId,
+          totalParcelas: c.totalParcelas,
+          proximaParcela: c.proximaParcela,
+          proximaData: c.proximaData,
+          parcelasRestantes: c.parcelasRestantes,
+          moeda: c.moeda,
+          valorRestante: c.valorRestante,
+          valorRestanteConvertido: c.valorRestanteConvertido
+        })),
+        totalComprometido: porMes.reduce((total, m) => total + m.total, 0)
+      }
+    })
+
   } catch (err) {
-    console.error('Erro ao reverter impactos:', err)
+    console.error('Erro ao buscar parcelas futuras:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
   }
 }
 
-async function aplicarImpactos(transacao) {
+// Contas pendentes (a pagar e a receber): vencidas e as que vencem nos próximos dias
+exports.getPendentes = async (req, res) => {
   try {
-    // Aplicar orçamento
-    if (transacao.orcamentoId && transacao.tipo === 'despesa') {
-      await Budget.findOneAndUpdate(
-        { _id: transacao.orcamentoId },
-        { $inc: { valorGasto: transacao.valor } }
-      )
+    const { dias = 30, contaId, tipo } = req.query
+
+    const hoje = new Date()
+    hoje.setHours(0, 0, 0, 0)
+    const ate = new Date(hoje.getTime() + (parseInt(dias) + 1) * UM_DIA - 1)
+    const conta = contaId && mongoose.Types.ObjectId.isValid(contaId) ? contaId : null
+
+    const filtros = Transaction.semTransferencias({
+      userId: req.userId,
+      status: 'pendente',
+      data: { $lte: ate }
+    })
+    if (conta) filtros.contaId = conta
+    if (tipo) filtros.tipo = tipo
+
+    const [pendentes, resumo, moedaBase] = await Promise.all([
+      Transaction.find(filtros).sort({ data: 1 }).lean(),
+      transactionQueryService.resumirPendentes(req.userId, { ate, contaId: conta, tipo }),
+      currencyService.moedaBase(req.userId)
+    ])
+
+    const transacoes = pendentes.map(transacao => {
+      const vencimento = new Date(transacao.data)
+      vencimento.setHours(0, 0, 0, 0)
+      const diasParaVencimento = Math.round((vencimento - hoje) / UM_DIA)
+
+      return {
+        ...transacao,
+        valorConvertido: Transaction.valorNaMoedaBase(transacao),
+        vencida: diasParaVencimento < 0,
+        diasParaVencimento
+      }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        transacoes,
+        resumo: { moedaBase, ...resumo }
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar transações pendentes:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Confirmar uma pendente como paga/recebida, opcionalmente com outro valor ou data
+// O previsto fica guardado em confirmacao e os impactos passam a valer
+exports.confirmar = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const transacao = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Transaction.findOne({ _id: req.params.id, userId: req.userId })
+      : null
+
+    if (!transacao) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
     }
 
-    // Aplicar meta
-    if (transacao.metaId && transacao.tipo === 'receita') {
-      const meta = await Goal.findById(transacao.metaId)
-      if (meta) {
-        meta.adicionarContribuicao(transacao.valor, transacao.observacoes || '')
-        await meta.save()
+    if (transacao.status !== 'pendente') {
+      return res.status(400).json({ error: `Apenas transações pendentes podem ser confirmadas (status atual: ${transacao.status})` })
+    }
+
+    const { valor, data, divisoes } = req.body
+    const novoValor = valor !== undefined ? Number(valor) : transacao.valor
+    const novaData = data ? new Date(data) : transacao.data
+
+    if (transacao.divisoes?.length > 0 && novoValor !== transacao.valor) {
+      if (!divisoes) {
+        return res.status(400).json({ error: 'Envie as divisões junto com o novo valor' })
       }
+
+      const erroDivisoes = await validarDivisoes(req.userId, divisoes, { tipo: transacao.tipo, valor: novoValor })
+      if (erroDivisoes) {
+        return res.status(400).json({ error: erroDivisoes })
+      }
+      transacao.divisoes = divisoes
     }
 
-    // Aplicar estatísticas da categoria
-    const categoria = await Category.findOne({
-      $or: [
-        { userId: transacao.userId, nome: transacao.categoria },
-        { padrao: true, nome: transacao.categoria }
-      ]
+    const anterior = transactionHistoryService.capturar(transacao)
+
+    transacao.confirmacao = {
+      confirmadaEm: new Date(),
+      valorPrevisto: novoValor !== transacao.valor ? transacao.valor : null,
+      dataPrevista: novaData.getTime() !== transacao.data.getTime() ? transacao.data : null
+    }
+    transacao.valor = novoValor
+    transacao.data = novaData
+    transacao.status = 'confirmada'
+
+    // O validate recalcula a conversão quando valor ou data mudam
+    await transacao.save()
+
+    // Fatura, orçamento, meta, categorias e sugestões passam a contar a transação
+    await aplicarImpactos(transacao)
+    await transactionHistoryService.registrar([transacao], {
+      operacao: 'edicao',
+      autorId: req.userId,
+      anteriores: [anterior]
     })
-    
-    if (categoria) {
-      categoria.atualizarEstatisticas(transacao.valor, 'adicionar')
-      await categoria.save()
+
+    res.json({
+      success: true,
+      message: 'Transação confirmada com sucesso',
+      data: transacao
+    })
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: Object.values(err.errors).map(e => ({ field: e.path, message: e.message }))
+      })
+    }
+
+    console.error('Erro ao confirmar transação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Versões da transação; o histórico continua disponível depois da exclusão
+exports.getHistorico = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
+    }
+
+    const versoes = await transactionHistoryService.listar(req.userId, id)
+
+    if (versoes.length === 0 && !(await Transaction.exists({ _id: id, userId: req.userId }))) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
     }
 
+    res.json({
+      success: true,
+      data: versoes
+    })
+
   } catch (err) {
-    console.error('Erro ao aplicar impactos:', err)
+    console.error('Erro ao buscar histórico da transação:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
   }
 }
 
-async function criarTransacoesRecorrentes(transacaoOriginal) {
+// Desfazer a última alteração registrada: volta ao estado anterior a ela
+// (desfazer uma criação exclui a transação; desfazer uma exclusão a recria)
+exports.desfazer = async (req, res) => {
   try {
-    if (!transacaoOriginal.recorrente.ativo) return
+    const { id } = req.params
 
-    const proximaData = transacaoOriginal.calcularProximaData()
-    if (!proximaData) return
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
+    }
 
-    // Atualizar a transação original com a próxima data
-    await Transaction.findByIdAndUpdate(transacaoOriginal._id, {
-      'recorrente.proximaData': proximaData
+    const [ultima, atual] = await Promise.all([
+      transactionHistoryService.buscarVersao(req.userId, id),
+      Transaction.findOne({ _id: id, userId: req.userId })
+    ])
+
+    if (!ultima && !atual) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
+    }
+
+    if (!ultima) {
+      return res.status(400).json({ error: 'A transação não tem alterações registradas' })
+    }
+
+    // Desfazer seguidas vezes volta no histórico em vez de refazer o que foi desfeito
+    const registro = await transactionHistoryService.versaoParaDesfazer(ultima)
+    if (!registro) {
+      return res.status(400).json({
+        error: 'Não há mais alterações para desfazer',
+        sugestao: `Para voltar a uma versão específica, use /api/transactions/${id}/restaurar`
+      })
+    }
+
+    const erro = erroRestauracao(atual, registro.anterior)
+    if (erro) {
+      return res.status(400).json(erro)
+    }
+
+    const transacao = await transactionHistoryService.restaurar(atual, registro.anterior, {
+      autorId: req.userId,
+      versaoRestaurada: registro.versao - 1 || null,
+      versaoDesfeita: registro.versao
     })
 
-    // Verificar se deve criar a próxima transação (se está dentro do período)
-    const agora = new Date()
-    const umMesAFrente = new Date(agora.getFullYear(), agora.getMonth() + 1, agora.getDate())
-    
-    if (proximaData <= umMesAFrente && 
-        (!transacaoOriginal.recorrente.dataFim || proximaData <= transacaoOriginal.recorrente.dataFim)) {
-      
-      // Criar próxima transação recorrente
-      const novaTransacao = {
-        ...transacaoOriginal.toObject(),
-        _id: undefined,
-        data: proximaData,
-        observacoes: `${transacaoOriginal.observacoes || ''} (Recorrente)`.trim(),
-        criadoEm: new Date(),
-        atualizadoEm: new Date()
-      }
-      
-      await Transaction.create(novaTransacao)
+    // Exclusão de uma compra parcelada: as parcelas excluídas junto voltam também
+    const parcelas = await transactionHistoryService.exclusoesDoMesmoLote(registro)
+    for (const parcela of parcelas) {
+      await transactionHistoryService.restaurar(null, parcela.anterior, {
+        autorId: req.userId,
+        versaoRestaurada: parcela.versao - 1 || null,
+        versaoDesfeita: parcela.versao
+      })
+    }
+
+    let message = transacao
+      ? `Alteração da versão ${registro.versao} desfeita com sucesso`
+      : 'Criação desfeita: transação removida'
+    if (parcelas.length > 0) message += ` (${parcelas.length} outra(s) parcela(s) restaurada(s))`
+
+    res.json({
+      success: true,
+      message,
+      data: transacao
+    })
+
+  } catch (err) {
+    respostaErroRestauracao(res, err, 'Erro ao desfazer alteração da transação:')
+  }
+}
+
+// Restaurar a transação (mesmo excluída) para o estado de uma versão do histórico
+exports.restaurar = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { id } = req.params
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Transação não encontrada' })
+    }
+
+    const [versao, atual] = await Promise.all([
+      transactionHistoryService.buscarVersao(req.userId, id, parseInt(req.body.versao)),
+      Transaction.findOne({ _id: id, userId: req.userId })
+    ])
+
+    if (!versao) {
+      return res.status(404).json({ error: 'Versão não encontrada' })
     }
 
+    if (!versao.estado) {
+      return res.status(400).json({
+        error: 'Esta versão registra a exclusão da transação',
+        sugestao: 'Escolha uma versão anterior à exclusão'
+      })
+    }
+
+    if (atual && transactionHistoryService.diferencas(transactionHistoryService.capturar(atual), versao.estado).length === 0) {
+      return res.status(400).json({ error: 'A transação já está igual a esta versão' })
+    }
+
+    const erro = erroRestauracao(atual, versao.estado)
+    if (erro) {
+      return res.status(400).json(erro)
+    }
+
+    const transacao = await transactionHistoryService.restaurar(atual, versao.estado, {
+      autorId: req.userId,
+      versaoRestaurada: versao.versao
+    })
+
+    res.json({
+      success: true,
+      message: `Transação restaurada para a versão ${versao.versao}`,
+      data: transacao
+    })
+
   } catch (err) {
-    console.error('Erro ao criar transações recorrentes:', err)
+    respostaErroRestauracao(res, err, 'Erro ao restaurar versão da transação:')
   }
-}
\ No newline at end of file
+}
+
+// Funções auxiliares
+// Validar as linhas de uma transação dividida: soma, categorias e orçamentos do usuário
+// Retorna a mensagem de erro ou null
+async function validarDivisoes(userId, divisoes, { tipo, valor }) {
+  if (!Array.isArray(divisoes)) return 'Divisões devem ser uma lista'
+  if (divisoes.length === 0) return null
+
+  const erro = Transaction.validarDivisoes(divisoes, valor)
+  if (erro) return erro
+
+  for (const divisao of divisoes) {
+    const categoria = await Category.buscarPorNome(userId, divisao.categoria, { ativa: true })
+    if (!categoria) return `Categoria não encontrada: ${divisao.categoria}`
+
+    if (divisao.orcamentoId) {
+      if (tipo !== 'despesa') return 'Apenas despesas podem ser vinculadas a orçamentos'
+
+      const orcamento = mongoose.Types.ObjectId.isValid(divisao.orcamentoId)
+        ? await Budget.findOne({ _id: divisao.orcamentoId, userId })
+        : null
+      if (!orcamento) return 'Orçamento não encontrado'
+    }
+  }
+
+  return null
+}
+
+// Em transações divididas, valor e categorias só mudam junto com as divisões
+function alteracaoEmDividida(updates) {
+  if (updates.valor !== undefined) {
+    return 'Envie as divisões junto com o novo valor'
+  }
+
+  if (['categoria', 'subcategoria', 'orcamentoId'].some(campo => updates[campo] !== undefined)) {
+    return 'Altere categorias e orçamentos pelas divisões (ou envie divisoes: [] para desfazer a divisão)'
+  }
+
+  return null
+}
+
+// A moeda da transação não muda depois de criada: só contas da mesma moeda
+function erroTrocaDeMoeda(transacao, conta) {
+  if (!transacao.moeda || transacao.moeda === conta.moeda) return null
+  return `A conta ${conta.nome} usa ${conta.moeda} e a transação está em ${transacao.moeda}`
+}
+
+// Atualizações feitas sem passar pelo validate precisam recalcular a conversão
+function alteraConversao(alteracoes) {
+  return ['valor', 'data', 'moeda'].some(campo => alteracoes[campo] !== undefined)
+}
+
+async function resolverConta(userId, contaId) {
+  if (!contaId) return await Account.obterPadrao(userId)
+
+  if (!mongoose.Types.ObjectId.isValid(contaId)) return null
+
+  return await Account.findOne({ _id: contaId, userId, arquivada: false })
+}
+
+// Campos da compra que as parcelas restantes acompanham
+const CAMPOS_PROPAGADOS_PARCELAS = [
+  'categoria', 'subcategoria', 'contaId', 'metodoPagamento',
+  'orcamentoId', 'tags', 'observacoes', 'status'
+]
+
+function removerRotuloParcela(descricao) {
+  return descricao.replace(/\s*\(\d+\/\d+\)\s*$/, '').trim()
+}
+
+async function criarParcelas(dados, totalParcelas, taxaJuros) {
+  // A parcela 1 representa a compra e seu _id identifica o grupo
+  const grupoId = new mongoose.Types.ObjectId()
+
+  const parcelas = Transaction.gerarParcelas(dados, totalParcelas, taxaJuros).map((parcela, indice) => ({
+    ...parcela,
+    ...(indice === 0 && { _id: grupoId }),
+    parcelamento: { ...parcela.parcelamento, grupoId }
+  }))
+
+  let criadas
+  try {
+    criadas = await Transaction.insertMany(parcelas)
+  } catch (err) {
+    await Transaction.deleteMany({ userId: dados.userId, 'parcelamento.grupoId': grupoId })
+    throw err
+  }
+
+  // Orçamento, meta, categoria e fatura de cada parcela
+  for (const parcela of criadas) {
+    await aplicarImpactos(parcela)
+  }
+  await transactionHistoryService.registrar(criadas, { operacao: 'criacao', autorId: dados.userId })
+
+  return criadas
+}
+
+async function propagarParaParcelas(compra, updates) {
+  const hoje = new Date()
+  hoje.setHours(0, 0, 0, 0)
+
+  // Parcelas restantes: as que ainda não venceram
+  const restantes = await Transaction.find({
+    userId: compra.userId,
+    'parcelamento.grupoId': compra.parcelamento.grupoId,
+    'parcelamento.numero': { $gt: 1 },
+    data: { $gte: hoje },
+    // Parcelas conciliadas mantêm os valores do extrato
+    'conciliacao.conciliacaoId': null
+  })
+
+  const campos = {}
+  CAMPOS_PROPAGADOS_PARCELAS.forEach(campo => {
+    if (updates[campo] !== undefined) campos[campo] = compra[campo]
+  })
+
+  if (restantes.length === 0 || (Object.keys(campos).length === 0 && !updates.descricao)) {
+    return 0
+  }
+
+  const descricaoBase = removerRotuloParcela(compra.descricao)
+
+  for (const parcela of restantes) {
+    await reverterImpactos(parcela)
+
+    const atualizacao = { ...campos, atualizadoEm: new Date() }
+    if (updates.descricao) {
+      atualizacao.descricao = `${descricaoBase} (${parcela.parcelamento.numero}/${parcela.parcelamento.total})`
+    }
+
+    const atualizada = await Transaction.findByIdAndUpdate(parcela._id, atualizacao, { new: true })
+    await aplicarImpactos(atualizada)
+    await transactionHistoryService.registrar([atualizada], {
+      operacao: 'edicao',
+      autorId: compra.userId,
+      anteriores: [parcela]
+    })
+  }
+
+  return restantes.length
+}
+
+// Transferências e transações conciliadas não são restauradas pelo histórico
+function erroRestauracao(atual, alvo) {
+  if (atual?.transferenciaId) {
+    return {
+      error: 'Esta transação faz parte de uma transferência',
+      sugestao: `Edite a transferência em /api/transfers/${atual.transferenciaId}`
+    }
+  }
+
+  if (!atual && !alvo) {
+    return { error: 'A transação já está excluída' }
+  }
+
+  return atual ? Transaction.bloqueioDeConciliacao([atual], alvo) : null
+}
+
+function respostaErroRestauracao(res, err, mensagem) {
+  // Ex.: categoria ou cotação que deixou de existir desde a versão restaurada
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Dados inválidos',
+      detalhes: Object.values(err.errors).map(e => ({ field: e.path, message: e.message }))
+    })
+  }
+
+  // Ocorrência de recorrência gerada novamente na mesma data
+  if (err.code === 11000) {
+    return res.status(400).json({ error: 'Já existe uma ocorrência da recorrência nesta data' })
+  }
+
+  console.error(mensagem, err)
+  res.status(500).json({ error: 'Erro interno do servidor' })
+}
@@ -0,0 +1,383 @@
+const Transaction = require('../models/Transaction')
+const Account = require('../models/Account')
+const Invoice = require('../models/Invoice')
+const currencyService = require('../services/currencyService')
+const trashService = require('../services/trashService')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+// Montar a visão de uma transferência a partir das suas duas pernas
+function montarTransferencia(debito, credito, contas = {}) {
+  return {
+    _id: debito.transferenciaId,
+    descricao: debito.descricao,
+    valor: debito.valor,
+    data: debito.data,
+    observacoes: debito.observacoes,
+    contaOrigem: contas[debito.contaId?.toString()] || debito.contaId,
+    contaDestino: credito ? (contas[credito.contaId?.toString()] || credito.contaId) : null,
+    transacoes: {
+      debito: debito._id,
+      credito: credito?._id || null
+    }
+  }
+}
+
+async function buscarPernas(userId, transferenciaId) {
+  if (!mongoose.Types.ObjectId.isValid(transferenciaId)) return {}
+
+  const pernas = await Transaction.find({ userId, transferenciaId })
+
+  return {
+    debito: pernas.find(p => p.tipo === 'despesa'),
+    credito: pernas.find(p => p.tipo === 'receita')
+  }
+}
+
+// Compensação de uma gravação que falhou no meio; uma falha aqui só é registrada,
+// para que a resposta traga o erro original
+async function desfazer(operacao, compensar) {
+  try {
+    await compensar()
+  } catch (err) {
+    console.error(`Erro ao desfazer a ${operacao} da transferência:`, err)
+  }
+}
+
+async function buscarContaAtiva(userId, contaId) {
+  if (!mongoose.Types.ObjectId.isValid(contaId)) return null
+  return await Account.findOne({ _id: contaId, userId, arquivada: false })
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, contaId, dataInicio, dataFim } = req.query
+
+    // A listagem é feita pelas pernas de débito (uma por transferência)
+    const filtros = {
+      userId: req.userId,
+      transferenciaId: { $ne: null },
+      tipo: 'despesa'
+    }
+
+    if (dataInicio || dataFim) {
+      filtros.data = {}
+      if (dataInicio) filtros.data.$gte = new Date(dataInicio)
+      if (dataFim) filtros.data.$lte = new Date(dataFim)
+    }
+
+    if (contaId) {
+      // Transferências em que a conta aparece como origem ou destino
+      const grupos = await Transaction.distinct('transferenciaId', {
+        userId: req.userId,
+        contaId,
+        transferenciaId: { $ne: null }
+      })
+      filtros.transferenciaId = { $in: grupos }
+    }
+
+    const pageNum = parseInt(page)
+    const limitNum = parseInt(limit)
+    const skip = (pageNum - 1) * limitNum
+
+    const [debitos, total] = await Promise.all([
+      Transaction.find(filtros)
+        .sort({ data: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Transaction.countDocuments(filtros)
+    ])
+
+    const creditos = await Transaction.find({
+      userId: req.userId,
+      transferenciaId: { $in: debitos.map(d => d.transferenciaId) },
+      tipo: 'receita'
+    }).lean()
+
+    const contas = await Account.find({ userId: req.userId })
+      .select('nome tipo moeda')
+      .lean()
+    const contasPorId = Object.fromEntries(contas.map(c => [c._id.toString(), c]))
+
+    const transferencias = debitos.map(debito => montarTransferencia(
+      debito,
+      creditos.find(c => c.transferenciaId.equals(debito.transferenciaId)),
+      contasPorId
+    ))
+
+    res.json({
+      success: true,
+      data: {
+        transferencias,
+        paginacao: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum
+        }
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar transferências:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.getById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { debito, credito } = await buscarPernas(req.userId, id)
+
+    if (!debito) {
+      return res.status(404).json({ error: 'Transferência não encontrada' })
+    }
+
+    const contas = await Account.find({
+      _id: { $in: [debito.contaId, credito?.contaId].filter(Boolean) }
+    }).select('nome tipo moeda').lean()
+    const contasPorId = Object.fromEntries(contas.map(c => [c._id.toString(), c]))
+
+    res.json({
+      success: true,
+      data: montarTransferencia(debito, credito, contasPorId)
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar transferência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.create = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { contaOrigemId, contaDestinoId, valor, data, descricao, observacoes } = req.body
+
+    if (String(contaOrigemId) === String(contaDestinoId)) {
+      return res.status(400).json({ error: 'Conta de origem e destino devem ser diferentes' })
+    }
+
+    const [contaOrigem, contaDestino] = await Promise.all([
+      buscarContaAtiva(req.userId, contaOrigemId),
+      buscarContaAtiva(req.userId, contaDestinoId)
+    ])
+
+    if (!contaOrigem) {
+      return res.status(400).json({ error: 'Conta de origem não encontrada' })
+    }
+    if (!contaDestino) {
+      return res.status(400).json({ error: 'Conta de destino não encontrada' })
+    }
+
+    const erroMoeda = await currencyService.validarTransferencia(req.userId, contaOrigem, contaDestino)
+    if (erroMoeda) {
+      return res.status(400).json({ error: erroMoeda })
+    }
+
+    const pernas = await Transaction.criarTransferencia({
+      userId: req.userId,
+      contaOrigem,
+      contaDestino,
+      valor,
+      data,
+      descricao,
+      observacoes
+    })
+
+    const contasPorId = Object.fromEntries(
+      [contaOrigem, contaDestino].map(c => [c._id.toString(), { _id: c._id, nome: c.nome, tipo: c.tipo, moeda: c.moeda }])
+    )
+
+    res.status(201).json({
+      success: true,
+      message: 'Transferência criada com sucesso',
+      data: montarTransferencia(pernas[0], pernas[1], contasPorId)
+    })
+
+  } catch (err) {
+    console.error('Erro ao criar transferência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.update = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { id } = req.params
+    const { contaOrigemId, contaDestinoId, valor, data, descricao, observacoes } = req.body
+
+    const { debito, credito } = await buscarPernas(req.userId, id)
+
+    if (!debito || !credito) {
+      return res.status(404).json({ error: 'Transferência não encontrada' })
+    }
+
+    const origemFinal = contaOrigemId || debito.contaId
+    const destinoFinal = contaDestinoId || credito.contaId
+
+    if (String(origemFinal) === String(destinoFinal)) {
+      return res.status(400).json({ error: 'Conta de origem e destino devem ser diferentes' })
+    }
+
+    const bloqueio = Transaction.bloqueioDeConciliacao([debito], { valor, data, contaId: origemFinal }) ||
+      Transaction.bloqueioDeConciliacao([credito], { valor, data, contaId: destinoFinal })
+    if (bloqueio) {
+      return res.status(400).json(bloqueio)
+    }
+
+    if (contaOrigemId && !(await buscarContaAtiva(req.userId, contaOrigemId))) {
+      return res.status(400).json({ error: 'Conta de origem não encontrada' })
+    }
+    if (contaDestinoId && !(await buscarContaAtiva(req.userId, contaDestinoId))) {
+      return res.status(400).json({ error: 'Conta de destino não encontrada' })
+    }
+
+    // Campos compartilhados pelas duas pernas
+    const comum = { atualizadoEm: new Date() }
+    if (valor !== undefined) comum.valor = valor
+    if (data !== undefined) comum.data = new Date(data)
+    if (descricao !== undefined) comum.descricao = descricao.trim()
+    if (observacoes !== undefined) comum.observacoes = observacoes
+
+    if (contaOrigemId || contaDestinoId) {
+      const [contaOrigem, contaDestino] = await Promise.all([
+        Account.findOne({ _id: origemFinal, userId: req.userId }),
+        Account.findOne({ _id: destinoFinal, userId: req.userId })
+      ])
+
+      const erroMoeda = await currencyService.validarTransferencia(req.userId, contaOrigem, contaDestino)
+      if (erroMoeda) {
+        return res.status(400).json({ error: erroMoeda })
+      }
+      comum.moeda = contaOrigem.moeda
+    }
+
+    // O bulkWrite não passa pelo validate: a conversão (igual nas duas pernas) é calculada
+    // antes, para que nada seja gravado se faltar cotação
+    if (['valor', 'data', 'moeda'].some(campo => comum[campo] !== undefined)) {
+      const moeda = comum.moeda !== undefined ? comum.moeda : debito.moeda
+      comum.conversao = await Transaction.calcularConversao(req.userId, {
+        valor: comum.valor !== undefined ? comum.valor : debito.valor,
+        data: comum.data || debito.data,
+        moeda
+      })
+
+      if (!comum.conversao) {
+        return res.status(400).json({ error: `Nenhuma cotação cadastrada para converter ${moeda} na moeda base` })
+      }
+    }
+
+    // O lote das duas pernas não é atômico: se uma gravação ou a sincronização da fatura
+    // falhar, as pernas e o pagamento voltam ao estado anterior
+    try {
+      await Transaction.bulkWrite([
+        {
+          updateOne: {
+            filter: { _id: debito._id, userId: req.userId },
+            update: { $set: { ...comum, contaId: origemFinal } }
+          }
+        },
+        {
+          updateOne: {
+            filter: { _id: credito._id, userId: req.userId },
+            update: { $set: { ...comum, contaId: destinoFinal } }
+          }
+        }
+      ], { ordered: true })
+
+      // Manter o pagamento de fatura (se houver) com o mesmo valor e data
+      await Invoice.sincronizarPagamento(req.userId, debito.transferenciaId, {
+        valor: comum.valor,
+        data: comum.data
+      })
+    } catch (err) {
+      await desfazer('atualização', async () => {
+        await Transaction.restaurarPernas([debito, credito])
+        await Invoice.sincronizarPagamento(req.userId, debito.transferenciaId, {
+          valor: debito.valor,
+          data: debito.data
+        })
+      })
+      throw err
+    }
+
+    const atualizadas = await buscarPernas(req.userId, id)
+
+    res.json({
+      success: true,
+      message: 'Transferência atualizada com sucesso',
+      data: montarTransferencia(atualizadas.debito, atualizadas.credito)
+    })
+
+  } catch (err) {
+    console.error('Erro ao atualizar transferência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+exports.remove = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Transferência não encontrada' })
+    }
+
+    // As duas pernas são removidas juntas
+    const filtro = { userId: req.userId, transferenciaId: id }
+
+    const pernas = await Transaction.find(filtro)
+    if (pernas.length === 0) {
+      return res.status(404).json({ error: 'Transferência não encontrada' })
+    }
+
+    const bloqueio = Transaction.bloqueioDeConciliacao(pernas)
+    if (bloqueio) {
+      return res.status(400).json(bloqueio)
+    }
+
+    // Exclusão, lixeira e fatura não são atômicas: se uma etapa falhar, as pernas voltam e
+    // saem da lixeira. A fatura é a última etapa, então uma falha nela não alterou o pagamento
+    let itens = []
+    try {
+      await Transaction.deleteMany(filtro)
+
+      // As pernas vão para a lixeira com os anexos
+      itens = await trashService.moverTransferencias(pernas)
+
+      await Invoice.sincronizarPagamento(req.userId, new mongoose.Types.ObjectId(id))
+    } catch (err) {
+      await desfazer('remoção', async () => {
+        await Transaction.restaurarPernas(pernas)
+        await trashService.desfazerMovimento(itens)
+      })
+      throw err
+    }
+
+    res.json({
+      success: true,
+      message: 'Transferência removida com sucesso'
+    })
+
+  } catch (err) {
+    console.error('Erro ao remover transferência:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
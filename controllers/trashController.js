@@ -0,0 +1,154 @@
+const TrashItem = require('../models/TrashItem')
+const trashService = require('../services/trashService')
+const { validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+
+async function buscarItem(userId, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null
+  return await TrashItem.findOne({ _id: id, userId })
+}
+
+exports.getAll = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const { tipo, page = 1, limit = 50 } = req.query
+
+    const filtros = { userId: req.userId }
+    if (tipo) filtros.tipo = tipo
+
+    const skip = (page - 1) * limit
+
+    const [itens, total, porTipo] = await Promise.all([
+      TrashItem.find(filtros)
+        .sort({ excluidoEm: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      TrashItem.countDocuments(filtros),
+      TrashItem.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(req.userId) } },
+        { $group: { _id: '$tipo', quantidade: { $sum: 1 } } }
+      ])
+    ])
+
+    res.json({
+      success: true,
+      data: itens,
+      resumo: {
+        retencaoDias: TrashItem.RETENCAO_DIAS,
+        porTipo: porTipo.reduce((mapa, grupo) => ({ ...mapa, [grupo._id]: grupo.quantidade }), {})
+      },
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: itens.length,
+        totalRecords: total
+      }
+    })
+
+  } catch (err) {
+    console.error('Erro ao buscar lixeira:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Restaurar um item; transações voltam a contar em orçamentos, metas e categorias
+exports.restaurar = async (req, res) => {
+  try {
+    const item = await buscarItem(req.userId, req.params.id)
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item não encontrado na lixeira' })
+    }
+
+    // Parcelas da mesma compra (e pernas da mesma transferência) voltam todas juntas
+    const grupo = await trashService.grupoDoItem(item)
+
+    const conflito = await trashService.conflitoNoGrupo(grupo)
+    if (conflito) {
+      return res.status(400).json({ error: conflito })
+    }
+
+    const restaurado = grupo.length > 1
+      ? await trashService.restaurarGrupo(grupo, req.userId)
+      : await trashService.restaurar(item, req.userId)
+
+    res.json({
+      success: true,
+      message: grupo.length > 1
+        ? `"${item.descricao}" restaurado da lixeira com os outros ${grupo.length - 1} item(ns) do grupo`
+        : `"${item.descricao}" restaurado da lixeira`,
+      data: { tipo: item.tipo, documento: restaurado }
+    })
+
+  } catch (err) {
+    // Ex.: transação em moeda sem cotação para a moeda base atual
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: Object.values(err.errors).map(e => ({ field: e.path, message: e.message }))
+      })
+    }
+
+    console.error('Erro ao restaurar item da lixeira:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Apagar um item de vez
+exports.remove = async (req, res) => {
+  try {
+    const item = await buscarItem(req.userId, req.params.id)
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item não encontrado na lixeira' })
+    }
+
+    await trashService.purgar([item])
+
+    res.json({
+      success: true,
+      message: 'Item apagado definitivamente'
+    })
+
+  } catch (err) {
+    console.error('Erro ao apagar item da lixeira:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
+
+// Esvaziar a lixeira (toda ou de um tipo)
+exports.esvaziar = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Dados inválidos',
+        detalhes: errors.array()
+      })
+    }
+
+    const filtros = { userId: req.userId }
+    if (req.query.tipo) filtros.tipo = req.query.tipo
+
+    const itens = await TrashItem.find(filtros).select(trashService.camposAnexos).lean()
+    const apagados = await trashService.purgar(itens)
+
+    res.json({
+      success: true,
+      message: `${apagados} item(ns) apagado(s) definitivamente`,
+      data: { deletedCount: apagados }
+    })
+
+  } catch (err) {
+    console.error('Erro ao esvaziar lixeira:', err)
+    res.status(500).json({ error: 'Erro interno do servidor' })
+  }
+}
@@ -2,7 +2,9 @@ const User = require('../models/User')
 const Transaction = require('../models/Transaction')
 const Budget = require('../models/Budget')
 const Goal = require('../models/Goal')
+const attachmentService = require('../services/attachmentService')
 const bcrypt = require('bcrypt')
+const mongoose = require('mongoose')
 const { validationResult } = require('express-validator')
 
 exports.getMe = async (req, res) => {
@@ -23,11 +25,12 @@ exports.getMe = async (req, res) => {
       Goal.countDocuments({ userId: req.userId }),
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: user._id,
             data: { $gte: inicioMes }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -246,6 +249,8 @@ exports.deleteAccount = async (req, res) => {
       User.deleteOne({ _id: req.userId })
     ])
 
+    await attachmentService.removerDoUsuario(req.userId)
+
     res.json({
       success: true,
       message: 'Conta excluída com sucesso'
@@ -287,6 +292,9 @@ exports.getEstatisticasGerais = async (req, res) => {
         break
     }
 
+    // O aggregate não converte o id recebido como texto
+    const userId = new mongoose.Types.ObjectId(req.userId)
+
     // Buscar estatísticas em paralelo
     const [
       transacoes,
@@ -298,11 +306,12 @@ exports.getEstatisticasGerais = async (req, res) => {
       // Resumo de transações
       Transaction.aggregate([
         {
-          $match: {
-            userId: req.userId,
+          $match: Transaction.realizadas({
+            userId,
             data: { $gte: dataInicio, $lte: dataFim }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -326,14 +335,15 @@ exports.getEstatisticasGerais = async (req, res) => {
         status: 'ativa'
       }),
 
-      // Categorias mais usadas
+      // Categorias mais usadas (transações divididas contam em cada categoria das linhas)
       Transaction.aggregate([
         {
-          $match: {
-            userId: req.userId,
+          $match: Transaction.realizadas({
+            userId,
             data: { $gte: dataInicio, $lte: dataFim }
-          }
+          })
         },
+        ...Transaction.expandirDivisoes(),
         {
           $group: {
             _id: '$categoria',
@@ -348,11 +358,12 @@ exports.getEstatisticasGerais = async (req, res) => {
       // Evolução mensal
       Transaction.aggregate([
         {
-          $match: {
-            userId: req.userId,
+          $match: Transaction.realizadas({
+            userId,
             data: { $gte: dataInicio, $lte: dataFim }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: {
@@ -0,0 +1,26 @@
+// middleware/upload.js
+const multer = require('multer')
+const attachmentService = require('../services/attachmentService')
+
+// Extratos bancários: processados em memória, sem gravar o arquivo no servidor
+const uploadExtrato = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  }
+}).single('arquivo')
+
+// Anexos de transações: tipo e conteúdo são conferidos pelo serviço de anexos
+const uploadAnexo = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentService.tamanhoMaximo,
+    files: 1
+  }
+}).single('arquivo')
+
+module.exports = {
+  uploadExtrato,
+  uploadAnexo
+}
@@ -334,7 +334,17 @@ const updateProfileValidation = [
   body('configuracoes.notificacoes.metas')
     .optional()
     .isBoolean()
-    .withMessage('Configuração de metas deve ser booleana')
+    .withMessage('Configuração de metas deve ser booleana'),
+
+  body('configuracoes.notificacoes.vencimentos')
+    .optional()
+    .isBoolean()
+    .withMessage('Configuração de vencimentos deve ser booleana'),
+
+  body('configuracoes.notificacoes.diasAntesVencimento')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Dias antes do vencimento devem estar entre 0 e 30')
 ]
 
 const changePasswordValidation = [
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose')
+
+const accountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome da conta é obrigatório'],
+    trim: true,
+    maxlength: [50, 'Nome não pode ter mais de 50 caracteres']
+  },
+  tipo: {
+    type: String,
+    enum: ['corrente', 'poupanca', 'carteira', 'cartao_credito', 'investimento', 'outro'],
+    required: [true, 'Tipo é obrigatório'],
+    default: 'corrente'
+  },
+  instituicao: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Instituição não pode ter mais de 100 caracteres'],
+    default: null
+  },
+  saldoInicial: {
+    type: Number,
+    default: 0
+  },
+  moeda: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'BRL',
+    match: [/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras']
+  },
+  // Configuração do ciclo de faturamento (apenas contas cartao_credito)
+  cartao: {
+    diaFechamento: {
+      type: Number,
+      min: [1, 'Dia de fechamento deve estar entre 1 e 31'],
+      max: [31, 'Dia de fechamento deve estar entre 1 e 31'],
+      default: null
+    },
+    diaVencimento: {
+      type: Number,
+      min: [1, 'Dia de vencimento deve estar entre 1 e 31'],
+      max: [31, 'Dia de vencimento deve estar entre 1 e 31'],
+      default: null
+    },
+    limite: {
+      type: Number,
+      min: [0, 'Limite não pode ser negativo'],
+      default: null
+    }
+  },
+  cor: {
+    type: String,
+    default: '#007AFF',
+    match: [/^#[0-9A-F]{6}$/i, 'Cor deve estar em formato hexadecimal']
+  },
+  icone: {
+    type: String,
+    default: 'wallet'
+  },
+  arquivada: {
+    type: Boolean,
+    default: false
+  },
+  padrao: {
+    type: Boolean,
+    default: false // conta usada quando a transação não informa contaId
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+// Índices
+accountSchema.index({ userId: 1, arquivada: 1 })
+accountSchema.index({ userId: 1, nome: 1 })
+// Uma única conta padrão por usuário (impede duas criadas ao mesmo tempo por obterPadrao)
+accountSchema.index({ userId: 1, padrao: 1 }, { unique: true, partialFilterExpression: { padrao: true } })
+
+// Middleware para atualizar atualizadoEm
+accountSchema.pre('save', function(next) {
+  this.atualizadoEm = Date.now()
+  next()
+})
+
+// Buscar (ou criar) a conta padrão do usuário
+accountSchema.statics.obterPadrao = async function(userId) {
+  const existente = await this.findOne({ userId, padrao: true })
+  if (existente) return existente
+
+  const usuario = await mongoose.model('User').findById(userId).select('configuracoes.moeda').lean()
+
+  try {
+    return await this.create({
+      userId,
+      nome: 'Principal',
+      tipo: 'corrente',
+      moeda: usuario?.configuracoes?.moeda || 'BRL',
+      padrao: true
+    })
+  } catch (error) {
+    // Criada ao mesmo tempo por outra requisição
+    if (error.code === 11000) {
+      return await this.findOne({ userId, padrao: true })
+    }
+    throw error
+  }
+}
+
+// Calcular o saldo de cada conta até uma data (inclusive)
+// Retorna um mapa { contaId: saldo } considerando apenas transações confirmadas
+accountSchema.statics.calcularSaldos = async function(userId, contas, ateData = null) {
+  const Transaction = mongoose.model('Transaction')
+
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId),
+    contaId: { $in: contas.map(conta => conta._id) },
+    status: 'confirmada'
+  }
+  if (ateData) match.data = { $lte: ateData }
+
+  const movimentos = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$contaId',
+        receitas: {
+          $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] }
+        },
+        despesas: {
+          $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] }
+        }
+      }
+    }
+  ])
+
+  const saldos = {}
+  contas.forEach(conta => {
+    saldos[conta._id.toString()] = conta.saldoInicial || 0
+  })
+  movimentos.forEach(mov => {
+    saldos[mov._id.toString()] += mov.receitas - mov.despesas
+  })
+
+  return saldos
+}
+
+// Pendentes de cada conta (valores na moeda da conta), para projetar o saldo
+// Retorna um mapa { contaId: { receitas, despesas } }
+accountSchema.statics.calcularPendentes = async function(userId, contas, ateData = null) {
+  const Transaction = mongoose.model('Transaction')
+
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId),
+    contaId: { $in: contas.map(conta => conta._id) },
+    status: 'pendente'
+  }
+  if (ateData) match.data = { $lte: ateData }
+
+  const movimentos = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$contaId',
+        receitas: {
+          $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] }
+        },
+        despesas: {
+          $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] }
+        }
+      }
+    }
+  ])
+
+  const pendentes = {}
+  contas.forEach(conta => {
+    pendentes[conta._id.toString()] = { receitas: 0, despesas: 0 }
+  })
+  movimentos.forEach(mov => {
+    pendentes[mov._id.toString()] = { receitas: mov.receitas, despesas: mov.despesas }
+  })
+
+  return pendentes
+}
+
+// Limite disponível dos cartões de crédito ativos do usuário
+// O saldo de um cartão é negativo enquanto houver compras não pagas
+accountSchema.statics.calcularCreditoDisponivel = async function(userId) {
+  const cartoes = await this.find({
+    userId,
+    tipo: 'cartao_credito',
+    arquivada: false
+  }).lean()
+
+  if (cartoes.length === 0) return []
+
+  const saldos = await this.calcularSaldos(userId, cartoes)
+
+  return cartoes.map(cartao => {
+    const limite = cartao.cartao?.limite || 0
+    const utilizado = Math.max(0, -saldos[cartao._id.toString()])
+
+    return {
+      contaId: cartao._id,
+      nome: cartao.nome,
+      moeda: cartao.moeda,
+      limite,
+      utilizado,
+      disponivel: Math.max(0, limite - utilizado)
+    }
+  })
+}
+
+// Saldo de uma única conta até uma data
+accountSchema.methods.calcularSaldo = async function(ateData = null) {
+  const saldos = await this.constructor.calcularSaldos(this.userId, [this], ateData)
+  return saldos[this._id.toString()]
+}
+
+module.exports = mongoose.model('Account', accountSchema)
@@ -29,6 +29,12 @@ const budgetSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Moeda base do usuário na criação (limite e gasto usam os valores convertidos)
+  moeda: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras']
+  },
   periodo: {
     type: String,
     enum: ['semanal', 'mensal', 'trimestral', 'semestral', 'anual', 'personalizado'],
@@ -196,6 +202,18 @@ budgetSchema.virtual('vencido').get(function() {
   return new Date() > this.dataFim
 })
 
+budgetSchema.pre('validate', async function(next) {
+  try {
+    if (!this.moeda) {
+      const usuario = await mongoose.model('User').findById(this.userId).select('configuracoes.moeda').lean()
+      this.moeda = usuario?.configuracoes?.moeda || 'BRL'
+    }
+    next()
+  } catch (err) {
+    next(err)
+  }
+})
+
 // Middleware para atualizar status automaticamente
 budgetSchema.pre('save', function(next) {
   const agora = new Date()
@@ -265,7 +283,7 @@ budgetSchema.methods.renovar = function() {
   // 🆕 Rollover: transferir saldo restante
   if (this.configuracoes?.renovacao?.rollover && this.valorRestante > 0) {
     novoLimite += this.valorRestante
-    console.log(`Rollover aplicado: +R$ ${this.valorRestante.toFixed(2)}`)
+    console.log(`Rollover aplicado: +${this.valorRestante.toFixed(2)} ${this.moeda || 'BRL'}`)
   }
   
   // 🆕 Ajuste automático baseado no histórico
@@ -385,7 +403,7 @@ budgetSchema.statics.getResumo = async function(userId) {
   return await this.aggregate([
     {
       $match: {
-        userId: mongoose.Types.ObjectId(userId)
+        userId: new mongoose.Types.ObjectId(userId)
       }
     },
     {
@@ -485,7 +503,7 @@ budgetSchema.statics.estatisticasRenovacao = async function(userId) {
   return await this.aggregate([
     {
       $match: {
-        userId: mongoose.Types.ObjectId(userId),
+        userId: new mongoose.Types.ObjectId(userId),
         ultimaRenovacao: { $gte: trintaDiasAtras }
       }
     },
@@ -80,57 +80,39 @@ categorySchema.pre('save', function(next) {
 })
 
 // Método para adicionar subcategoria
-categorySchema.methods.adicionarSubcategoria = function(subcategoria) {
-  this.subcategorias.push(subcategoria)
-  return this.save()
+categorySchema.methods.adicionarSubcategoria = function(nome, icone = null, cor = null) {
+  this.subcategorias.push({
+    nome,
+    icone: icone || this.icone,
+    cor: cor || this.cor,
+    ativa: true
+  })
+  return this
 }
 
 // Método para remover subcategoria
 categorySchema.methods.removerSubcategoria = function(subcategoriaId) {
-  this.subcategorias.id(subcategoriaId).remove()
-  return this.save()
+  this.subcategorias.pull(subcategoriaId)
+  return this
 }
 
-// Método para atualizar estatísticas
-categorySchema.methods.atualizarEstatisticas = async function() {
-  const Transaction = mongoose.model('Transaction')
-  
-  const stats = await Transaction.aggregate([
-    {
-      $match: {
-        categoria: this._id,
-        userId: this.userId
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalTransacoes: { $sum: 1 },
-        totalValor: { $sum: '$valor' },
-        ultimaTransacao: { $max: '$data' }
-      }
-    }
-  ])
+// Método para atualizar estatísticas de forma incremental
+categorySchema.methods.atualizarEstatisticas = function(valor, operacao = 'adicionar') {
+  const sinal = operacao === 'remover' ? -1 : 1
+  const estatisticas = this.estatisticas || {}
 
-  if (stats.length > 0) {
-    this.estatisticas = {
-      totalTransacoes: stats[0].totalTransacoes || 0,
-      totalValor: stats[0].totalValor || 0,
-      ultimaTransacao: stats[0].ultimaTransacao
-    }
-  } else {
-    this.estatisticas = {
-      totalTransacoes: 0,
-      totalValor: 0,
-      ultimaTransacao: null
-    }
+  this.estatisticas = {
+    totalTransacoes: Math.max(0, (estatisticas.totalTransacoes || 0) + sinal),
+    totalValor: Math.max(0, (estatisticas.totalValor || 0) + sinal * valor),
+    ultimaTransacao: sinal > 0 ? new Date() : estatisticas.ultimaTransacao
   }
 
-  return this.save()
+  return this
 }
 
-// Método estático para criar categorias padrão para um usuário
-categorySchema.statics.criarCategoriasPadrao = async function(userId) {
+// Método estático para criar categorias padrão
+// Sem userId cria as categorias do sistema; com userId cria a cópia do usuário
+categorySchema.statics.criarCategoriasPadrao = async function(userId = null) {
   const categoriasPadrao = [
     // Categorias de Receita
     {
@@ -286,13 +268,15 @@ categorySchema.statics.criarCategoriasPadrao = async function(userId) {
     // Verificar se já existem categorias para este usuário
     const existentes = await this.countDocuments({ userId })
     if (existentes > 0) {
-      console.log('⚠️ Usuário já possui categorias, pulando criação das padrão')
+      console.log(userId
+        ? '⚠️ Usuário já possui categorias, pulando criação das padrão'
+        : '⚠️ Categorias padrão do sistema já existem')
       return
     }
 
     // Criar todas as categorias
     const categoriasCriadas = await this.insertMany(categoriasPadrao)
-    console.log(`✅ ${categoriasCriadas.length} categorias padrão criadas para usuário ${userId}`)
+    console.log(`✅ ${categoriasCriadas.length} categorias padrão criadas para ${userId ? `usuário ${userId}` : 'o sistema'}`)
     
     return categoriasCriadas
   } catch (error) {
@@ -301,6 +285,30 @@ categorySchema.statics.criarCategoriasPadrao = async function(userId) {
   }
 }
 
+// Método estático para buscar categoria pelo nome, priorizando a do usuário
+// sobre a categoria padrão do sistema
+categorySchema.statics.buscarPorNome = async function(userId, nome, filtrosExtras = {}) {
+  const categoriaUsuario = await this.findOne({ userId, nome, ...filtrosExtras })
+  if (categoriaUsuario) return categoriaUsuario
+
+  return this.findOne({ padrao: true, userId: null, nome, ...filtrosExtras })
+}
+
+// Método estático para combinar categorias do usuário com as do sistema,
+// mantendo apenas a do usuário quando ambas têm o mesmo nome
+categorySchema.statics.mesclarComPadrao = function(categorias) {
+  const porNome = new Map()
+
+  categorias.forEach(categoria => {
+    const existente = porNome.get(categoria.nome)
+    if (!existente || (!existente.userId && categoria.userId)) {
+      porNome.set(categoria.nome, categoria)
+    }
+  })
+
+  return categorias.filter(categoria => porNome.get(categoria.nome) === categoria)
+}
+
 // Método estático para buscar categorias por tipo
 categorySchema.statics.buscarPorTipo = function(userId, tipo) {
   const query = { 
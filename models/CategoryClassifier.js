@@ -0,0 +1,50 @@
+const mongoose = require('mongoose')
+
+// Contagens do classificador de categorias de um usuário (Naive Bayes)
+// Um documento por tipo + categoria + subcategoria, com a frequência de cada
+// característica (palavras da descrição, faixa de valor e método de pagamento)
+const categoryClassifierSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tipo: {
+    type: String,
+    enum: ['receita', 'despesa'],
+    required: true
+  },
+  categoria: {
+    type: String,
+    required: true
+  },
+  subcategoria: {
+    type: String,
+    default: null
+  },
+  documentos: {
+    type: Number,
+    default: 0 // transações usadas no treino
+  },
+  totalCaracteristicas: {
+    type: Number,
+    default: 0
+  },
+  caracteristicas: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Preenchido no treino com o histórico completo; ausente nos documentos criados
+  // apenas pelo treino incremental (transações novas)
+  treinadoEm: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+categoryClassifierSchema.index({ userId: 1, tipo: 1, categoria: 1, subcategoria: 1 }, { unique: true })
+
+module.exports = mongoose.model('CategoryClassifier', categoryClassifierSchema)
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose')
+const { validarRegex, testarRegex } = require('../utils/regexSeguro')
+
+const METODOS_PAGAMENTO = ['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque']
+
+const OPERADORES_DESCRICAO = ['contem', 'igual', 'comeca_com', 'termina_com', 'regex']
+
+function normalizarTexto(texto) {
+  return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim()
+}
+
+const categoryRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome da regra é obrigatório'],
+    trim: true,
+    maxlength: [60, 'Nome não pode ter mais de 60 caracteres']
+  },
+  ativa: {
+    type: Boolean,
+    default: true
+  },
+  // Menor número = maior prioridade
+  prioridade: {
+    type: Number,
+    default: 0
+  },
+  // Impede que regras de menor prioridade preencham os campos restantes ou acrescentem tags
+  pararProcessamento: {
+    type: Boolean,
+    default: false
+  },
+  // Todas as condições informadas precisam ser atendidas
+  condicoes: {
+    descricao: {
+      operador: {
+        type: String,
+        enum: OPERADORES_DESCRICAO,
+        default: 'contem'
+      },
+      valor: { type: String, trim: true, default: null },
+      diferenciarMaiusculas: { type: Boolean, default: false } // sem isso, ignora também acentos
+    },
+    tipo: {
+      type: String,
+      enum: ['receita', 'despesa', null],
+      default: null
+    },
+    valorMin: { type: Number, default: null },
+    valorMax: { type: Number, default: null },
+    metodosPagamento: [{
+      type: String,
+      enum: METODOS_PAGAMENTO
+    }],
+    contaIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    }]
+  },
+  acoes: {
+    categoria: { type: String, trim: true, default: null },
+    subcategoria: { type: String, trim: true, default: null },
+    tags: [{ type: String, trim: true }],
+    orcamentoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget',
+      default: null
+    },
+    metaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal',
+      default: null
+    }
+  },
+  estatisticas: {
+    aplicacoes: { type: Number, default: 0 },
+    ultimaAplicacao: { type: Date, default: null }
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+categoryRuleSchema.index({ userId: 1, ativa: 1, prioridade: 1 })
+categoryRuleSchema.index({ userId: 1, nome: 1 }, { unique: true })
+
+categoryRuleSchema.pre('validate', function(next) {
+  const { descricao, tipo, valorMin, valorMax, metodosPagamento, contaIds } = this.condicoes || {}
+  const { categoria, subcategoria, tags, orcamentoId, metaId } = this.acoes || {}
+
+  const temCondicao = descricao?.valor || tipo ||
+    valorMin !== null || valorMax !== null ||
+    metodosPagamento?.length || contaIds?.length
+
+  if (!temCondicao) {
+    this.invalidate('condicoes', 'Informe ao menos uma condição')
+  }
+
+  if (!categoria && !tags?.length && !orcamentoId && !metaId) {
+    this.invalidate('acoes', 'Informe ao menos uma ação')
+  }
+
+  // A subcategoria só faz sentido junto com a categoria
+  if (subcategoria && !categoria) {
+    this.invalidate('acoes.subcategoria', 'Subcategoria exige uma categoria')
+  }
+
+  if (valorMin !== null && valorMax !== null && valorMin > valorMax) {
+    this.invalidate('condicoes.valorMax', 'Valor máximo deve ser maior ou igual ao mínimo')
+  }
+
+  if (descricao?.valor && descricao.operador === 'regex') {
+    const erro = validarRegex(descricao.valor)
+    if (erro) this.invalidate('condicoes.descricao.valor', erro)
+  }
+
+  next()
+})
+
+// Middleware para atualizar atualizadoEm
+categoryRuleSchema.pre('save', function(next) {
+  this.atualizadoEm = Date.now()
+  next()
+})
+
+// Verificar se a descrição atende à condição da regra
+categoryRuleSchema.methods.descricaoCorresponde = function(descricao) {
+  const { operador, valor, diferenciarMaiusculas } = this.condicoes.descricao || {}
+  if (!valor) return true
+
+  // Regras gravadas antes da validação com uma expressão perigosa não correspondem
+  if (operador === 'regex') {
+    return testarRegex(valor, descricao, diferenciarMaiusculas ? '' : 'i')
+  }
+
+  const texto = diferenciarMaiusculas ? String(descricao || '').trim() : normalizarTexto(descricao)
+  const termo = diferenciarMaiusculas ? valor : normalizarTexto(valor)
+
+  switch (operador) {
+    case 'igual':
+      return texto === termo
+    case 'comeca_com':
+      return texto.startsWith(termo)
+    case 'termina_com':
+      return texto.endsWith(termo)
+    case 'contem':
+    default:
+      return texto.includes(termo)
+  }
+}
+
+// Verificar se a transação atende a todas as condições
+categoryRuleSchema.methods.corresponde = function(transacao) {
+  const { tipo, valorMin, valorMax, metodosPagamento, contaIds } = this.condicoes
+
+  if (tipo && transacao.tipo !== tipo) return false
+  if (valorMin !== null && !(transacao.valor >= valorMin)) return false
+  if (valorMax !== null && !(transacao.valor <= valorMax)) return false
+
+  if (metodosPagamento?.length && !metodosPagamento.includes(transacao.metodoPagamento)) {
+    return false
+  }
+
+  if (contaIds?.length && !contaIds.some(id => String(id) === String(transacao.contaId))) {
+    return false
+  }
+
+  return this.descricaoCorresponde(transacao.descricao)
+}
+
+// Regras ativas do usuário na ordem em que são avaliadas
+categoryRuleSchema.statics.buscarAtivas = function(userId) {
+  return this.find({ userId, ativa: true }).sort({ prioridade: 1, criadoEm: 1 })
+}
+
+categoryRuleSchema.statics.operadoresDescricao = OPERADORES_DESCRICAO
+
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema)
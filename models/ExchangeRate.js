@@ -0,0 +1,122 @@
+const mongoose = require('mongoose')
+
+const CODIGO_MOEDA = [/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras']
+
+// Cotação diária entre duas moedas: 1 moedaOrigem = taxa moedaDestino
+// Sem userId, a cotação é da tabela geral (importada pelo administrador) e vale para todos
+const exchangeRateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moedaOrigem: {
+    type: String,
+    required: [true, 'Moeda de origem é obrigatória'],
+    uppercase: true,
+    trim: true,
+    match: CODIGO_MOEDA
+  },
+  moedaDestino: {
+    type: String,
+    required: [true, 'Moeda de destino é obrigatória'],
+    uppercase: true,
+    trim: true,
+    match: CODIGO_MOEDA
+  },
+  data: {
+    type: Date,
+    required: [true, 'Data da cotação é obrigatória']
+  },
+  taxa: {
+    type: Number,
+    required: [true, 'Taxa é obrigatória'],
+    min: [0.000001, 'Taxa deve ser maior que 0']
+  },
+  fonte: {
+    type: String,
+    enum: ['admin', 'csv', 'manual'],
+    default: 'manual'
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+exchangeRateSchema.index({ userId: 1, moedaOrigem: 1, moedaDestino: 1, data: 1 }, { unique: true })
+exchangeRateSchema.index({ moedaOrigem: 1, moedaDestino: 1, data: -1 })
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.moedaOrigem && this.moedaOrigem === this.moedaDestino) {
+    this.invalidate('moedaDestino', 'Moedas de origem e destino devem ser diferentes')
+  }
+  next()
+})
+
+// Cotações sempre no início do dia, para valerem para qualquer horário da data
+exchangeRateSchema.statics.inicioDoDia = function(data) {
+  const dia = new Date(data)
+  return new Date(dia.getFullYear(), dia.getMonth(), dia.getDate())
+}
+
+// Cotações do par (direto ou inverso) visíveis para o usuário
+function filtroDoPar(userId, origem, destino) {
+  return {
+    userId: { $in: [null, userId ? new mongoose.Types.ObjectId(userId) : null] },
+    $or: [
+      { moedaOrigem: origem, moedaDestino: destino },
+      { moedaOrigem: destino, moedaDestino: origem }
+    ]
+  }
+}
+
+// Entre cotações da mesma data, a do usuário vence a geral e a direta vence a inversa
+function melhorCotacao(cotacoes, userId, origem) {
+  if (cotacoes.length === 0) return null
+
+  const data = cotacoes[0].data.getTime()
+  const pontuar = c => (c.userId && String(c.userId) === String(userId) ? 2 : 0) + (c.moedaOrigem === origem ? 1 : 0)
+  const escolhida = cotacoes
+    .filter(c => c.data.getTime() === data)
+    .sort((a, b) => pontuar(b) - pontuar(a))[0]
+
+  return {
+    taxa: escolhida.moedaOrigem === origem ? escolhida.taxa : 1 / escolhida.taxa,
+    data: escolhida.data,
+    fonte: escolhida.fonte
+  }
+}
+
+// Taxa para converter 1 unidade de origem em destino na data
+// Usa a cotação mais recente até a data; se não houver, a primeira posterior.
+// Retorna { taxa, data, fonte } ou null quando o par não tem nenhuma cotação
+exchangeRateSchema.statics.buscarTaxa = async function(userId, origem, destino, data = new Date()) {
+  if (origem === destino) return { taxa: 1, data: this.inicioDoDia(data), fonte: null }
+
+  const filtro = filtroDoPar(userId, origem, destino)
+  const fimDoDia = new Date(this.inicioDoDia(data).getTime() + 24 * 60 * 60 * 1000 - 1)
+
+  // Até 4 documentos cobrem usuário/geral × direta/inversa da mesma data
+  const anteriores = await this.find({ ...filtro, data: { $lte: fimDoDia } })
+    .sort({ data: -1 })
+    .limit(4)
+    .lean()
+  if (anteriores.length > 0) return melhorCotacao(anteriores, userId, origem)
+
+  const posteriores = await this.find({ ...filtro, data: { $gt: fimDoDia } })
+    .sort({ data: 1 })
+    .limit(4)
+    .lean()
+  return melhorCotacao(posteriores, userId, origem)
+}
+
+// Existe alguma cotação (direta ou inversa) para o par?
+exchangeRateSchema.statics.existePar = async function(userId, origem, destino) {
+  if (origem === destino) return true
+  return Boolean(await this.exists(filtroDoPar(userId, origem, destino)))
+}
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema)
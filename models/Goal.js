@@ -28,6 +28,12 @@ const goalSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Valor atual não pode ser negativo']
   },
+  // Moeda base do usuário na criação; receitas em outra moeda contribuem com o valor convertido
+  moeda: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras']
+  },
   dataInicio: {
     type: Date,
     default: Date.now,
@@ -137,6 +143,18 @@ goalSchema.index({ userId: 1, status: 1 })
 goalSchema.index({ userId: 1, dataLimite: 1 })
 goalSchema.index({ userId: 1, prioridade: 1 })
 
+goalSchema.pre('validate', async function(next) {
+  try {
+    if (!this.moeda) {
+      const usuario = await mongoose.model('User').findById(this.userId).select('configuracoes.moeda').lean()
+      this.moeda = usuario?.configuracoes?.moeda || 'BRL'
+    }
+    next()
+  } catch (err) {
+    next(err)
+  }
+})
+
 // Middleware para atualizar atualizadoEm
 goalSchema.pre('save', function(next) {
   this.atualizadoEm = Date.now()
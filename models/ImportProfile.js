@@ -0,0 +1,103 @@
+const mongoose = require('mongoose')
+
+// Colunas do CSV (pelo nome no cabeçalho) associadas aos campos da transação
+const mapeamentoSchema = new mongoose.Schema({
+  data: { type: String, required: [true, 'Coluna de data é obrigatória'] },
+  descricao: { type: String, required: [true, 'Coluna de descrição é obrigatória'] },
+  valor: { type: String, default: null }, // valor com sinal (negativo = despesa)
+  valorReceita: { type: String, default: null }, // ou colunas separadas de entrada/saída
+  valorDespesa: { type: String, default: null },
+  tipo: { type: String, default: null }, // coluna com "receita"/"despesa", "crédito"/"débito"...
+  categoria: { type: String, default: null },
+  observacoes: { type: String, default: null },
+  tags: { type: String, default: null },
+  idExterno: { type: String, default: null } // identificador da linha no app de origem
+}, { _id: false })
+
+const importProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome do perfil é obrigatório'],
+    trim: true,
+    maxlength: [50, 'Nome não pode ter mais de 50 caracteres']
+  },
+  mapeamento: {
+    type: mapeamentoSchema,
+    required: true
+  },
+  delimitador: {
+    type: String,
+    enum: [';', ',', '\t', '|', null],
+    default: null // null = detectar automaticamente
+  },
+  separadorDecimal: {
+    type: String,
+    enum: ['virgula', 'ponto', null],
+    default: null
+  },
+  formatoData: {
+    type: String,
+    enum: ['DD/MM/AAAA', 'MM/DD/AAAA', 'AAAA-MM-DD', 'DD/MM/AA', null],
+    default: null
+  },
+  // Extratos de cartão (ex.: Nubank) trazem compras como valores positivos
+  inverterSinal: {
+    type: Boolean,
+    default: false
+  },
+  contaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null // conta sugerida ao usar o perfil
+  },
+  ultimoUso: {
+    type: Date,
+    default: null
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+importProfileSchema.index({ userId: 1, nome: 1 }, { unique: true })
+
+// O valor vem de uma coluna com sinal ou de colunas separadas de entrada e saída
+importProfileSchema.pre('validate', function(next) {
+  const { valor, valorReceita, valorDespesa } = this.mapeamento || {}
+  if (!valor && !valorReceita && !valorDespesa) {
+    this.invalidate('mapeamento.valor', 'Informe a coluna de valor ou as colunas de entrada e saída')
+  }
+  next()
+})
+
+// Middleware para atualizar atualizadoEm
+importProfileSchema.pre('save', function(next) {
+  this.atualizadoEm = Date.now()
+  next()
+})
+
+// Colunas usadas pelo perfil
+importProfileSchema.methods.colunasMapeadas = function() {
+  return Object.values(this.mapeamento.toObject ? this.mapeamento.toObject() : this.mapeamento)
+    .filter(Boolean)
+}
+
+// O perfil serve para um arquivo quando todas as suas colunas existem no cabeçalho
+importProfileSchema.methods.compativelCom = function(cabecalho) {
+  return this.colunasMapeadas().every(coluna => cabecalho.includes(coluna))
+}
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema)
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose')
+
+const invoiceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  contaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Cartão é obrigatório']
+  },
+  // Mês/ano de referência = mês do fechamento
+  mes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  ano: {
+    type: Number,
+    required: true
+  },
+  dataFechamento: {
+    type: Date,
+    required: true
+  },
+  dataVencimento: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['aberta', 'fechada', 'paga'],
+    default: 'aberta'
+  },
+  pagamentos: [{
+    transferenciaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    valor: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Valor do pagamento deve ser maior que 0']
+    },
+    data: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+})
+
+// Índices
+invoiceSchema.index({ contaId: 1, ano: 1, mes: 1 }, { unique: true })
+invoiceSchema.index({ userId: 1, status: 1 })
+invoiceSchema.index({ 'pagamentos.transferenciaId': 1 })
+
+// Middleware para atualizar atualizadoEm
+invoiceSchema.pre('save', function(next) {
+  this.atualizadoEm = Date.now()
+  next()
+})
+
+invoiceSchema.virtual('valorPago').get(function() {
+  return (this.pagamentos || []).reduce((total, p) => total + p.valor, 0)
+})
+
+// Dia do mês limitado ao último dia (ex.: dia 31 em fevereiro)
+function dataNoMes(ano, mesIndex, dia, fimDoDia = false) {
+  const ultimoDia = new Date(ano, mesIndex + 1, 0).getDate()
+  return fimDoDia
+    ? new Date(ano, mesIndex, Math.min(dia, ultimoDia), 23, 59, 59, 999)
+    : new Date(ano, mesIndex, Math.min(dia, ultimoDia))
+}
+
+// Calcular o ciclo (mês de referência, fechamento e vencimento) de uma compra
+invoiceSchema.statics.calcularCiclo = function(cartao, dataCompra) {
+  const { diaFechamento, diaVencimento } = cartao
+  const data = new Date(dataCompra)
+
+  let ano = data.getFullYear()
+  let mesIndex = data.getMonth()
+
+  // Compras após o fechamento entram na fatura do mês seguinte
+  if (data > dataNoMes(ano, mesIndex, diaFechamento, true)) {
+    mesIndex++
+    if (mesIndex > 11) {
+      mesIndex = 0
+      ano++
+    }
+  }
+
+  const dataFechamento = dataNoMes(ano, mesIndex, diaFechamento, true)
+
+  // Vencimento antes (ou no dia) do fechamento cai no mês seguinte
+  const mesVencimento = diaVencimento > diaFechamento ? mesIndex : mesIndex + 1
+  const dataVencimento = dataNoMes(ano, mesVencimento, diaVencimento)
+
+  return {
+    mes: mesIndex + 1,
+    ano,
+    dataFechamento,
+    dataVencimento
+  }
+}
+
+// Buscar (ou criar) a fatura do cartão que contém a data informada
+invoiceSchema.statics.obterPorData = async function(conta, dataCompra) {
+  const ciclo = this.calcularCiclo(conta.cartao, dataCompra)
+
+  return await this.findOneAndUpdate(
+    { contaId: conta._id, ano: ciclo.ano, mes: ciclo.mes },
+    {
+      $setOnInsert: {
+        userId: conta.userId,
+        dataFechamento: ciclo.dataFechamento,
+        dataVencimento: ciclo.dataVencimento
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  )
+}
+
+// Fatura à qual uma transação pertence (null se não for compra em cartão)
+invoiceSchema.statics.faturaParaTransacao = async function(transacao) {
+  if (!transacao.contaId || transacao.transferenciaId) return null
+
+  const Account = mongoose.model('Account')
+  const conta = await Account.findById(transacao.contaId)
+
+  if (!conta || conta.tipo !== 'cartao_credito' || !conta.cartao?.diaFechamento || !conta.cartao?.diaVencimento) {
+    return null
+  }
+
+  const fatura = await this.obterPorData(conta, transacao.data || new Date())
+  return fatura._id
+}
+
+// Totais de várias faturas: compras menos estornos (transferências não contam)
+// Retorna um mapa { faturaId: { total, compras, estornos, quantidade } }
+invoiceSchema.statics.calcularTotais = async function(faturas) {
+  const Transaction = mongoose.model('Transaction')
+
+  const resultados = await Transaction.aggregate([
+    {
+      $match: Transaction.semTransferencias({
+        faturaId: { $in: faturas.map(f => f._id) },
+        status: { $ne: 'cancelada' }
+      })
+    },
+    {
+      $group: {
+        _id: '$faturaId',
+        compras: {
+          $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] }
+        },
+        estornos: {
+          $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] }
+        },
+        quantidade: { $sum: 1 }
+      }
+    }
+  ])
+
+  const totais = {}
+  faturas.forEach(f => {
+    totais[f._id.toString()] = { total: 0, compras: 0, estornos: 0, quantidade: 0 }
+  })
+  resultados.forEach(r => {
+    totais[r._id.toString()] = {
+      total: r.compras - r.estornos,
+      compras: r.compras,
+      estornos: r.estornos,
+      quantidade: r.quantidade
+    }
+  })
+
+  return totais
+}
+
+// Status conforme a data de fechamento e o quanto já foi pago
+invoiceSchema.methods.atualizarStatus = function(total) {
+  const fechada = new Date() > this.dataFechamento
+
+  if (fechada && this.valorPago >= total) {
+    this.status = 'paga'
+  } else if (fechada) {
+    this.status = 'fechada'
+  } else {
+    this.status = 'aberta'
+  }
+
+  return this.status
+}
+
+// Remover (ou atualizar) o pagamento ligado a uma transferência alterada fora das faturas
+invoiceSchema.statics.sincronizarPagamento = async function(userId, transferenciaId, dados = null) {
+  if (!dados) {
+    return await this.updateMany(
+      { userId, 'pagamentos.transferenciaId': transferenciaId },
+      { $pull: { pagamentos: { transferenciaId } } }
+    )
+  }
+
+  const set = {}
+  if (dados.valor !== undefined) set['pagamentos.$.valor'] = dados.valor
+  if (dados.data !== undefined) set['pagamentos.$.data'] = dados.data
+  if (Object.keys(set).length === 0) return null
+
+  return await this.updateOne(
+    { userId, 'pagamentos.transferenciaId': transferenciaId },
+    { $set: set }
+  )
+}
+
+module.exports = mongoose.model('Invoice', invoiceSchema)
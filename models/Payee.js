@@ -0,0 +1,168 @@
+const mongoose = require('mongoose')
+const { validarRegex, testarRegex } = require('../utils/regexSeguro')
+
+const OPERADORES_PADRAO = ['contem', 'igual', 'comeca_com', 'regex']
+
+// Prefixos de intermediadores de pagamento em extratos (ex.: "PAG*IFOOD", "MP *LOJA")
+const PREFIXOS_INTERMEDIADORES = [
+  'pag', 'pg', 'pagseguro', 'mp', 'mercadopago', 'pp', 'paypal', 'ec', 'iz', 'dl',
+  'ifd', 'sq', 'sumup', 'ebanx', 'stone', 'cielo', 'getnet', 'ton'
+]
+
+// Palavras de extrato que antecedem o nome do estabelecimento (ex.: "COMPRA NO DEBITO PADARIA")
+const PALAVRAS_INICIAIS = [
+  'compra', 'compras', 'pagamento', 'pagto', 'pgto', 'pix', 'ted', 'doc', 'debito', 'credito',
+  'cartao', 'no', 'na', 'em', 'de', 'enviado', 'recebido', 'transferencia'
+]
+
+const PADRAO_INTERMEDIADOR = new RegExp(`^(?:${PREFIXOS_INTERMEDIADORES.join('|')})\\s*\\*\\s*`)
+const PADRAO_PALAVRAS_INICIAIS = new RegExp(`^(?:(?:${PALAVRAS_INICIAIS.join('|')})\\s+)+`)
+
+function semAcentos(texto) {
+  return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+}
+
+// Beneficiário (estabelecimento, empresa ou pessoa) das transações.
+// Descrições diferentes do mesmo estabelecimento apontam para o mesmo beneficiário
+const payeeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome do beneficiário é obrigatório'],
+    trim: true,
+    maxlength: [80, 'Nome não pode ter mais de 80 caracteres']
+  },
+  // Nome normalizado, usado para reconhecer descrições e impedir beneficiários repetidos
+  chave: {
+    type: String,
+    required: true
+  },
+  // Outras formas normalizadas do nome (ex.: "ifood sp" para o iFood)
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Condições sobre a descrição original, verificadas antes dos nomes e aliases
+  padroes: [{
+    _id: false,
+    operador: {
+      type: String,
+      enum: OPERADORES_PADRAO,
+      default: 'contem'
+    },
+    valor: {
+      type: String,
+      trim: true,
+      required: true
+    }
+  }],
+  // Categoria aplicada às novas transações do beneficiário que chegam sem categoria
+  categoriaPadrao: {
+    nome: { type: String, trim: true, default: null },
+    subcategoria: { type: String, trim: true, default: null },
+    tipo: {
+      type: String,
+      enum: ['receita', 'despesa', null],
+      default: null
+    }
+  },
+  // Criado pelo usuário ou a partir da descrição de uma transação
+  origem: {
+    type: String,
+    enum: ['manual', 'automatico'],
+    default: 'manual'
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+payeeSchema.index({ userId: 1, chave: 1 }, { unique: true })
+payeeSchema.index({ userId: 1, aliases: 1 })
+
+payeeSchema.pre('validate', function(next) {
+  if (this.isModified('nome') || !this.chave) {
+    this.chave = this.constructor.normalizarDescricao(this.nome)
+  }
+  if (!this.chave) {
+    this.invalidate('nome', 'Nome do beneficiário precisa ter ao menos uma letra')
+  }
+
+  if (this.isModified('aliases')) {
+    const aliases = this.aliases
+      .map(alias => this.constructor.normalizarDescricao(alias))
+      .filter(alias => alias && alias !== this.chave)
+    this.aliases = [...new Set(aliases)]
+  }
+
+  this.padroes.forEach((padrao, indice) => {
+    if (padrao.operador !== 'regex') return
+    const erro = validarRegex(padrao.valor)
+    if (erro) this.invalidate(`padroes.${indice}.valor`, erro)
+  })
+
+  next()
+})
+
+// Middleware para atualizar atualizadoEm
+payeeSchema.pre('save', function(next) {
+  this.atualizadoEm = Date.now()
+  next()
+})
+
+// Nome do estabelecimento contido na descrição, sem intermediador, números e códigos
+// (ex.: "PAG*IFOOD 123", "IFOOD *SP" e "iFood" viram "iFood"/"IFOOD"). Mantém acentos e maiúsculas
+payeeSchema.statics.limparDescricao = function(descricao) {
+  let texto = String(descricao || '').normalize('NFC').trim()
+
+  texto = texto.replace(new RegExp(PADRAO_INTERMEDIADOR.source, 'i'), '')
+  // Depois de um "*" costumam vir cidade, UF ou código do pedido
+  texto = texto.split('*').map(trecho => trecho.trim()).find(Boolean) || ''
+  texto = texto.replace(/[^\p{L}\s]+/gu, ' ').replace(/\s+/g, ' ').trim()
+
+  const semPalavrasIniciais = semAcentos(texto).toLowerCase().replace(PADRAO_PALAVRAS_INICIAIS, '')
+  return texto.slice(texto.length - semPalavrasIniciais.length).trim()
+}
+
+// Forma usada nas comparações: descrição limpa, sem acentos e em minúsculas
+payeeSchema.statics.normalizarDescricao = function(descricao) {
+  return semAcentos(this.limparDescricao(descricao)).toLowerCase()
+}
+
+// Verificar se a descrição original atende a algum dos padrões do beneficiário
+payeeSchema.methods.padraoCorresponde = function(descricao) {
+  const original = String(descricao || '')
+  const texto = semAcentos(original).toLowerCase().trim()
+
+  return this.padroes.some(({ operador, valor }) => {
+    // Padrões gravados antes da validação com uma expressão perigosa não correspondem
+    if (operador === 'regex') return testarRegex(valor, original, 'i')
+
+    const termo = semAcentos(valor).toLowerCase()
+    switch (operador) {
+      case 'igual':
+        return texto === termo
+      case 'comeca_com':
+        return texto.startsWith(termo)
+      case 'contem':
+      default:
+        return texto.includes(termo)
+    }
+  })
+}
+
+payeeSchema.statics.operadores = OPERADORES_PADRAO
+
+module.exports = mongoose.model('Payee', payeeSchema)
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose')
+
+// Sessão de conciliação de uma conta com o saldo final de um extrato
+const reconciliationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  contaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Conta é obrigatória']
+  },
+  dataExtrato: {
+    type: Date,
+    required: [true, 'Data do extrato é obrigatória']
+  },
+  saldoExtrato: {
+    type: Number,
+    required: [true, 'Saldo do extrato é obrigatório']
+  },
+  // Saldo de partida: o do extrato da última conciliação concluída (ou o saldo inicial da conta)
+  saldoInicial: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['em_andamento', 'concluida', 'desfeita', 'cancelada'],
+    default: 'em_andamento'
+  },
+  // Transações marcadas como presentes no extrato
+  transacoes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  // Totais gravados na conclusão, para o histórico
+  resumo: {
+    receitas: { type: Number, default: null },
+    despesas: { type: Number, default: null },
+    saldoConciliado: { type: Number, default: null },
+    diferenca: { type: Number, default: null },
+    quantidade: { type: Number, default: null }
+  },
+  observacoes: {
+    type: String,
+    maxlength: [500, 'Observações não podem ter mais de 500 caracteres']
+  },
+  concluidaEm: {
+    type: Date,
+    default: null
+  },
+  desfeitaEm: {
+    type: Date,
+    default: null
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+// Índices
+reconciliationSchema.index({ userId: 1, contaId: 1, dataExtrato: -1 })
+// Uma única sessão em andamento por conta
+reconciliationSchema.index(
+  { contaId: 1 },
+  { unique: true, partialFilterExpression: { status: 'em_andamento' } }
+)
+
+// Middleware para atualizar atualizadoEm
+reconciliationSchema.pre('save', function(next) {
+  this.atualizadoEm = Date.now()
+  next()
+})
+
+// Última conciliação concluída da conta (ponto de partida da próxima)
+reconciliationSchema.statics.ultimaConcluida = async function(contaId) {
+  return await this.findOne({ contaId, status: 'concluida' }).sort({ dataExtrato: -1, concluidaEm: -1 })
+}
+
+module.exports = mongoose.model('Reconciliation', reconciliationSchema)
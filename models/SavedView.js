@@ -0,0 +1,188 @@
+const mongoose = require('mongoose')
+
+// Períodos relativos são recalculados a cada execução ("este mês" continua sendo o mês atual)
+const PERIODOS = [
+  'todos',
+  'mes_atual',
+  'mes_anterior',
+  'ultimos_7_dias',
+  'ultimos_30_dias',
+  'ultimos_90_dias',
+  'ano_atual',
+  'personalizado'
+]
+
+// Filtros da listagem de transações (mesmos parâmetros de GET /api/transactions)
+const filtrosSchema = new mongoose.Schema({
+  consulta: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Consulta não pode ter mais de 500 caracteres'],
+    default: null // linguagem de busca, ex.: metodo:cartao_credito valor>200
+  },
+  tipo: {
+    type: String,
+    enum: ['receita', 'despesa', null],
+    default: null
+  },
+  categoria: { type: String, default: null },
+  contaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  metodoPagamento: {
+    type: String,
+    enum: ['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque', null],
+    default: null
+  },
+  periodo: {
+    type: String,
+    enum: PERIODOS,
+    default: 'todos'
+  },
+  dataInicio: { type: Date, default: null }, // apenas no período personalizado
+  dataFim: { type: Date, default: null }
+}, { _id: false })
+
+const savedViewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  nome: {
+    type: String,
+    required: [true, 'Nome da visão é obrigatório'],
+    trim: true,
+    maxlength: [60, 'Nome não pode ter mais de 60 caracteres']
+  },
+  filtros: {
+    type: filtrosSchema,
+    default: () => ({})
+  },
+  ordenacao: {
+    campo: {
+      type: String,
+      enum: ['data', 'valor', 'descricao', 'categoria', 'criadoEm'],
+      default: 'data'
+    },
+    direcao: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  agrupamento: {
+    type: String,
+    enum: ['categoria', 'conta', 'mes', 'tipo', 'metodoPagamento', 'tag', null],
+    default: null
+  },
+  fixadaNoDashboard: {
+    type: Boolean,
+    default: false
+  },
+  posicaoNoDashboard: {
+    type: Number,
+    default: 0
+  },
+  cor: {
+    type: String,
+    default: '#6366F1'
+  },
+  icone: {
+    type: String,
+    default: 'filter'
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+savedViewSchema.index({ userId: 1, nome: 1 }, { unique: true })
+savedViewSchema.index({ userId: 1, fixadaNoDashboard: 1, posicaoNoDashboard: 1 })
+
+savedViewSchema.pre('validate', function(next) {
+  const { periodo, dataInicio, dataFim } = this.filtros || {}
+
+  if (periodo === 'personalizado') {
+    if (!dataInicio || !dataFim) {
+      this.invalidate('filtros.dataInicio', 'Período personalizado precisa de data de início e de fim')
+    } else if (dataFim < dataInicio) {
+      this.invalidate('filtros.dataFim', 'Data de fim deve ser posterior à data de início')
+    }
+  }
+  next()
+})
+
+// Middleware para atualizar atualizadoEm
+savedViewSchema.pre('save', function(next) {
+  this.atualizadoEm = Date.now()
+  next()
+})
+
+// Datas do período da visão na data de referência ({} quando não há limite)
+savedViewSchema.methods.intervalo = function(agora = new Date()) {
+  const { periodo, dataInicio, dataFim } = this.filtros || {}
+  const fimDoDia = new Date(agora.getFullYear(), agora.getMonth(), agora.getDate(), 23, 59, 59, 999)
+  const diasAtras = dias => new Date(agora.getFullYear(), agora.getMonth(), agora.getDate() - dias + 1)
+
+  switch (periodo) {
+    case 'mes_atual':
+      return {
+        dataInicio: new Date(agora.getFullYear(), agora.getMonth(), 1),
+        dataFim: new Date(agora.getFullYear(), agora.getMonth() + 1, 0, 23, 59, 59, 999)
+      }
+    case 'mes_anterior':
+      return {
+        dataInicio: new Date(agora.getFullYear(), agora.getMonth() - 1, 1),
+        dataFim: new Date(agora.getFullYear(), agora.getMonth(), 0, 23, 59, 59, 999)
+      }
+    case 'ultimos_7_dias':
+      return { dataInicio: diasAtras(7), dataFim: fimDoDia }
+    case 'ultimos_30_dias':
+      return { dataInicio: diasAtras(30), dataFim: fimDoDia }
+    case 'ultimos_90_dias':
+      return { dataInicio: diasAtras(90), dataFim: fimDoDia }
+    case 'ano_atual':
+      return {
+        dataInicio: new Date(agora.getFullYear(), 0, 1),
+        dataFim: new Date(agora.getFullYear(), 11, 31, 23, 59, 59, 999)
+      }
+    case 'personalizado':
+      return { dataInicio, dataFim }
+    default:
+      return {}
+  }
+}
+
+// Parâmetros equivalentes de GET /api/transactions
+savedViewSchema.methods.parametros = function(agora = new Date()) {
+  const filtros = this.filtros || {}
+  const parametros = {
+    ...this.intervalo(agora),
+    sortBy: this.ordenacao?.campo || 'data',
+    sortOrder: this.ordenacao?.direcao || 'desc'
+  }
+
+  if (filtros.consulta) parametros.q = filtros.consulta
+  if (filtros.tipo) parametros.tipo = filtros.tipo
+  if (filtros.categoria) parametros.categoria = filtros.categoria
+  if (filtros.contaId) parametros.contaId = String(filtros.contaId)
+  if (filtros.metodoPagamento) parametros.metodoPagamento = filtros.metodoPagamento
+  if (this.agrupamento) parametros.agruparPor = this.agrupamento
+
+  return parametros
+}
+
+savedViewSchema.statics.periodos = PERIODOS
+
+module.exports = mongoose.model('SavedView', savedViewSchema)
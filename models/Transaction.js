@@ -23,6 +23,24 @@ const transactionSchema = new mongoose.Schema({
     required: [true, 'Valor é obrigatório'],
     min: [0.01, 'Valor deve ser maior que 0']
   },
+  // Moeda do valor: sempre a da conta da transação
+  moeda: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Moeda deve ser um código ISO de 3 letras']
+  },
+  // Valor na moeda base do usuário, pela cotação da data da transação
+  // Calculado ao validar; totais, orçamentos e metas usam este valor
+  conversao: {
+    type: new mongoose.Schema({
+      moeda: String,
+      valor: Number,
+      taxa: Number,
+      dataCotacao: Date
+    }, { _id: false }),
+    default: null
+  },
   data: { 
     type: Date, 
     required: [true, 'Data é obrigatória'],
@@ -42,9 +60,11 @@ const transactionSchema = new mongoose.Schema({
     enum: ['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'],
     required: [true, 'Método de pagamento é obrigatório']
   },
-  conta: {
-    type: String,
-    default: 'principal'
+  contaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null,
+    index: true
   },
   recorrente: {
     ativo: { type: Boolean, default: false },
@@ -54,13 +74,85 @@ const transactionSchema = new mongoose.Schema({
       default: null
     },
     intervalo: { type: Number, default: 1 }, // a cada X dias/semanas/meses
-    proximaData: { type: Date, default: null },
-    dataFim: { type: Date, default: null }
+    proximaData: { type: Date, default: null }, // próxima ocorrência ainda não gerada
+    dataFim: { type: Date, default: null },
+    excecoes: [{ type: Date }], // ocorrências puladas pelo usuário
+    // Contas a pagar/receber (aluguel, boletos): ocorrências geradas como pendentes
+    // com antecedência, esperando a confirmação do usuário
+    pendente: { type: Boolean, default: false }
+  },
+  // Ocorrência gerada a partir de uma transação recorrente (a primeira da série)
+  recorrenciaOrigemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+    index: true
   },
+  recorrenciaData: {
+    type: Date,
+    default: null // data prevista da ocorrência, mesmo que a transação seja editada depois
+  },
+  transferenciaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null, // compartilhado pelas duas pernas (débito e crédito) de uma transferência
+    index: true
+  },
+  faturaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null, // fatura do cartão à qual a compra pertence
+    index: true
+  },
+  // Compra parcelada: todas as parcelas compartilham o grupoId (= _id da parcela 1)
+  parcelamento: {
+    grupoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true
+    },
+    numero: { type: Number, default: null },
+    total: { type: Number, default: null },
+    valorCompra: { type: Number, default: null }, // valor à vista informado
+    taxaJuros: { type: Number, default: 0 } // % ao mês
+  },
+  // Origem de transações importadas de extratos (idExterno = FITID do OFX)
+  importacao: {
+    origem: {
+      type: String,
+      enum: ['ofx', 'csv'],
+      default: null
+    },
+    idExterno: { type: String, default: null },
+    importadoEm: { type: Date, default: null }
+  },
+  // Divisão do valor entre categorias (ex.: supermercado com itens de limpeza e farmácia)
+  // As linhas somam o valor da transação; categoria e subcategoria passam a ser as da maior linha
+  divisoes: [{
+    _id: false,
+    categoria: {
+      type: String,
+      required: [true, 'Categoria da divisão é obrigatória'],
+      trim: true
+    },
+    subcategoria: {
+      type: String,
+      default: null
+    },
+    valor: {
+      type: Number,
+      required: [true, 'Valor da divisão é obrigatório'],
+      min: [0.01, 'Valor da divisão deve ser maior que 0']
+    },
+    orcamentoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget',
+      default: null
+    }
+  }],
   orcamentoId: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Budget', 
-    default: null
+    default: null // em transações divididas, o orçamento fica em cada linha
   },
   metaId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -71,10 +163,21 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Estabelecimento identificado pela descrição (ex.: "PAG*IFOOD 123" → iFood)
+  beneficiarioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee',
+    default: null
+  },
   localizacao: {
     nome: String,
     latitude: Number,
-    longitude: Number
+    longitude: Number,
+    // Ponto GeoJSON derivado de latitude/longitude, usado nas consultas por proximidade
+    ponto: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    }
   },
   observacoes: {
     type: String,
@@ -87,13 +190,41 @@ const transactionSchema = new mongoose.Schema({
     },
     url: String,
     nome: String,
-    tamanho: Number
+    tamanho: Number,
+    // Arquivos enviados: chaves no armazenamento de anexos (sem chave, é um link externo)
+    mimeType: String,
+    chave: String,
+    chaveMiniatura: String,
+    enviadoEm: Date
   }],
+  // Pendentes (contas agendadas) ficam fora dos saldos e totais realizados até serem confirmadas;
+  // a data de uma pendente é o vencimento
   status: {
     type: String,
     enum: ['pendente', 'confirmada', 'cancelada'],
     default: 'confirmada'
   },
+  // Aviso do vencimento: diasAntes sobrescreve a configuração do usuário
+  lembrete: {
+    diasAntes: {
+      type: Number,
+      min: [0, 'Dias de antecedência não podem ser negativos'],
+      max: [30, 'Dias de antecedência não podem passar de 30'],
+      default: null
+    },
+    enviadoEm: { type: Date, default: null }
+  },
+  // Confirmação de uma pendente: valor e data previstos são guardados quando o pagamento difere
+  confirmacao: {
+    confirmadaEm: { type: Date, default: null },
+    valorPrevisto: { type: Number, default: null },
+    dataPrevista: { type: Date, default: null }
+  },
+  // Conciliação com o extrato: conciliadas ficam travadas para alterações que mudam o saldo
+  conciliacao: {
+    conciliacaoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reconciliation', default: null },
+    conciliadaEm: { type: Date, default: null }
+  },
   sincronizado: {
     type: Boolean,
     default: true
@@ -114,6 +245,80 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ userId: 1, data: -1 })
 transactionSchema.index({ userId: 1, categoria: 1 })
 transactionSchema.index({ userId: 1, tipo: 1, data: -1 })
+transactionSchema.index({ userId: 1, contaId: 1, data: 1 })
+transactionSchema.index({ userId: 1, contaId: 1, 'importacao.idExterno': 1 })
+// Garante que cada ocorrência de uma série seja gerada uma única vez
+transactionSchema.index(
+  { recorrenciaOrigemId: 1, recorrenciaData: 1 },
+  { unique: true, partialFilterExpression: { recorrenciaOrigemId: { $type: 'objectId' } } }
+)
+
+transactionSchema.index({ userId: 1, 'divisoes.categoria': 1 })
+transactionSchema.index({ status: 1, data: 1 })
+transactionSchema.index({ 'conciliacao.conciliacaoId': 1 })
+transactionSchema.index({ 'localizacao.ponto': '2dsphere', userId: 1 })
+transactionSchema.index({ userId: 1, beneficiarioId: 1, data: -1 })
+
+// Transação dividida: linhas consistentes com o valor e categoria principal = maior linha
+transactionSchema.pre('validate', function(next) {
+  if (this.divisoes?.length > 0) {
+    const erro = this.constructor.validarDivisoes(this.divisoes, this.valor)
+    if (erro) {
+      this.invalidate('divisoes', erro)
+    } else {
+      const principal = this.constructor.divisaoPrincipal(this.divisoes)
+      this.categoria = principal.categoria
+      this.subcategoria = principal.subcategoria || null
+      this.orcamentoId = null
+    }
+  }
+  next()
+})
+
+// Moeda da conta e conversão para a moeda base (novas transações ou valor/data/moeda alterados)
+transactionSchema.pre('validate', async function(next) {
+  try {
+    if (!this.moeda && this.contaId) {
+      const conta = await mongoose.model('Account').findById(this.contaId).select('moeda').lean()
+      this.moeda = conta?.moeda
+    }
+
+    const alterada = this.isNew || ['valor', 'data', 'moeda'].some(campo => this.isModified(campo))
+    if (alterada && this.valor > 0 && this.data) {
+      const conversao = await this.constructor.calcularConversao(this.userId, this)
+      if (conversao) {
+        this.conversao = conversao
+      } else {
+        this.invalidate('moeda', `Nenhuma cotação cadastrada para converter ${this.moeda} na moeda base`)
+      }
+    }
+    next()
+  } catch (err) {
+    next(err)
+  }
+})
+
+// Ponto da localização sempre acompanhando latitude e longitude
+transactionSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('localizacao')) {
+    this.set('localizacao.ponto', this.constructor.pontoDaLocalizacao(this.localizacao))
+  }
+  next()
+})
+
+// Atualizações que trocam a localização inteira (edição, edição em lote, parcelas) não passam
+// pelo validate do documento: o ponto é recalculado aqui
+transactionSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {}
+  const alvo = update.$set?.localizacao !== undefined ? update.$set : update
+
+  if (alvo.localizacao) {
+    const { ponto, ...localizacao } = alvo.localizacao
+    const novoPonto = this.model.pontoDaLocalizacao(localizacao)
+    alvo.localizacao = novoPonto ? { ...localizacao, ponto: novoPonto } : localizacao
+  }
+  next()
+})
 
 // Middleware para atualizar atualizadoEm
 transactionSchema.pre('save', function(next) {
@@ -121,15 +326,310 @@ transactionSchema.pre('save', function(next) {
   next()
 })
 
+// Retorna a mensagem de erro das linhas da divisão ou null se forem válidas
+transactionSchema.statics.validarDivisoes = function(divisoes, valor) {
+  if (!divisoes || divisoes.length === 0) return null
+
+  if (divisoes.length < 2) {
+    return 'Uma transação dividida precisa de ao menos duas linhas'
+  }
+
+  if (divisoes.some(d => !d.categoria || !(Number(d.valor) > 0))) {
+    return 'Cada linha da divisão precisa de categoria e valor maior que 0'
+  }
+
+  const soma = divisoes.reduce((total, d) => total + Number(d.valor), 0)
+  if (Math.abs(soma - Number(valor)) >= 0.01) {
+    return `A soma das divisões (${soma.toFixed(2)}) deve ser igual ao valor da transação (${Number(valor).toFixed(2)})`
+  }
+
+  return null
+}
+
+const arredondar = valor => Math.round(valor * 100) / 100
+
+// { moeda, valor, taxa, dataCotacao } na moeda base do usuário ou null sem cotação
+// Sem moeda (transações anteriores às contas em moeda estrangeira), o valor já é da moeda base
+transactionSchema.statics.calcularConversao = async function(userId, { valor, moeda, data }, moedaBase = null) {
+  if (!moedaBase) {
+    const usuario = await mongoose.model('User').findById(userId).select('configuracoes.moeda').lean()
+    moedaBase = usuario?.configuracoes?.moeda || 'BRL'
+  }
+
+  const cotacao = await mongoose.model('ExchangeRate').buscarTaxa(userId, moeda || moedaBase, moedaBase, data)
+  if (!cotacao) return null
+
+  return {
+    moeda: moedaBase,
+    valor: arredondar(Number(valor) * cotacao.taxa),
+    taxa: cotacao.taxa,
+    dataCotacao: cotacao.data
+  }
+}
+
+// Recalcular a conversão de uma transação gravada por update (que não passa pelo validate)
+// Sem cotação, a conversão fica vazia e os totais usam o valor original
+transactionSchema.methods.reconverter = async function() {
+  this.conversao = await this.constructor.calcularConversao(this.userId, this)
+  await this.constructor.updateOne({ _id: this._id }, { conversao: this.conversao })
+  return this.conversao
+}
+
+// GeoJSON { type: 'Point', coordinates: [longitude, latitude] } ou undefined sem coordenadas válidas
+transactionSchema.statics.pontoDaLocalizacao = function(localizacao) {
+  if (localizacao?.latitude == null || localizacao?.longitude == null) return undefined
+
+  const latitude = Number(localizacao.latitude)
+  const longitude = Number(localizacao.longitude)
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return undefined
+  }
+
+  return { type: 'Point', coordinates: [longitude, latitude] }
+}
+
+// Valor da transação (ou de uma linha da divisão) na moeda base do usuário
+transactionSchema.statics.valorNaMoedaBase = function(transacao, valorLinha = null) {
+  const { conversao } = transacao
+  if (valorLinha === null) return conversao ? conversao.valor : transacao.valor
+  return conversao ? arredondar(valorLinha * conversao.taxa) : valorLinha
+}
+
+// Etapa de aggregate que troca o valor pelo valor na moeda base, guardando o original
+// Usar logo após o $match, antes de somar valores de transações de moedas diferentes
+transactionSchema.statics.emMoedaBase = function() {
+  return {
+    $addFields: {
+      valorOriginal: '$valor',
+      moeda: { $ifNull: ['$moeda', '$conversao.moeda'] },
+      valor: { $ifNull: ['$conversao.valor', '$valor'] }
+    }
+  }
+}
+
+// Linha de maior valor (a primeira, em caso de empate)
+transactionSchema.statics.divisaoPrincipal = function(divisoes) {
+  return divisoes.reduce((maior, d) => Number(d.valor) > Number(maior.valor) ? d : maior)
+}
+
+// Valor atribuído a cada categoria (na moeda base): as linhas da divisão ou a própria transação
+transactionSchema.statics.lancamentos = function(transacao) {
+  if (transacao.divisoes?.length > 0) {
+    return transacao.divisoes.map(d => ({
+      categoria: d.categoria,
+      subcategoria: d.subcategoria || null,
+      valor: this.valorNaMoedaBase(transacao, d.valor),
+      orcamentoId: d.orcamentoId || null
+    }))
+  }
+
+  return [{
+    categoria: transacao.categoria,
+    subcategoria: transacao.subcategoria || null,
+    valor: this.valorNaMoedaBase(transacao),
+    orcamentoId: transacao.orcamentoId || null
+  }]
+}
+
+// Etapas de aggregate que trocam cada transação dividida por uma linha por divisão,
+// com categoria, subcategoria, valor (na moeda base) e orçamento da linha.
+// Usar antes de agrupar por categoria
+transactionSchema.statics.expandirDivisoes = function() {
+  return [
+    {
+      $addFields: {
+        _lancamentos: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$divisoes', []] } }, 0] },
+            {
+              $map: {
+                input: '$divisoes',
+                as: 'divisao',
+                in: {
+                  categoria: '$$divisao.categoria',
+                  subcategoria: '$$divisao.subcategoria',
+                  valor: {
+                    $round: [{ $multiply: ['$$divisao.valor', { $ifNull: ['$conversao.taxa', 1] }] }, 2]
+                  },
+                  orcamentoId: '$$divisao.orcamentoId'
+                }
+              }
+            },
+            [{
+              categoria: '$categoria',
+              subcategoria: '$subcategoria',
+              valor: { $ifNull: ['$conversao.valor', '$valor'] },
+              orcamentoId: '$orcamentoId'
+            }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$_lancamentos' },
+    {
+      $addFields: {
+        categoria: '$_lancamentos.categoria',
+        subcategoria: { $ifNull: ['$_lancamentos.subcategoria', null] },
+        valor: '$_lancamentos.valor',
+        orcamentoId: { $ifNull: ['$_lancamentos.orcamentoId', null] }
+      }
+    },
+    { $project: { _lancamentos: 0 } }
+  ]
+}
+
+// Total de despesas atribuído a uma categoria no período (linhas de divisões incluídas)
+transactionSchema.statics.gastoNaCategoria = async function(userId, categoria, dataInicio, dataFim) {
+  const [resultado] = await this.aggregate([
+    {
+      $match: this.realizadas({
+        userId: new mongoose.Types.ObjectId(userId),
+        tipo: 'despesa',
+        data: { $gte: new Date(dataInicio), $lte: new Date(dataFim) },
+        $or: [{ categoria }, { 'divisoes.categoria': categoria }]
+      })
+    },
+    ...this.expandirDivisoes(),
+    { $match: { categoria } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$valor' },
+        transacoes: { $addToSet: '$_id' }
+      }
+    }
+  ])
+
+  return {
+    total: resultado?.total || 0,
+    quantidade: resultado?.transacoes.length || 0
+  }
+}
+
+// Filtro de receitas e despesas reais: transferências entre contas próprias
+// não são receita nem despesa e devem ficar fora de todos os totais
+transactionSchema.statics.semTransferencias = function(filtros = {}) {
+  return { ...filtros, transferenciaId: null }
+}
+
+// Receitas e despesas realizadas: sem transferências e apenas confirmadas
+// (pendentes entram só em projeções e canceladas em nada)
+transactionSchema.statics.realizadas = function(filtros = {}) {
+  return { ...this.semTransferencias(filtros), status: 'confirmada' }
+}
+
+// Pendentes com vencimento anterior a hoje
+transactionSchema.statics.filtroVencidas = function(filtros = {}) {
+  const hoje = new Date()
+  hoje.setHours(0, 0, 0, 0)
+  return { ...filtros, status: 'pendente', data: { $lt: hoje } }
+}
+
+transactionSchema.methods.estaVencida = function() {
+  const hoje = new Date()
+  hoje.setHours(0, 0, 0, 0)
+  return this.status === 'pendente' && this.data < hoje
+}
+
+// Campos que mudam o saldo da conta e ficam travados depois da conciliação
+const CAMPOS_CONCILIADOS = ['valor', 'data', 'contaId', 'tipo', 'status', 'moeda']
+
+transactionSchema.methods.estaConciliada = function() {
+  return Boolean(this.conciliacao?.conciliacaoId)
+}
+
+// Campos travados que as alterações mudariam numa transação conciliada
+transactionSchema.statics.camposConciliadosAlterados = function(transacao, alteracoes) {
+  if (!transacao.conciliacao?.conciliacaoId) return []
+
+  return CAMPOS_CONCILIADOS.filter(campo => {
+    if (alteracoes[campo] === undefined) return false
+    if (campo === 'data') return new Date(alteracoes.data).getTime() !== new Date(transacao.data).getTime()
+    if (campo === 'valor') return Number(alteracoes.valor) !== transacao.valor
+    return String(alteracoes[campo]) !== String(transacao[campo])
+  })
+}
+
+// Erro para a resposta 400 quando alguma das transações conciliadas seria excluída
+// (sem alterações) ou teria campos travados alterados; null se nada for bloqueado
+transactionSchema.statics.bloqueioDeConciliacao = function(transacoes, alteracoes = null) {
+  for (const transacao of transacoes) {
+    if (!transacao.conciliacao?.conciliacaoId) continue
+
+    const campos = alteracoes ? this.camposConciliadosAlterados(transacao, alteracoes) : []
+    if (alteracoes && campos.length === 0) continue
+
+    return {
+      error: alteracoes
+        ? `"${transacao.descricao}" já foi conciliada com o extrato e não pode ter ${campos.join(', ')} alterado(s)`
+        : `"${transacao.descricao}" já foi conciliada com o extrato e não pode ser excluída`,
+      sugestao: `Desfaça a conciliação em /api/reconciliations/${transacao.conciliacao.conciliacaoId}/desfazer`
+    }
+  }
+
+  return null
+}
+
+// Criar as duas pernas de uma transferência entre contas do usuário
+// Se a segunda perna falhar, a primeira é removida para não ficar órfã
+transactionSchema.statics.criarTransferencia = async function({
+  userId,
+  contaOrigem,
+  contaDestino,
+  valor,
+  data,
+  descricao,
+  observacoes
+}) {
+  const transferenciaId = new mongoose.Types.ObjectId()
+  const base = {
+    userId,
+    descricao: descricao?.trim() || `Transferência: ${contaOrigem.nome} → ${contaDestino.nome}`,
+    valor,
+    data: data ? new Date(data) : new Date(),
+    categoria: 'Transferência',
+    metodoPagamento: 'transferencia',
+    observacoes,
+    transferenciaId,
+    moeda: contaOrigem.moeda
+  }
+
+  try {
+    return await this.insertMany([
+      { ...base, tipo: 'despesa', contaId: contaOrigem._id },
+      { ...base, tipo: 'receita', contaId: contaDestino._id }
+    ])
+  } catch (err) {
+    await this.deleteMany({ userId, transferenciaId })
+    throw err
+  }
+}
+
+// Voltar as pernas de uma transferência ao estado lido antes de uma alteração que falhou no meio.
+// Sem sessões do MongoDB, é a compensação das edições e exclusões (as excluídas são recriadas)
+transactionSchema.statics.restaurarPernas = async function(pernas) {
+  if (pernas.length === 0) return null
+
+  return await this.bulkWrite(pernas.map(perna => ({
+    replaceOne: {
+      filter: { _id: perna._id },
+      replacement: perna.toObject({ depopulate: true, virtuals: false }),
+      upsert: true
+    }
+  })))
+}
+
 // Método estático para estatísticas
 transactionSchema.statics.getStats = async function(userId, startDate, endDate) {
   return await this.aggregate([
     {
-      $match: {
-        userId: mongoose.Types.ObjectId(userId),
+      $match: this.realizadas({
+        userId: new mongoose.Types.ObjectId(userId),
         data: { $gte: startDate, $lte: endDate }
-      }
+      })
     },
+    this.emMoedaBase(),
     {
       $group: {
         _id: '$tipo',
@@ -140,12 +640,67 @@ transactionSchema.statics.getStats = async function(userId, startDate, endDate)
   ])
 }
 
-// Método para calcular próxima data recorrente
-transactionSchema.methods.calcularProximaData = function() {
+// Somar meses mantendo o dia (limitado ao último dia do mês de destino)
+function adicionarMeses(data, meses, dia = new Date(data).getDate()) {
+  const resultado = new Date(data)
+
+  resultado.setDate(1)
+  resultado.setMonth(resultado.getMonth() + meses)
+  const ultimoDia = new Date(resultado.getFullYear(), resultado.getMonth() + 1, 0).getDate()
+  resultado.setDate(Math.min(dia, ultimoDia))
+
+  return resultado
+}
+
+// Calcular o valor de cada parcela (tabela Price quando há juros)
+// Diferenças de arredondamento ficam na última parcela (sem juros, na primeira)
+transactionSchema.statics.calcularParcelas = function(valorCompra, totalParcelas, taxaJuros = 0) {
+  if (!taxaJuros) {
+    const valorParcela = Math.floor((valorCompra / totalParcelas) * 100) / 100
+    const parcelas = Array(totalParcelas).fill(valorParcela)
+    parcelas[0] = arredondar(valorCompra - valorParcela * (totalParcelas - 1))
+    return parcelas
+  }
+
+  const i = taxaJuros / 100
+  const valorParcela = arredondar(valorCompra * i / (1 - Math.pow(1 + i, -totalParcelas)))
+  const totalComJuros = arredondar(valorCompra * i / (1 - Math.pow(1 + i, -totalParcelas)) * totalParcelas)
+
+  const parcelas = Array(totalParcelas).fill(valorParcela)
+  parcelas[totalParcelas - 1] = arredondar(totalComJuros - valorParcela * (totalParcelas - 1))
+  return parcelas
+}
+
+// Gerar os dados das parcelas de uma compra (uma por mês a partir da data da compra)
+transactionSchema.statics.gerarParcelas = function(dados, totalParcelas, taxaJuros = 0) {
+  const valorCompra = Number(dados.valor)
+  const valores = this.calcularParcelas(valorCompra, totalParcelas, taxaJuros)
+  const dataCompra = dados.data ? new Date(dados.data) : new Date()
+  const descricaoBase = dados.descricao.trim().slice(0, 190)
+
+  return valores.map((valor, indice) => ({
+    ...dados,
+    descricao: `${descricaoBase} (${indice + 1}/${totalParcelas})`,
+    valor,
+    data: adicionarMeses(dataCompra, indice),
+    parcelamento: {
+      numero: indice + 1,
+      total: totalParcelas,
+      valorCompra,
+      taxaJuros
+    }
+  }))
+}
+
+// Método para calcular próxima data recorrente a partir de uma ocorrência
+// Meses e anos mantêm o dia da primeira ocorrência (31 → 28/02 → 31/03)
+transactionSchema.methods.calcularProximaData = function(aPartirDe = this.data) {
   if (!this.recorrente.ativo) return null
   
-  const data = new Date(this.data)
-  const { tipo, intervalo } = this.recorrente
+  const data = new Date(aPartirDe)
+  const { tipo } = this.recorrente
+  const intervalo = this.recorrente.intervalo || 1
+  const diaOriginal = new Date(this.data).getDate()
   
   switch (tipo) {
     case 'diario':
@@ -155,14 +710,43 @@ transactionSchema.methods.calcularProximaData = function() {
       data.setDate(data.getDate() + (7 * intervalo))
       break
     case 'mensal':
-      data.setMonth(data.getMonth() + intervalo)
-      break
+      return adicionarMeses(data, intervalo, diaOriginal)
     case 'anual':
-      data.setFullYear(data.getFullYear() + intervalo)
-      break
+      return adicionarMeses(data, 12 * intervalo, diaOriginal)
+    default:
+      return null
   }
   
   return data
 }
 
+// Verificar se a data está dentro do período da série (o dia final é inclusivo)
+transactionSchema.methods.dentroDaRecorrencia = function(data) {
+  if (!this.recorrente.dataFim) return true
+
+  const fim = new Date(this.recorrente.dataFim)
+  fim.setHours(23, 59, 59, 999)
+  return data <= fim
+}
+
+// Datas das ocorrências ainda não geradas (a partir de proximaData) até uma data limite
+transactionSchema.methods.projetarOcorrencias = function(ate, limite = 500) {
+  const datas = []
+  if (!this.recorrente.ativo || !this.recorrente.proximaData) return datas
+
+  let data = new Date(this.recorrente.proximaData)
+  while (data && data <= ate && this.dentroDaRecorrencia(data) && datas.length < limite) {
+    datas.push(data)
+    data = this.calcularProximaData(data)
+  }
+
+  return datas
+}
+
+// Verificar se a ocorrência do dia foi pulada
+transactionSchema.methods.ocorrenciaPulada = function(data) {
+  const dia = new Date(data).toDateString()
+  return (this.recorrente.excecoes || []).some(excecao => excecao.toDateString() === dia)
+}
+
 module.exports = mongoose.model('Transaction', transactionSchema)
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose')
+
+// Versão de uma transação: cada criação, edição, exclusão ou restauração gera uma nova versão
+const transactionHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Sem ref: o histórico continua existindo depois que a transação é excluída
+  transacaoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  versao: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  operacao: {
+    type: String,
+    enum: ['criacao', 'edicao', 'exclusao', 'restauracao'],
+    required: true
+  },
+  // De onde veio a alteração
+  origem: {
+    type: String,
+    enum: ['app', 'importacao', 'regra', 'recorrencia'],
+    default: 'app'
+  },
+  // Quem fez a alteração (null = processamento automático, ex.: geração de recorrências)
+  autorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  alteracoes: [{
+    _id: false,
+    campo: String,
+    anterior: mongoose.Schema.Types.Mixed,
+    novo: mongoose.Schema.Types.Mixed
+  }],
+  // Documento antes e depois da alteração (null antes da criação e depois da exclusão)
+  anterior: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  estado: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Em restaurações, a versão cujo estado foi recuperado
+  versaoRestaurada: {
+    type: Number,
+    default: null
+  },
+  // Em versões geradas por um desfazer, a versão que foi desfeita
+  versaoDesfeita: {
+    type: Number,
+    default: null
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false
+})
+
+// Índices
+transactionHistorySchema.index({ transacaoId: 1, versao: -1 }, { unique: true })
+transactionHistorySchema.index({ userId: 1, criadoEm: -1 })
+
+module.exports = mongoose.model('TransactionHistory', transactionHistorySchema)
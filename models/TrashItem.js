@@ -0,0 +1,57 @@
+const mongoose = require('mongoose')
+
+// Dias que um item excluído fica na lixeira antes de ser apagado de vez
+const RETENCAO_DIAS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+
+// Item da lixeira: cópia do documento excluído, que pode ser restaurado até expirar
+const trashItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tipo: {
+    type: String,
+    enum: ['transacao', 'transferencia', 'orcamento', 'meta', 'categoria'],
+    required: true
+  },
+  // _id original, reaproveitado na restauração
+  documentoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  documento: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Nome exibido na listagem (descrição, nome ou título do documento)
+  descricao: {
+    type: String,
+    default: ''
+  },
+  // Referências desfeitas na exclusão e refeitas na restauração
+  // (ex.: transações que apontavam para o orçamento excluído)
+  vinculos: {
+    transacoes: [{ type: mongoose.Schema.Types.ObjectId }]
+  },
+  excluidoEm: {
+    type: Date,
+    default: Date.now
+  },
+  expiraEm: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENCAO_DIAS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  minimize: false
+})
+
+// Índices
+trashItemSchema.index({ userId: 1, tipo: 1, excluidoEm: -1 })
+trashItemSchema.index({ expiraEm: 1 })
+trashItemSchema.index({ tipo: 1, documentoId: 1 })
+
+trashItemSchema.statics.RETENCAO_DIAS = RETENCAO_DIAS
+
+module.exports = mongoose.model('TrashItem', trashItemSchema)
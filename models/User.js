@@ -50,7 +50,10 @@ const userSchema = new mongoose.Schema({
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
       orcamento: { type: Boolean, default: true },
-      metas: { type: Boolean, default: true }
+      metas: { type: Boolean, default: true },
+      // Aviso das contas pendentes antes do vencimento
+      vencimentos: { type: Boolean, default: true },
+      diasAntesVencimento: { type: Number, min: 0, max: 30, default: 3 }
     },
     privacidade: {
       perfilPublico: { type: Boolean, default: false },
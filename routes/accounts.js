@@ -0,0 +1,418 @@
+const express = require('express')
+const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const accountController = require('../controllers/accountController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+const TIPOS_CONTA = ['corrente', 'poupanca', 'carteira', 'cartao_credito', 'investimento', 'outro']
+
+// Validações
+const accountValidation = [
+  body('nome')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nome deve ter entre 1 e 50 caracteres'),
+
+  body('tipo')
+    .isIn(TIPOS_CONTA)
+    .withMessage('Tipo de conta inválido'),
+
+  body('instituicao')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Instituição não pode ter mais de 100 caracteres'),
+
+  body('saldoInicial')
+    .optional()
+    .isFloat()
+    .withMessage('Saldo inicial deve ser numérico'),
+
+  body('moeda')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .isAlpha()
+    .withMessage('Moeda deve ser um código ISO de 3 letras'),
+
+  body('cartao.diaFechamento')
+    .if(body('tipo').equals('cartao_credito'))
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Dia de fechamento deve estar entre 1 e 31'),
+
+  body('cartao.diaVencimento')
+    .if(body('tipo').equals('cartao_credito'))
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Dia de vencimento deve estar entre 1 e 31'),
+
+  body('cartao.limite')
+    .if(body('tipo').equals('cartao_credito'))
+    .isFloat({ min: 0 })
+    .withMessage('Limite do cartão deve ser maior ou igual a 0'),
+
+  body('cor')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Cor deve estar em formato hexadecimal')
+]
+
+const accountUpdateValidation = [
+  body('nome')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nome deve ter entre 1 e 50 caracteres'),
+
+  body('tipo')
+    .optional()
+    .isIn(TIPOS_CONTA)
+    .withMessage('Tipo de conta inválido'),
+
+  body('instituicao')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Instituição não pode ter mais de 100 caracteres'),
+
+  body('saldoInicial')
+    .optional()
+    .isFloat()
+    .withMessage('Saldo inicial deve ser numérico'),
+
+  body('moeda')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .isAlpha()
+    .withMessage('Moeda deve ser um código ISO de 3 letras'),
+
+  body('cartao.diaFechamento')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Dia de fechamento deve estar entre 1 e 31'),
+
+  body('cartao.diaVencimento')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Dia de vencimento deve estar entre 1 e 31'),
+
+  body('cartao.limite')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Limite do cartão deve ser maior ou igual a 0'),
+
+  body('cor')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Cor deve estar em formato hexadecimal')
+]
+
+const saldoValidation = [
+  query('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida')
+]
+
+const extratoValidation = [
+  query('dataInicio')
+    .optional()
+    .isISO8601()
+    .withMessage('Data de início inválida'),
+
+  query('dataFim')
+    .optional()
+    .isISO8601()
+    .withMessage('Data de fim inválida'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Página inválida'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limite deve estar entre 1 e 200')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Accounts
+ *   description: Contas financeiras (corrente, poupança, carteira, cartão) e seus saldos
+ */
+
+/**
+ * @swagger
+ * /api/accounts:
+ *   get:
+ *     summary: Listar contas do usuário com saldo atual
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: incluirArquivadas
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [corrente, poupanca, carteira, cartao_credito, investimento, outro]
+ *     responses:
+ *       200:
+ *         description: Contas com saldoAtual (só confirmadas), saldoProjetado (incluindo as pendentes) e os totais das contas ativas
+ */
+router.get('/', accountController.getAll)
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   get:
+ *     summary: Buscar conta por ID
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conta com saldo atual
+ *       404:
+ *         description: Conta não encontrada
+ */
+router.get('/:id', accountController.getById)
+
+/**
+ * @swagger
+ * /api/accounts/{id}/saldo:
+ *   get:
+ *     summary: Saldo da conta em uma data
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: data
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Saldo ao final deste dia (padrão é o saldo atual)
+ *     responses:
+ *       200:
+ *         description: Saldo calculado
+ *       404:
+ *         description: Conta não encontrada
+ */
+router.get('/:id/saldo', saldoValidation, accountController.getSaldo)
+
+/**
+ * @swagger
+ * /api/accounts/{id}/extrato:
+ *   get:
+ *     summary: Extrato da conta com saldo acumulado
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Lançamentos em ordem cronológica com saldoAcumulado, saldo anterior e final
+ *       404:
+ *         description: Conta não encontrada
+ */
+router.get('/:id/extrato', extratoValidation, accountController.getExtrato)
+
+/**
+ * @swagger
+ * /api/accounts:
+ *   post:
+ *     summary: Criar nova conta
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - tipo
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 maxLength: 50
+ *               tipo:
+ *                 type: string
+ *                 enum: [corrente, poupanca, carteira, cartao_credito, investimento, outro]
+ *               instituicao:
+ *                 type: string
+ *               saldoInicial:
+ *                 type: number
+ *                 default: 0
+ *               moeda:
+ *                 type: string
+ *                 default: BRL
+ *               cor:
+ *                 type: string
+ *               icone:
+ *                 type: string
+ *               cartao:
+ *                 type: object
+ *                 description: Obrigatório para contas cartao_credito
+ *                 properties:
+ *                   diaFechamento:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 31
+ *                   diaVencimento:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 31
+ *                   limite:
+ *                     type: number
+ *     responses:
+ *       201:
+ *         description: Conta criada com sucesso
+ *       400:
+ *         description: Dados inválidos ou nome já utilizado
+ */
+router.post('/', accountValidation, accountController.create)
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   put:
+ *     summary: Atualizar conta
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conta atualizada com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       404:
+ *         description: Conta não encontrada
+ */
+router.put('/:id', accountUpdateValidation, accountController.update)
+
+/**
+ * @swagger
+ * /api/accounts/{id}/arquivar:
+ *   put:
+ *     summary: Arquivar conta (deixa de aceitar novas transações)
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conta arquivada com sucesso
+ *       400:
+ *         description: A conta padrão não pode ser arquivada
+ *       404:
+ *         description: Conta não encontrada
+ */
+router.put('/:id/arquivar', accountController.arquivar)
+
+/**
+ * @swagger
+ * /api/accounts/{id}/desarquivar:
+ *   put:
+ *     summary: Reativar conta arquivada
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conta reativada com sucesso
+ *       404:
+ *         description: Conta não encontrada
+ */
+router.put('/:id/desarquivar', accountController.desarquivar)
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   delete:
+ *     summary: Excluir conta sem transações
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conta removida com sucesso
+ *       400:
+ *         description: Conta padrão ou com transações associadas
+ *       404:
+ *         description: Conta não encontrada
+ */
+router.delete('/:id', accountController.remove)
+
+module.exports = router
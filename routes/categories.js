@@ -1,157 +1,75 @@
 // routes/categories.js - Completo
 const express = require('express')
 const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const categoryController = require('../controllers/categoryController')
+const { categoryValidation } = require('../middleware/validation')
 
-// Categorias padrão para despesas
-const categoriasDespesa = [
-  {
-    _id: '1',
-    nome: 'Alimentação',
-    tipo: 'despesa',
-    icone: 'restaurant',
-    cor: '#FF5722',
-    descricao: 'Gastos com comida e bebidas'
-  },
-  {
-    _id: '2',
-    nome: 'Transporte',
-    tipo: 'despesa',
-    icone: 'car',
-    cor: '#607D8B',
-    descricao: 'Combustível, uber, transporte público'
-  },
-  {
-    _id: '3',
-    nome: 'Moradia',
-    tipo: 'despesa',
-    icone: 'home',
-    cor: '#795548',
-    descricao: 'Aluguel, contas da casa, manutenção'
-  },
-  {
-    _id: '4',
-    nome: 'Saúde',
-    tipo: 'despesa',
-    icone: 'medical',
-    cor: '#F44336',
-    descricao: 'Médico, dentista, farmácia, plano de saúde'
-  },
-  {
-    _id: '5',
-    nome: 'Educação',
-    tipo: 'despesa',
-    icone: 'school',
-    cor: '#3F51B5',
-    descricao: 'Cursos, livros, material escolar'
-  },
-  {
-    _id: '6',
-    nome: 'Lazer',
-    tipo: 'despesa',
-    icone: 'game-controller',
-    cor: '#9C27B0',
-    descricao: 'Cinema, shows, viagens, hobbies'
-  },
-  {
-    _id: '7',
-    nome: 'Vestuário',
-    tipo: 'despesa',
-    icone: 'shirt',
-    cor: '#E91E63',
-    descricao: 'Roupas, sapatos, acessórios'
-  },
-  {
-    _id: '8',
-    nome: 'Tecnologia',
-    tipo: 'despesa',
-    icone: 'phone-portrait',
-    cor: '#2196F3',
-    descricao: 'Celular, computador, software'
-  },
-  {
-    _id: '9',
-    nome: 'Beleza',
-    tipo: 'despesa',
-    icone: 'cut',
-    cor: '#FF9800',
-    descricao: 'Cabelo, estética, cosméticos'
-  },
-  {
-    _id: '10',
-    nome: 'Investimentos',
-    tipo: 'despesa',
-    icone: 'trending-up',
-    cor: '#4CAF50',
-    descricao: 'Poupança, ações, fundos'
-  },
-  {
-    _id: '11',
-    nome: 'Pets',
-    tipo: 'despesa',
-    icone: 'paw',
-    cor: '#795548',
-    descricao: 'Ração, veterinário, medicamentos'
-  },
-  {
-    _id: '12',
-    nome: 'Outros',
-    tipo: 'despesa',
-    icone: 'ellipsis-horizontal',
-    cor: '#9E9E9E',
-    descricao: 'Gastos diversos'
-  }
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+const categoryUpdateValidation = [
+  body('nome')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nome deve ter entre 1 e 50 caracteres'),
+
+  body('tipo')
+    .optional()
+    .isIn(['receita', 'despesa', 'ambos'])
+    .withMessage('Tipo deve ser receita, despesa ou ambos'),
+
+  body('cor')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Cor deve estar em formato hexadecimal (#RRGGBB)'),
+
+  body('ativa')
+    .optional()
+    .isBoolean()
+    .withMessage('Campo ativa deve ser booleano')
+]
+
+const sugestaoValidation = [
+  query('descricao')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Descrição deve ter entre 2 e 200 caracteres'),
+
+  query('valor')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
+  query('metodoPagamento')
+    .optional()
+    .isIn(['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'])
+    .withMessage('Método de pagamento inválido'),
+
+  query('tipo')
+    .optional()
+    .isIn(['receita', 'despesa'])
+    .withMessage('Tipo deve ser receita ou despesa'),
+
+  query('limite')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Limite deve estar entre 1 e 10')
 ]
 
-// Categorias padrão para receitas
-const categoriasReceita = [
-  {
-    _id: '13',
-    nome: 'Salário',
-    tipo: 'receita',
-    icone: 'wallet',
-    cor: '#4CAF50',
-    descricao: 'Salário mensal'
-  },
-  {
-    _id: '14',
-    nome: 'Freelance',
-    tipo: 'receita',
-    icone: 'briefcase',
-    cor: '#FF9800',
-    descricao: 'Trabalhos freelancer'
-  },
-  {
-    _id: '15',
-    nome: 'Investimentos',
-    tipo: 'receita',
-    icone: 'trending-up',
-    cor: '#009688',
-    descricao: 'Rendimentos de investimentos'
-  },
-  {
-    _id: '16',
-    nome: 'Vendas',
-    tipo: 'receita',
-    icone: 'storefront',
-    cor: '#2196F3',
-    descricao: 'Vendas de produtos ou serviços'
-  },
-  {
-    _id: '17',
-    nome: 'Presentes',
-    tipo: 'receita',
-    icone: 'gift',
-    cor: '#E91E63',
-    descricao: 'Dinheiro recebido de presente'
-  },
-  {
-    _id: '18',
-    nome: 'Outros',
-    tipo: 'receita',
-    icone: 'ellipsis-horizontal',
-    cor: '#607D8B',
-    descricao: 'Outras receitas'
-  }
+const subcategoriaValidation = [
+  body('nome')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nome da subcategoria deve ter entre 1 e 50 caracteres'),
+
+  body('cor')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Cor deve estar em formato hexadecimal (#RRGGBB)')
 ]
 
 /**
@@ -163,32 +81,74 @@ const categoriasReceita = [
  *       properties:
  *         _id:
  *           type: string
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *           description: Nulo para as categorias padrão do sistema
  *         nome:
  *           type: string
  *         tipo:
  *           type: string
- *           enum: [receita, despesa]
+ *           enum: [receita, despesa, ambos]
  *         icone:
  *           type: string
  *         cor:
  *           type: string
- *         descricao:
- *           type: string
+ *         subcategorias:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               nome:
+ *                 type: string
+ *               icone:
+ *                 type: string
+ *               cor:
+ *                 type: string
+ *               ativa:
+ *                 type: boolean
+ *         ativa:
+ *           type: boolean
+ *         padrao:
+ *           type: boolean
+ *         ordem:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Categorias do usuário sobre as categorias padrão do sistema
  */
 
 /**
  * @swagger
  * /api/categories:
  *   get:
- *     summary: Listar todas as categorias
+ *     summary: Listar categorias do usuário e categorias padrão
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: tipo
  *         schema:
  *           type: string
- *           enum: [receita, despesa]
+ *           enum: [receita, despesa, ambos]
  *         description: Filtrar por tipo de categoria
+ *       - in: query
+ *         name: ativas
+ *         schema:
+ *           type: boolean
+ *         description: Apenas categorias ativas
+ *       - in: query
+ *         name: incluirEstatisticas
+ *         schema:
+ *           type: boolean
+ *         description: Incluir totais das transações de cada categoria
  *     responses:
  *       200:
  *         description: Lista de categorias
@@ -203,47 +163,226 @@ const categoriasReceita = [
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Category'
- *                 total:
- *                   type: number
  */
-router.get('/', (req, res) => {
-  try {
-    const { tipo } = req.query
-    
-    let categorias = [...categoriasDespesa, ...categoriasReceita]
-    
-    // Filtrar por tipo se especificado
-    if (tipo) {
-      categorias = categorias.filter(cat => cat.tipo === tipo)
-    }
-    
-    // Ordenar por nome
-    categorias.sort((a, b) => a.nome.localeCompare(b.nome))
-    
-    res.json({
-      success: true,
-      data: categorias,
-      total: categorias.length,
-      filters: {
-        tipo: tipo || 'todos'
-      }
-    })
-    
-  } catch (error) {
-    console.error('Erro ao buscar categorias:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
+router.get('/', categoryController.getAll)
+
+/**
+ * @swagger
+ * /api/categories/buscar:
+ *   get:
+ *     summary: Buscar categorias e subcategorias pelo nome
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa, ambos]
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Categorias e subcategorias encontradas
+ *       400:
+ *         description: Termo de busca muito curto
+ */
+router.get('/buscar', categoryController.buscar)
+
+/**
+ * @swagger
+ * /api/categories/sugestoes:
+ *   get:
+ *     summary: Sugerir categoria e subcategoria para uma descrição
+ *     description: |
+ *       Classificador treinado apenas com o histórico do próprio usuário (palavras da descrição,
+ *       faixa de valor e método de pagamento). O treino é atualizado a cada transação criada,
+ *       editada ou removida; no primeiro uso é feito com o histórico existente.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: descricao
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: valor
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: metodoPagamento
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa]
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *     responses:
+ *       200:
+ *         description: Candidatos em ordem de confiança (0 a 1)
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/sugestoes', sugestaoValidation, categoryController.sugerir)
+
+/**
+ * @swagger
+ * /api/categories/sugestoes/retreinar:
+ *   post:
+ *     summary: Refazer o treino das sugestões com todo o histórico
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quantidade de transações e categorias usadas no treino
+ */
+router.post('/sugestoes/retreinar', categoryController.retreinarSugestoes)
+
+/**
+ * @swagger
+ * /api/categories/estatisticas:
+ *   get:
+ *     summary: Obter estatísticas de uso das categorias
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: periodo
+ *         schema:
+ *           type: string
+ *           enum: [semana, mes, trimestre, ano]
+ *           default: mes
+ *     responses:
+ *       200:
+ *         description: Totais e porcentagens por categoria
+ */
+router.get('/estatisticas', categoryController.getEstatisticas)
+
+/**
+ * @swagger
+ * /api/categories/exportar:
+ *   get:
+ *     summary: Exportar categorias do usuário
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Arquivo de categorias
+ */
+router.get('/exportar', categoryController.exportar)
+
+/**
+ * @swagger
+ * /api/categories/tipo/{tipo}:
+ *   get:
+ *     summary: Listar categorias de um tipo
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tipo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa]
+ *     responses:
+ *       200:
+ *         description: Lista de categorias do tipo
+ */
+router.get('/tipo/:tipo', (req, res) => {
+  req.query.tipo = req.params.tipo
+  return categoryController.getAll(req, res)
 })
 
+/**
+ * @swagger
+ * /api/categories/ordem:
+ *   put:
+ *     summary: Reordenar categorias do usuário
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categorias:
+ *                 type: array
+ *                 description: Categorias na nova ordem
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Ordem atualizada
+ */
+router.put('/ordem', categoryController.updateOrdem)
+
+/**
+ * @swagger
+ * /api/categories/importar-padrao:
+ *   post:
+ *     summary: Copiar as categorias padrão do sistema para o usuário
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sobrescrever:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Importação concluída
+ */
+router.post('/importar-padrao', categoryController.importarPadrao)
+
 /**
  * @swagger
  * /api/categories/{id}:
  *   get:
- *     summary: Buscar categoria por ID
+ *     summary: Buscar categoria por ID com estatísticas
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -256,32 +395,7 @@ router.get('/', (req, res) => {
  *       404:
  *         description: Categoria não encontrada
  */
-router.get('/:id', (req, res) => {
-  try {
-    const { id } = req.params
-    const todasCategorias = [...categoriasDespesa, ...categoriasReceita]
-    const categoria = todasCategorias.find(cat => cat._id === id)
-    
-    if (!categoria) {
-      return res.status(404).json({
-        success: false,
-        error: 'Categoria não encontrada'
-      })
-    }
-    
-    res.json({
-      success: true,
-      data: categoria
-    })
-    
-  } catch (error) {
-    console.error('Erro ao buscar categoria:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+router.get('/:id', categoryController.getById)
 
 /**
  * @swagger
@@ -289,6 +403,8 @@ router.get('/:id', (req, res) => {
  *   post:
  *     summary: Criar nova categoria
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -298,93 +414,38 @@ router.get('/:id', (req, res) => {
  *             required:
  *               - nome
  *               - tipo
+ *               - icone
+ *               - cor
  *             properties:
  *               nome:
  *                 type: string
  *               tipo:
  *                 type: string
- *                 enum: [receita, despesa]
+ *                 enum: [receita, despesa, ambos]
  *               icone:
  *                 type: string
  *               cor:
  *                 type: string
- *               descricao:
- *                 type: string
+ *               subcategorias:
+ *                 type: array
+ *                 items:
+ *                   type: object
  *     responses:
  *       201:
  *         description: Categoria criada com sucesso
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos ou nome já existente
  */
-router.post('/', (req, res) => {
-  try {
-    const { nome, tipo, icone, cor, descricao } = req.body
-    
-    // Validações
-    if (!nome || !tipo) {
-      return res.status(400).json({
-        success: false,
-        error: 'Nome e tipo são obrigatórios'
-      })
-    }
-    
-    if (!['receita', 'despesa'].includes(tipo)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Tipo deve ser "receita" ou "despesa"'
-      })
-    }
-    
-    // Verificar se categoria já existe
-    const todasCategorias = [...categoriasDespesa, ...categoriasReceita]
-    const categoriaExistente = todasCategorias.find(cat => 
-      cat.nome.toLowerCase() === nome.toLowerCase() && cat.tipo === tipo
-    )
-    
-    if (categoriaExistente) {
-      return res.status(400).json({
-        success: false,
-        error: 'Já existe uma categoria com este nome'
-      })
-    }
-    
-    const novaCategoria = {
-      _id: (Date.now() + Math.random()).toString(),
-      nome: nome.trim(),
-      tipo,
-      icone: icone || 'ellipsis-horizontal',
-      cor: cor || '#9E9E9E',
-      descricao: descricao || ''
-    }
-    
-    // Adicionar à lista apropriada
-    if (tipo === 'despesa') {
-      categoriasDespesa.push(novaCategoria)
-    } else {
-      categoriasReceita.push(novaCategoria)
-    }
-    
-    res.status(201).json({
-      success: true,
-      message: 'Categoria criada com sucesso',
-      data: novaCategoria
-    })
-    
-  } catch (error) {
-    console.error('Erro ao criar categoria:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+router.post('/', categoryValidation, categoryController.create)
 
 /**
  * @swagger
  * /api/categories/{id}:
  *   put:
- *     summary: Atualizar categoria
+ *     summary: Atualizar categoria do usuário
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -400,59 +461,21 @@ router.post('/', (req, res) => {
  *     responses:
  *       200:
  *         description: Categoria atualizada
+ *       403:
+ *         description: Categorias padrão não podem ser editadas
  *       404:
  *         description: Categoria não encontrada
  */
-router.put('/:id', (req, res) => {
-  try {
-    const { id } = req.params
-    const { nome, tipo, icone, cor, descricao } = req.body
-    
-    // Encontrar categoria
-    const categoriaIndex = categoriasDespesa.findIndex(cat => cat._id === id)
-    let lista = categoriasDespesa
-    let index = categoriaIndex
-    
-    if (categoriaIndex === -1) {
-      const receitaIndex = categoriasReceita.findIndex(cat => cat._id === id)
-      if (receitaIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          error: 'Categoria não encontrada'
-        })
-      }
-      lista = categoriasReceita
-      index = receitaIndex
-    }
-    
-    // Atualizar categoria
-    if (nome) lista[index].nome = nome.trim()
-    if (tipo) lista[index].tipo = tipo
-    if (icone) lista[index].icone = icone
-    if (cor) lista[index].cor = cor
-    if (descricao !== undefined) lista[index].descricao = descricao
-    
-    res.json({
-      success: true,
-      message: 'Categoria atualizada com sucesso',
-      data: lista[index]
-    })
-    
-  } catch (error) {
-    console.error('Erro ao atualizar categoria:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+router.put('/:id', categoryUpdateValidation, categoryController.update)
 
 /**
  * @swagger
  * /api/categories/{id}:
  *   delete:
- *     summary: Excluir categoria
+ *     summary: Excluir categoria do usuário (vai para a lixeira)
  *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -462,127 +485,139 @@ router.put('/:id', (req, res) => {
  *     responses:
  *       200:
  *         description: Categoria excluída
+ *       400:
+ *         description: Categoria possui transações associadas
+ *       403:
+ *         description: Categorias padrão não podem ser excluídas
  *       404:
  *         description: Categoria não encontrada
  */
-router.delete('/:id', (req, res) => {
-  try {
-    const { id } = req.params
-    
-    // Encontrar e remover categoria
-    const despesaIndex = categoriasDespesa.findIndex(cat => cat._id === id)
-    if (despesaIndex !== -1) {
-      const categoriaRemovida = categoriasDespesa.splice(despesaIndex, 1)[0]
-      return res.json({
-        success: true,
-        message: 'Categoria excluída com sucesso',
-        data: categoriaRemovida
-      })
-    }
-    
-    const receitaIndex = categoriasReceita.findIndex(cat => cat._id === id)
-    if (receitaIndex !== -1) {
-      const categoriaRemovida = categoriasReceita.splice(receitaIndex, 1)[0]
-      return res.json({
-        success: true,
-        message: 'Categoria excluída com sucesso',
-        data: categoriaRemovida
-      })
-    }
-    
-    res.status(404).json({
-      success: false,
-      error: 'Categoria não encontrada'
-    })
-    
-  } catch (error) {
-    console.error('Erro ao excluir categoria:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+router.delete('/:id', categoryController.remove)
 
-// Rotas específicas para tipos
-router.get('/tipo/despesa', (req, res) => {
-  res.json({
-    success: true,
-    data: categoriasDespesa,
-    total: categoriasDespesa.length
-  })
-})
+/**
+ * @swagger
+ * /api/categories/{id}/duplicar:
+ *   post:
+ *     summary: Duplicar categoria com um novo nome
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Categoria duplicada
+ *       404:
+ *         description: Categoria não encontrada
+ */
+router.post('/:id/duplicar', categoryController.duplicar)
 
-router.get('/tipo/receita', (req, res) => {
-  res.json({
-    success: true,
-    data: categoriasReceita,
-    total: categoriasReceita.length
-  })
-})
+/**
+ * @swagger
+ * /api/categories/{id}/subcategorias:
+ *   post:
+ *     summary: Adicionar subcategoria
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *               icone:
+ *                 type: string
+ *               cor:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subcategoria adicionada
+ *       400:
+ *         description: Subcategoria já existe
+ */
+router.post('/:id/subcategorias', subcategoriaValidation, categoryController.addSubcategoria)
 
-// Rota de teste e debug
-router.get('/test/debug', (req, res) => {
-  res.json({
-    message: 'Rota de categorias funcionando!',
-    estatisticas: {
-      totalCategorias: categoriasDespesa.length + categoriasReceita.length,
-      despesas: categoriasDespesa.length,
-      receitas: categoriasReceita.length
-    },
-    exemploUso: {
-      listarTodas: 'GET /api/categories',
-      listarDespesas: 'GET /api/categories?tipo=despesa',
-      listarReceitas: 'GET /api/categories?tipo=receita',
-      buscarPorId: 'GET /api/categories/1',
-      criar: 'POST /api/categories',
-      atualizar: 'PUT /api/categories/1',
-      excluir: 'DELETE /api/categories/1'
-    },
-    formatoEsperado: {
-      success: true,
-      data: [
-        {
-          _id: '1',
-          nome: 'Alimentação',
-          tipo: 'despesa',
-          icone: 'restaurant',
-          cor: '#FF5722',
-          descricao: 'Gastos com comida e bebidas'
-        }
-      ]
-    }
-  })
-})
+/**
+ * @swagger
+ * /api/categories/{id}/subcategorias/{subcategoriaId}:
+ *   put:
+ *     summary: Atualizar subcategoria
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subcategoriaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subcategoria atualizada
+ *       404:
+ *         description: Categoria ou subcategoria não encontrada
+ */
+router.put('/:id/subcategorias/:subcategoriaId', subcategoriaValidation, categoryController.updateSubcategoria)
 
-// Rota para resetar categorias (útil para desenvolvimento)
-router.post('/reset', (req, res) => {
-  try {
-    // Esta rota recriaria as categorias padrão
-    // Por segurança, só funciona em desenvolvimento
-    if (process.env.NODE_ENV !== 'development') {
-      return res.status(403).json({
-        success: false,
-        error: 'Esta operação só é permitida em desenvolvimento'
-      })
-    }
-    
-    res.json({
-      success: true,
-      message: 'Categorias resetadas com sucesso',
-      data: {
-        despesas: categoriasDespesa.length,
-        receitas: categoriasReceita.length
-      }
-    })
-    
-  } catch (error) {
-    console.error('Erro ao resetar categorias:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+/**
+ * @swagger
+ * /api/categories/{id}/subcategorias/{subcategoriaId}:
+ *   delete:
+ *     summary: Remover subcategoria
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subcategoriaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subcategoria removida
+ *       400:
+ *         description: Subcategoria possui transações associadas
+ *       404:
+ *         description: Categoria ou subcategoria não encontrada
+ */
+router.delete('/:id/subcategorias/:subcategoriaId', categoryController.removeSubcategoria)
 
-module.exports = router
\ No newline at end of file
+module.exports = router
@@ -86,7 +86,7 @@ router.use(auth)
  *         description: Mês específico (0-11)
  *     responses:
  *       200:
- *         description: Dados do dashboard obtidos com sucesso
+ *         description: Dados do dashboard; o resumo financeiro conta só transações confirmadas e pendentes traz as contas a pagar/receber e o saldo projetado
  *         content:
  *           application/json:
  *             schema:
@@ -0,0 +1,236 @@
+const express = require('express')
+const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const { uploadExtrato } = require('../middleware/upload')
+const exchangeRateController = require('../controllers/exchangeRateController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const cotacaoValidation = [
+  body(['moedaOrigem', 'moedaDestino'])
+    .isString()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Moeda deve ser um código ISO de 3 letras'),
+
+  body('taxa')
+    .isFloat({ gt: 0 })
+    .withMessage('Taxa deve ser maior que 0'),
+
+  body('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida')
+]
+
+const conversaoValidation = [
+  query('valor')
+    .isFloat({ min: 0 })
+    .withMessage('Valor deve ser um número maior ou igual a 0'),
+
+  query('de')
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Moeda de origem deve ser um código ISO de 3 letras'),
+
+  query('para')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Moeda de destino deve ser um código ISO de 3 letras'),
+
+  query('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exchange Rates
+ *   description: |
+ *     Tabela de cotações usada para converter valores para a moeda base do usuário.
+ *     A tabela geral é importada pelo administrador (npm run rates:import); cada usuário
+ *     pode cadastrar as próprias cotações, que têm prioridade sobre as gerais na mesma data.
+ */
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Listar cotações (do usuário e da tabela geral)
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moedaOrigem
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: moedaDestino
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fonte
+ *         schema:
+ *           type: string
+ *           enum: [admin, csv, manual]
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cotações com paginação; geral=true indica a tabela do administrador
+ */
+router.get('/', exchangeRateController.getAll)
+
+/**
+ * @swagger
+ * /api/exchange-rates/converter:
+ *   get:
+ *     summary: Converter um valor pela cotação da data
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: valor
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: de
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: USD
+ *       - in: query
+ *         name: para
+ *         schema:
+ *           type: string
+ *         description: Padrão é a moeda base do usuário
+ *       - in: query
+ *         name: data
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Usa a cotação mais recente até a data (padrão hoje)
+ *     responses:
+ *       200:
+ *         description: Valor original, valor convertido, taxa e data da cotação usada
+ *       404:
+ *         description: Nenhuma cotação cadastrada para o par
+ */
+router.get('/converter', conversaoValidation, exchangeRateController.converter)
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   post:
+ *     summary: Cadastrar cotação do usuário
+ *     description: 1 moedaOrigem = taxa moedaDestino. Uma nova cotação do mesmo par e data substitui a anterior.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - moedaOrigem
+ *               - moedaDestino
+ *               - taxa
+ *             properties:
+ *               moedaOrigem:
+ *                 type: string
+ *                 example: USD
+ *               moedaDestino:
+ *                 type: string
+ *                 example: BRL
+ *               taxa:
+ *                 type: number
+ *                 example: 5.25
+ *               data:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Cotação registrada
+ *       400:
+ *         description: Dados inválidos
+ */
+router.post('/', cotacaoValidation, exchangeRateController.create)
+
+/**
+ * @swagger
+ * /api/exchange-rates/importar:
+ *   post:
+ *     summary: Importar cotações do usuário de um CSV
+ *     description: |
+ *       Colunas: data, moeda_origem, moeda_destino e taxa (também aceita date, from, to, rate).
+ *       Linhas inválidas são listadas em erros e as demais são gravadas. Máximo de 5000 linhas.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arquivo
+ *             properties:
+ *               arquivo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Quantidade de cotações importadas e atualizadas, e erros por linha
+ *       400:
+ *         description: Arquivo ausente ou sem nenhuma cotação válida
+ */
+router.post('/importar', uploadExtrato, exchangeRateController.importarCsv)
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   delete:
+ *     summary: Remover cotação do usuário
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cotação removida
+ *       404:
+ *         description: Cotação não encontrada (ou da tabela geral)
+ */
+router.delete('/:id', exchangeRateController.remove)
+
+module.exports = router
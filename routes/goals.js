@@ -646,7 +646,7 @@ router.put('/:id', goalUpdateValidation, goalController.update)
  * @swagger
  * /api/goals/{id}:
  *   delete:
- *     summary: Excluir meta
+ *     summary: Excluir meta (vai para a lixeira)
  *     tags: [Goals]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,396 @@
+const express = require('express')
+const router = express.Router()
+const { body } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const { uploadExtrato } = require('../middleware/upload')
+const CsvParser = require('../utils/csvParser')
+const importController = require('../controllers/importController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+const FORMATOS_DATA = CsvParser.formatosData
+
+// Validações (campos do formulário multipart, lidos após o upload)
+const importValidation = [
+  body('contaId')
+    .isMongoId()
+    .withMessage('Conta inválida')
+]
+
+const confirmacaoValidation = [
+  ...importValidation,
+
+  body('categoriaReceita')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Categoria de receitas inválida'),
+
+  body('categoriaDespesa')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Categoria de despesas inválida')
+]
+
+// Configuração de leitura do CSV (na importação ou salva no perfil)
+const formatoCsvValidation = [
+  body('delimitador')
+    .optional()
+    .isIn([';', ',', '\t', '|'])
+    .withMessage('Delimitador inválido'),
+
+  body('separadorDecimal')
+    .optional()
+    .isIn(['virgula', 'ponto'])
+    .withMessage('Separador decimal deve ser virgula ou ponto'),
+
+  body('formatoData')
+    .optional()
+    .isIn(FORMATOS_DATA)
+    .withMessage('Formato de data inválido'),
+
+  body('inverterSinal')
+    .optional()
+    .isBoolean()
+    .withMessage('inverterSinal deve ser verdadeiro ou falso')
+]
+
+const csvValidation = [
+  body('perfilId')
+    .optional()
+    .isMongoId()
+    .withMessage('Perfil inválido'),
+
+  ...formatoCsvValidation
+]
+
+const perfilValidation = [
+  body('nome')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nome deve ter entre 1 e 50 caracteres'),
+
+  body('mapeamento')
+    .isObject()
+    .withMessage('Mapeamento deve ser um objeto'),
+
+  body('mapeamento.data')
+    .isString()
+    .notEmpty()
+    .withMessage('Coluna de data é obrigatória'),
+
+  body('mapeamento.descricao')
+    .isString()
+    .notEmpty()
+    .withMessage('Coluna de descrição é obrigatória'),
+
+  ...formatoCsvValidation,
+
+  body('contaId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Conta inválida')
+]
+
+const perfilUpdateValidation = [
+  body('nome')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nome deve ter entre 1 e 50 caracteres'),
+
+  body('mapeamento')
+    .optional()
+    .isObject()
+    .withMessage('Mapeamento deve ser um objeto'),
+
+  ...formatoCsvValidation,
+
+  body('contaId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Conta inválida')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Importação de extratos bancários (OFX) e planilhas (CSV)
+ */
+
+/**
+ * @swagger
+ * /api/imports/ofx/preview:
+ *   post:
+ *     summary: Pré-visualizar a importação de um extrato OFX
+ *     description: |
+ *       Lê extratos OFX 1.x (SGML) ou 2.x (XML) e classifica cada lançamento:
+ *       nova, duplicada (FITID já importado ou lançamento importado com mesmo valor e data),
+ *       conflito (transação com mesmo valor em até 3 dias) ou invalida. Nada é gravado.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arquivo
+ *               - contaId
+ *             properties:
+ *               arquivo:
+ *                 type: string
+ *                 format: binary
+ *               contaId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Linhas classificadas, dados do extrato e resumo
+ *       400:
+ *         description: Arquivo ausente ou inválido, ou conta não encontrada
+ */
+router.post('/ofx/preview', uploadExtrato, importValidation, importController.previewOfx)
+
+/**
+ * @swagger
+ * /api/imports/ofx/confirmar:
+ *   post:
+ *     summary: Importar um extrato OFX
+ *     description: |
+ *       Reclassifica o arquivo e cria as transações das linhas novas. Conflitos só são
+ *       importados quando suas linhas são informadas em importarConflitos. Duplicadas nunca são importadas.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arquivo
+ *               - contaId
+ *             properties:
+ *               arquivo:
+ *                 type: string
+ *                 format: binary
+ *               contaId:
+ *                 type: string
+ *               importarConflitos:
+ *                 type: string
+ *                 description: Números das linhas em conflito a importar (ex. "3,7")
+ *               categoriaReceita:
+ *                 type: string
+ *                 default: Outras Receitas
+ *               categoriaDespesa:
+ *                 type: string
+ *                 default: Outros
+ *     responses:
+ *       201:
+ *         description: Transações importadas
+ *       400:
+ *         description: Arquivo ausente ou inválido, conta ou categoria não encontrada
+ */
+router.post('/ofx/confirmar', uploadExtrato, confirmacaoValidation, importController.confirmarOfx)
+
+/**
+ * @swagger
+ * /api/imports/csv/preview:
+ *   post:
+ *     summary: Simular a importação de um CSV (dry run)
+ *     description: |
+ *       Detecta delimitador, separador decimal e formato de data, aplica o mapeamento de colunas
+ *       (informado, de um perfil salvo ou sugerido pelo cabeçalho) e valida cada linha.
+ *       Linhas com erro são classificadas como invalida, com a lista de erros. Nada é gravado.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arquivo
+ *               - contaId
+ *             properties:
+ *               arquivo:
+ *                 type: string
+ *                 format: binary
+ *               contaId:
+ *                 type: string
+ *               perfilId:
+ *                 type: string
+ *               mapeamento:
+ *                 type: string
+ *                 description: 'JSON com as colunas de cada campo, ex. {"data":"Data","descricao":"Descrição","valor":"Valor","categoria":"Categoria"}'
+ *               delimitador:
+ *                 type: string
+ *               separadorDecimal:
+ *                 type: string
+ *                 enum: [virgula, ponto]
+ *               formatoData:
+ *                 type: string
+ *                 enum: [DD/MM/AAAA, MM/DD/AAAA, AAAA-MM-DD, DD/MM/AA]
+ *               inverterSinal:
+ *                 type: boolean
+ *                 description: Valores positivos são despesas (extratos de cartão)
+ *     responses:
+ *       200:
+ *         description: Detecção, mapeamento usado, perfis compatíveis e linhas validadas e classificadas
+ *       400:
+ *         description: Arquivo inválido, conta não encontrada ou mapeamento incompleto
+ *       404:
+ *         description: Perfil não encontrado
+ */
+router.post('/csv/preview', uploadExtrato, [...importValidation, ...csvValidation], importController.previewCsv)
+
+/**
+ * @swagger
+ * /api/imports/csv/confirmar:
+ *   post:
+ *     summary: Importar um CSV
+ *     description: |
+ *       Mesmos campos da simulação. Importa as linhas novas e os conflitos informados em importarConflitos;
+ *       linhas inválidas e duplicadas são ignoradas e listadas na resposta.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Transações importadas e erros por linha
+ *       400:
+ *         description: Arquivo inválido, conta ou categoria não encontrada, ou mapeamento incompleto
+ */
+router.post('/csv/confirmar', uploadExtrato, [...confirmacaoValidation, ...csvValidation], importController.confirmarCsv)
+
+/**
+ * @swagger
+ * /api/imports/perfis:
+ *   get:
+ *     summary: Listar perfis de mapeamento de CSV
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Perfis do usuário, usados recentemente primeiro
+ */
+router.get('/perfis', importController.getPerfis)
+
+/**
+ * @swagger
+ * /api/imports/perfis:
+ *   post:
+ *     summary: Salvar um perfil de mapeamento de CSV
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - mapeamento
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: Nubank cartão
+ *               mapeamento:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: string
+ *                   descricao:
+ *                     type: string
+ *                   valor:
+ *                     type: string
+ *                   valorReceita:
+ *                     type: string
+ *                   valorDespesa:
+ *                     type: string
+ *                   tipo:
+ *                     type: string
+ *                   categoria:
+ *                     type: string
+ *                   observacoes:
+ *                     type: string
+ *                   tags:
+ *                     type: string
+ *                   idExterno:
+ *                     type: string
+ *               delimitador:
+ *                 type: string
+ *               separadorDecimal:
+ *                 type: string
+ *                 enum: [virgula, ponto]
+ *               formatoData:
+ *                 type: string
+ *                 enum: [DD/MM/AAAA, MM/DD/AAAA, AAAA-MM-DD, DD/MM/AA]
+ *               inverterSinal:
+ *                 type: boolean
+ *               contaId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Perfil criado
+ *       400:
+ *         description: Dados inválidos ou nome já utilizado
+ */
+router.post('/perfis', perfilValidation, importController.createPerfil)
+
+/**
+ * @swagger
+ * /api/imports/perfis/{id}:
+ *   put:
+ *     summary: Atualizar perfil de mapeamento
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Perfil atualizado
+ *       404:
+ *         description: Perfil não encontrado
+ */
+router.put('/perfis/:id', perfilUpdateValidation, importController.updatePerfil)
+
+/**
+ * @swagger
+ * /api/imports/perfis/{id}:
+ *   delete:
+ *     summary: Remover perfil de mapeamento
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Perfil removido
+ *       404:
+ *         description: Perfil não encontrado
+ */
+router.delete('/perfis/:id', importController.removePerfil)
+
+module.exports = router
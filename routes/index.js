@@ -0,0 +1,91 @@
+// routes/index.js - Registro central dos módulos da API
+// Módulos com caminho mais específico devem vir antes do caminho pai
+// (ex.: /api/budgets/renewal antes de /api/budgets)
+const modulos = [
+  { nome: 'auth', titulo: 'Auth', caminho: '/api/auth', arquivo: './auth' },
+  { nome: 'user', titulo: 'User', caminho: '/api/user', arquivo: './user' },
+  { nome: 'categories', titulo: 'Categories', caminho: '/api/categories', arquivo: './categories' },
+  { nome: 'accounts', titulo: 'Accounts', caminho: '/api/accounts', arquivo: './accounts' },
+  { nome: 'transfers', titulo: 'Transfers', caminho: '/api/transfers', arquivo: './transfers' },
+  { nome: 'invoices', titulo: 'Invoices', caminho: '/api/invoices', arquivo: './invoices' },
+  { nome: 'imports', titulo: 'Imports', caminho: '/api/imports', arquivo: './imports' },
+  { nome: 'exchangeRates', titulo: 'Exchange Rates', caminho: '/api/exchange-rates', arquivo: './exchangeRates' },
+  { nome: 'reconciliations', titulo: 'Reconciliations', caminho: '/api/reconciliations', arquivo: './reconciliations' },
+  { nome: 'rules', titulo: 'Rules', caminho: '/api/rules', arquivo: './rules' },
+  { nome: 'recurrences', titulo: 'Recurrences', caminho: '/api/recurrences', arquivo: './recurrences' },
+  { nome: 'transactions', titulo: 'Transactions', caminho: '/api/transactions', arquivo: './transactions' },
+  { nome: 'views', titulo: 'Views', caminho: '/api/views', arquivo: './views' },
+  { nome: 'places', titulo: 'Places', caminho: '/api/places', arquivo: './places' },
+  { nome: 'tags', titulo: 'Tags', caminho: '/api/tags', arquivo: './tags' },
+  { nome: 'payees', titulo: 'Payees', caminho: '/api/payees', arquivo: './payees' },
+  { nome: 'budgetRenewal', titulo: 'Budget Renewal', caminho: '/api/budgets/renewal', arquivo: './budgetRenewal' },
+  { nome: 'budgets', titulo: 'Budgets', caminho: '/api/budgets', arquivo: './budgets' },
+  { nome: 'goals', titulo: 'Goals', caminho: '/api/goals', arquivo: './goals' },
+  { nome: 'trash', titulo: 'Trash', caminho: '/api/trash', arquivo: './trash' },
+  { nome: 'dashboard', titulo: 'Dashboard', caminho: '/api/dashboard', arquivo: './dashboard' },
+  { nome: 'reports', titulo: 'Reports', caminho: '/api/reports', arquivo: './reports' }
+]
+
+// Resultado do último carregamento
+const registro = []
+
+/**
+ * Carregar e montar todos os módulos no app, registrando os que falharem
+ */
+function registrarRotas(app) {
+  registro.length = 0
+
+  modulos.forEach(modulo => {
+    try {
+      const router = require(modulo.arquivo)
+      app.use(modulo.caminho, router)
+      registro.push({ ...modulo, carregado: true, erro: null })
+      console.log(`✅ Rota ${modulo.nome} carregada`)
+    } catch (error) {
+      registro.push({ ...modulo, carregado: false, erro: error.message })
+      console.error(`❌ Falha ao carregar rota ${modulo.nome}:`, error.message)
+    }
+  })
+
+  return registro
+}
+
+/**
+ * Catálogo de endpoints para o índice /api
+ */
+function getCatalogo() {
+  const endpoints = {}
+  const falhas = []
+
+  registro.forEach(modulo => {
+    if (modulo.carregado) {
+      endpoints[modulo.nome] = modulo.caminho
+    } else {
+      falhas.push({
+        modulo: modulo.nome,
+        caminho: modulo.caminho,
+        erro: modulo.erro
+      })
+    }
+  })
+
+  return { endpoints, falhas }
+}
+
+/**
+ * Linhas de status das rotas para o banner de inicialização
+ */
+function getStatusBanner() {
+  return registro
+    .map(modulo => modulo.carregado
+      ? `✅ ${modulo.titulo}`
+      : `❌ ${modulo.titulo} (${modulo.erro})`)
+    .join('\n')
+}
+
+module.exports = {
+  modulos,
+  registrarRotas,
+  getCatalogo,
+  getStatusBanner
+}
@@ -0,0 +1,158 @@
+const express = require('express')
+const router = express.Router()
+const { body } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const invoiceController = require('../controllers/invoiceController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const pagamentoValidation = [
+  body('contaOrigemId')
+    .isMongoId()
+    .withMessage('Conta de pagamento inválida'),
+
+  body('valor')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
+  body('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  body('observacoes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Observações não podem ter mais de 500 caracteres')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: Faturas dos cartões de crédito
+ */
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Listar faturas com totais
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *         description: Cartão (conta do tipo cartao_credito)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [aberta, fechada, paga]
+ *       - in: query
+ *         name: ano
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Faturas com total, valor pago e valor restante
+ */
+router.get('/', invoiceController.getAll)
+
+/**
+ * @swagger
+ * /api/invoices/cartao/{contaId}/atual:
+ *   get:
+ *     summary: Fatura em aberto do cartão (ciclo da data atual)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fatura do ciclo atual
+ *       400:
+ *         description: Cartão sem fechamento e vencimento configurados
+ *       404:
+ *         description: Cartão não encontrado
+ */
+router.get('/cartao/:contaId/atual', invoiceController.getAtual)
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Buscar fatura com suas transações
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fatura, totais, pagamentos e transações
+ *       404:
+ *         description: Fatura não encontrada
+ */
+router.get('/:id', invoiceController.getById)
+
+/**
+ * @swagger
+ * /api/invoices/{id}/pagar:
+ *   post:
+ *     summary: Pagar fatura
+ *     description: Registra o pagamento como uma transferência da conta informada para o cartão. Sem valor, paga o restante da fatura.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contaOrigemId
+ *             properties:
+ *               contaOrigemId:
+ *                 type: string
+ *               valor:
+ *                 type: number
+ *                 minimum: 0.01
+ *               data:
+ *                 type: string
+ *                 format: date-time
+ *               observacoes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Pagamento registrado com sucesso
+ *       400:
+ *         description: Dados inválidos, conta inválida ou nada a pagar
+ *       404:
+ *         description: Fatura não encontrada
+ */
+router.post('/:id/pagar', pagamentoValidation, invoiceController.pagar)
+
+module.exports = router
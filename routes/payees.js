@@ -0,0 +1,360 @@
+const express = require('express')
+const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const payeeController = require('../controllers/payeeController')
+const { validarRegex } = require('../utils/regexSeguro')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const payeeValidation = (opcional = false) => {
+  const nome = body('nome')
+  if (opcional) nome.optional()
+
+  return [
+    nome
+      .trim()
+      .isLength({ min: 1, max: 80 })
+      .withMessage('Nome deve ter entre 1 e 80 caracteres'),
+
+    body('aliases')
+      .optional()
+      .isArray()
+      .withMessage('Aliases devem ser uma lista'),
+
+    body('aliases.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 120 })
+      .withMessage('Alias inválido'),
+
+    body('padroes')
+      .optional()
+      .isArray()
+      .withMessage('Padrões devem ser uma lista'),
+
+    body('padroes.*.operador')
+      .optional()
+      .isIn(['contem', 'igual', 'comeca_com', 'regex'])
+      .withMessage('Operador deve ser contem, igual, comeca_com ou regex'),
+
+    body('padroes.*.valor')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Valor do padrão deve ter entre 1 e 200 caracteres')
+    .bail()
+    .custom((valor, { req, path }) => {
+      // Expressões regulares: limite menor e sem padrões que travam o servidor (ex.: (a+)+)
+      const indice = path.match(/\[(\d+)\]/)?.[1]
+      if (req.body.padroes?.[indice]?.operador !== 'regex') return true
+      const erro = validarRegex(valor)
+      if (erro) throw new Error(erro)
+      return true
+    }),
+
+    body('categoriaPadrao.nome')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ min: 1 })
+      .withMessage('Categoria padrão inválida')
+  ]
+}
+
+const mesclarValidation = [
+  body('origemId')
+    .isMongoId()
+    .withMessage('Beneficiário de origem inválido')
+]
+
+const analyticsValidation = [
+  query('tipo')
+    .optional()
+    .isIn(['receita', 'despesa'])
+    .withMessage('Tipo deve ser receita ou despesa'),
+
+  query(['dataInicio', 'dataFim'])
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  query('ordenarPor')
+    .optional()
+    .isIn(['total', 'quantidade', 'ticketMedio'])
+    .withMessage('Ordenação deve ser total, quantidade ou ticketMedio'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite deve estar entre 1 e 100')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payees
+ *   description: |
+ *     Beneficiários (estabelecimentos) das transações. Ao criar ou importar uma transação, a descrição
+ *     é normalizada ("PAG*IFOOD 123", "IFOOD *SP" e "iFood" viram "ifood") e ligada ao beneficiário
+ *     pelos padrões, nome ou aliases; descrições não reconhecidas criam um beneficiário automático.
+ *     A categoria padrão do beneficiário preenche a categoria quando nem o usuário nem as regras a definem.
+ */
+
+/**
+ * @swagger
+ * /api/payees:
+ *   get:
+ *     summary: Listar beneficiários
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: busca
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: origem
+ *         schema:
+ *           type: string
+ *           enum: [manual, automatico]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Beneficiários com a quantidade de transações
+ */
+router.get('/', payeeController.getAll)
+
+/**
+ * @swagger
+ * /api/payees/analytics:
+ *   get:
+ *     summary: Estabelecimentos com mais gastos, frequência e ticket médio
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa]
+ *           default: despesa
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ordenarPor
+ *         schema:
+ *           type: string
+ *           enum: [total, quantidade, ticketMedio]
+ *           default: total
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: |
+ *           Total do período e, por beneficiário, total, participação (%), quantidade, ticket médio,
+ *           meses com transações, média por mês e intervalo médio em dias (valores na moeda base)
+ */
+router.get('/analytics', analyticsValidation, payeeController.getAnalytics)
+
+/**
+ * @swagger
+ * /api/payees/reprocessar:
+ *   post:
+ *     summary: Reconhecer o beneficiário das transações já cadastradas
+ *     description: Não altera categorias. Com sobrescrever=true, refaz também as que já têm beneficiário
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sobrescrever:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Transações analisadas, atualizadas e beneficiários criados
+ */
+router.post('/reprocessar', payeeController.reprocessar)
+
+/**
+ * @swagger
+ * /api/payees/{id}:
+ *   get:
+ *     summary: Obter beneficiário com as transações recentes
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beneficiário
+ *       404:
+ *         description: Beneficiário não encontrado
+ */
+router.get('/:id', payeeController.getById)
+
+/**
+ * @swagger
+ * /api/payees:
+ *   post:
+ *     summary: Criar beneficiário
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nome]
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: iFood
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["IFD Agendamento"]
+ *               padroes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     operador:
+ *                       type: string
+ *                       enum: [contem, igual, comeca_com, regex]
+ *                     valor:
+ *                       type: string
+ *                       description: |
+ *                         Com o operador regex, até 100 caracteres, sem repetir grupos que já
+ *                         repetem ou têm alternativas (ex.: (a+)+) e sem referências a grupos
+ *               categoriaPadrao:
+ *                 type: object
+ *                 properties:
+ *                   nome:
+ *                     type: string
+ *                   subcategoria:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Beneficiário criado
+ *       400:
+ *         description: Dados inválidos ou nome já usado
+ */
+router.post('/', payeeValidation(), payeeController.create)
+
+/**
+ * @swagger
+ * /api/payees/{id}:
+ *   put:
+ *     summary: Atualizar beneficiário
+ *     description: Aliases e padrões informados substituem os anteriores por inteiro
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beneficiário atualizado
+ *       404:
+ *         description: Beneficiário não encontrado
+ */
+router.put('/:id', payeeValidation(true), payeeController.update)
+
+/**
+ * @swagger
+ * /api/payees/{id}/mesclar:
+ *   post:
+ *     summary: Mesclar outro beneficiário neste
+ *     description: Transações, nome (como alias), aliases e padrões da origem passam para este beneficiário
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [origemId]
+ *             properties:
+ *               origemId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Beneficiários mesclados
+ *       404:
+ *         description: Beneficiário não encontrado
+ */
+router.post('/:id/mesclar', mesclarValidation, payeeController.mesclar)
+
+/**
+ * @swagger
+ * /api/payees/{id}:
+ *   delete:
+ *     summary: Excluir beneficiário
+ *     description: |
+ *       As transações ficam sem beneficiário. Novas transações com a mesma descrição
+ *       voltam a criar um beneficiário automático
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beneficiário removido
+ *       404:
+ *         description: Beneficiário não encontrado
+ */
+router.delete('/:id', payeeController.remove)
+
+module.exports = router
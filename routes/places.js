@@ -0,0 +1,266 @@
+const express = require('express')
+const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const placeController = require('../controllers/placeController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const periodoValidation = [
+  query(['dataInicio', 'dataFim'])
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limite deve estar entre 1 e 200')
+]
+
+const tipoValidation = query('tipo')
+  .optional()
+  .isIn(['receita', 'despesa'])
+  .withMessage('Tipo deve ser receita ou despesa')
+
+const proximidadeValidation = [
+  query('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude deve estar entre -90 e 90'),
+
+  query('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude deve estar entre -180 e 180'),
+
+  query('raio')
+    .optional()
+    .isFloat({ min: 10, max: 50000 })
+    .withMessage('Raio deve estar entre 10 e 50000 metros'),
+
+  tipoValidation,
+  ...periodoValidation
+]
+
+const frequentesValidation = [
+  query('raio')
+    .optional()
+    .isFloat({ min: 10, max: 2000 })
+    .withMessage('Raio deve estar entre 10 e 2000 metros'),
+
+  query('minimo')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Mínimo de visitas deve ser maior que 0'),
+
+  ...periodoValidation
+]
+
+const renomearValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude deve estar entre -90 e 90'),
+
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude deve estar entre -180 e 180'),
+
+  body('raio')
+    .optional()
+    .isFloat({ min: 1, max: 2000 })
+    .withMessage('Raio deve estar entre 1 e 2000 metros'),
+
+  body('nome')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Nome do local deve ter entre 1 e 100 caracteres'),
+
+  body('nomeAtual')
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Nome atual inválido')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Places
+ *   description: |
+ *     Gastos pela localização das transações (localizacao.latitude/longitude).
+ *     Apenas transações confirmadas entram nas consultas; transferências ficam de fora.
+ *     Valores em moeda base do usuário.
+ */
+
+/**
+ * @swagger
+ * /api/places/proximos:
+ *   get:
+ *     summary: Gastos num raio em volta de um ponto
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: raio
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Raio em metros
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa]
+ *           default: despesa
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Máximo de transações listadas (o total considera todas)
+ *     responses:
+ *       200:
+ *         description: Total, quantidade, totais por categoria e transações com a distância em metros
+ */
+router.get('/proximos', proximidadeValidation, placeController.getProximos)
+
+/**
+ * @swagger
+ * /api/places/maiores:
+ *   get:
+ *     summary: Lugares com mais gastos
+ *     description: Agrupa pelo nome do local, sem diferenciar maiúsculas
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa]
+ *           default: despesa
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Lugares com total, quantidade, ticket médio e última transação
+ */
+router.get('/maiores', [tipoValidation, ...periodoValidation], placeController.getMaiores)
+
+/**
+ * @swagger
+ * /api/places/frequentes:
+ *   get:
+ *     summary: Lugares visitados com frequência
+ *     description: |
+ *       Agrupa as transações com coordenadas em lugares: cada transação entra no lugar cujo centro
+ *       está a até `raio` metros. O nome do lugar é o nome de local mais usado nas transações dele.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: raio
+ *         schema:
+ *           type: number
+ *           default: 150
+ *       - in: query
+ *         name: minimo
+ *         schema:
+ *           type: integer
+ *           default: 2
+ *         description: Mínimo de transações para o lugar aparecer
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Lugares com centro, raio, visitas, gasto e categoria principal
+ */
+router.get('/frequentes', frequentesValidation, placeController.getFrequentes)
+
+/**
+ * @swagger
+ * /api/places/renomear:
+ *   post:
+ *     summary: Renomear um lugar
+ *     description: |
+ *       Aplica o nome a todas as transações (de qualquer status) a até `raio` metros do ponto.
+ *       Com `nomeAtual`, só as que tinham esse nome são alteradas. A alteração entra no histórico das transações.
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [latitude, longitude, nome]
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               raio:
+ *                 type: number
+ *                 default: 100
+ *               nome:
+ *                 type: string
+ *               nomeAtual:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quantidade de transações renomeadas
+ */
+router.post('/renomear', renomearValidation, placeController.renomear)
+
+module.exports = router
@@ -0,0 +1,287 @@
+const express = require('express')
+const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const reconciliationController = require('../controllers/reconciliationController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const listagemValidation = [
+  query('contaId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  query('status')
+    .optional()
+    .isIn(['em_andamento', 'concluida', 'desfeita', 'cancelada'])
+    .withMessage('Status inválido')
+]
+
+// Na atualização os campos do extrato são opcionais
+const extratoValidation = (opcional = false) => {
+  const campo = nome => opcional ? body(nome).optional() : body(nome)
+
+  return [
+    campo('dataExtrato')
+      .isISO8601()
+      .withMessage('Data do extrato inválida')
+      .custom(valor => new Date(valor) <= new Date())
+      .withMessage('A data do extrato não pode estar no futuro'),
+
+    campo('saldoExtrato')
+      .isFloat()
+      .withMessage('Saldo do extrato deve ser um número'),
+
+    body('observacoes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Observações não podem ter mais de 500 caracteres')
+  ]
+}
+
+const conciliacaoValidation = [
+  body('contaId')
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  ...extratoValidation()
+]
+
+const atualizacaoValidation = [
+  ...extratoValidation(true),
+
+  body(['marcar', 'desmarcar'])
+    .optional()
+    .isArray()
+    .withMessage('Informe uma lista de IDs de transações'),
+
+  body(['marcar.*', 'desmarcar.*'])
+    .isMongoId()
+    .withMessage('ID de transação inválido')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reconciliations
+ *   description: |
+ *     Conciliação das contas com o saldo final do extrato bancário. O usuário informa a data e o saldo
+ *     do extrato, marca as transações que aparecem nele e a API calcula a diferença. Ao concluir
+ *     (com diferença zero), as transações marcadas ficam travadas: valor, data, conta, tipo e status
+ *     não podem mais ser alterados e elas não podem ser excluídas até a conciliação ser desfeita.
+ */
+
+/**
+ * @swagger
+ * /api/reconciliations:
+ *   get:
+ *     summary: Histórico de conciliações
+ *     tags: [Reconciliations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [em_andamento, concluida, desfeita, cancelada]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessões de conciliação, da data de extrato mais recente para a mais antiga
+ */
+router.get('/', listagemValidation, reconciliationController.getAll)
+
+/**
+ * @swagger
+ * /api/reconciliations/{id}:
+ *   get:
+ *     summary: Buscar conciliação com resumo e transações
+ *     description: |
+ *       Em andamento, traz as transações candidatas (confirmadas da conta até a data do extrato e ainda
+ *       não conciliadas) com o campo marcada, e o resumo atual: saldoInicial, receitas e despesas marcadas,
+ *       saldoConciliado, diferenca (saldoExtrato - saldoConciliado), saldoSistema e diferencaSistema.
+ *       Encerrada, traz as transações conciliadas e os totais gravados na conclusão.
+ *     tags: [Reconciliations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conciliação encontrada
+ *       404:
+ *         description: Conciliação não encontrada
+ */
+router.get('/:id', reconciliationController.getById)
+
+/**
+ * @swagger
+ * /api/reconciliations:
+ *   post:
+ *     summary: Iniciar a conciliação de uma conta
+ *     description: |
+ *       O saldo inicial é o saldo do extrato da última conciliação concluída da conta
+ *       (ou o saldo inicial da conta, na primeira). Cada conta tem no máximo uma conciliação em andamento.
+ *     tags: [Reconciliations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contaId
+ *               - dataExtrato
+ *               - saldoExtrato
+ *             properties:
+ *               contaId:
+ *                 type: string
+ *               dataExtrato:
+ *                 type: string
+ *                 format: date
+ *               saldoExtrato:
+ *                 type: number
+ *                 example: 1523.47
+ *               observacoes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Conciliação iniciada, com as transações candidatas e o resumo
+ *       400:
+ *         description: Dados inválidos, conciliação já em andamento ou data anterior à última conciliação
+ */
+router.post('/', conciliacaoValidation, reconciliationController.create)
+
+/**
+ * @swagger
+ * /api/reconciliations/{id}:
+ *   patch:
+ *     summary: Marcar transações ou corrigir o extrato de uma conciliação em andamento
+ *     tags: [Reconciliations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               marcar:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               desmarcar:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               dataExtrato:
+ *                 type: string
+ *                 format: date
+ *               saldoExtrato:
+ *                 type: number
+ *               observacoes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Conciliação atualizada, com o resumo recalculado
+ *       400:
+ *         description: Conciliação encerrada ou transação que não pode ser marcada
+ */
+router.patch('/:id', atualizacaoValidation, reconciliationController.update)
+
+/**
+ * @swagger
+ * /api/reconciliations/{id}/concluir:
+ *   post:
+ *     summary: Concluir a conciliação e travar as transações marcadas
+ *     tags: [Reconciliations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conciliação concluída
+ *       400:
+ *         description: Diferença diferente de zero (o resumo vem em data) ou conciliação encerrada
+ */
+router.post('/:id/concluir', reconciliationController.concluir)
+
+/**
+ * @swagger
+ * /api/reconciliations/{id}/desfazer:
+ *   post:
+ *     summary: Desfazer a última conciliação concluída da conta
+ *     description: As transações conciliadas voltam a poder ser editadas e excluídas. A sessão fica no histórico como desfeita.
+ *     tags: [Reconciliations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conciliação desfeita
+ *       400:
+ *         description: Não é a última conciliação concluída ou há outra em andamento na conta
+ */
+router.post('/:id/desfazer', reconciliationController.desfazer)
+
+/**
+ * @swagger
+ * /api/reconciliations/{id}/cancelar:
+ *   post:
+ *     summary: Cancelar uma conciliação em andamento
+ *     tags: [Reconciliations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conciliação cancelada (permanece no histórico)
+ *       400:
+ *         description: A conciliação não está em andamento
+ */
+router.post('/:id/cancelar', reconciliationController.cancelar)
+
+module.exports = router
@@ -0,0 +1,354 @@
+const express = require('express')
+const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const recurrenceController = require('../controllers/recurrenceController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const alteracoesValidation = [
+  body('descricao')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Descrição deve ter entre 1 e 200 caracteres'),
+
+  body('valor')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
+  body('categoria')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Categoria inválida'),
+
+  body('contaId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  body('metodoPagamento')
+    .optional()
+    .isIn(['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'])
+    .withMessage('Método de pagamento inválido'),
+
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags devem ser uma lista'),
+
+  body('observacoes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Observações não podem ter mais de 500 caracteres')
+]
+
+const ocorrenciaValidation = [
+  body('data')
+    .isISO8601()
+    .withMessage('Data da ocorrência inválida')
+]
+
+const futurasValidation = [
+  body('aPartirDe')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inicial inválida'),
+
+  body('recorrente.tipo')
+    .optional()
+    .isIn(['diario', 'semanal', 'mensal', 'anual'])
+    .withMessage('Tipo de recorrência inválido'),
+
+  body('recorrente.intervalo')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Intervalo deve estar entre 1 e 365'),
+
+  body('recorrente.dataFim')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Data de fim inválida')
+]
+
+const proximasValidation = [
+  query('dias')
+    .optional()
+    .isInt({ min: 1, max: 366 })
+    .withMessage('Dias deve estar entre 1 e 366'),
+
+  query('contaId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conta inválida')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recurrences
+ *   description: Séries de transações recorrentes e suas ocorrências
+ */
+
+/**
+ * @swagger
+ * /api/recurrences:
+ *   get:
+ *     summary: Listar séries recorrentes ativas
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa]
+ *     responses:
+ *       200:
+ *         description: Séries com a quantidade de ocorrências geradas e a próxima data
+ */
+router.get('/', recurrenceController.getAll)
+
+/**
+ * @swagger
+ * /api/recurrences/proximas:
+ *   get:
+ *     summary: Próximas ocorrências previstas (ainda não geradas)
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dias
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ocorrências em ordem de data e totais previstos
+ */
+router.get('/proximas', proximasValidation, recurrenceController.getProximas)
+
+/**
+ * @swagger
+ * /api/recurrences/processar:
+ *   post:
+ *     summary: Gerar agora as ocorrências vencidas do usuário
+ *     description: O mesmo processamento roda periodicamente junto com a renovação de orçamentos. É idempotente.
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quantidade de ocorrências geradas
+ *       409:
+ *         description: Processamento já em andamento
+ */
+router.post('/processar', recurrenceController.processar)
+
+/**
+ * @swagger
+ * /api/recurrences/{id}:
+ *   get:
+ *     summary: Buscar série com as ocorrências geradas e as próximas datas
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da transação que originou a série
+ *     responses:
+ *       200:
+ *         description: Série encontrada
+ *       404:
+ *         description: Recorrência não encontrada
+ */
+router.get('/:id', recurrenceController.getById)
+
+/**
+ * @swagger
+ * /api/recurrences/{id}/pular:
+ *   post:
+ *     summary: Pular uma ocorrência
+ *     description: A ocorrência não será gerada. Se já tiver sido gerada, a transação é removida.
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - data
+ *             properties:
+ *               data:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Ocorrência pulada
+ *       400:
+ *         description: A série não tem ocorrência nesta data
+ *       404:
+ *         description: Recorrência não encontrada
+ */
+router.post('/:id/pular', ocorrenciaValidation, recurrenceController.pular)
+
+/**
+ * @swagger
+ * /api/recurrences/{id}/ocorrencia:
+ *   put:
+ *     summary: Editar somente uma ocorrência
+ *     description: Ocorrências futuras são geradas antecipadamente com as alterações.
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - data
+ *             properties:
+ *               data:
+ *                 type: string
+ *                 format: date
+ *               descricao:
+ *                 type: string
+ *               valor:
+ *                 type: number
+ *               categoria:
+ *                 type: string
+ *               contaId:
+ *                 type: string
+ *               metodoPagamento:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               observacoes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ocorrência atualizada
+ *       400:
+ *         description: Dados inválidos ou data fora da série
+ *       404:
+ *         description: Recorrência não encontrada
+ */
+router.put('/:id/ocorrencia', [...ocorrenciaValidation, ...alteracoesValidation], recurrenceController.editarOcorrencia)
+
+/**
+ * @swagger
+ * /api/recurrences/{id}:
+ *   put:
+ *     summary: Editar esta e as próximas ocorrências
+ *     description: |
+ *       Encerra a série na véspera de aPartirDe e cria uma nova série com as alterações.
+ *       Ocorrências já geradas a partir da data são substituídas. Sem aPartirDe, vale a partir da próxima ocorrência.
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               aPartirDe:
+ *                 type: string
+ *                 format: date
+ *               descricao:
+ *                 type: string
+ *               valor:
+ *                 type: number
+ *               categoria:
+ *                 type: string
+ *               contaId:
+ *                 type: string
+ *               recorrente:
+ *                 type: object
+ *                 properties:
+ *                   tipo:
+ *                     type: string
+ *                     enum: [diario, semanal, mensal, anual]
+ *                   intervalo:
+ *                     type: integer
+ *                   dataFim:
+ *                     type: string
+ *                     format: date
+ *     responses:
+ *       200:
+ *         description: Série anterior encerrada e nova série criada
+ *       400:
+ *         description: Dados inválidos
+ *       404:
+ *         description: Recorrência não encontrada
+ */
+router.put('/:id', [...futurasValidation, ...alteracoesValidation], recurrenceController.editarFuturas)
+
+/**
+ * @swagger
+ * /api/recurrences/{id}:
+ *   delete:
+ *     summary: Encerrar a série
+ *     description: Nenhuma nova ocorrência é gerada; as transações existentes são mantidas.
+ *     tags: [Recurrences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recorrência encerrada
+ *       404:
+ *         description: Recorrência não encontrada
+ */
+router.delete('/:id', recurrenceController.encerrar)
+
+module.exports = router
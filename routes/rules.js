@@ -0,0 +1,429 @@
+const express = require('express')
+const router = express.Router()
+const { body } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const CategoryRule = require('../models/CategoryRule')
+const { validarRegex } = require('../utils/regexSeguro')
+const ruleController = require('../controllers/ruleController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const condicoesAcoesValidation = [
+  body('prioridade')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Prioridade deve ser um inteiro maior ou igual a 0'),
+
+  body('ativa')
+    .optional()
+    .isBoolean()
+    .withMessage('ativa deve ser verdadeiro ou falso'),
+
+  body('pararProcessamento')
+    .optional()
+    .isBoolean()
+    .withMessage('pararProcessamento deve ser verdadeiro ou falso'),
+
+  body('condicoes.descricao.operador')
+    .optional()
+    .isIn(CategoryRule.operadoresDescricao)
+    .withMessage('Operador de descrição inválido'),
+
+  body('condicoes.descricao.valor')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Texto da condição deve ter até 200 caracteres'),
+
+  // Expressões regulares: limite menor e sem padrões que travam o servidor (ex.: (a+)+)
+  body('condicoes.descricao.valor')
+    .if(body('condicoes.descricao.operador').equals('regex'))
+    .custom(valor => {
+      const erro = validarRegex(valor)
+      if (erro) throw new Error(erro)
+      return true
+    }),
+
+  body('condicoes.tipo')
+    .optional({ values: 'null' })
+    .isIn(['receita', 'despesa'])
+    .withMessage('Tipo deve ser receita ou despesa'),
+
+  body(['condicoes.valorMin', 'condicoes.valorMax'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Faixa de valor inválida'),
+
+  body('condicoes.metodosPagamento')
+    .optional()
+    .isArray()
+    .withMessage('Métodos de pagamento devem ser uma lista'),
+
+  body('condicoes.metodosPagamento.*')
+    .isIn(['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'])
+    .withMessage('Método de pagamento inválido'),
+
+  body('condicoes.contaIds')
+    .optional()
+    .isArray()
+    .withMessage('Contas devem ser uma lista'),
+
+  body('condicoes.contaIds.*')
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  body('acoes.tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags devem ser uma lista'),
+
+  body(['acoes.orcamentoId', 'acoes.metaId'])
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Orçamento ou meta inválido')
+]
+
+const ruleValidation = [
+  body('nome')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Nome deve ter entre 1 e 60 caracteres'),
+
+  body('condicoes')
+    .isObject()
+    .withMessage('Condições são obrigatórias'),
+
+  body('acoes')
+    .isObject()
+    .withMessage('Ações são obrigatórias'),
+
+  ...condicoesAcoesValidation
+]
+
+const ruleUpdateValidation = [
+  body('nome')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Nome deve ter entre 1 e 60 caracteres'),
+
+  ...condicoesAcoesValidation
+]
+
+const reorderValidation = [
+  body('ids')
+    .isArray({ min: 1 })
+    .withMessage('IDs inválidos'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ID de regra inválido')
+]
+
+const retroativaValidation = [
+  body('dataInicio')
+    .isISO8601()
+    .withMessage('Data de início inválida'),
+
+  body('dataFim')
+    .isISO8601()
+    .withMessage('Data de fim inválida')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.dataInicio)) {
+        throw new Error('Data de fim deve ser posterior à data de início')
+      }
+      return true
+    }),
+
+  body('contaId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  body('regraIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('regraIds deve ser uma lista'),
+
+  body('regraIds.*')
+    .isMongoId()
+    .withMessage('ID de regra inválido'),
+
+  body('sobrescrever')
+    .optional()
+    .isBoolean()
+    .withMessage('sobrescrever deve ser verdadeiro ou falso')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rules
+ *   description: Regras de categorização automática de transações
+ */
+
+/**
+ * @swagger
+ * /api/rules:
+ *   get:
+ *     summary: Listar regras de categorização em ordem de prioridade
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Regras do usuário com estatísticas de uso
+ */
+router.get('/', ruleController.getAll)
+
+/**
+ * @swagger
+ * /api/rules:
+ *   post:
+ *     summary: Criar regra de categorização
+ *     description: |
+ *       As regras ativas são avaliadas em ordem de prioridade (menor número primeiro) ao criar
+ *       transações, no lote e nas importações. Todas as condições informadas precisam ser atendidas.
+ *       Cada campo é preenchido pela primeira regra que o define e só quando não foi informado;
+ *       as tags de todas as regras correspondentes são acumuladas.
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - condicoes
+ *               - acoes
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: iFood
+ *               prioridade:
+ *                 type: integer
+ *                 description: Padrão é o fim da fila
+ *               ativa:
+ *                 type: boolean
+ *               pararProcessamento:
+ *                 type: boolean
+ *                 description: Não avaliar as regras seguintes quando esta corresponder
+ *               condicoes:
+ *                 type: object
+ *                 properties:
+ *                   descricao:
+ *                     type: object
+ *                     properties:
+ *                       operador:
+ *                         type: string
+ *                         enum: [contem, igual, comeca_com, termina_com, regex]
+ *                       valor:
+ *                         type: string
+ *                         example: ifood
+ *                         description: |
+ *                           Com o operador regex, até 100 caracteres, sem repetir grupos que já
+ *                           repetem ou têm alternativas (ex.: (a+)+) e sem referências a grupos
+ *                       diferenciarMaiusculas:
+ *                         type: boolean
+ *                   tipo:
+ *                     type: string
+ *                     enum: [receita, despesa]
+ *                   valorMin:
+ *                     type: number
+ *                   valorMax:
+ *                     type: number
+ *                   metodosPagamento:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   contaIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               acoes:
+ *                 type: object
+ *                 properties:
+ *                   categoria:
+ *                     type: string
+ *                     example: Alimentação
+ *                   subcategoria:
+ *                     type: string
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   orcamentoId:
+ *                     type: string
+ *                     description: Vinculado apenas a despesas
+ *                   metaId:
+ *                     type: string
+ *                     description: Vinculada apenas a receitas
+ *     responses:
+ *       201:
+ *         description: Regra criada
+ *       400:
+ *         description: Dados inválidos ou categoria, conta, orçamento ou meta não encontrados
+ */
+router.post('/', ruleValidation, ruleController.create)
+
+/**
+ * @swagger
+ * /api/rules/ordem:
+ *   put:
+ *     summary: Reordenar as regras (a posição na lista define a prioridade)
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Regras na nova ordem
+ *       400:
+ *         description: A lista não contém todas as regras do usuário
+ */
+router.put('/ordem', reorderValidation, ruleController.reorder)
+
+/**
+ * @swagger
+ * /api/rules/aplicar/preview:
+ *   post:
+ *     summary: Simular a aplicação das regras às transações de um período
+ *     description: |
+ *       Lista o que mudaria em cada transação (antes e depois) sem gravar.
+ *       Por padrão as regras sobrescrevem categoria, orçamento e meta já definidos;
+ *       com sobrescrever=false só preenchem campos vazios e acrescentam tags.
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dataInicio
+ *               - dataFim
+ *             properties:
+ *               dataInicio:
+ *                 type: string
+ *                 format: date
+ *               dataFim:
+ *                 type: string
+ *                 format: date
+ *               contaId:
+ *                 type: string
+ *               regraIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Avaliar apenas estas regras
+ *               sobrescrever:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Resumo por regra e alterações por transação
+ */
+router.post('/aplicar/preview', retroativaValidation, ruleController.previewRetroativa)
+
+/**
+ * @swagger
+ * /api/rules/aplicar:
+ *   post:
+ *     summary: Aplicar as regras às transações de um período
+ *     description: Mesmos campos da simulação. Orçamentos, metas e estatísticas das categorias são recalculados.
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Resumo das transações alteradas
+ */
+router.post('/aplicar', retroativaValidation, ruleController.aplicarRetroativa)
+
+/**
+ * @swagger
+ * /api/rules/{id}:
+ *   get:
+ *     summary: Buscar regra por ID
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Regra encontrada
+ *       404:
+ *         description: Regra não encontrada
+ */
+router.get('/:id', ruleController.getById)
+
+/**
+ * @swagger
+ * /api/rules/{id}:
+ *   put:
+ *     summary: Atualizar regra
+ *     description: Condições e ações informadas substituem as anteriores por inteiro.
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Regra atualizada
+ *       404:
+ *         description: Regra não encontrada
+ */
+router.put('/:id', ruleUpdateValidation, ruleController.update)
+
+/**
+ * @swagger
+ * /api/rules/{id}:
+ *   delete:
+ *     summary: Remover regra
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Regra removida
+ *       404:
+ *         description: Regra não encontrada
+ */
+router.delete('/:id', ruleController.remove)
+
+module.exports = router
@@ -0,0 +1,204 @@
+const express = require('express')
+const router = express.Router()
+const { body, query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const tagController = require('../controllers/tagController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const renomearValidation = [
+  body('nome')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nome da tag deve ter entre 1 e 50 caracteres')
+]
+
+const mesclarValidation = [
+  body('origens')
+    .isArray({ min: 1 })
+    .withMessage('Informe as tags a mesclar'),
+
+  body('origens.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Tag de origem inválida'),
+
+  body('destino')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag de destino deve ter entre 1 e 50 caracteres')
+]
+
+const estatisticasValidation = [
+  query('periodo')
+    .optional()
+    .isIn(['semana', 'mes', 'ano'])
+    .withMessage('Período deve ser semana, mes ou ano'),
+
+  query('ano')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Ano inválido'),
+
+  query('mes')
+    .optional()
+    .isInt({ min: 0, max: 11 })
+    .withMessage('Mês deve estar entre 0 e 11')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tags
+ *   description: |
+ *     Tags livres das transações. Tags são comparadas sem diferenciar maiúsculas;
+ *     renomear, mesclar e excluir alteram todas as transações do usuário e também as
+ *     regras de categorização que aplicam a tag. As alterações entram no histórico das transações.
+ */
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Listar tags com uso e totais
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: busca
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           Tags com quantidade de transações, totais realizados de receitas e despesas (moeda base),
+ *           primeiro e último uso. outrasGrafias indica a mesma tag escrita de outro jeito
+ */
+router.get('/', tagController.getAll)
+
+/**
+ * @swagger
+ * /api/tags/statistics:
+ *   get:
+ *     summary: Gastos por tag ao longo do tempo
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: periodo
+ *         schema:
+ *           type: string
+ *           enum: [semana, mes, ano]
+ *           default: mes
+ *       - in: query
+ *         name: ano
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: mes
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 11
+ *         description: Mês específico (0-11)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Tags separadas por vírgula (padrão = todas)
+ *     responses:
+ *       200:
+ *         description: Totais por tag e tipo e evolução diária (mensal no período ano)
+ */
+router.get('/statistics', estatisticasValidation, tagController.getStatistics)
+
+/**
+ * @swagger
+ * /api/tags/mesclar:
+ *   post:
+ *     summary: Mesclar tags
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [origens, destino]
+ *             properties:
+ *               origens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               destino:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quantidade de transações e regras alteradas
+ */
+router.post('/mesclar', mesclarValidation, tagController.mesclar)
+
+/**
+ * @swagger
+ * /api/tags/{tag}:
+ *   put:
+ *     summary: Renomear tag
+ *     description: Se já existir uma tag com o novo nome, as duas são mescladas
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nome]
+ *             properties:
+ *               nome:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quantidade de transações e regras alteradas
+ *       404:
+ *         description: Tag não encontrada
+ */
+router.put('/:tag', renomearValidation, tagController.renomear)
+
+/**
+ * @swagger
+ * /api/tags/{tag}:
+ *   delete:
+ *     summary: Excluir tag
+ *     description: Remove a tag das transações e das regras; regras que ficarem sem nenhuma ação são desativadas
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quantidade de transações e regras alteradas
+ *       404:
+ *         description: Tag não encontrada
+ */
+router.delete('/:tag', tagController.remove)
+
+module.exports = router
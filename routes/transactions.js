@@ -1,171 +1,83 @@
-// routes/transactions.js - SISTEMA MOCKADO INDEPENDENTE (como budgets)
 const express = require('express')
 const router = express.Router()
-const { body, validationResult } = require('express-validator')
-const jwt = require('jsonwebtoken')
-
-// Mock de transações (similar ao sistema de orçamentos)
-let transactions = [
-  {
-    _id: '1',
-    userId: '1754097538803.4392', // Mesmo userId do JWT
-    tipo: 'despesa',
-    descricao: 'Almoço',
-    valor: 25.50,
-    categoria: '1',
-    metodoPagamento: 'cartao_debito',
-    data: new Date(),
-    observacoes: 'Teste inicial',
-    orcamentoId: '',
-    tags: [],
-    recorrente: {
-      ativo: false,
-      tipo: 'mensal',
-      dataInicio: new Date(),
-      dataFim: new Date(),
-      intervalo: 1
-    },
-    criadoEm: new Date(),
-    atualizadoEm: new Date()
-  }
+const { body } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const { uploadAnexo } = require('../middleware/upload')
+const transactionController = require('../controllers/transactionController')
+const attachmentController = require('../controllers/attachmentController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const divisoesValidation = [
+  body('divisoes')
+    .optional()
+    .isArray()
+    .withMessage('Divisões devem ser uma lista'),
+
+  body('divisoes.*.categoria')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Categoria da divisão é obrigatória'),
+
+  body('divisoes.*.valor')
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor da divisão deve ser maior que 0'),
+
+  body('divisoes.*.orcamentoId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Orçamento da divisão inválido')
 ]
 
-// Mock de usuários (mesmo que está funcionando nos orçamentos)
-const mockUsers = [
-  {
-    _id: '1',
-    nome: 'Gabriel',
-    email: 'admin@financeapp.com',
-    senhaHash: '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj1VpJUjJC3a'
-  },
-  {
-    _id: '1754097538803.4392',
-    nome: 'Teste',
-    email: 'teste@teste.com',
-    senhaHash: '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj1VpJUjJC3a'
-  }
+// Status e lembrete do vencimento (contas pendentes)
+const statusValidation = [
+  body('status')
+    .optional()
+    .isIn(['pendente', 'confirmada', 'cancelada'])
+    .withMessage('Status deve ser pendente, confirmada ou cancelada'),
+
+  body('lembrete.diasAntes')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Dias de antecedência do lembrete devem estar entre 0 e 30')
 ]
 
-// 🔥 FUNÇÃO PARA CRIAR USUÁRIO AUTOMATICAMENTE
-const createUserIfNotExists = (userId, email) => {
-  let user = mockUsers.find(u => u._id === userId || u._id.toString() === userId)
-  
-  if (!user) {
-    console.log('🆕 [TRANSACTIONS] Criando usuário automaticamente:', { userId, email })
-    
-    const newUser = {
-      _id: userId,
-      nome: email ? email.split('@')[0] : 'Usuário',
-      email: email || `user${userId}@app.com`,
-      senhaHash: '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj1VpJUjJC3a'
-    }
-    
-    mockUsers.push(newUser)
-    user = newUser
-    
-    console.log('✅ [TRANSACTIONS] Usuário criado automaticamente')
-  }
-  
-  return user
-}
-
-// 🔥 MIDDLEWARE DE AUTENTICAÇÃO INDEPENDENTE (não depende de outros arquivos)
-const transactionsAuth = (req, res, next) => {
-  console.log('🔐 [TRANSACTIONS] Auth middleware iniciado')
-  
-  try {
-    // Extrair token do header Authorization
-    const authHeader = req.headers['authorization']
-    const token = authHeader && authHeader.startsWith('Bearer ') 
-      ? authHeader.substring(7) 
-      : authHeader
-
-    if (!token) {
-      console.log('❌ [TRANSACTIONS] Token não fornecido')
-      return res.status(401).json({ 
-        error: 'Token de acesso não fornecido',
-        code: 'NO_TOKEN'
-      })
-    }
-
-    // Verificar e decodificar token
-    let decoded
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET)
-      console.log('🔍 [TRANSACTIONS] JWT decoded:', { userId: decoded.userId, email: decoded.email })
-    } catch (err) {
-      console.log('❌ [TRANSACTIONS] Erro na verificação do token:', err.message)
-      if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({ 
-          error: 'Token expirado',
-          code: 'TOKEN_EXPIRED'
-        })
-      } else {
-        return res.status(401).json({ 
-          error: 'Token inválido',
-          code: 'INVALID_TOKEN'
-        })
-      }
-    }
-
-    // Extrair dados do token
-    const userIdFromToken = decoded.userId || decoded.id
-    const emailFromToken = decoded.email
-    console.log('👤 [TRANSACTIONS] Buscando usuário com ID:', userIdFromToken)
-
-    if (!userIdFromToken) {
-      return res.status(401).json({ 
-        error: 'ID do usuário não encontrado no token',
-        code: 'NO_USER_ID_IN_TOKEN'
-      })
-    }
-
-    // 🔥 BUSCAR USUÁRIO NO SISTEMA MOCKADO
-    let user = mockUsers.find(u => u._id === userIdFromToken || u._id.toString() === userIdFromToken)
-    
-    if (!user) {
-      console.log('❌ [TRANSACTIONS] Usuário não encontrado, criando automaticamente')
-      user = createUserIfNotExists(userIdFromToken, emailFromToken)
-    }
-
-    if (!user) {
-      console.log('❌ [TRANSACTIONS] Falha ao criar/encontrar usuário')
-      return res.status(401).json({ 
-        error: 'Usuário não encontrado',
-        code: 'USER_NOT_FOUND'
-      })
-    }
-
-    // Adicionar informações do usuário à requisição
-    req.userId = user._id
-    req.user = user
-
-    console.log('✅ [TRANSACTIONS] Autenticação bem-sucedida para:', user.email)
-    next()
-
-  } catch (err) {
-    console.error('❌ [TRANSACTIONS] Erro no middleware de autenticação:', err)
-    res.status(500).json({ 
-      error: 'Erro interno do servidor',
-      code: 'INTERNAL_ERROR'
-    })
-  }
-}
-
-// Aplicar auth em todas as rotas
-router.use(transactionsAuth)
+// Coordenadas do local da transação (opcionais, mas sempre em par)
+const localizacaoValidation = [
+  body('localizacao.nome')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Nome do local deve ter no máximo 100 caracteres'),
+
+  body('localizacao.latitude')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude deve estar entre -90 e 90'),
+
+  body('localizacao.longitude')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude deve estar entre -180 e 180'),
+
+  body('localizacao')
+    .optional({ values: 'null' })
+    .custom(localizacao => (localizacao.latitude == null) === (localizacao.longitude == null))
+    .withMessage('Informe latitude e longitude juntas')
+]
 
-// Validações
 const transactionValidation = [
   body('tipo')
     .isIn(['receita', 'despesa'])
     .withMessage('Tipo deve ser receita ou despesa'),
-  
+
   body('descricao')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Descrição deve ter entre 1 e 200 caracteres'),
-  
+
   body('valor')
     .isNumeric()
     .custom(value => {
@@ -174,281 +86,963 @@ const transactionValidation = [
       }
       return true
     }),
-  
+
+  // Sem categoria, as regras de categorização precisam definir uma
+  body('categoria')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Categoria inválida'),
+
+  body('metodoPagamento')
+    .isIn(['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'])
+    .withMessage('Método de pagamento inválido'),
+
+  body('contaId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  body('beneficiarioId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Beneficiário inválido'),
+
+  body('parcelas')
+    .optional()
+    .isInt({ min: 1, max: 72 })
+    .withMessage('Número de parcelas deve estar entre 1 e 72'),
+
+  body('taxaJuros')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Taxa de juros deve estar entre 0 e 100% ao mês'),
+
+  body('recorrente.tipo')
+    .if(body('recorrente.ativo').equals('true'))
+    .isIn(['diario', 'semanal', 'mensal', 'anual'])
+    .withMessage('Tipo de recorrência inválido'),
+
+  body('recorrente.intervalo')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Intervalo deve estar entre 1 e 365'),
+
+  body('recorrente.dataFim')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Data de fim da recorrência inválida'),
+
+  body('recorrente.pendente')
+    .optional()
+    .isBoolean()
+    .withMessage('recorrente.pendente deve ser verdadeiro ou falso'),
+
+  ...statusValidation,
+  ...localizacaoValidation,
+  ...divisoesValidation
+]
+
+const transactionUpdateValidation = [
+  body('tipo')
+    .optional()
+    .isIn(['receita', 'despesa'])
+    .withMessage('Tipo deve ser receita ou despesa'),
+
+  body('descricao')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Descrição deve ter entre 1 e 200 caracteres'),
+
+  body('valor')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
   body('categoria')
+    .optional()
     .trim()
     .isLength({ min: 1 })
     .withMessage('Categoria é obrigatória'),
-  
+
   body('metodoPagamento')
+    .optional()
+    .isIn(['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'])
+    .withMessage('Método de pagamento inválido'),
+
+  body('contaId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  body('beneficiarioId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Beneficiário inválido'),
+
+  body('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  ...statusValidation,
+  ...localizacaoValidation,
+  ...divisoesValidation
+]
+
+const confirmacaoValidation = [
+  body('valor')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
+  body('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  ...divisoesValidation
+]
+
+const restauracaoValidation = [
+  body('versao')
+    .isInt({ min: 1 })
+    .withMessage('Versão deve ser um número inteiro maior que 0')
+]
+
+// Cada item do lote passa pelas mesmas regras básicas da criação individual
+const bulkCreateValidation = [
+  body('transacoes')
+    .isArray({ min: 1 })
+    .withMessage('Lista de transações inválida'),
+
+  body('transacoes.*.tipo')
+    .isIn(['receita', 'despesa'])
+    .withMessage('Tipo deve ser receita ou despesa'),
+
+  body('transacoes.*.descricao')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Descrição deve ter entre 1 e 200 caracteres'),
+
+  body('transacoes.*.valor')
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
+  body('transacoes.*.categoria')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Categoria inválida'),
+
+  body('transacoes.*.metodoPagamento')
     .isIn(['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'])
-    .withMessage('Método de pagamento inválido')
+    .withMessage('Método de pagamento inválido'),
+
+  body('transacoes.*.data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  body('transacoes.*.contaId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  body('transacoes.*.beneficiarioId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Beneficiário inválido'),
+
+  body('transacoes.*.status')
+    .optional()
+    .isIn(['pendente', 'confirmada', 'cancelada'])
+    .withMessage('Status deve ser pendente, confirmada ou cancelada'),
+
+  body('transacoes.*.divisoes')
+    .optional()
+    .isArray()
+    .withMessage('Divisões devem ser uma lista'),
+
+  body('transacoes.*.divisoes.*.categoria')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Categoria da divisão é obrigatória'),
+
+  body('transacoes.*.divisoes.*.valor')
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor da divisão deve ser maior que 0')
+]
+
+const bulkIdsValidation = [
+  body('ids')
+    .isArray({ min: 1 })
+    .withMessage('IDs inválidos'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ID de transação inválido')
 ]
 
 /**
- * GET /api/transactions
- * Listar todas as transações do usuário
+ * @swagger
+ * tags:
+ *   name: Transactions
+ *   description: Gestão de receitas e despesas
  */
-router.get('/', (req, res) => {
-  console.log('📋 [TRANSACTIONS] GET /transactions - userId:', req.userId)
-  
-  try {
-    // Filtrar transações do usuário logado
-    const userTransactions = transactions.filter(t => t.userId === req.userId)
-    
-    // Calcular resumo
-    const resumo = {
-      totalReceitas: 0,
-      totalDespesas: 0,
-      saldo: 0,
-      totalTransacoes: userTransactions.length
-    }
-    
-    userTransactions.forEach(t => {
-      if (t.tipo === 'receita') {
-        resumo.totalReceitas += t.valor
-      } else {
-        resumo.totalDespesas += t.valor
-      }
-    })
-    
-    resumo.saldo = resumo.totalReceitas - resumo.totalDespesas
-    
-    console.log('✅ [TRANSACTIONS] Retornando', userTransactions.length, 'transações')
-    
-    res.json({
-      success: true,
-      data: {
-        transacoes: userTransactions,
-        resumo,
-        total: userTransactions.length
-      }
-    })
-    
-  } catch (error) {
-    console.error('❌ [TRANSACTIONS] Erro ao buscar transações:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
 
 /**
- * POST /api/transactions
- * Criar nova transação
+ * @swagger
+ * /api/transactions:
+ *   get:
+ *     summary: Listar transações do usuário com filtros e paginação
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa, todos]
+ *       - in: query
+ *         name: categoria
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: metodoPagamento
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pendente, confirmada, cancelada, vencida, todos]
+ *         description: vencida = pendentes com vencimento antes de hoje
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Buscar por descrição, observações ou tags
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         example: valor>100 tag:viagem categoria:Alimentação,Transporte -pix antes:2025-01-01 "padaria"
+ *         description: |
+ *           Busca avançada. Termos separados por espaço precisam ser todos atendidos; vírgula
+ *           separa alternativas de um campo e "-" nega o termo. Palavras ou "frases" soltas buscam
+ *           na descrição, observações e tags; se forem um método, status ou tipo (ex.: pix, pendente),
+ *           também nesse campo, então -pix exclui os pagamentos por pix.
+ *           Campos: valor (>, >=, <, <=, :N ou :N..M), categoria, subcategoria, tag, conta (nome),
+ *           status, metodo, tipo, descricao, antes, depois e data (:AAAA-MM-DD, :AAAA-MM ou :A..B).
+ *       - in: query
+ *         name: viewId
+ *         schema:
+ *           type: string
+ *         description: Executar uma visão salva (ver /api/views); os demais parâmetros têm prioridade sobre os da visão
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [data, valor, descricao, categoria, criadoEm]
+ *           default: data
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: agruparPor
+ *         schema:
+ *           type: string
+ *           enum: [categoria, conta, mes, tipo, metodoPagamento, tag]
+ *         description: Incluir totais por grupo na resposta
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: |
+ *           Lista de transações com paginação e resumo. Os totais são realizados (só confirmadas) e na moeda base;
+ *           pendentes são somadas em resumo.pendentes e porMoeda traz os totais originais de cada moeda
+ */
+router.get('/', transactionController.getAll)
+
+/**
+ * @swagger
+ * /api/transactions/statistics:
+ *   get:
+ *     summary: Obter estatísticas das transações
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: periodo
+ *         schema:
+ *           type: string
+ *           enum: [semana, mes, ano]
+ *           default: mes
+ *       - in: query
+ *         name: ano
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: mes
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 11
+ *         description: Mês específico (0-11)
+ *     responses:
+ *       200:
+ *         description: Estatísticas por tipo, categoria, método de pagamento e evolução diária
+ */
+router.get('/statistics', transactionController.getStatistics)
+
+/**
+ * @swagger
+ * /api/transactions/parcelas/futuras:
+ *   get:
+ *     summary: Parcelas futuras já comprometidas
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Total comprometido por mês e por compra parcelada
+ */
+router.get('/parcelas/futuras', transactionController.getParcelasFuturas)
+
+/**
+ * @swagger
+ * /api/transactions/anexos/uso:
+ *   get:
+ *     summary: Espaço ocupado pelos anexos do usuário
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Bytes usados, cota, tamanho máximo por arquivo e tipos aceitos
+ */
+router.get('/anexos/uso', attachmentController.getUso)
+
+/**
+ * @swagger
+ * /api/transactions/pendentes:
+ *   get:
+ *     summary: Contas pendentes (a pagar e a receber), vencidas e a vencer
+ *     description: |
+ *       Pendentes não entram em saldos, totais, orçamentos e metas até serem confirmadas.
+ *       Vencidas (vencimento antes de hoje) sempre aparecem; as a vencer, até o número de dias informado.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dias
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [receita, despesa]
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pendentes em ordem de vencimento (com vencida e diasParaVencimento) e totais a pagar, a receber e vencidos
+ */
+router.get('/pendentes', transactionController.getPendentes)
+
+/**
+ * @swagger
+ * /api/transactions/bulk:
+ *   post:
+ *     summary: Criar transações em lote
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transacoes
+ *             properties:
+ *               transacoes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Transações criadas com sucesso
+ *       400:
+ *         description: Lista inválida; nenhuma transação é criada e os erros indicam o item
+ */
+router.post('/bulk', bulkCreateValidation, transactionController.bulkCreate)
+
+/**
+ * @swagger
+ * /api/transactions/bulk:
+ *   put:
+ *     summary: Atualizar transações em lote
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *               - updates
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               updates:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Transações atualizadas
+ *       400:
+ *         description: IDs inválidos
+ */
+router.put('/bulk', bulkIdsValidation, transactionController.bulkUpdate)
+
+/**
+ * @swagger
+ * /api/transactions/bulk:
+ *   delete:
+ *     summary: Remover transações em lote
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Transações removidas
+ *       400:
+ *         description: IDs inválidos
+ */
+router.delete('/bulk', bulkIdsValidation, transactionController.bulkDelete)
+
+/**
+ * @swagger
+ * /api/transactions/{id}:
+ *   get:
+ *     summary: Buscar transação por ID
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transação encontrada
+ *       404:
+ *         description: Transação não encontrada
+ */
+router.get('/:id', transactionController.getById)
+
+/**
+ * @swagger
+ * /api/transactions:
+ *   post:
+ *     summary: Criar nova transação
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tipo
+ *               - descricao
+ *               - valor
+ *               - metodoPagamento
+ *             properties:
+ *               tipo:
+ *                 type: string
+ *                 enum: [receita, despesa]
+ *               descricao:
+ *                 type: string
+ *                 maxLength: 200
+ *               valor:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: |
+ *                   Valor na moeda da conta. A resposta traz também a conversão para a moeda base
+ *                   (conversao.valor, conversao.taxa e conversao.dataCotacao), pela cotação da data da transação.
+ *               moeda:
+ *                 type: string
+ *                 description: Opcional; se informada, deve ser a moeda da conta (a transação sempre usa a moeda da conta)
+ *               categoria:
+ *                 type: string
+ *                 description: Nome da categoria. Se omitida, definida pelas regras de categorização (ver /api/rules)
+ *               divisoes:
+ *                 type: array
+ *                 description: |
+ *                   Dividir o valor entre categorias (ao menos duas linhas, somando o valor da transação).
+ *                   A categoria da transação passa a ser a da maior linha; relatórios e orçamentos usam cada linha.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - categoria
+ *                     - valor
+ *                   properties:
+ *                     categoria:
+ *                       type: string
+ *                     subcategoria:
+ *                       type: string
+ *                     valor:
+ *                       type: number
+ *                       minimum: 0.01
+ *                     orcamentoId:
+ *                       type: string
+ *               metodoPagamento:
+ *                 type: string
+ *                 enum: [dinheiro, cartao_debito, cartao_credito, pix, transferencia, boleto, cheque]
+ *               data:
+ *                 type: string
+ *                 format: date-time
+ *               contaId:
+ *                 type: string
+ *                 description: Conta da transação (padrão do usuário se omitida)
+ *               status:
+ *                 type: string
+ *                 enum: [pendente, confirmada, cancelada]
+ *                 default: confirmada
+ *                 description: |
+ *                   pendente = conta agendada (boleto, aluguel) com vencimento na data; fica fora dos
+ *                   saldos e totais até ser confirmada em POST /api/transactions/{id}/confirmar
+ *               lembrete:
+ *                 type: object
+ *                 properties:
+ *                   diasAntes:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 30
+ *                     description: Dias antes do vencimento para o aviso (padrão da configuração do usuário)
+ *               parcelas:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 72
+ *                 description: Parcelar a compra em N transações mensais vinculadas (valor = valor à vista)
+ *               taxaJuros:
+ *                 type: number
+ *                 default: 0
+ *                 description: Juros ao mês (%) aplicados pela tabela Price; 0 para parcelamento sem juros
+ *               recorrente:
+ *                 type: object
+ *                 description: Repetir a transação; as ocorrências são geradas nas datas pelo motor de recorrências (ver /api/recurrences)
+ *                 properties:
+ *                   ativo:
+ *                     type: boolean
+ *                   tipo:
+ *                     type: string
+ *                     enum: [diario, semanal, mensal, anual]
+ *                   intervalo:
+ *                     type: integer
+ *                     default: 1
+ *                   dataFim:
+ *                     type: string
+ *                     format: date
+ *                   pendente:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Gerar as ocorrências como pendentes, com até 30 dias de antecedência (contas a pagar)
+ *               orcamentoId:
+ *                 type: string
+ *               metaId:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               observacoes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Transação criada com sucesso
+ *       400:
+ *         description: Dados inválidos, categoria ou conta não encontrada
  */
-router.post('/', transactionValidation, (req, res) => {
-  console.log('💾 [TRANSACTIONS] POST /transactions - userId:', req.userId)
-  console.log('📝 [TRANSACTIONS] Dados recebidos:', req.body)
-  
-  try {
-    // Verificar erros de validação
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-      console.log('❌ [TRANSACTIONS] Erros de validação:', errors.array())
-      return res.status(400).json({
-        success: false,
-        error: 'Dados inválidos',
-        details: errors.array()
-      })
-    }
-
-    // Criar nova transação
-    const novaTransacao = {
-      _id: (Date.now() + Math.random()).toString(),
-      userId: req.userId,
-      tipo: req.body.tipo,
-      descricao: req.body.descricao.trim(),
-      valor: parseFloat(req.body.valor),
-      categoria: req.body.categoria,
-      metodoPagamento: req.body.metodoPagamento,
-      data: req.body.data ? new Date(req.body.data) : new Date(),
-      observacoes: req.body.observacoes || '',
-      orcamentoId: req.body.orcamentoId || '',
-      tags: req.body.tags || [],
-      recorrente: req.body.recorrente || {
-        ativo: false,
-        tipo: 'mensal',
-        dataInicio: new Date(),
-        dataFim: new Date(),
-        intervalo: 1
-      },
-      criadoEm: new Date(),
-      atualizadoEm: new Date()
-    }
-
-    // Adicionar à lista
-    transactions.push(novaTransacao)
-    
-    console.log('✅ [TRANSACTIONS] Transação criada com ID:', novaTransacao._id)
-    console.log('📊 [TRANSACTIONS] Total de transações:', transactions.length)
-
-    res.status(201).json({
-      success: true,
-      message: 'Transação criada com sucesso',
-      data: novaTransacao
-    })
-
-  } catch (error) {
-    console.error('❌ [TRANSACTIONS] Erro ao criar transação:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+router.post('/', transactionValidation, transactionController.create)
 
 /**
- * GET /api/transactions/:id
- * Buscar transação por ID
+ * @swagger
+ * /api/transactions/{id}/parcelas:
+ *   get:
+ *     summary: Listar as parcelas da compra a que a transação pertence
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Parcelas com valores pago e restante
+ *       400:
+ *         description: Transação não é parcelada
+ *       404:
+ *         description: Transação não encontrada
  */
-router.get('/:id', (req, res) => {
-  console.log('🔍 [TRANSACTIONS] GET /transactions/:id - ID:', req.params.id)
-  
-  try {
-    const transacao = transactions.find(t => 
-      t._id === req.params.id && t.userId === req.userId
-    )
-
-    if (!transacao) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transação não encontrada'
-      })
-    }
-
-    res.json({
-      success: true,
-      data: transacao
-    })
-
-  } catch (error) {
-    console.error('❌ [TRANSACTIONS] Erro ao buscar transação:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+router.get('/:id/parcelas', transactionController.getParcelas)
 
 /**
- * PUT /api/transactions/:id
- * Atualizar transação
+ * @swagger
+ * /api/transactions/{id}/confirmar:
+ *   post:
+ *     summary: Confirmar uma transação pendente como paga/recebida
+ *     description: |
+ *       Valor e data são opcionais (padrão: os previstos). Quando diferem, os previstos ficam em
+ *       confirmacao.valorPrevisto e confirmacao.dataPrevista. Em transações divididas, um novo valor
+ *       exige as divisões. A partir da confirmação a transação entra em saldos, orçamentos e metas.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               valor:
+ *                 type: number
+ *               data:
+ *                 type: string
+ *                 format: date-time
+ *               divisoes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Transação confirmada
+ *       400:
+ *         description: Transação não está pendente ou dados inválidos
+ *       404:
+ *         description: Transação não encontrada
  */
-router.put('/:id', transactionValidation, (req, res) => {
-  console.log('✏️ [TRANSACTIONS] PUT /transactions/:id - ID:', req.params.id)
-  
-  try {
-    // Verificar erros de validação
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Dados inválidos',
-        details: errors.array()
-      })
-    }
-
-    const index = transactions.findIndex(t => 
-      t._id === req.params.id && t.userId === req.userId
-    )
-
-    if (index === -1) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transação não encontrada'
-      })
-    }
-
-    // Atualizar transação
-    transactions[index] = {
-      ...transactions[index],
-      tipo: req.body.tipo,
-      descricao: req.body.descricao.trim(),
-      valor: parseFloat(req.body.valor),
-      categoria: req.body.categoria,
-      metodoPagamento: req.body.metodoPagamento,
-      data: req.body.data ? new Date(req.body.data) : transactions[index].data,
-      observacoes: req.body.observacoes || '',
-      orcamentoId: req.body.orcamentoId || '',
-      tags: req.body.tags || [],
-      recorrente: req.body.recorrente || transactions[index].recorrente,
-      atualizadoEm: new Date()
-    }
-
-    console.log('✅ [TRANSACTIONS] Transação atualizada')
-
-    res.json({
-      success: true,
-      message: 'Transação atualizada com sucesso',
-      data: transactions[index]
-    })
-
-  } catch (error) {
-    console.error('❌ [TRANSACTIONS] Erro ao atualizar transação:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
+router.post('/:id/confirmar', confirmacaoValidation, transactionController.confirmar)
 
 /**
- * DELETE /api/transactions/:id
- * Excluir transação
+ * @swagger
+ * /api/transactions/{id}/historico:
+ *   get:
+ *     summary: Histórico de versões da transação
+ *     description: |
+ *       Cada criação, edição, exclusão ou restauração gera uma versão com autor (autorId; null quando
+ *       automática), origem (app, importacao, regra ou recorrencia) e as alterações campo a campo.
+ *       O histórico continua disponível depois que a transação é excluída. Transferências não têm histórico.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versões, da mais recente para a mais antiga
+ *       404:
+ *         description: Transação não encontrada
  */
-router.delete('/:id', (req, res) => {
-  console.log('🗑️ [TRANSACTIONS] DELETE /transactions/:id - ID:', req.params.id)
-  
-  try {
-    const index = transactions.findIndex(t => 
-      t._id === req.params.id && t.userId === req.userId
-    )
-
-    if (index === -1) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transação não encontrada'
-      })
-    }
-
-    // Remover transação
-    const transacaoRemovida = transactions.splice(index, 1)[0]
-    
-    console.log('✅ [TRANSACTIONS] Transação removida')
-
-    res.json({
-      success: true,
-      message: 'Transação removida com sucesso',
-      data: transacaoRemovida
-    })
-
-  } catch (error) {
-    console.error('❌ [TRANSACTIONS] Erro ao remover transação:', error)
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno do servidor'
-    })
-  }
-})
-
-// Rota de teste
-router.get('/test/debug', (req, res) => {
-  res.json({
-    message: 'Sistema de transações mockado funcionando!',
-    userId: req.userId,
-    totalTransactions: transactions.length,
-    userTransactions: transactions.filter(t => t.userId === req.userId).length,
-    totalUsers: mockUsers.length,
-    endpoints: [
-      'GET /api/transactions',
-      'POST /api/transactions',
-      'GET /api/transactions/:id',
-      'PUT /api/transactions/:id',
-      'DELETE /api/transactions/:id'
-    ]
-  })
-})
-
-module.exports = router
\ No newline at end of file
+router.get('/:id/historico', transactionController.getHistorico)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/desfazer:
+ *   post:
+ *     summary: Desfazer a última alteração da transação
+ *     description: |
+ *       Volta a transação ao estado anterior à última versão, reaplicando fatura, orçamento, meta e categorias.
+ *       Desfazer uma criação exclui a transação; desfazer uma exclusão a recria (os anexos voltam se ela
+ *       ainda estiver na lixeira). Desfazer a exclusão de uma compra parcelada recria também as parcelas
+ *       excluídas junto com ela. O desfazer gera uma nova versão (com versaoDesfeita); desfazer de novo
+ *       reverte a alteração anterior, sem refazer a que já foi desfeita.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alteração desfeita
+ *       400:
+ *         description: Sem alterações a desfazer, transferência ou transação conciliada
+ *       404:
+ *         description: Transação não encontrada
+ */
+router.post('/:id/desfazer', transactionController.desfazer)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/restaurar:
+ *   post:
+ *     summary: Restaurar a transação para uma versão do histórico
+ *     description: Também recria uma transação excluída. Gera uma nova versão do tipo restauracao.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - versao
+ *             properties:
+ *               versao:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Transação restaurada
+ *       400:
+ *         description: Versão de exclusão, transação já igual à versão ou transação conciliada
+ *       404:
+ *         description: Versão não encontrada
+ */
+router.post('/:id/restaurar', restauracaoValidation, transactionController.restaurar)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/anexos:
+ *   post:
+ *     summary: Anexar comprovante ou documento à transação
+ *     description: |
+ *       Aceita JPEG, PNG, WebP e PDF (o conteúdo precisa corresponder ao tipo).
+ *       Imagens ganham uma miniatura. O arquivo conta na cota de armazenamento do usuário.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arquivo
+ *             properties:
+ *               arquivo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Anexo criado, com URLs do arquivo e da miniatura
+ *       400:
+ *         description: Arquivo ausente, tipo não permitido, muito grande, limite de anexos ou cota excedida
+ *       404:
+ *         description: Transação não encontrada
+ */
+router.post('/:id/anexos', uploadAnexo, attachmentController.upload)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/anexos/{anexoId}:
+ *   get:
+ *     summary: Baixar o arquivo do anexo
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: anexoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *         description: Forçar o download em vez de exibir no navegador
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo
+ *       302:
+ *         description: Anexo do tipo link (redireciona para a URL)
+ *       404:
+ *         description: Anexo não encontrado
+ */
+router.get('/:id/anexos/:anexoId', attachmentController.download)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/anexos/{anexoId}/miniatura:
+ *   get:
+ *     summary: Miniatura (WebP) de um anexo de imagem
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Imagem da miniatura
+ *       404:
+ *         description: Anexo não encontrado ou sem miniatura
+ */
+router.get('/:id/anexos/:anexoId/miniatura', attachmentController.miniatura)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/anexos/{anexoId}:
+ *   delete:
+ *     summary: Remover anexo e seu arquivo
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Anexo removido
+ *       404:
+ *         description: Anexo não encontrado
+ */
+router.delete('/:id/anexos/:anexoId', attachmentController.remove)
+
+/**
+ * @swagger
+ * /api/transactions/{id}:
+ *   put:
+ *     summary: Atualizar transação
+ *     description: |
+ *       Na parcela 1 de uma compra parcelada, descrição, categoria, conta, status (ex. cancelada) e demais dados da compra são aplicados também às parcelas que ainda não venceram.
+ *       Em transações divididas, valor e categoria só mudam junto com as divisões (enviadas por inteiro); divisoes vazia desfaz a divisão.
+ *       Transações conciliadas com o extrato (conciliacao.conciliacaoId preenchido) não aceitam mudança de valor, data, conta, tipo ou status.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transação atualizada com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       404:
+ *         description: Transação não encontrada
+ */
+router.put('/:id', transactionUpdateValidation, transactionController.update)
+
+/**
+ * @swagger
+ * /api/transactions/{id}:
+ *   delete:
+ *     summary: Excluir transação
+ *     description: Move a transação para a lixeira (/api/trash). Excluir a parcela 1 de uma compra parcelada remove todas as parcelas. Transações conciliadas não podem ser excluídas.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transação removida com sucesso
+ *       404:
+ *         description: Transação não encontrada
+ */
+router.delete('/:id', transactionController.remove)
+
+module.exports = router
@@ -0,0 +1,234 @@
+const express = require('express')
+const router = express.Router()
+const { body } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const transferController = require('../controllers/transferController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const transferValidation = [
+  body('contaOrigemId')
+    .isMongoId()
+    .withMessage('Conta de origem inválida'),
+
+  body('contaDestinoId')
+    .isMongoId()
+    .withMessage('Conta de destino inválida'),
+
+  body('valor')
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
+  body('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  body('descricao')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Descrição não pode ter mais de 200 caracteres'),
+
+  body('observacoes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Observações não podem ter mais de 500 caracteres')
+]
+
+const transferUpdateValidation = [
+  body('contaOrigemId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conta de origem inválida'),
+
+  body('contaDestinoId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conta de destino inválida'),
+
+  body('valor')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que 0'),
+
+  body('data')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  body('descricao')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Descrição deve ter entre 1 e 200 caracteres'),
+
+  body('observacoes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Observações não podem ter mais de 500 caracteres')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Transfers
+ *   description: Transferências entre contas do próprio usuário (débito e crédito vinculados)
+ */
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: Listar transferências
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: contaId
+ *         schema:
+ *           type: string
+ *         description: Apenas transferências com esta conta como origem ou destino
+ *       - in: query
+ *         name: dataInicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dataFim
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Lista de transferências com paginação
+ */
+router.get('/', transferController.getAll)
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   get:
+ *     summary: Buscar transferência pelo transferenciaId
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transferência com contas de origem e destino
+ *       404:
+ *         description: Transferência não encontrada
+ */
+router.get('/:id', transferController.getById)
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Criar transferência entre contas
+ *     description: Cria uma despesa na conta de origem e uma receita na conta de destino, vinculadas pelo mesmo transferenciaId. Nenhuma das duas entra nos totais de receitas e despesas.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contaOrigemId
+ *               - contaDestinoId
+ *               - valor
+ *             properties:
+ *               contaOrigemId:
+ *                 type: string
+ *               contaDestinoId:
+ *                 type: string
+ *               valor:
+ *                 type: number
+ *                 minimum: 0.01
+ *               data:
+ *                 type: string
+ *                 format: date-time
+ *               descricao:
+ *                 type: string
+ *                 maxLength: 200
+ *               observacoes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Transferência criada com sucesso
+ *       400:
+ *         description: Dados inválidos ou conta não encontrada
+ */
+router.post('/', transferValidation, transferController.create)
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   put:
+ *     summary: Atualizar transferência (as duas pernas juntas)
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transferência atualizada com sucesso
+ *       400:
+ *         description: Dados inválidos ou conta não encontrada
+ *       404:
+ *         description: Transferência não encontrada
+ */
+router.put('/:id', transferUpdateValidation, transferController.update)
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   delete:
+ *     summary: Excluir transferência (as duas pernas juntas)
+ *     description: A transferência vai para a lixeira e pode ser restaurada em /api/trash
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transferência removida com sucesso
+ *       404:
+ *         description: Transferência não encontrada
+ */
+router.delete('/:id', transferController.remove)
+
+module.exports = router
@@ -0,0 +1,129 @@
+const express = require('express')
+const router = express.Router()
+const { query } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const trashController = require('../controllers/trashController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const tipoValidation = [
+  query('tipo')
+    .optional()
+    .isIn(['transacao', 'transferencia', 'orcamento', 'meta', 'categoria'])
+    .withMessage('Tipo deve ser transacao, transferencia, orcamento, meta ou categoria')
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: |
+ *     Lixeira de transações, transferências, orçamentos, metas e categorias. Itens excluídos ficam aqui
+ *     pelo período de retenção (30 dias por padrão, TRASH_RETENTION_DAYS) e depois são apagados pelo job
+ *     de limpeza. Cada transferência é um item com as duas pernas. Os anexos das transações só são
+ *     apagados junto com o item.
+ */
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: Listar itens da lixeira
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [transacao, transferencia, orcamento, meta, categoria]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Itens (com o documento excluído e expiraEm), quantidade por tipo e retenção
+ */
+router.get('/', tipoValidation, trashController.getAll)
+
+/**
+ * @swagger
+ * /api/trash/{id}/restaurar:
+ *   post:
+ *     summary: Restaurar um item da lixeira
+ *     description: |
+ *       O documento volta com o mesmo ID. Transações voltam a contar em fatura, orçamento, meta e categorias;
+ *       orçamentos voltam a ser vinculados às transações que apontavam para eles. Transferências voltam
+ *       com as duas pernas, sem o pagamento de fatura que faziam. As parcelas de uma compra que estão na
+ *       lixeira voltam todas juntas, e um conflito em qualquer uma delas impede a restauração.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item restaurado
+ *       400:
+ *         description: Conflito (ex. categoria com o mesmo nome ou conta da transação ou transferência excluída)
+ *       404:
+ *         description: Item não encontrado na lixeira
+ */
+router.post('/:id/restaurar', trashController.restaurar)
+
+/**
+ * @swagger
+ * /api/trash:
+ *   delete:
+ *     summary: Esvaziar a lixeira
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [transacao, transferencia, orcamento, meta, categoria]
+ *         description: Esvaziar apenas os itens deste tipo
+ *     responses:
+ *       200:
+ *         description: Itens apagados definitivamente
+ */
+router.delete('/', tipoValidation, trashController.esvaziar)
+
+/**
+ * @swagger
+ * /api/trash/{id}:
+ *   delete:
+ *     summary: Apagar um item da lixeira definitivamente
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item apagado
+ *       404:
+ *         description: Item não encontrado na lixeira
+ */
+router.delete('/:id', trashController.remove)
+
+module.exports = router
@@ -4,6 +4,20 @@ const User = require('../models/User')
 const Transaction = require('../models/Transaction')
 const Budget = require('../models/Budget')
 const Goal = require('../models/Goal')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const Invoice = require('../models/Invoice')
+const Reconciliation = require('../models/Reconciliation')
+const TransactionHistory = require('../models/TransactionHistory')
+const TrashItem = require('../models/TrashItem')
+const Payee = require('../models/Payee')
+const CategoryRule = require('../models/CategoryRule')
+const CategoryClassifier = require('../models/CategoryClassifier')
+const ImportProfile = require('../models/ImportProfile')
+const SavedView = require('../models/SavedView')
+const ExchangeRate = require('../models/ExchangeRate')
+const attachmentService = require('../services/attachmentService')
+const currencyService = require('../services/currencyService')
 const bcrypt = require('bcrypt')
 const authMiddleware = require('../middleware/authMiddleware')
 const { updateProfileValidation, changePasswordValidation } = require('../middleware/validation')
@@ -12,6 +26,36 @@ const { validationResult } = require('express-validator')
 // Aplicar middleware de autenticação em todas as rotas
 router.use(authMiddleware)
 
+// Conferir a troca da moeda base antes de gravar as configurações
+// As configurações são substituídas por inteiro, então sem moeda no corpo a atual é mantida
+// Retorna { erro, detalhes } ou { anterior, nova }
+async function prepararMoedaBase(userId, configuracoes) {
+  const anterior = await currencyService.moedaBase(userId)
+
+  if (!configuracoes.moeda) {
+    configuracoes.moeda = anterior
+    return { anterior, nova: anterior }
+  }
+
+  const nova = String(configuracoes.moeda).toUpperCase()
+  if (!/^[A-Z]{3}$/.test(nova)) {
+    return { erro: 'Moeda deve ser um código ISO de 3 letras' }
+  }
+
+  configuracoes.moeda = nova
+  if (nova === anterior) return { anterior, nova }
+
+  const semCotacao = await currencyService.moedasSemCotacao(userId, nova)
+  if (semCotacao.length > 0) {
+    return {
+      erro: `Não há cotações para converter ${semCotacao.join(', ')} em ${nova}. Importe as cotações em /api/exchange-rates antes de trocar a moeda base`,
+      detalhes: { moedasSemCotacao: semCotacao }
+    }
+  }
+
+  return { anterior, nova }
+}
+
 /**
  * @swagger
  * tags:
@@ -53,11 +97,12 @@ router.get('/profile', async (req, res) => {
       Goal.countDocuments({ userId: req.userId }),
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: user._id,
             data: { $gte: inicioMes, $lte: fimMes }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
@@ -154,7 +199,15 @@ router.patch('/profile', updateProfileValidation, async (req, res) => {
       updateData.email = email.toLowerCase()
       updateData.emailVerificado = false // Precisará verificar novamente
     }
-    if (configuracoes) updateData.configuracoes = { ...configuracoes }
+    let moedas = null
+    if (configuracoes) {
+      updateData.configuracoes = { ...configuracoes }
+
+      moedas = await prepararMoedaBase(req.userId, updateData.configuracoes)
+      if (moedas.erro) {
+        return res.status(400).json({ success: false, error: moedas.erro, ...moedas.detalhes })
+      }
+    }
 
     const user = await User.findByIdAndUpdate(
       req.userId,
@@ -162,10 +215,16 @@ router.patch('/profile', updateProfileValidation, async (req, res) => {
       { new: true, runValidators: true }
     ).select('-senhaHash -codigoResetSenha -resetSenhaExpira')
 
+    // Nova moeda base: transações, orçamentos e metas são convertidos
+    const conversao = moedas && moedas.nova !== moedas.anterior
+      ? await currencyService.alterarMoedaBase(req.userId, moedas.anterior, moedas.nova)
+      : undefined
+
     res.json({
       success: true,
       message: 'Perfil atualizado com sucesso',
-      data: user.toSafeObject()
+      data: user.toSafeObject(),
+      conversao
     })
 
   } catch (err) {
@@ -301,11 +360,12 @@ router.get('/statistics', async (req, res) => {
     const [transacoes, orcamentos, metas] = await Promise.all([
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: req.user._id,
             data: { $gte: dataInicio, $lte: agora }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: {
@@ -409,28 +469,43 @@ router.get('/statistics', async (req, res) => {
  *                 enum: [claro, escuro, sistema]
  *               moeda:
  *                 type: string
+ *                 description: |
+ *                   Moeda base (código ISO). Ao trocar, transações são reconvertidas pela cotação
+ *                   da data de cada uma e orçamentos e metas pela cotação de hoje. Exige cotação
+ *                   de todas as moedas em uso para a nova moeda.
  *               notificacoes:
  *                 type: object
  */
 router.patch('/settings', async (req, res) => {
   try {
-    const configuracoes = req.body
+    const configuracoes = { ...req.body }
+
+    const moedas = await prepararMoedaBase(req.userId, configuracoes)
+    if (moedas.erro) {
+      return res.status(400).json({ success: false, error: moedas.erro, ...moedas.detalhes })
+    }
     
     const user = await User.findByIdAndUpdate(
       req.userId,
       { 
         $set: { 
-          'configuracoes': { ...configuracoes },
+          'configuracoes': configuracoes,
           atualizadoEm: new Date()
         }
       },
       { new: true, runValidators: true }
     ).select('-senhaHash -codigoResetSenha -resetSenhaExpira')
 
+    // Nova moeda base: transações, orçamentos e metas são convertidos
+    const conversao = moedas.nova !== moedas.anterior
+      ? await currencyService.alterarMoedaBase(req.userId, moedas.anterior, moedas.nova)
+      : undefined
+
     res.json({
       success: true,
       message: 'Configurações atualizadas com sucesso',
-      data: user.toSafeObject()
+      data: user.toSafeObject(),
+      conversao
     })
 
   } catch (err) {
@@ -506,10 +581,24 @@ router.delete('/delete-account', async (req, res) => {
       Transaction.deleteMany({ userId: req.userId }),
       Budget.deleteMany({ userId: req.userId }),
       Goal.deleteMany({ userId: req.userId }),
-      Category.deleteMany({ userId: req.userId, padrao: false }),
+      Category.deleteMany({ userId: req.userId }),
+      Account.deleteMany({ userId: req.userId }),
+      Invoice.deleteMany({ userId: req.userId }),
+      Reconciliation.deleteMany({ userId: req.userId }),
+      TransactionHistory.deleteMany({ userId: req.userId }),
+      TrashItem.deleteMany({ userId: req.userId }),
+      Payee.deleteMany({ userId: req.userId }),
+      CategoryRule.deleteMany({ userId: req.userId }),
+      CategoryClassifier.deleteMany({ userId: req.userId }),
+      ImportProfile.deleteMany({ userId: req.userId }),
+      SavedView.deleteMany({ userId: req.userId }),
+      // Só as cotações do usuário; a tabela geral (sem userId) é de todos
+      ExchangeRate.deleteMany({ userId: req.userId }),
       User.findByIdAndDelete(req.userId)
     ])
 
+    await attachmentService.removerDoUsuario(req.userId)
+
     res.json({
       success: true,
       message: 'Conta excluída com sucesso'
@@ -543,7 +632,7 @@ router.delete('/delete-account', async (req, res) => {
  *         name: incluir
  *         schema:
  *           type: string
- *           enum: [todos, transacoes, orcamentos, metas]
+ *           enum: [todos, transacoes, orcamentos, metas, contas]
  *         description: Dados a incluir
  */
 router.get('/export', async (req, res) => {
@@ -568,6 +657,11 @@ router.get('/export', async (req, res) => {
       dadosExportacao.metas = await Goal.find({ userId: req.userId }).lean()
     }
 
+    if (incluir === 'todos' || incluir === 'contas') {
+      dadosExportacao.contas = await Account.find({ userId: req.userId }).lean()
+      dadosExportacao.faturas = await Invoice.find({ userId: req.userId }).lean()
+    }
+
     if (incluir === 'todos') {
       dadosExportacao.categorias = await Category.find({ 
         userId: req.userId, 
@@ -623,11 +717,12 @@ router.get('/dashboard-summary', async (req, res) => {
     const [transacoesMes, orcamentosAtivos, metasAtivas] = await Promise.all([
       Transaction.aggregate([
         {
-          $match: {
+          $match: Transaction.realizadas({
             userId: req.user._id,
             data: { $gte: inicioMes }
-          }
+          })
         },
+        Transaction.emMoedaBase(),
         {
           $group: {
             _id: '$tipo',
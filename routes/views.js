@@ -0,0 +1,325 @@
+const express = require('express')
+const router = express.Router()
+const { body } = require('express-validator')
+const auth = require('../middleware/authMiddleware')
+const SavedView = require('../models/SavedView')
+const savedViewController = require('../controllers/savedViewController')
+
+// Middleware de autenticação para todas as rotas
+router.use(auth)
+
+// Validações
+const camposVisaoValidation = [
+  body('filtros')
+    .optional()
+    .isObject()
+    .withMessage('Filtros inválidos'),
+
+  body('filtros.consulta')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Consulta deve ter até 500 caracteres'),
+
+  body('filtros.tipo')
+    .optional({ values: 'null' })
+    .isIn(['receita', 'despesa'])
+    .withMessage('Tipo deve ser receita ou despesa'),
+
+  body('filtros.contaId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Conta inválida'),
+
+  body('filtros.periodo')
+    .optional()
+    .isIn(SavedView.periodos)
+    .withMessage('Período inválido'),
+
+  body(['filtros.dataInicio', 'filtros.dataFim'])
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Data inválida'),
+
+  body('ordenacao.campo')
+    .optional()
+    .isIn(['data', 'valor', 'descricao', 'categoria', 'criadoEm'])
+    .withMessage('Campo de ordenação inválido'),
+
+  body('ordenacao.direcao')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Direção deve ser asc ou desc'),
+
+  body('agrupamento')
+    .optional({ values: 'null' })
+    .isIn(['categoria', 'conta', 'mes', 'tipo', 'metodoPagamento', 'tag'])
+    .withMessage('Agrupamento inválido'),
+
+  body('fixadaNoDashboard')
+    .optional()
+    .isBoolean()
+    .withMessage('fixadaNoDashboard deve ser verdadeiro ou falso'),
+
+  body('posicaoNoDashboard')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Posição deve ser um inteiro maior ou igual a 0'),
+
+  body('cor')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Cor deve estar no formato hexadecimal')
+]
+
+const viewValidation = [
+  body('nome')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Nome deve ter entre 1 e 60 caracteres'),
+
+  ...camposVisaoValidation
+]
+
+const viewUpdateValidation = [
+  body('nome')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Nome deve ter entre 1 e 60 caracteres'),
+
+  ...camposVisaoValidation
+]
+
+/**
+ * @swagger
+ * tags:
+ *   name: Views
+ *   description: Visões salvas (filtros, ordenação e agrupamento) da listagem de transações
+ */
+
+/**
+ * @swagger
+ * /api/views:
+ *   get:
+ *     summary: Listar visões salvas (fixadas primeiro)
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: incluirResumo
+ *         schema:
+ *           type: boolean
+ *         description: Incluir os totais atuais (receitas, despesas e saldo) de cada visão
+ *     responses:
+ *       200:
+ *         description: Visões do usuário
+ */
+router.get('/', savedViewController.getAll)
+
+/**
+ * @swagger
+ * /api/views/fixadas:
+ *   get:
+ *     summary: Visões fixadas no dashboard, com os totais atuais
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Visões fixadas na ordem do dashboard
+ */
+router.get('/fixadas', savedViewController.getFixadas)
+
+/**
+ * @swagger
+ * /api/views:
+ *   post:
+ *     summary: Salvar uma visão
+ *     description: |
+ *       Os filtros são os mesmos de GET /api/transactions. O período pode ser relativo
+ *       (ex.: mes_atual), recalculado a cada execução, ou personalizado com datas fixas.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: Cartão acima de R$200 no mês
+ *               filtros:
+ *                 type: object
+ *                 properties:
+ *                   consulta:
+ *                     type: string
+ *                     description: Linguagem de busca (ver parâmetro q de GET /api/transactions)
+ *                     example: metodo:cartao_credito valor>200
+ *                   tipo:
+ *                     type: string
+ *                     enum: [receita, despesa]
+ *                   categoria:
+ *                     type: string
+ *                   contaId:
+ *                     type: string
+ *                   metodoPagamento:
+ *                     type: string
+ *                   periodo:
+ *                     type: string
+ *                     enum: [todos, mes_atual, mes_anterior, ultimos_7_dias, ultimos_30_dias, ultimos_90_dias, ano_atual, personalizado]
+ *                   dataInicio:
+ *                     type: string
+ *                     format: date
+ *                   dataFim:
+ *                     type: string
+ *                     format: date
+ *               ordenacao:
+ *                 type: object
+ *                 properties:
+ *                   campo:
+ *                     type: string
+ *                     enum: [data, valor, descricao, categoria, criadoEm]
+ *                   direcao:
+ *                     type: string
+ *                     enum: [asc, desc]
+ *               agrupamento:
+ *                 type: string
+ *                 enum: [categoria, conta, mes, tipo, metodoPagamento, tag]
+ *               fixadaNoDashboard:
+ *                 type: boolean
+ *               posicaoNoDashboard:
+ *                 type: integer
+ *               cor:
+ *                 type: string
+ *               icone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Visão criada
+ *       400:
+ *         description: Dados inválidos, consulta inválida ou limite de visões fixadas
+ */
+router.post('/', viewValidation, savedViewController.create)
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   get:
+ *     summary: Buscar visão por ID
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visão encontrada
+ *       404:
+ *         description: Visão não encontrada
+ */
+router.get('/:id', savedViewController.getById)
+
+/**
+ * @swagger
+ * /api/views/{id}/transacoes:
+ *   get:
+ *     summary: Executar a visão
+ *     description: |
+ *       Mesma resposta de GET /api/transactions?viewId={id}, incluindo o resumo e os grupos.
+ *       Parâmetros da listagem (page, limit, sortBy...) informados aqui têm prioridade sobre os da visão.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transações da visão com paginação e resumo
+ *       404:
+ *         description: Visão não encontrada
+ */
+router.get('/:id/transacoes', savedViewController.getTransacoes)
+
+/**
+ * @swagger
+ * /api/views/{id}/resumo:
+ *   get:
+ *     summary: Totais atuais da visão (receitas, despesas, saldo e grupos)
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Totais do período atual da visão
+ *       404:
+ *         description: Visão não encontrada
+ */
+router.get('/:id/resumo', savedViewController.getResumo)
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   put:
+ *     summary: Atualizar visão
+ *     description: Filtros informados substituem os anteriores por inteiro.
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visão atualizada
+ *       404:
+ *         description: Visão não encontrada
+ */
+router.put('/:id', viewUpdateValidation, savedViewController.update)
+
+/**
+ * @swagger
+ * /api/views/{id}:
+ *   delete:
+ *     summary: Remover visão
+ *     tags: [Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visão removida
+ *       404:
+ *         description: Visão não encontrada
+ */
+router.delete('/:id', savedViewController.remove)
+
+module.exports = router
@@ -2,6 +2,9 @@
 const cron = require('node-cron')
 const mongoose = require('mongoose')
 const budgetRenewalService = require('../services/budgetRenewalService')
+const recurrenceService = require('../services/recurrenceService')
+const reminderService = require('../services/reminderService')
+const trashService = require('../services/trashService')
 
 require('dotenv').config()
 
@@ -62,6 +65,32 @@ class BudgetRenewalCron {
       timezone: "America/Sao_Paulo"
     }))
 
+    // Job de recorrências: gerar as ocorrências vencidas a cada hora (aos 15 minutos)
+    this.jobs.set('recurring-transactions', cron.schedule('15 * * * *', async () => {
+      console.log('🔁 Gerando transações recorrentes...')
+      try {
+        await this.runRecurrences()
+      } catch (error) {
+        console.error('❌ Erro ao gerar transações recorrentes:', error)
+      }
+    }, {
+      scheduled: false,
+      timezone: "America/Sao_Paulo"
+    }))
+
+    // Job de lembretes: avisar os vencimentos das transações pendentes todo dia às 08:00
+    this.jobs.set('due-reminders', cron.schedule('0 8 * * *', async () => {
+      console.log('⏰ Enviando lembretes de vencimento...')
+      try {
+        await this.runReminders()
+      } catch (error) {
+        console.error('❌ Erro ao enviar lembretes de vencimento:', error)
+      }
+    }, {
+      scheduled: false,
+      timezone: "America/Sao_Paulo"
+    }))
+
     // Job de limpeza: executar limpeza de dados antigos toda segunda às 02:00
     this.jobs.set('cleanup', cron.schedule('0 2 * * 1', async () => {
       console.log('🧹 Executando limpeza de dados antigos...')
@@ -104,6 +133,8 @@ class BudgetRenewalCron {
 
     console.log('⏰ Cron jobs configurados:')
     console.log('  - Renovação principal: a cada 4 horas')
+    console.log('  - Transações recorrentes: a cada hora')
+    console.log('  - Lembretes de vencimento: diariamente às 08:00')
     console.log('  - Limpeza: segundas às 02:00')
     console.log('  - Relatório semanal: sextas às 18:00')
     console.log('  - Health check: a cada hora')
@@ -162,6 +193,24 @@ class BudgetRenewalCron {
     }
   }
 
+  // Gerar as ocorrências vencidas das transações recorrentes
+  async runRecurrences() {
+    const resultados = await recurrenceService.processarRecorrencias()
+    if (resultados) {
+      console.log(`✅ Recorrências: ${resultados.geradas} ocorrências geradas em ${resultados.series} séries, ${resultados.erros} erros`)
+    }
+    return resultados
+  }
+
+  // Avisar por email os vencimentos das transações pendentes
+  async runReminders() {
+    const resultados = await reminderService.enviarLembretes()
+    if (resultados) {
+      console.log(`✅ Lembretes: ${resultados.enviados} emails enviados para ${resultados.usuarios} usuários, ${resultados.erros} erros`)
+    }
+    return resultados
+  }
+
   // Limpeza de dados antigos
   async cleanupOldData() {
     const Budget = require('../models/Budget')
@@ -195,6 +244,11 @@ class BudgetRenewalCron {
     })
 
     console.log(`🧹 Removeu ${orcamentosAntigos.deletedCount} orçamentos finalizados antigos`)
+
+    // Apagar de vez os itens da lixeira com retenção vencida
+    const expirados = await trashService.purgarExpirados()
+
+    console.log(`🧹 Apagou ${expirados} item(ns) expirado(s) da lixeira`)
   }
 
   // Gerar relatório semanal
@@ -367,6 +421,18 @@ async function main() {
       console.table(status)
       process.exit(0)
 
+    } else if (args.includes('--recorrencias')) {
+      console.log('🔁 Gerando transações recorrentes...')
+      await cronManager.runRecurrences()
+      console.log('✅ Transações recorrentes geradas')
+      process.exit(0)
+
+    } else if (args.includes('--lembretes')) {
+      console.log('⏰ Enviando lembretes de vencimento...')
+      await cronManager.runReminders()
+      console.log('✅ Lembretes de vencimento enviados')
+      process.exit(0)
+
     } else if (args.includes('--cleanup')) {
       console.log('🧹 Executando limpeza manual...')
       await cronManager.cleanupOldData()
@@ -388,6 +454,8 @@ Uso: node scripts/budgetRenewalCron.js [opção]
 Opções:
   --start     Iniciar todos os jobs e manter rodando
   --manual    Executar verificação de renovação manual
+  --recorrencias  Gerar as transações recorrentes vencidas
+  --lembretes Enviar os lembretes de vencimento das transações pendentes
   --status    Mostrar status dos jobs
   --cleanup   Executar limpeza de dados antigos
   --report    Gerar relatório semanal
@@ -397,6 +465,8 @@ Exemplos:
   npm run cron:start     # Iniciar jobs automáticos
   npm run cron:manual    # Verificação manual
   npm run cron:status    # Ver status
+  npm run cron:recurring # Gerar transações recorrentes
+  npm run cron:reminders # Enviar lembretes de vencimento
       `)
       process.exit(0)
     }
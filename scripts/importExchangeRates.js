@@ -0,0 +1,56 @@
+// scripts/importExchangeRates.js - Importa um CSV de cotações para a tabela geral (válida para todos os usuários)
+// Uso: npm run rates:import -- caminho/cotacoes.csv [--dry-run]
+const fs = require('fs')
+const mongoose = require('mongoose')
+const currencyService = require('../services/currencyService')
+
+require('dotenv').config()
+
+async function importarCotacoes(arquivo, { dryRun = false } = {}) {
+  const { cotacoes, erros } = currencyService.lerCsv(fs.readFileSync(arquivo))
+
+  erros.forEach(erro => console.log(`⚠️ ${erro}`))
+  console.log(`➡️ ${cotacoes.length} cotação(ões) válida(s) em ${arquivo}`)
+
+  if (dryRun || cotacoes.length === 0) {
+    return { importadas: 0, atualizadas: 0, erros: erros.length }
+  }
+
+  const resultado = await currencyService.registrar(cotacoes, { fonte: 'admin' })
+  return { ...resultado, erros: erros.length }
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const arquivo = args.find(arg => !arg.startsWith('--'))
+
+  if (!arquivo) {
+    console.error('❌ Informe o arquivo CSV: npm run rates:import -- cotacoes.csv')
+    process.exit(1)
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    console.log('✅ Conectado ao MongoDB')
+
+    if (dryRun) console.log('🔍 Modo simulação: nenhuma alteração será gravada')
+
+    const resumo = await importarCotacoes(arquivo, { dryRun })
+
+    console.log(`✅ Importação concluída: ${resumo.importadas} nova(s), ${resumo.atualizadas} atualizada(s), ${resumo.erros} linha(s) com erro`)
+    await mongoose.disconnect()
+    process.exit(0)
+
+  } catch (error) {
+    console.error('❌ Erro na importação de cotações:', error)
+    process.exit(1)
+  }
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  main()
+}
+
+module.exports = { importarCotacoes }
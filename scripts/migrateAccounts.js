@@ -0,0 +1,101 @@
+// scripts/migrateAccounts.js - Migra o campo texto `conta` das transações para a coleção Account
+const mongoose = require('mongoose')
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+
+require('dotenv').config()
+
+// Inferir o tipo da conta a partir do nome livre usado até aqui
+function inferirTipo(nome) {
+  const normalizado = nome
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+
+  if (normalizado.includes('poupanca')) return 'poupanca'
+  if (normalizado.includes('carteira') || normalizado.includes('dinheiro')) return 'carteira'
+  if (normalizado.includes('cartao') || normalizado.includes('credito')) return 'cartao_credito'
+  if (normalizado.includes('invest')) return 'investimento'
+  return 'corrente'
+}
+
+async function migrarContas({ dryRun = false } = {}) {
+  // O campo `conta` saiu do schema, então a leitura é feita direto na coleção
+  const grupos = await Transaction.collection.aggregate([
+    {
+      $match: {
+        $or: [{ contaId: null }, { contaId: { $exists: false } }]
+      }
+    },
+    {
+      $group: {
+        _id: { userId: '$userId', conta: '$conta' },
+        total: { $sum: 1 }
+      }
+    }
+  ]).toArray()
+
+  const resumo = { contasCriadas: 0, transacoesMigradas: 0 }
+
+  for (const grupo of grupos) {
+    const { userId, conta } = grupo._id
+    const nome = typeof conta === 'string' ? conta.trim() : ''
+    const usarPadrao = !nome || nome.toLowerCase() === 'principal'
+
+    console.log(`➡️ Usuário ${userId}: "${nome || '(sem conta)'}" → ${grupo.total} transação(ões)`)
+    if (dryRun) continue
+
+    let account = usarPadrao
+      ? await Account.obterPadrao(userId)
+      : await Account.findOne({ userId, nome })
+
+    if (!account) {
+      account = await Account.create({ userId, nome, tipo: inferirTipo(nome) })
+      resumo.contasCriadas++
+    }
+
+    const resultado = await Transaction.collection.updateMany(
+      {
+        userId,
+        conta: conta === undefined ? { $exists: false } : conta,
+        $or: [{ contaId: null }, { contaId: { $exists: false } }]
+      },
+      {
+        $set: { contaId: account._id },
+        $unset: { conta: '' }
+      }
+    )
+
+    resumo.transacoesMigradas += resultado.modifiedCount
+  }
+
+  return resumo
+}
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    console.log('✅ Conectado ao MongoDB')
+
+    if (dryRun) console.log('🔍 Modo simulação: nenhuma alteração será gravada')
+
+    const resumo = await migrarContas({ dryRun })
+
+    console.log(`✅ Migração concluída: ${resumo.contasCriadas} conta(s) criada(s), ${resumo.transacoesMigradas} transação(ões) migrada(s)`)
+    await mongoose.disconnect()
+    process.exit(0)
+
+  } catch (error) {
+    console.error('❌ Erro na migração de contas:', error)
+    process.exit(1)
+  }
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  main()
+}
+
+module.exports = { migrarContas }
@@ -0,0 +1,113 @@
+// scripts/migrateCurrencies.js - Preenche moeda e conversão das transações anteriores ao suporte a moedas
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+require('../models/ExchangeRate')
+
+require('dotenv').config()
+
+const LOTE = 500
+
+async function migrarMoedas({ dryRun = false } = {}) {
+  const resumo = { transacoes: 0, semCotacao: 0, contas: 0 }
+
+  // Contas antigas sem moeda ficam na moeda base do dono
+  const contasSemMoeda = await Account.collection.find(
+    { $or: [{ moeda: null }, { moeda: { $exists: false } }] },
+    { projection: { userId: 1 } }
+  ).toArray()
+
+  const moedasBase = new Map()
+  const moedaBase = async userId => {
+    const chave = String(userId)
+    if (!moedasBase.has(chave)) {
+      const usuario = await User.findById(userId).select('configuracoes.moeda').lean()
+      moedasBase.set(chave, usuario?.configuracoes?.moeda || 'BRL')
+    }
+    return moedasBase.get(chave)
+  }
+
+  for (const conta of contasSemMoeda) {
+    const moeda = await moedaBase(conta.userId)
+    console.log(`➡️ Conta ${conta._id}: moeda ${moeda}`)
+    if (!dryRun) await Account.collection.updateOne({ _id: conta._id }, { $set: { moeda } })
+    resumo.contas++
+  }
+
+  const moedasConta = new Map()
+  const moedaDaConta = async (contaId, userId) => {
+    const chave = String(contaId)
+    if (!moedasConta.has(chave)) {
+      const conta = contaId ? await Account.findById(contaId).select('moeda').lean() : null
+      moedasConta.set(chave, conta?.moeda || await moedaBase(userId))
+    }
+    return moedasConta.get(chave)
+  }
+
+  const cursor = Transaction.find({ $or: [{ moeda: null }, { moeda: { $exists: false } }] })
+    .select('userId contaId valor data')
+    .lean()
+    .cursor()
+
+  let operacoes = []
+  const gravar = async () => {
+    if (!dryRun && operacoes.length > 0) await Transaction.bulkWrite(operacoes, { ordered: false })
+    operacoes = []
+  }
+
+  for await (const transacao of cursor) {
+    const moeda = await moedaDaConta(transacao.contaId, transacao.userId)
+    const conversao = await Transaction.calcularConversao(
+      transacao.userId,
+      { valor: transacao.valor, moeda, data: transacao.data },
+      await moedaBase(transacao.userId)
+    )
+
+    if (!conversao) resumo.semCotacao++
+    resumo.transacoes++
+
+    operacoes.push({
+      updateOne: {
+        filter: { _id: transacao._id },
+        update: { $set: { moeda, conversao } }
+      }
+    })
+
+    if (operacoes.length >= LOTE) await gravar()
+  }
+
+  await gravar()
+  return resumo
+}
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    console.log('✅ Conectado ao MongoDB')
+
+    if (dryRun) console.log('🔍 Modo simulação: nenhuma alteração será gravada')
+
+    const resumo = await migrarMoedas({ dryRun })
+
+    console.log(`✅ Migração concluída: ${resumo.contas} conta(s) e ${resumo.transacoes} transação(ões) atualizada(s)`)
+    if (resumo.semCotacao > 0) {
+      console.log(`⚠️ ${resumo.semCotacao} transação(ões) sem cotação para a moeda base; importe as cotações e rode novamente a troca de moeda`)
+    }
+    await mongoose.disconnect()
+    process.exit(0)
+
+  } catch (error) {
+    console.error('❌ Erro na migração de moedas:', error)
+    process.exit(1)
+  }
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  main()
+}
+
+module.exports = { migrarMoedas }
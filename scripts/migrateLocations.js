@@ -0,0 +1,81 @@
+// scripts/migrateLocations.js - Preenche o ponto GeoJSON das transações com latitude e longitude
+// gravadas antes das consultas por localização
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+
+require('dotenv').config()
+
+const LOTE = 500
+
+async function migrarLocalizacoes({ dryRun = false } = {}) {
+  const resumo = { transacoes: 0, invalidas: 0 }
+
+  const cursor = Transaction.find({
+    'localizacao.latitude': { $ne: null },
+    'localizacao.longitude': { $ne: null },
+    'localizacao.ponto': { $exists: false }
+  })
+    .select('localizacao')
+    .lean()
+    .cursor()
+
+  let operacoes = []
+  const gravar = async () => {
+    if (!dryRun && operacoes.length > 0) await Transaction.bulkWrite(operacoes, { ordered: false })
+    operacoes = []
+  }
+
+  for await (const transacao of cursor) {
+    const ponto = Transaction.pontoDaLocalizacao(transacao.localizacao)
+
+    if (!ponto) {
+      console.log(`⚠️ Transação ${transacao._id}: coordenadas inválidas, ignorada`)
+      resumo.invalidas++
+      continue
+    }
+
+    resumo.transacoes++
+    operacoes.push({
+      updateOne: {
+        filter: { _id: transacao._id },
+        update: { $set: { 'localizacao.ponto': ponto } }
+      }
+    })
+
+    if (operacoes.length >= LOTE) await gravar()
+  }
+
+  await gravar()
+  return resumo
+}
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    console.log('✅ Conectado ao MongoDB')
+
+    if (dryRun) console.log('🔍 Modo simulação: nenhuma alteração será gravada')
+
+    const resumo = await migrarLocalizacoes({ dryRun })
+
+    console.log(`✅ Migração concluída: ${resumo.transacoes} transação(ões) com localização indexada`)
+    if (resumo.invalidas > 0) {
+      console.log(`⚠️ ${resumo.invalidas} transação(ões) com coordenadas fora do intervalo válido`)
+    }
+    await mongoose.disconnect()
+    process.exit(0)
+
+  } catch (error) {
+    console.error('❌ Erro na migração de localizações:', error)
+    process.exit(1)
+  }
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  main()
+}
+
+module.exports = { migrarLocalizacoes }
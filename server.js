@@ -8,6 +8,7 @@ const compression = require('compression')
 const morgan = require('morgan')
 const path = require('path')
 const fs = require('fs')
+const routeRegistry = require('./routes')
 
 require('dotenv').config()
 
@@ -66,7 +67,11 @@ app.use('/api/', limiter)
 mongoose.connect(process.env.MONGO_URI)
 .then(() => {
   console.log('✅ Conectado ao MongoDB')
-  
+
+  // Garantir as categorias padrão do sistema (idempotente)
+  require('./models/Category').criarCategoriasPadrao()
+    .catch(err => console.error('⚠️ Erro ao criar categorias padrão do sistema:', err.message))
+
   // Inicializar cron jobs apenas se habilitado
   if (process.env.ENABLE_CRON_JOBS === 'true') {
     initializeCronJobs()
@@ -125,19 +130,17 @@ app.get('/health', async (req, res) => {
 })
 
 app.get('/api', (req, res) => {
+  const { endpoints, falhas } = routeRegistry.getCatalogo()
+
   res.json({
     name: 'Finance App API',
     version: '1.0.0',
     description: 'API para gestão financeira pessoal',
     endpoints: {
-      auth: '/api/auth',
-      categories: '/api/categories',
-      transactions: '/api/transactions',
-      budgets: '/api/budgets',
-      goals: '/api/goals',
-      budgetRenewal: '/api/budgets/renewal',
+      ...endpoints,
       health: '/health'
     },
+    modulosComFalha: falhas,
     features: [
       'Autenticação JWT',
       'Gestão de transações',
@@ -152,45 +155,7 @@ app.get('/api', (req, res) => {
 // IMPORTAR E USAR ROTAS
 // ==========================================
 
-// Verificar e importar apenas rotas que existem
-if (routeExists('./routes/auth.js')) {
-  const authRoutes = require('./routes/auth')
-  app.use('/api/auth', authRoutes)
-  console.log('✅ Rota auth carregada')
-}
-
-if (routeExists('./routes/categories.js')) {
-  const categoryRoutes = require('./routes/categories')
-  app.use('/api/categories', categoryRoutes)
-  console.log('✅ Rota categories carregada')
-} else {
-  console.log('⚠️ Rota categories não encontrada')
-}
-
-if (routeExists('./routes/transactions.js')) {
-  const transactionRoutes = require('./routes/transactions')
-  app.use('/api/transactions', transactionRoutes)
-  console.log('✅ Rota transactions carregada')
-}
-
-if (routeExists('./routes/budgets.js')) {
-  const budgetRoutes = require('./routes/budgets')
-  app.use('/api/budgets', budgetRoutes)
-  console.log('✅ Rota budgets carregada')
-}
-
-if (routeExists('./routes/goals.js')) {
-  const goalRoutes = require('./routes/goals')
-  app.use('/api/goals', goalRoutes)
-  console.log('✅ Rota goals carregada')
-}
-
-// Rota de renovação automática
-if (routeExists('./routes/budgetRenewal.js')) {
-  const budgetRenewalRoutes = require('./routes/budgetRenewal')
-  app.use('/api/budgets/renewal', budgetRenewalRoutes)
-  console.log('✅ Rota budget renewal carregada')
-}
+routeRegistry.registrarRotas(app)
 
 // ==========================================
 // TESTAR SERVIÇOS
@@ -289,6 +254,16 @@ app.use((err, req, res, next) => {
     })
   }
 
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      error: err.code === 'LIMIT_FILE_SIZE'
+        ? 'Arquivo maior que o tamanho permitido'
+        : 'Envio de arquivo inválido',
+      code: err.code
+    })
+  }
+
   if (err.code === 11000) {
     const field = Object.keys(err.keyValue)[0]
     return res.status(400).json({
@@ -373,12 +348,7 @@ const server = app.listen(PORT, () => {
 └─────────────────────────────────────────┘
 
 📋 Status das Rotas:
-${routeExists('./routes/auth.js') ? '✅' : '❌'} Auth
-${routeExists('./routes/categories.js') ? '✅' : '❌'} Categories  
-${routeExists('./routes/transactions.js') ? '✅' : '❌'} Transactions
-${routeExists('./routes/budgets.js') ? '✅' : '❌'} Budgets
-${routeExists('./routes/goals.js') ? '✅' : '❌'} Goals
-${routeExists('./routes/budgetRenewal.js') ? '✅' : '❌'} Budget Renewal
+${routeRegistry.getStatusBanner()}
 
 🔧 Funcionalidades:
 ${process.env.ENABLE_CRON_JOBS === 'true' ? '✅' : '❌'} Renovação Automática
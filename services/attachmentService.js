@@ -0,0 +1,176 @@
+// services/attachmentService.js
+// Anexos das transações (comprovantes, notas fiscais): validação do arquivo,
+// miniaturas das imagens, cota por usuário e remoção dos arquivos
+const path = require('path')
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const sharp = require('sharp')
+const Transaction = require('../models/Transaction')
+const { armazenamento } = require('./attachmentStorage')
+
+const MB = 1024 * 1024
+
+// Tipos aceitos, com a assinatura que o conteúdo do arquivo precisa ter
+const TIPOS_PERMITIDOS = {
+  'image/jpeg': { tipo: 'imagem', extensao: '.jpg', assinatura: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { tipo: 'imagem', extensao: '.png', assinatura: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { tipo: 'imagem', extensao: '.webp', assinatura: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  'application/pdf': { tipo: 'pdf', extensao: '.pdf', assinatura: b => b.toString('ascii', 0, 5) === '%PDF-' }
+}
+
+const TAMANHO_MAXIMO = (parseFloat(process.env.ATTACHMENT_MAX_MB) || 10) * MB
+const COTA_USUARIO = (parseFloat(process.env.ATTACHMENT_QUOTA_MB) || 100) * MB
+const ANEXOS_POR_TRANSACAO = 10
+
+// Lado maior da miniatura, em pixels
+const LADO_MINIATURA = 320
+
+class AttachmentService {
+  get tiposPermitidos() {
+    return Object.keys(TIPOS_PERMITIDOS)
+  }
+
+  get tamanhoMaximo() {
+    return TAMANHO_MAXIMO
+  }
+
+  get anexosPorTransacao() {
+    return ANEXOS_POR_TRANSACAO
+  }
+
+  // Bytes ocupados pelos arquivos do usuário e o limite da cota
+  async uso(userId) {
+    const [resultado] = await Transaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), 'anexos.chave': { $exists: true } } },
+      { $unwind: '$anexos' },
+      { $match: { 'anexos.chave': { $exists: true } } },
+      { $group: { _id: null, bytes: { $sum: '$anexos.tamanho' }, arquivos: { $sum: 1 } } }
+    ])
+
+    const bytes = resultado?.bytes || 0
+
+    return {
+      bytes,
+      arquivos: resultado?.arquivos || 0,
+      limite: COTA_USUARIO,
+      disponivel: Math.max(COTA_USUARIO - bytes, 0)
+    }
+  }
+
+  // Conferir tipo e conteúdo do arquivo e gerar a miniatura das imagens
+  // Retorna { erro } ou os dados para gravar o anexo
+  async preparar(arquivo) {
+    const formato = TIPOS_PERMITIDOS[arquivo.mimetype]
+    if (!formato) {
+      return { erro: 'Tipo de arquivo não permitido (use JPEG, PNG, WebP ou PDF)' }
+    }
+
+    if (!formato.assinatura(arquivo.buffer)) {
+      return { erro: 'O conteúdo do arquivo não corresponde ao tipo informado' }
+    }
+
+    let miniatura = null
+    if (formato.tipo === 'imagem') {
+      try {
+        miniatura = await sharp(arquivo.buffer)
+          .rotate()
+          .resize(LADO_MINIATURA, LADO_MINIATURA, { fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 70 })
+          .toBuffer()
+      } catch (err) {
+        return { erro: 'Imagem inválida ou corrompida' }
+      }
+    }
+
+    return { formato, miniatura }
+  }
+
+  // Gravar o arquivo e registrá-lo na transação
+  async anexar(transacao, arquivo, { formato, miniatura }) {
+    const anexoId = new mongoose.Types.ObjectId()
+    const pasta = `${transacao.userId}/${transacao._id}`
+    const nomeArquivo = crypto.randomUUID()
+
+    const anexo = {
+      _id: anexoId,
+      tipo: formato.tipo,
+      url: `/api/transactions/${transacao._id}/anexos/${anexoId}`,
+      nome: path.basename(arquivo.originalname || `anexo${formato.extensao}`).slice(0, 200),
+      tamanho: arquivo.size,
+      mimeType: arquivo.mimetype,
+      chave: `${pasta}/${nomeArquivo}${formato.extensao}`,
+      chaveMiniatura: miniatura ? `${pasta}/${nomeArquivo}_miniatura.webp` : undefined,
+      enviadoEm: new Date()
+    }
+
+    await armazenamento.salvar(anexo.chave, arquivo.buffer)
+    if (miniatura) await armazenamento.salvar(anexo.chaveMiniatura, miniatura)
+
+    try {
+      await Transaction.updateOne(
+        { _id: transacao._id, userId: transacao.userId },
+        { $push: { anexos: anexo }, atualizadoEm: new Date() }
+      )
+    } catch (err) {
+      await this.removerArquivos([anexo])
+      throw err
+    }
+
+    return anexo
+  }
+
+  async abrir(chave) {
+    return await armazenamento.abrir(chave)
+  }
+
+  async remover(transacao, anexo) {
+    await Transaction.updateOne(
+      { _id: transacao._id, userId: transacao.userId },
+      { $pull: { anexos: { _id: anexo._id } }, atualizadoEm: new Date() }
+    )
+
+    await this.removerArquivos([anexo])
+  }
+
+  // Apagar os arquivos dos anexos (links externos não têm arquivo)
+  // Falhas são apenas registradas: o arquivo órfão não impede a operação principal
+  async removerArquivos(anexos) {
+    for (const anexo of anexos) {
+      for (const chave of [anexo.chave, anexo.chaveMiniatura]) {
+        if (!chave) continue
+
+        try {
+          await armazenamento.remover(chave)
+        } catch (err) {
+          console.error(`⚠️ Erro ao remover arquivo de anexo ${chave}:`, err.message)
+        }
+      }
+    }
+  }
+
+  // Arquivos das transações que serão excluídas
+  async removerDasTransacoes(transacoes) {
+    await this.removerArquivos(transacoes.flatMap(t => t.anexos || []))
+  }
+
+  // Anexos com arquivo das transações do filtro, buscados antes de um deleteMany
+  // para que os arquivos sejam removidos depois da exclusão
+  async anexosDoFiltro(filtro) {
+    const transacoes = await Transaction.find({ ...filtro, 'anexos.chave': { $exists: true } })
+      .select('anexos')
+      .lean()
+
+    return transacoes.flatMap(t => t.anexos)
+  }
+
+  // Exclusão da conta do usuário: toda a pasta dele
+  async removerDoUsuario(userId) {
+    try {
+      await armazenamento.removerPrefixo(String(userId))
+    } catch (err) {
+      console.error('⚠️ Erro ao remover anexos do usuário:', err.message)
+    }
+  }
+}
+
+module.exports = new AttachmentService()
@@ -0,0 +1,69 @@
+// services/attachmentStorage.js
+// Armazenamento dos arquivos anexados às transações. O backend é escolhido por
+// ATTACHMENT_STORAGE (padrão: local); outros backends (ex.: S3) implementam a mesma interface:
+//   salvar(chave, buffer), abrir(chave), remover(chave), removerPrefixo(prefixo)
+const fs = require('fs')
+const path = require('path')
+
+class ArmazenamentoLocal {
+  constructor(diretorio) {
+    this.diretorio = path.resolve(diretorio)
+  }
+
+  // Chaves são caminhos relativos; nada pode sair do diretório base
+  caminho(chave) {
+    const caminho = path.resolve(this.diretorio, chave)
+    if (!caminho.startsWith(this.diretorio + path.sep)) {
+      throw new Error(`Chave de anexo inválida: ${chave}`)
+    }
+    return caminho
+  }
+
+  async salvar(chave, buffer) {
+    const caminho = this.caminho(chave)
+    await fs.promises.mkdir(path.dirname(caminho), { recursive: true })
+    await fs.promises.writeFile(caminho, buffer)
+  }
+
+  // Stream de leitura do arquivo (null se não existir)
+  async abrir(chave) {
+    const caminho = this.caminho(chave)
+
+    try {
+      await fs.promises.access(caminho)
+    } catch {
+      return null
+    }
+
+    return fs.createReadStream(caminho)
+  }
+
+  async remover(chave) {
+    await fs.promises.rm(this.caminho(chave), { force: true })
+  }
+
+  // Remover todos os arquivos de uma pasta (ex.: do usuário)
+  async removerPrefixo(prefixo) {
+    await fs.promises.rm(this.caminho(prefixo), { recursive: true, force: true })
+  }
+}
+
+const backends = {
+  local: () => new ArmazenamentoLocal(
+    process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads', 'anexos')
+  )
+}
+
+function criarArmazenamento(tipo = process.env.ATTACHMENT_STORAGE || 'local') {
+  const criar = backends[tipo]
+  if (!criar) {
+    throw new Error(`Armazenamento de anexos desconhecido: ${tipo}`)
+  }
+  return criar()
+}
+
+module.exports = {
+  ArmazenamentoLocal,
+  criarArmazenamento,
+  armazenamento: criarArmazenamento()
+}
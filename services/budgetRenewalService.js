@@ -1,5 +1,6 @@
 // services/budgetRenewalService.js
 const Budget = require('../models/Budget')
+const currencyService = require('./currencyService')
 const { sendEmail } = require('../config/mailer')
 
 class BudgetRenewalService {
@@ -140,9 +141,10 @@ class BudgetRenewalService {
       status = 'atencao'
     }
 
+    const formatar = valor => currencyService.formatar(valor, orcamento.moeda)
     const resumo = valorExcedido > 0 ? 
-      `Excedeu em R$ ${valorExcedido.toFixed(2)} (${porcentagemGasta}%)` :
-      `Gastou ${porcentagemGasta}% do limite (R$ ${orcamento.valorGasto.toFixed(2)} de R$ ${orcamento.valorLimite.toFixed(2)})`
+      `Excedeu em ${formatar(valorExcedido)} (${porcentagemGasta}%)` :
+      `Gastou ${porcentagemGasta}% do limite (${formatar(orcamento.valorGasto)} de ${formatar(orcamento.valorLimite)})`
 
     return {
       valorGasto: orcamento.valorGasto,
@@ -190,12 +192,7 @@ class BudgetRenewalService {
       })
     }
 
-    const formatarMoeda = (valor) => {
-      return new Intl.NumberFormat('pt-BR', {
-        style: 'currency',
-        currency: 'BRL'
-      }).format(valor)
-    }
+    const formatarMoeda = (valor) => currencyService.formatar(valor, orcamento.moeda)
 
     const corStatus = {
       'ok': '#4CAF50',
@@ -0,0 +1,247 @@
+// services/categorySuggestionService.js
+// Sugestão de categoria a partir do histórico do próprio usuário: classificador
+// Naive Bayes treinado localmente, atualizado a cada transação criada, editada ou removida
+const Transaction = require('../models/Transaction')
+const Category = require('../models/Category')
+const CategoryClassifier = require('../models/CategoryClassifier')
+
+// Palavras frequentes em extratos que não ajudam a distinguir categorias
+const PALAVRAS_IGNORADAS = new Set([
+  'de', 'da', 'do', 'das', 'dos', 'em', 'no', 'na', 'para', 'com', 'por',
+  'compra', 'pagamento', 'pag', 'pgto', 'ltda', 'sa', 'me', 'eireli', 'br'
+])
+
+// Limites superiores das faixas de valor usadas como característica
+const FAIXAS_VALOR = [10, 30, 60, 100, 200, 500, 1000, 3000, 10000]
+
+// Candidatos abaixo desta probabilidade não são sugeridos
+const CONFIANCA_MINIMA = 0.05
+
+function normalizar(texto) {
+  return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+function chaveModelo({ tipo, categoria, subcategoria }) {
+  return `${tipo}\u0000${categoria}\u0000${subcategoria || ''}`
+}
+
+class CategorySuggestionService {
+  // Palavras da descrição, sem acentos, números e palavras de uma letra
+  tokenizar(descricao) {
+    const palavras = normalizar(descricao)
+      .split(/[^a-z0-9]+/)
+      .filter(p => p.length >= 2 && !/^\d+$/.test(p) && !PALAVRAS_IGNORADAS.has(p))
+
+    return [...new Set(palavras)]
+  }
+
+  faixaValor(valor) {
+    const indice = FAIXAS_VALOR.findIndex(limite => valor <= limite)
+    return indice === -1 ? FAIXAS_VALOR.length : indice
+  }
+
+  // Características de uma transação (os prefixos evitam colisão entre palavras e faixas)
+  caracteristicas({ descricao, valor, metodoPagamento }) {
+    const lista = this.tokenizar(descricao).map(palavra => `p_${palavra}`)
+
+    if (valor > 0) lista.push(`valor_${this.faixaValor(valor)}`)
+    if (metodoPagamento) lista.push(`metodo_${metodoPagamento}`)
+
+    return lista
+  }
+
+  // Só receitas e despesas realizadas (as mesmas de Transaction.realizadas): transferências
+  // não têm categoria de verdade, e pendentes e canceladas podem nunca acontecer
+  deveAprender(transacao) {
+    return !transacao.transferenciaId && transacao.status === 'confirmada' &&
+      transacao.categoria && transacao.tipo
+  }
+
+  async ajustar(transacao, peso) {
+    const lista = this.caracteristicas(transacao)
+
+    const incrementos = {
+      documentos: peso,
+      totalCaracteristicas: peso * lista.length
+    }
+    lista.forEach(caracteristica => {
+      incrementos[`caracteristicas.${caracteristica}`] = peso
+    })
+
+    const filtro = {
+      userId: transacao.userId,
+      tipo: transacao.tipo,
+      categoria: transacao.categoria,
+      subcategoria: transacao.subcategoria || null
+    }
+
+    await CategoryClassifier.updateOne(filtro, { $inc: incrementos }, { upsert: peso > 0 })
+
+    if (peso < 0) {
+      await CategoryClassifier.deleteOne({ ...filtro, documentos: { $lte: 0 } })
+    }
+  }
+
+  // Acrescentar a transação ao treino
+  async aprender(transacao) {
+    if (!this.deveAprender(transacao)) return
+
+    try {
+      await this.ajustar(transacao, 1)
+    } catch (err) {
+      console.error('Erro ao treinar sugestões de categoria:', err)
+    }
+  }
+
+  // Retirar a transação do treino (antes de editá-la ou ao removê-la)
+  async esquecer(transacao) {
+    if (!this.deveAprender(transacao)) return
+
+    try {
+      await this.ajustar(transacao, -1)
+    } catch (err) {
+      console.error('Erro ao atualizar sugestões de categoria:', err)
+    }
+  }
+
+  // Reconstruir o classificador com todo o histórico do usuário
+  async retreinar(userId) {
+    const modelos = {}
+    let transacoes = 0
+    const treinadoEm = new Date()
+
+    const cursor = Transaction.find(Transaction.realizadas({ userId }))
+      .select('tipo categoria subcategoria descricao valor metodoPagamento status')
+      .lean()
+      .cursor()
+
+    for await (const transacao of cursor) {
+      if (!this.deveAprender(transacao)) continue
+      transacoes++
+
+      const chave = chaveModelo(transacao)
+      if (!modelos[chave]) {
+        modelos[chave] = {
+          userId,
+          tipo: transacao.tipo,
+          categoria: transacao.categoria,
+          subcategoria: transacao.subcategoria || null,
+          documentos: 0,
+          totalCaracteristicas: 0,
+          caracteristicas: {},
+          treinadoEm
+        }
+      }
+
+      const modelo = modelos[chave]
+      const lista = this.caracteristicas(transacao)
+      modelo.documentos++
+      modelo.totalCaracteristicas += lista.length
+      lista.forEach(caracteristica => {
+        modelo.caracteristicas[caracteristica] = (modelo.caracteristicas[caracteristica] || 0) + 1
+      })
+    }
+
+    await CategoryClassifier.deleteMany({ userId })
+    if (Object.keys(modelos).length > 0) {
+      await CategoryClassifier.insertMany(Object.values(modelos))
+    }
+
+    return { transacoes, categorias: Object.keys(modelos).length }
+  }
+
+  // Categoria renomeada: as contagens acompanham o novo nome
+  async renomearCategoria(userId, nomeAnterior, novoNome) {
+    try {
+      await CategoryClassifier.updateMany(
+        { userId, categoria: nomeAnterior },
+        { categoria: novoNome }
+      )
+    } catch (err) {
+      // O novo nome já tinha contagens próprias: reconstruir a partir do histórico
+      if (err.code !== 11000) throw err
+      await this.retreinar(userId)
+    }
+  }
+
+  // Candidatos ordenados pela probabilidade (Naive Bayes multinomial com suavização de Laplace)
+  async sugerir(userId, { descricao, valor, metodoPagamento, tipo, limite = 3 }) {
+    const filtro = { userId }
+    if (tipo) filtro.tipo = tipo
+
+    let modelos = await CategoryClassifier.find(filtro).lean()
+
+    // Primeiro uso: treinar com o histórico que o usuário já tem. Os documentos criados só pelo
+    // treino incremental não têm treinadoEm, então o histórico anterior a eles ainda não foi lido
+    if (!(await CategoryClassifier.exists({ userId, treinadoEm: { $ne: null } }))) {
+      const { transacoes } = await this.retreinar(userId)
+      modelos = transacoes > 0 ? await CategoryClassifier.find(filtro).lean() : []
+    }
+
+    // Apenas categorias que ainda existem e estão ativas
+    const ativas = new Set(Category.mesclarComPadrao(
+      await Category.find({
+        $or: [{ userId }, { padrao: true, userId: null }],
+        ativa: true
+      }).lean()
+    ).map(c => c.nome))
+    modelos = modelos.filter(m => ativas.has(m.categoria) && m.documentos > 0)
+
+    const totalDocumentos = modelos.reduce((total, m) => total + m.documentos, 0)
+    if (totalDocumentos === 0) {
+      return { candidatos: [], transacoesAnalisadas: 0, caracteristicasReconhecidas: 0 }
+    }
+
+    const vocabulario = new Set()
+    modelos.forEach(m => {
+      Object.entries(m.caracteristicas || {}).forEach(([caracteristica, contagem]) => {
+        if (contagem > 0) vocabulario.add(caracteristica)
+      })
+    })
+
+    // Características nunca vistas não distinguem categorias
+    const caracteristicas = this.caracteristicas({ descricao, valor, metodoPagamento })
+      .filter(caracteristica => vocabulario.has(caracteristica))
+
+    // Sem nenhuma palavra conhecida, o resultado seria só a frequência de cada categoria
+    if (!caracteristicas.some(caracteristica => caracteristica.startsWith('p_'))) {
+      return { candidatos: [], transacoesAnalisadas: totalDocumentos, caracteristicasReconhecidas: 0 }
+    }
+
+    const pontuacoes = modelos.map(modelo => {
+      let logProbabilidade = Math.log(modelo.documentos / totalDocumentos)
+
+      caracteristicas.forEach(caracteristica => {
+        const contagem = Math.max(modelo.caracteristicas?.[caracteristica] || 0, 0)
+        logProbabilidade += Math.log((contagem + 1) / (modelo.totalCaracteristicas + vocabulario.size))
+      })
+
+      return { modelo, logProbabilidade }
+    })
+
+    // Normalizar em probabilidades (softmax sobre os logs)
+    const maximo = Math.max(...pontuacoes.map(p => p.logProbabilidade))
+    const exponenciais = pontuacoes.map(p => Math.exp(p.logProbabilidade - maximo))
+    const soma = exponenciais.reduce((total, e) => total + e, 0)
+
+    const candidatos = pontuacoes
+      .map((pontuacao, indice) => ({
+        categoria: pontuacao.modelo.categoria,
+        subcategoria: pontuacao.modelo.subcategoria,
+        tipo: pontuacao.modelo.tipo,
+        confianca: Math.round((exponenciais[indice] / soma) * 1000) / 1000,
+        transacoesSemelhantes: pontuacao.modelo.documentos
+      }))
+      .filter(candidato => candidato.confianca >= CONFIANCA_MINIMA)
+      .sort((a, b) => b.confianca - a.confianca)
+      .slice(0, limite)
+
+    return {
+      candidatos,
+      transacoesAnalisadas: totalDocumentos,
+      caracteristicasReconhecidas: caracteristicas.length
+    }
+  }
+}
+
+module.exports = new CategorySuggestionService()
@@ -0,0 +1,302 @@
+// services/currencyService.js
+// Moedas e cotações: conversão para a moeda base do usuário, importação da
+// tabela de cotações (CSV ou administrador) e troca da moeda base
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+const Budget = require('../models/Budget')
+const Goal = require('../models/Goal')
+const Category = require('../models/Category')
+const ExchangeRate = require('../models/ExchangeRate')
+const CsvParser = require('../utils/csvParser')
+
+// Linhas aceitas por importação de CSV
+const LIMITE_LINHAS_CSV = 5000
+
+// Nomes de coluna aceitos no CSV (sem acentos, minúsculos)
+const COLUNAS_CSV = {
+  data: ['data', 'date', 'dia'],
+  moedaOrigem: ['moeda_origem', 'origem', 'de', 'from', 'moeda'],
+  moedaDestino: ['moeda_destino', 'destino', 'para', 'to'],
+  taxa: ['taxa', 'cotacao', 'rate', 'valor']
+}
+
+const LOTE_RECONVERSAO = 500
+
+function normalizarColuna(nome) {
+  return String(nome).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/\s+/g, '_')
+}
+
+// Taxas costumam ter mais de duas casas: "5,1234" ou "5.1234" (milhar com ponto só junto de vírgula)
+function parseTaxa(texto) {
+  let valor = String(texto || '').trim().replace(/\s/g, '')
+  if (valor.includes(',')) valor = valor.replace(/\./g, '').replace(',', '.')
+
+  const numero = Number(valor)
+  return valor && Number.isFinite(numero) && numero > 0 ? numero : null
+}
+
+class CurrencyService {
+  get limiteLinhasCsv() {
+    return LIMITE_LINHAS_CSV
+  }
+
+  async moedaBase(userId) {
+    const usuario = await User.findById(userId).select('configuracoes.moeda').lean()
+    return usuario?.configuracoes?.moeda || 'BRL'
+  }
+
+  formatar(valor, moeda = 'BRL') {
+    try {
+      return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: moeda }).format(valor || 0)
+    } catch (err) {
+      // Código fora da lista do Intl: mostrar o código antes do valor
+      return `${moeda} ${Number(valor || 0).toFixed(2)}`
+    }
+  }
+
+  // { valor, taxa, dataCotacao } ou null quando o par não tem cotação
+  async converter(userId, valor, origem, destino, data = new Date()) {
+    const cotacao = await ExchangeRate.buscarTaxa(userId, origem, destino, data)
+    if (!cotacao) return null
+
+    return {
+      valor: Math.round(valor * cotacao.taxa * 100) / 100,
+      taxa: cotacao.taxa,
+      dataCotacao: cotacao.data
+    }
+  }
+
+  // Valor na moeda base pela cotação de hoje (saldos e limites de contas); sem cotação, mantém o valor
+  async paraMoedaBase(userId, valor, moeda, moedaBase) {
+    if (!moeda || moeda === moedaBase) return valor
+
+    const convertido = await this.converter(userId, valor, moeda, moedaBase)
+    return convertido ? convertido.valor : valor
+  }
+
+  // A transação usa a moeda da conta, que precisa ter cotação para a moeda base
+  // Retorna a mensagem de erro ou null
+  async validarMoedaDaConta(userId, conta, moeda = null) {
+    const moedaConta = conta.moeda || 'BRL'
+
+    if (moeda && moeda.toUpperCase() !== moedaConta) {
+      return `A moeda da transação deve ser a da conta ${conta.nome} (${moedaConta})`
+    }
+
+    const moedaBase = await this.moedaBase(userId)
+    if (!(await ExchangeRate.existePar(userId, moedaConta, moedaBase))) {
+      return `Nenhuma cotação de ${moedaConta} para ${moedaBase} cadastrada. Importe as cotações em /api/exchange-rates`
+    }
+
+    return null
+  }
+
+  // As duas pernas de uma transferência têm o mesmo valor, então as contas precisam ter a mesma moeda
+  async validarTransferencia(userId, contaOrigem, contaDestino) {
+    if ((contaOrigem.moeda || 'BRL') !== (contaDestino.moeda || 'BRL')) {
+      return `Transferências entre contas de moedas diferentes (${contaOrigem.moeda} → ${contaDestino.moeda}) não são suportadas. Registre uma despesa na origem e uma receita no destino`
+    }
+
+    return await this.validarMoedaDaConta(userId, contaOrigem)
+  }
+
+  // Moedas em uso pelo usuário sem nenhuma cotação para a nova moeda base
+  async moedasSemCotacao(userId, novaMoeda) {
+    const [moedasContas, moedasTransacoes, moedaAtual] = await Promise.all([
+      Account.distinct('moeda', { userId }),
+      Transaction.distinct('moeda', { userId }),
+      this.moedaBase(userId)
+    ])
+
+    const emUso = [...new Set([...moedasContas, ...moedasTransacoes, moedaAtual].filter(Boolean))]
+    const faltando = []
+
+    for (const moeda of emUso) {
+      if (!(await ExchangeRate.existePar(userId, moeda, novaMoeda))) faltando.push(moeda)
+    }
+
+    return faltando
+  }
+
+  // Depois de trocar a moeda base: reconverter as transações pela cotação de cada data
+  // e levar orçamentos, metas e estatísticas das categorias para a nova moeda pela cotação do dia
+  async alterarMoedaBase(userId, moedaAnterior, novaMoeda) {
+    const resumo = { transacoes: 0, semCotacao: 0, orcamentos: 0, metas: 0 }
+    const cotacoes = new Map()
+
+    // Transações sem moeda foram registradas na moeda base anterior
+    const cursor = Transaction.find({ userId }).select('userId valor moeda data').lean().cursor()
+    let operacoes = []
+
+    for await (const transacao of cursor) {
+      const moeda = transacao.moeda || moedaAnterior
+      const dia = ExchangeRate.inicioDoDia(transacao.data).getTime()
+      const chave = `${moeda}:${dia}`
+
+      if (!cotacoes.has(chave)) {
+        cotacoes.set(chave, await ExchangeRate.buscarTaxa(userId, moeda, novaMoeda, transacao.data))
+      }
+      const cotacao = cotacoes.get(chave)
+
+      const conversao = cotacao
+        ? {
+          moeda: novaMoeda,
+          valor: Math.round(transacao.valor * cotacao.taxa * 100) / 100,
+          taxa: cotacao.taxa,
+          dataCotacao: cotacao.data
+        }
+        : null
+      if (!cotacao) resumo.semCotacao++
+
+      operacoes.push({
+        updateOne: {
+          filter: { _id: transacao._id },
+          update: { $set: { moeda, conversao } }
+        }
+      })
+
+      if (operacoes.length >= LOTE_RECONVERSAO) {
+        await Transaction.bulkWrite(operacoes, { ordered: false })
+        resumo.transacoes += operacoes.length
+        operacoes = []
+      }
+    }
+
+    if (operacoes.length > 0) {
+      await Transaction.bulkWrite(operacoes, { ordered: false })
+      resumo.transacoes += operacoes.length
+    }
+
+    // Saldos acumulados: cotação de hoje (sem moeda, estavam na moeda base anterior)
+    await Promise.all([
+      Budget.updateMany({ userId, moeda: null }, { moeda: moedaAnterior }),
+      Goal.updateMany({ userId, moeda: null }, { moeda: moedaAnterior })
+    ])
+    const taxaHoje = async moeda => (await ExchangeRate.buscarTaxa(userId, moeda, novaMoeda))?.taxa
+    const multiplicar = (campo, taxa) => ({ $round: [{ $multiply: [campo, taxa] }, 2] })
+
+    for (const moeda of await Budget.distinct('moeda', { userId, moeda: { $ne: novaMoeda } })) {
+      const taxa = await taxaHoje(moeda)
+      if (!taxa) continue
+
+      const resultado = await Budget.updateMany({ userId, moeda }, [{
+        $set: {
+          moeda: novaMoeda,
+          valorLimite: multiplicar('$valorLimite', taxa),
+          valorGasto: multiplicar('$valorGasto', taxa)
+        }
+      }])
+      resumo.orcamentos += resultado.modifiedCount
+    }
+
+    for (const moeda of await Goal.distinct('moeda', { userId, moeda: { $ne: novaMoeda } })) {
+      const taxa = await taxaHoje(moeda)
+      if (!taxa) continue
+
+      const resultado = await Goal.updateMany({ userId, moeda }, [{
+        $set: {
+          moeda: novaMoeda,
+          valorAlvo: multiplicar('$valorAlvo', taxa),
+          valorAtual: multiplicar('$valorAtual', taxa),
+          'configuracoes.contribuicaoAutomatica.valor': multiplicar(
+            { $ifNull: ['$configuracoes.contribuicaoAutomatica.valor', 0] }, taxa
+          ),
+          contribuicoes: {
+            $map: {
+              input: '$contribuicoes',
+              as: 'c',
+              in: { $mergeObjects: ['$$c', { valor: multiplicar('$$c.valor', taxa) }] }
+            }
+          },
+          milestones: {
+            $map: {
+              input: '$milestones',
+              as: 'm',
+              in: { $mergeObjects: ['$$m', { valor: multiplicar({ $ifNull: ['$$m.valor', 0] }, taxa) }] }
+            }
+          }
+        }
+      }])
+      resumo.metas += resultado.modifiedCount
+    }
+
+    const taxaCategorias = await taxaHoje(moedaAnterior)
+    if (taxaCategorias && moedaAnterior !== novaMoeda) {
+      await Category.updateMany({ userId }, [{
+        $set: { 'estatisticas.totalValor': multiplicar({ $ifNull: ['$estatisticas.totalValor', 0] }, taxaCategorias) }
+      }])
+    }
+
+    return resumo
+  }
+
+  // Gravar cotações (a mesma data e par substitui a anterior do mesmo dono)
+  async registrar(cotacoes, { userId = null, fonte = 'manual' } = {}) {
+    const dono = userId ? new mongoose.Types.ObjectId(userId) : null
+
+    const operacoes = cotacoes.map(({ moedaOrigem, moedaDestino, data, taxa }) => ({
+      updateOne: {
+        filter: {
+          userId: dono,
+          moedaOrigem,
+          moedaDestino,
+          data: ExchangeRate.inicioDoDia(data)
+        },
+        update: { $set: { taxa, fonte }, $setOnInsert: { criadoEm: new Date() } },
+        upsert: true
+      }
+    }))
+
+    if (operacoes.length === 0) return { importadas: 0, atualizadas: 0 }
+
+    const resultado = await ExchangeRate.bulkWrite(operacoes, { ordered: false })
+    return { importadas: resultado.upsertedCount, atualizadas: resultado.modifiedCount }
+  }
+
+  // Ler um CSV com as colunas data, moeda_origem, moeda_destino e taxa
+  // Retorna { cotacoes, erros } com o número da linha (contando o cabeçalho) em cada erro
+  lerCsv(conteudo) {
+    const { cabecalho, linhas } = CsvParser.parse(conteudo)
+
+    const colunas = {}
+    Object.entries(COLUNAS_CSV).forEach(([campo, nomes]) => {
+      colunas[campo] = cabecalho.find(coluna => nomes.includes(normalizarColuna(coluna)))
+    })
+
+    const ausentes = Object.keys(COLUNAS_CSV).filter(campo => !colunas[campo])
+    if (ausentes.length > 0) {
+      return { cotacoes: [], erros: [`Colunas obrigatórias ausentes: ${ausentes.join(', ')}`] }
+    }
+
+    if (linhas.length > LIMITE_LINHAS_CSV) {
+      return { cotacoes: [], erros: [`O arquivo pode ter no máximo ${LIMITE_LINHAS_CSV} linhas`] }
+    }
+
+    const formatoData = CsvParser.detectarFormatoData(linhas.map(l => l[colunas.data]))
+    const cotacoes = []
+    const erros = []
+
+    linhas.forEach((linha, indice) => {
+      const numero = indice + 2
+      const data = formatoData && CsvParser.parseData(linha[colunas.data], formatoData)
+      const moedaOrigem = linha[colunas.moedaOrigem].toUpperCase()
+      const moedaDestino = linha[colunas.moedaDestino].toUpperCase()
+      const taxa = parseTaxa(linha[colunas.taxa])
+
+      if (!data) return erros.push(`Linha ${numero}: data inválida`)
+      if (!/^[A-Z]{3}$/.test(moedaOrigem) || !/^[A-Z]{3}$/.test(moedaDestino)) {
+        return erros.push(`Linha ${numero}: moedas devem ser códigos ISO de 3 letras`)
+      }
+      if (moedaOrigem === moedaDestino) return erros.push(`Linha ${numero}: moedas de origem e destino iguais`)
+      if (!taxa) return erros.push(`Linha ${numero}: taxa inválida`)
+
+      cotacoes.push({ moedaOrigem, moedaDestino, data, taxa })
+    })
+
+    return { cotacoes, erros }
+  }
+}
+
+module.exports = new CurrencyService()
@@ -0,0 +1,393 @@
+// services/importService.js
+const Transaction = require('../models/Transaction')
+const Category = require('../models/Category')
+const CategoryRule = require('../models/CategoryRule')
+const CsvParser = require('../utils/csvParser')
+const { aplicarImpactos } = require('./transactionImpactService')
+const ruleService = require('./ruleService')
+const payeeService = require('./payeeService')
+const transactionHistoryService = require('./transactionHistoryService')
+
+// Diferença máxima (em dias) para considerar que um lançamento do extrato
+// é a mesma movimentação de uma transação já cadastrada
+const TOLERANCIA_DIAS = 3
+const UM_DIA = 24 * 60 * 60 * 1000
+
+// Categorias usadas quando o usuário não escolhe outras na confirmação
+const CATEGORIAS_PADRAO = {
+  receita: 'Outras Receitas',
+  despesa: 'Outros'
+}
+
+// Tipos de lançamento do OFX (TRNTYPE) → método de pagamento
+const METODOS_OFX = {
+  CHECK: 'cheque',
+  ATM: 'dinheiro',
+  CASH: 'dinheiro',
+  POS: 'cartao_debito',
+  XFER: 'transferencia',
+  DIRECTDEP: 'transferencia',
+  DIRECTDEBIT: 'boleto',
+  PAYMENT: 'boleto'
+}
+
+// Nomes de coluna comuns nos CSVs de outros apps, por campo (sem acentos e em minúsculas)
+const COLUNAS_CONHECIDAS = {
+  data: ['data', 'date', 'dt', 'data lancamento', 'data do lancamento', 'data da compra'],
+  descricao: ['descricao', 'description', 'title', 'titulo', 'historico', 'estabelecimento', 'lancamento', 'memo'],
+  valor: ['valor', 'amount', 'value', 'quantia', 'montante', 'valor (r$)'],
+  valorReceita: ['entrada', 'entradas', 'credito', 'creditos'],
+  valorDespesa: ['saida', 'saidas', 'debito', 'debitos'],
+  tipo: ['tipo', 'type', 'natureza'],
+  categoria: ['categoria', 'category'],
+  observacoes: ['observacao', 'observacoes', 'obs', 'notas', 'notes'],
+  tags: ['tags', 'etiquetas', 'marcadores'],
+  idExterno: ['id', 'identificador', 'fitid', 'codigo']
+}
+
+const TIPOS_RECEITA = /^(receita|entrada|credito|income|credit|c)$/
+const TIPOS_DESPESA = /^(despesa|saida|debito|expense|debit|d)$/
+
+function normalizarTexto(texto) {
+  return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim()
+}
+
+function mesmoDia(a, b) {
+  return a.toDateString() === b.toDateString()
+}
+
+function mesmoValor(a, b) {
+  return Math.round(a * 100) === Math.round(b * 100)
+}
+
+// Dados da transação existente exibidos junto da linha do extrato
+function referencia(transacao) {
+  return {
+    _id: transacao._id,
+    descricao: transacao.descricao,
+    valor: transacao.valor,
+    tipo: transacao.tipo,
+    data: transacao.data,
+    categoria: transacao.categoria
+  }
+}
+
+class ImportService {
+  // Linhas de importação (formato comum a OFX e CSV) a partir de um extrato OFX
+  linhasDoOfx(extrato, conta) {
+    return extrato.transacoes.map(trn => {
+      const descricao = (trn.nome || trn.memo || '').trim()
+      const texto = `${trn.nome || ''} ${trn.memo || ''}`.toUpperCase()
+
+      let metodoPagamento = METODOS_OFX[trn.tipoOfx] || 'transferencia'
+      if (conta.tipo === 'cartao_credito') metodoPagamento = 'cartao_credito'
+      else if (/\bPIX\b/.test(texto)) metodoPagamento = 'pix'
+
+      return {
+        linha: trn.linha,
+        idExterno: trn.fitId,
+        data: trn.data,
+        valor: trn.valor,
+        descricao,
+        observacoes: trn.nome && trn.memo && trn.memo !== trn.nome ? trn.memo : null,
+        metodoPagamento
+      }
+    })
+  }
+
+  // Sugerir o mapeamento das colunas a partir dos nomes do cabeçalho
+  sugerirMapeamento(cabecalho) {
+    const mapeamento = {}
+
+    Object.entries(COLUNAS_CONHECIDAS).forEach(([campo, nomes]) => {
+      const coluna = cabecalho.find(c => nomes.includes(normalizarTexto(c)))
+      if (coluna) mapeamento[campo] = coluna
+    })
+
+    // Com coluna de valor única, as colunas de entrada/saída não são usadas
+    if (mapeamento.valor) {
+      delete mapeamento.valorReceita
+      delete mapeamento.valorDespesa
+    }
+
+    return mapeamento
+  }
+
+  // Colunas do mapeamento que não existem no arquivo
+  colunasAusentes(mapeamento, cabecalho) {
+    return Object.values(mapeamento).filter(coluna => coluna && !cabecalho.includes(coluna))
+  }
+
+  // Linhas de importação a partir de um CSV, validando cada uma
+  // Erros ficam em linha.erros e a linha é classificada como invalida
+  async linhasDoCsv(userId, csv, { mapeamento, separadorDecimal, formatoData, inverterSinal = false }) {
+    const colunaValores = [mapeamento.valor, mapeamento.valorReceita, mapeamento.valorDespesa].filter(Boolean)
+    const decimal = separadorDecimal ||
+      CsvParser.detectarDecimal(csv.linhas.flatMap(l => colunaValores.map(c => l[c])))
+    const formato = formatoData ||
+      CsvParser.detectarFormatoData(csv.linhas.map(l => l[mapeamento.data]))
+
+    // Categorias informadas no arquivo (validadas uma vez por nome)
+    const categorias = {}
+    if (mapeamento.categoria) {
+      const nomes = [...new Set(csv.linhas.map(l => l[mapeamento.categoria]).filter(Boolean))]
+      for (const nome of nomes) {
+        const categoria = await Category.buscarPorNome(userId, nome, { ativa: true })
+        categorias[nome] = categoria ? categoria.nome : null
+      }
+    }
+
+    const linhas = csv.linhas.map((registro, indice) => {
+      const erros = []
+      const linha = {
+        linha: indice + 1,
+        idExterno: mapeamento.idExterno ? registro[mapeamento.idExterno] || null : null,
+        descricao: registro[mapeamento.descricao] || '',
+        metodoPagamento: 'transferencia'
+      }
+
+      // Data
+      linha.data = formato ? CsvParser.parseData(registro[mapeamento.data], formato) : null
+      if (!linha.data) erros.push(`Data inválida: "${registro[mapeamento.data] || ''}"`)
+
+      // Valor: coluna com sinal ou colunas de entrada/saída
+      let valor = null
+      if (mapeamento.valor) {
+        valor = CsvParser.parseValor(registro[mapeamento.valor], decimal)
+        if (valor !== null && inverterSinal) valor = -valor
+      } else {
+        const receita = CsvParser.parseValor(registro[mapeamento.valorReceita], decimal)
+        const despesa = CsvParser.parseValor(registro[mapeamento.valorDespesa], decimal)
+        if (receita) valor = Math.abs(receita)
+        else if (despesa) valor = -Math.abs(despesa)
+      }
+
+      // A coluna de tipo, quando existe, define o sinal
+      if (valor !== null && mapeamento.tipo) {
+        const tipo = normalizarTexto(registro[mapeamento.tipo])
+        if (TIPOS_RECEITA.test(tipo)) valor = Math.abs(valor)
+        else if (TIPOS_DESPESA.test(tipo)) valor = -Math.abs(valor)
+        else erros.push(`Tipo não reconhecido: "${registro[mapeamento.tipo]}"`)
+      }
+
+      linha.valor = valor
+      if (!valor) erros.push('Valor ausente, inválido ou zero')
+
+      if (!linha.descricao.trim()) erros.push('Descrição vazia')
+      else if (linha.descricao.length > 200) erros.push('Descrição com mais de 200 caracteres')
+
+      if (mapeamento.categoria && registro[mapeamento.categoria]) {
+        const nome = registro[mapeamento.categoria]
+        if (categorias[nome]) linha.categoria = categorias[nome]
+        else erros.push(`Categoria não encontrada: "${nome}"`)
+      }
+
+      if (mapeamento.observacoes && registro[mapeamento.observacoes]) {
+        linha.observacoes = registro[mapeamento.observacoes]
+        if (linha.observacoes.length > 500) erros.push('Observações com mais de 500 caracteres')
+      }
+
+      if (mapeamento.tags && registro[mapeamento.tags]) {
+        linha.tags = registro[mapeamento.tags].split(/[,;|]/).map(t => t.trim()).filter(Boolean)
+      }
+
+      if (erros.length > 0) linha.erros = erros
+      return linha
+    })
+
+    return {
+      linhas,
+      deteccao: {
+        delimitador: csv.delimitador,
+        separadorDecimal: decimal,
+        formatoData: formato
+      }
+    }
+  }
+
+  // Classificar as linhas do extrato em nova, duplicada, conflito ou invalida
+  // - duplicada: mesmo idExterno já importado na conta, ou lançamento importado
+  //   com mesmo valor no mesmo dia (bancos às vezes reemitem o FITID)
+  // - conflito: transação manual com mesmo tipo e valor em até TOLERANCIA_DIAS dias
+  // Linhas novas e em conflito recebem o que as regras de categorização definirem
+  async classificar(userId, conta, linhas) {
+    const validas = linhas.filter(l => l.data && l.valor && !l.erros)
+    const ids = validas.map(l => l.idExterno).filter(Boolean)
+
+    const datas = validas.map(l => l.data.getTime())
+    const candidatas = validas.length > 0
+      ? await Transaction.find({
+          userId,
+          contaId: conta._id,
+          $or: [
+            { 'importacao.idExterno': { $in: ids } },
+            {
+              data: {
+                $gte: new Date(Math.min(...datas) - TOLERANCIA_DIAS * UM_DIA),
+                $lte: new Date(Math.max(...datas) + TOLERANCIA_DIAS * UM_DIA)
+              }
+            }
+          ]
+        }).lean()
+      : []
+
+    const porIdExterno = {}
+    candidatas.forEach(t => {
+      if (t.importacao?.idExterno) porIdExterno[t.importacao.idExterno] = t
+    })
+
+    const usadas = new Set()
+    const idsNoArquivo = new Set()
+
+    const classificadas = linhas.map(linha => {
+      if (linha.erros) {
+        return { ...linha, status: 'invalida', motivo: linha.erros.join('; ') }
+      }
+
+      if (!linha.data || !linha.valor) {
+        return { ...linha, status: 'invalida', motivo: 'Data ou valor ausente' }
+      }
+
+      const tipo = linha.valor < 0 ? 'despesa' : 'receita'
+      const valor = Math.abs(linha.valor)
+      const base = { ...linha, tipo, valor }
+
+      if (linha.idExterno) {
+        if (idsNoArquivo.has(linha.idExterno)) {
+          return { ...base, status: 'duplicada', motivo: 'Lançamento repetido no arquivo' }
+        }
+        idsNoArquivo.add(linha.idExterno)
+
+        const existente = porIdExterno[linha.idExterno]
+        if (existente) {
+          usadas.add(existente._id.toString())
+          return { ...base, status: 'duplicada', motivo: 'Lançamento já importado', transacaoExistente: referencia(existente) }
+        }
+      }
+
+      const semelhantes = candidatas.filter(t =>
+        !usadas.has(t._id.toString()) &&
+        t.tipo === tipo &&
+        mesmoValor(t.valor, valor) &&
+        Math.abs(t.data - linha.data) <= TOLERANCIA_DIAS * UM_DIA
+      )
+
+      const reimportada = semelhantes.find(t => t.importacao?.origem && mesmoDia(t.data, linha.data))
+      if (reimportada) {
+        usadas.add(reimportada._id.toString())
+        return { ...base, status: 'duplicada', motivo: 'Lançamento importado com mesmo valor e data', transacaoExistente: referencia(reimportada) }
+      }
+
+      // A transação mais próxima da data é a provável correspondente
+      const [conflito] = semelhantes
+        .filter(t => !t.importacao?.origem)
+        .sort((a, b) => Math.abs(a.data - linha.data) - Math.abs(b.data - linha.data))
+      if (conflito) {
+        usadas.add(conflito._id.toString())
+        return { ...base, status: 'conflito', motivo: 'Transação com mesmo valor em data próxima', transacaoExistente: referencia(conflito) }
+      }
+
+      return { ...base, status: 'nova' }
+    })
+
+    return await this.aplicarRegras(userId, conta, classificadas)
+  }
+
+  // Categoria, subcategoria, tags, orçamento e meta das regras do usuário para as linhas importáveis
+  // A categoria vinda da planilha, quando existe, é mantida
+  async aplicarRegras(userId, conta, linhas) {
+    const regras = await CategoryRule.buscarAtivas(userId)
+    if (regras.length === 0) return linhas
+
+    return linhas.map(linha => {
+      if (linha.status !== 'nova' && linha.status !== 'conflito') return linha
+
+      const { alteracoes, regras: aplicadas } = ruleService.avaliar({
+        ...linha,
+        contaId: conta._id,
+        metodoPagamento: linha.metodoPagamento || 'transferencia'
+      }, regras)
+
+      if (aplicadas.length === 0) return linha
+
+      return {
+        ...linha,
+        ...alteracoes,
+        regras: aplicadas.map(regra => ({ _id: regra._id, nome: regra.nome }))
+      }
+    })
+  }
+
+  resumir(linhas) {
+    const contar = status => linhas.filter(l => l.status === status).length
+
+    return {
+      total: linhas.length,
+      novas: contar('nova'),
+      duplicadas: contar('duplicada'),
+      conflitos: contar('conflito'),
+      invalidas: contar('invalida')
+    }
+  }
+
+  // Criar as transações das linhas novas e dos conflitos escolhidos pelo usuário
+  // Se a gravação falhar no meio, as já gravadas são removidas
+  async importar(userId, conta, linhas, { origem, linhasConflito = [], categorias = {} }) {
+    const selecionadas = linhas.filter(l =>
+      l.status === 'nova' || (l.status === 'conflito' && linhasConflito.includes(l.linha))
+    )
+
+    if (selecionadas.length === 0) return []
+
+    const importadoEm = new Date()
+    const dados = selecionadas.map(linha => ({
+      userId,
+      contaId: conta._id,
+      moeda: conta.moeda,
+      tipo: linha.tipo,
+      valor: linha.valor,
+      descricao: (linha.descricao || 'Lançamento importado').slice(0, 200),
+      data: linha.data,
+      categoria: linha.categoria || null,
+      subcategoria: linha.subcategoria || null,
+      orcamentoId: linha.orcamentoId || null,
+      metaId: linha.metaId || null,
+      metodoPagamento: linha.metodoPagamento || 'transferencia',
+      observacoes: linha.observacoes?.slice(0, 500) || undefined,
+      tags: linha.tags || [],
+      status: 'confirmada',
+      importacao: {
+        origem,
+        idExterno: linha.idExterno || null,
+        importadoEm
+      }
+    }))
+
+    // Beneficiários pela descrição; sem categoria da planilha, das regras ou do beneficiário,
+    // vale a escolhida na confirmação
+    await payeeService.aplicarEmNovas(userId, dados)
+    dados.forEach(transacao => {
+      if (!transacao.categoria) transacao.categoria = categorias[transacao.tipo] || CATEGORIAS_PADRAO[transacao.tipo]
+    })
+
+    let criadas
+    try {
+      criadas = await Transaction.insertMany(dados)
+    } catch (error) {
+      await Transaction.deleteMany({ userId, contaId: conta._id, 'importacao.importadoEm': importadoEm })
+      throw error
+    }
+
+    // Faturas do cartão, orçamentos, metas e estatísticas das categorias
+    for (const transacao of criadas) {
+      await aplicarImpactos(transacao)
+    }
+    await transactionHistoryService.registrar(criadas, { operacao: 'criacao', origem: 'importacao', autorId: userId })
+
+    await ruleService.registrarAplicacoes(selecionadas.flatMap(l => l.regras || []))
+
+    return criadas
+  }
+}
+
+module.exports = new ImportService()
@@ -0,0 +1,219 @@
+// services/payeeService.js
+// Beneficiários: reconhecimento do estabelecimento pela descrição das transações,
+// categoria padrão, mesclagem e análise de gastos por estabelecimento
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const Payee = require('../models/Payee')
+
+const UM_DIA = 24 * 60 * 60 * 1000
+const LOTE = 500
+
+const arredondar = valor => Math.round(valor * 100) / 100
+
+class PayeeService {
+  // Beneficiário da descrição: os padrões têm prioridade sobre o nome e os aliases
+  identificar(descricao, beneficiarios) {
+    const porPadrao = beneficiarios.find(beneficiario => beneficiario.padroes.length > 0 && beneficiario.padraoCorresponde(descricao))
+    if (porPadrao) return porPadrao
+
+    const chave = Payee.normalizarDescricao(descricao)
+    if (!chave) return null
+
+    return beneficiarios.find(beneficiario =>
+      beneficiario.chave === chave || beneficiario.aliases.includes(chave)
+    ) || null
+  }
+
+  // Beneficiário criado a partir de uma descrição ainda não reconhecida
+  async criarAutomatico(userId, descricao) {
+    const nome = Payee.limparDescricao(descricao).slice(0, 80).trim()
+    if (!nome) return null
+
+    try {
+      return await Payee.create({ userId, nome, origem: 'automatico' })
+    } catch (error) {
+      // Criado ao mesmo tempo por outra requisição
+      if (error.code === 11000) {
+        return await Payee.findOne({ userId, chave: Payee.normalizarDescricao(nome) })
+      }
+      throw error
+    }
+  }
+
+  // Preencher o beneficiário das transações ainda não gravadas (criação, lote, importação).
+  // A categoria padrão do beneficiário só preenche a categoria vazia de transações do mesmo tipo
+  async aplicarEmNovas(userId, transacoes) {
+    const beneficiarios = await Payee.find({ userId })
+
+    for (const transacao of transacoes) {
+      if (transacao.transferenciaId) continue
+
+      // Beneficiário escolhido pelo usuário, se for dele; senão, o reconhecido pela descrição
+      let beneficiario = transacao.beneficiarioId
+        ? beneficiarios.find(b => String(b._id) === String(transacao.beneficiarioId))
+        : null
+
+      if (!beneficiario) beneficiario = this.identificar(transacao.descricao, beneficiarios)
+
+      if (!beneficiario) {
+        beneficiario = await this.criarAutomatico(userId, transacao.descricao)
+        if (beneficiario) beneficiarios.push(beneficiario)
+      }
+
+      transacao.beneficiarioId = beneficiario?._id || null
+
+      const padrao = beneficiario?.categoriaPadrao
+      if (padrao?.nome && !transacao.categoria && padrao.tipo === transacao.tipo) {
+        transacao.categoria = padrao.nome
+        transacao.subcategoria = padrao.subcategoria || null
+      }
+    }
+
+    return transacoes
+  }
+
+  // Reconhecer o beneficiário das transações já gravadas (sem alterar categorias).
+  // Sem sobrescrever, só as transações sem beneficiário são processadas
+  async reprocessar(userId, { sobrescrever = false } = {}) {
+    const beneficiarios = await Payee.find({ userId })
+    const resumo = { analisadas: 0, atualizadas: 0, criados: 0 }
+
+    const filtros = Transaction.semTransferencias({ userId })
+    if (!sobrescrever) filtros.beneficiarioId = null
+
+    const cursor = Transaction.find(filtros).select('descricao beneficiarioId').lean().cursor()
+
+    let operacoes = []
+    const gravar = async () => {
+      if (operacoes.length > 0) await Transaction.bulkWrite(operacoes, { ordered: false })
+      operacoes = []
+    }
+
+    for await (const transacao of cursor) {
+      resumo.analisadas++
+
+      let beneficiario = this.identificar(transacao.descricao, beneficiarios)
+      if (!beneficiario) {
+        beneficiario = await this.criarAutomatico(userId, transacao.descricao)
+        if (beneficiario) {
+          beneficiarios.push(beneficiario)
+          resumo.criados++
+        }
+      }
+
+      const beneficiarioId = beneficiario?._id || null
+      if (String(beneficiarioId) === String(transacao.beneficiarioId)) continue
+
+      resumo.atualizadas++
+      operacoes.push({
+        updateOne: {
+          filter: { _id: transacao._id },
+          update: { $set: { beneficiarioId } }
+        }
+      })
+
+      if (operacoes.length >= LOTE) await gravar()
+    }
+
+    await gravar()
+    return resumo
+  }
+
+  // Juntar a origem no destino: transações, nome, aliases e padrões passam para o destino
+  async mesclar(destino, origem) {
+    const resultado = await Transaction.updateMany(
+      { userId: destino.userId, beneficiarioId: origem._id },
+      { beneficiarioId: destino._id }
+    )
+
+    destino.aliases = [...destino.aliases, origem.chave, ...origem.aliases]
+    destino.padroes = [...destino.padroes, ...origem.padroes]
+    if (!destino.categoriaPadrao?.nome && origem.categoriaPadrao?.nome) {
+      destino.categoriaPadrao = origem.categoriaPadrao
+    }
+
+    await destino.save()
+    await Payee.deleteOne({ _id: origem._id })
+
+    return resultado.modifiedCount
+  }
+
+  // Beneficiários com mais gastos (ou receitas) no período, com frequência e ticket médio
+  async analise(userId, { tipo = 'despesa', dataInicio, dataFim, ordenarPor = 'total', limite = 10 }) {
+    const filtros = Transaction.realizadas({
+      userId: new mongoose.Types.ObjectId(userId),
+      tipo,
+      beneficiarioId: { $ne: null }
+    })
+
+    if (dataInicio || dataFim) {
+      filtros.data = {}
+      if (dataInicio) filtros.data.$gte = new Date(dataInicio)
+      if (dataFim) filtros.data.$lte = new Date(dataFim)
+    }
+
+    const [resultado] = await Transaction.aggregate([
+      { $match: filtros },
+      Transaction.emMoedaBase(),
+      {
+        $facet: {
+          resumo: [
+            { $group: { _id: null, total: { $sum: '$valor' }, quantidade: { $sum: 1 } } }
+          ],
+          beneficiarios: [
+            {
+              $group: {
+                _id: '$beneficiarioId',
+                total: { $sum: '$valor' },
+                quantidade: { $sum: 1 },
+                ticketMedio: { $avg: '$valor' },
+                maiorValor: { $max: '$valor' },
+                primeiraTransacao: { $min: '$data' },
+                ultimaTransacao: { $max: '$data' },
+                meses: { $addToSet: { $dateToString: { format: '%Y-%m', date: '$data' } } },
+                categorias: { $addToSet: '$categoria' }
+              }
+            },
+            { $sort: { [ordenarPor]: -1, total: -1 } },
+            { $limit: limite },
+            {
+              $lookup: {
+                from: Payee.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'beneficiario'
+              }
+            }
+          ]
+        }
+      }
+    ])
+
+    const resumo = resultado.resumo[0] || { total: 0, quantidade: 0 }
+
+    return {
+      total: arredondar(resumo.total),
+      quantidade: resumo.quantidade,
+      beneficiarios: resultado.beneficiarios.map(({ _id, beneficiario, meses, ...grupo }) => ({
+        beneficiarioId: _id,
+        nome: beneficiario[0]?.nome || null,
+        total: arredondar(grupo.total),
+        participacao: resumo.total > 0 ? arredondar(grupo.total / resumo.total * 100) : 0,
+        quantidade: grupo.quantidade,
+        ticketMedio: arredondar(grupo.ticketMedio),
+        maiorValor: arredondar(grupo.maiorValor),
+        // Frequência: meses com transações, transações por mês ativo e dias entre uma e outra
+        mesesComTransacao: meses.length,
+        mediaPorMes: arredondar(grupo.quantidade / meses.length),
+        intervaloMedioDias: grupo.quantidade > 1
+          ? Math.round((grupo.ultimaTransacao - grupo.primeiraTransacao) / UM_DIA / (grupo.quantidade - 1) * 10) / 10
+          : null,
+        primeiraTransacao: grupo.primeiraTransacao,
+        ultimaTransacao: grupo.ultimaTransacao,
+        categorias: grupo.categorias
+      }))
+    }
+  }
+}
+
+module.exports = new PayeeService()
@@ -0,0 +1,250 @@
+// services/placeService.js
+// Consultas de gastos pela localização das transações: gastos perto de um ponto,
+// lugares com mais gastos, agrupamento em lugares frequentes e renomeação de um lugar
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const currencyService = require('./currencyService')
+const transactionHistoryService = require('./transactionHistoryService')
+const QueryParser = require('../utils/queryParser')
+
+const RAIO_TERRA_METROS = 6378100
+
+// Raio padrão da busca por proximidade e da renomeação
+const RAIO_BUSCA_METROS = 1000
+const RAIO_RENOMEACAO_METROS = 100
+// Distância máxima de uma transação ao centro do lugar frequente
+const RAIO_AGRUPAMENTO_METROS = 150
+
+const arredondar = valor => Math.round(valor * 100) / 100
+const radianos = graus => graus * Math.PI / 180
+
+// Distância em metros entre dois pontos { latitude, longitude } (fórmula de haversine)
+function distancia(a, b) {
+  const dLat = radianos(b.latitude - a.latitude)
+  const dLon = radianos(b.longitude - a.longitude)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radianos(a.latitude)) * Math.cos(radianos(b.latitude)) * Math.sin(dLon / 2) ** 2
+  return 2 * RAIO_TERRA_METROS * Math.asin(Math.sqrt(h))
+}
+
+function filtroPeriodo(filtros, { dataInicio, dataFim }) {
+  if (dataInicio || dataFim) {
+    filtros.data = {}
+    if (dataInicio) filtros.data.$gte = new Date(dataInicio)
+    if (dataFim) filtros.data.$lte = new Date(dataFim)
+  }
+  return filtros
+}
+
+// Nome mais usado entre as transações do lugar
+function nomeMaisFrequente(contagem) {
+  let nome = null
+  let maior = 0
+  contagem.forEach((quantidade, candidato) => {
+    if (quantidade > maior) {
+      nome = candidato
+      maior = quantidade
+    }
+  })
+  return nome
+}
+
+class PlaceService {
+  // Transações realizadas com coordenadas, no período e tipo informados
+  filtroComLocal(userId, { dataInicio, dataFim, tipo } = {}) {
+    const filtros = Transaction.realizadas({
+      userId: new mongoose.Types.ObjectId(userId),
+      'localizacao.ponto': { $exists: true }
+    })
+    if (tipo) filtros.tipo = tipo
+    return filtroPeriodo(filtros, { dataInicio, dataFim })
+  }
+
+  // Total, categorias e transações num raio em volta do ponto, da mais próxima para a mais distante
+  async gastosProximos(userId, { latitude, longitude, raio = RAIO_BUSCA_METROS, tipo = 'despesa', dataInicio, dataFim, limite = 50 }) {
+    const [resultado] = await Transaction.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          key: 'localizacao.ponto',
+          distanceField: 'distancia',
+          maxDistance: raio,
+          spherical: true,
+          query: this.filtroComLocal(userId, { tipo, dataInicio, dataFim })
+        }
+      },
+      Transaction.emMoedaBase(),
+      {
+        $facet: {
+          resumo: [
+            { $group: { _id: null, total: { $sum: '$valor' }, quantidade: { $sum: 1 } } }
+          ],
+          porCategoria: [
+            { $group: { _id: '$categoria', total: { $sum: '$valor' }, quantidade: { $sum: 1 } } },
+            { $sort: { total: -1 } }
+          ],
+          transacoes: [
+            { $limit: limite },
+            {
+              $project: {
+                descricao: 1, valor: 1, valorOriginal: 1, moeda: 1, tipo: 1,
+                categoria: 1, data: 1, localizacao: 1, distancia: { $round: ['$distancia', 0] }
+              }
+            }
+          ]
+        }
+      }
+    ])
+
+    const resumo = resultado.resumo[0] || { total: 0, quantidade: 0 }
+
+    return {
+      centro: { latitude, longitude },
+      raio,
+      moeda: await currencyService.moedaBase(userId),
+      total: arredondar(resumo.total),
+      quantidade: resumo.quantidade,
+      porCategoria: resultado.porCategoria.map(grupo => ({
+        categoria: grupo._id,
+        total: arredondar(grupo.total),
+        quantidade: grupo.quantidade
+      })),
+      transacoes: resultado.transacoes
+    }
+  }
+
+  // Lugares (pelo nome, sem diferenciar maiúsculas) com maior valor no período
+  async maioresLugares(userId, { tipo = 'despesa', dataInicio, dataFim, limite = 10 }) {
+    const filtros = filtroPeriodo(Transaction.realizadas({
+      userId: new mongoose.Types.ObjectId(userId),
+      tipo,
+      'localizacao.nome': { $nin: [null, ''] }
+    }), { dataInicio, dataFim })
+
+    const lugares = await Transaction.aggregate([
+      { $match: filtros },
+      Transaction.emMoedaBase(),
+      {
+        $group: {
+          _id: { $toLower: { $trim: { input: '$localizacao.nome' } } },
+          nome: { $first: '$localizacao.nome' },
+          total: { $sum: '$valor' },
+          quantidade: { $sum: 1 },
+          latitude: { $avg: '$localizacao.latitude' },
+          longitude: { $avg: '$localizacao.longitude' },
+          ultimaTransacao: { $max: '$data' }
+        }
+      },
+      { $sort: { total: -1 } },
+      { $limit: limite }
+    ])
+
+    return lugares.map(({ _id, ...lugar }) => ({
+      ...lugar,
+      total: arredondar(lugar.total),
+      ticketMedio: arredondar(lugar.total / lugar.quantidade)
+    }))
+  }
+
+  // Agrupar as transações em lugares frequentes: cada transação entra no lugar mais próximo
+  // cujo centro esteja dentro do raio, e o centro é a média das coordenadas do grupo
+  async lugaresFrequentes(userId, { raio = RAIO_AGRUPAMENTO_METROS, minimo = 2, dataInicio, dataFim, limite = 20 }) {
+    const transacoes = await Transaction.find(this.filtroComLocal(userId, { dataInicio, dataFim }))
+      .sort({ data: 1 })
+      .select('tipo valor conversao categoria data localizacao')
+      .lean()
+
+    const grupos = []
+    for (const transacao of transacoes) {
+      const ponto = {
+        latitude: transacao.localizacao.ponto.coordinates[1],
+        longitude: transacao.localizacao.ponto.coordinates[0]
+      }
+
+      let grupo = null
+      let menorDistancia = raio
+      for (const candidato of grupos) {
+        const distanciaAoCentro = distancia(candidato.centro, ponto)
+        if (distanciaAoCentro <= menorDistancia) {
+          grupo = candidato
+          menorDistancia = distanciaAoCentro
+        }
+      }
+
+      if (!grupo) {
+        grupo = { centro: { ...ponto }, pontos: [], nomes: new Map(), categorias: new Map(), gasto: 0, primeiraVisita: transacao.data }
+        grupos.push(grupo)
+      }
+
+      grupo.pontos.push(ponto)
+      grupo.centro = {
+        latitude: grupo.centro.latitude + (ponto.latitude - grupo.centro.latitude) / grupo.pontos.length,
+        longitude: grupo.centro.longitude + (ponto.longitude - grupo.centro.longitude) / grupo.pontos.length
+      }
+      grupo.ultimaVisita = transacao.data
+
+      const nome = transacao.localizacao.nome?.trim()
+      if (nome) grupo.nomes.set(nome, (grupo.nomes.get(nome) || 0) + 1)
+
+      if (transacao.tipo === 'despesa') {
+        grupo.gasto += Transaction.valorNaMoedaBase(transacao)
+        grupo.categorias.set(transacao.categoria, (grupo.categorias.get(transacao.categoria) || 0) + 1)
+      }
+    }
+
+    return grupos
+      .filter(grupo => grupo.pontos.length >= minimo)
+      .sort((a, b) => b.pontos.length - a.pontos.length || b.gasto - a.gasto)
+      .slice(0, limite)
+      .map(grupo => ({
+        nome: nomeMaisFrequente(grupo.nomes),
+        nomes: [...grupo.nomes.keys()],
+        centro: {
+          latitude: Number(grupo.centro.latitude.toFixed(6)),
+          longitude: Number(grupo.centro.longitude.toFixed(6))
+        },
+        // Distância do centro até a transação mais afastada do lugar
+        raio: Math.ceil(Math.max(...grupo.pontos.map(ponto => distancia(grupo.centro, ponto)))),
+        visitas: grupo.pontos.length,
+        gasto: arredondar(grupo.gasto),
+        categoriaPrincipal: nomeMaisFrequente(grupo.categorias),
+        primeiraVisita: grupo.primeiraVisita,
+        ultimaVisita: grupo.ultimaVisita
+      }))
+  }
+
+  // Dar o mesmo nome a todas as transações num raio em volta do ponto
+  // (opcionalmente só as que tinham o nome antigo). Retorna quantas foram renomeadas
+  async renomear(userId, { latitude, longitude, raio = RAIO_RENOMEACAO_METROS, nome, nomeAtual }) {
+    const filtros = {
+      userId,
+      'localizacao.ponto': {
+        $geoWithin: { $centerSphere: [[longitude, latitude], raio / RAIO_TERRA_METROS] }
+      },
+      'localizacao.nome': { $ne: nome }
+    }
+    if (nomeAtual) {
+      filtros['localizacao.nome'] = { $ne: nome, $regex: QueryParser.igual(nomeAtual.trim()) }
+    }
+
+    const anteriores = await Transaction.find(filtros)
+    if (anteriores.length === 0) return 0
+
+    const ids = anteriores.map(transacao => transacao._id)
+    await Transaction.updateMany(
+      { _id: { $in: ids } },
+      { 'localizacao.nome': nome, atualizadoEm: new Date() }
+    )
+
+    const renomeadas = await Transaction.find({ _id: { $in: ids } })
+    await transactionHistoryService.registrar(renomeadas, {
+      operacao: 'edicao',
+      autorId: userId,
+      anteriores
+    })
+
+    return renomeadas.length
+  }
+}
+
+module.exports = new PlaceService()
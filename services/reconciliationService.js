@@ -0,0 +1,164 @@
+// services/reconciliationService.js
+// Conciliação de contas: confere as transações marcadas contra o saldo final do extrato
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const Reconciliation = require('../models/Reconciliation')
+
+const arredondar = valor => Math.round(valor * 100) / 100
+
+function fimDoDia(data) {
+  const fim = new Date(data)
+  fim.setHours(23, 59, 59, 999)
+  return fim
+}
+
+class ReconciliationService {
+  // Transações que podem ser marcadas na sessão: confirmadas da conta até a data do extrato
+  // que ainda não foram conciliadas (ou que foram conciliadas por esta mesma sessão)
+  filtroCandidatas(sessao) {
+    return {
+      userId: new mongoose.Types.ObjectId(sessao.userId),
+      contaId: new mongoose.Types.ObjectId(sessao.contaId),
+      status: 'confirmada',
+      data: { $lte: fimDoDia(sessao.dataExtrato) },
+      'conciliacao.conciliacaoId': { $in: [null, sessao._id] }
+    }
+  }
+
+  async listarCandidatas(sessao) {
+    const marcadas = new Set(sessao.transacoes.map(String))
+
+    const candidatas = await Transaction.find(this.filtroCandidatas(sessao))
+      .sort({ data: 1, criadoEm: 1 })
+      .select('descricao valor tipo data categoria transferenciaId importacao.idExterno conciliacao')
+      .lean()
+
+    return candidatas.map(transacao => ({
+      ...transacao,
+      marcada: marcadas.has(String(transacao._id))
+    }))
+  }
+
+  // Saldo conferido = saldo inicial + receitas - despesas marcadas (na moeda da conta)
+  // Marcações de transações editadas, excluídas ou fora da nova data não entram na conta
+  async calcularResumo(sessao, conta) {
+    const [[marcadas], [candidatas], saldoSistema] = await Promise.all([
+      Transaction.aggregate([
+        {
+          $match: {
+            ...this.filtroCandidatas(sessao),
+            _id: { $in: sessao.transacoes.map(id => new mongoose.Types.ObjectId(id)) }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            receitas: { $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] } },
+            despesas: { $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] } },
+            quantidade: { $sum: 1 }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        { $match: this.filtroCandidatas(sessao) },
+        { $count: 'quantidade' }
+      ]),
+      conta.calcularSaldo(fimDoDia(sessao.dataExtrato))
+    ])
+
+    const receitas = arredondar(marcadas?.receitas || 0)
+    const despesas = arredondar(marcadas?.despesas || 0)
+    const quantidade = marcadas?.quantidade || 0
+    const saldoConciliado = arredondar(sessao.saldoInicial + receitas - despesas)
+
+    return {
+      moeda: conta.moeda,
+      saldoInicial: sessao.saldoInicial,
+      saldoExtrato: sessao.saldoExtrato,
+      receitas,
+      despesas,
+      quantidade,
+      naoMarcadas: (candidatas?.quantidade || 0) - quantidade,
+      saldoConciliado,
+      diferenca: arredondar(sessao.saldoExtrato - saldoConciliado),
+      // Saldo do app na data do extrato, com todas as transações confirmadas
+      saldoSistema: arredondar(saldoSistema),
+      diferencaSistema: arredondar(sessao.saldoExtrato - saldoSistema)
+    }
+  }
+
+  // Marcar e desmarcar transações; só candidatas da sessão podem ser marcadas
+  // Retorna a mensagem de erro ou null
+  async marcar(sessao, { marcar = [], desmarcar = [] }) {
+    if (marcar.length > 0) {
+      const validas = await Transaction.find({
+        ...this.filtroCandidatas(sessao),
+        _id: { $in: marcar }
+      }).distinct('_id')
+
+      if (validas.length !== new Set(marcar.map(String)).size) {
+        return 'Só podem ser marcadas transações confirmadas da conta, até a data do extrato e ainda não conciliadas'
+      }
+    }
+
+    const retiradas = new Set(desmarcar.map(String))
+    const ids = new Set(sessao.transacoes.map(String).filter(id => !retiradas.has(id)))
+    marcar.forEach(id => ids.add(String(id)))
+
+    sessao.transacoes = [...ids]
+    return null
+  }
+
+  // Travar as transações marcadas e gravar os totais da sessão
+  async concluir(sessao, resumo) {
+    const marcadas = await Transaction.find({
+      ...this.filtroCandidatas(sessao),
+      _id: { $in: sessao.transacoes }
+    }).distinct('_id')
+
+    const agora = new Date()
+    await Transaction.updateMany(
+      { _id: { $in: marcadas } },
+      { 'conciliacao.conciliacaoId': sessao._id, 'conciliacao.conciliadaEm': agora }
+    )
+
+    sessao.transacoes = marcadas
+    sessao.resumo = {
+      receitas: resumo.receitas,
+      despesas: resumo.despesas,
+      saldoConciliado: resumo.saldoConciliado,
+      diferenca: resumo.diferenca,
+      quantidade: marcadas.length
+    }
+    sessao.status = 'concluida'
+    sessao.concluidaEm = agora
+    await sessao.save()
+
+    return sessao
+  }
+
+  // Liberar as transações travadas pela sessão
+  async desfazer(sessao) {
+    const resultado = await Transaction.updateMany(
+      { 'conciliacao.conciliacaoId': sessao._id },
+      { 'conciliacao.conciliacaoId': null, 'conciliacao.conciliadaEm': null }
+    )
+
+    sessao.status = 'desfeita'
+    sessao.desfeitaEm = new Date()
+    await sessao.save()
+
+    return resultado.modifiedCount
+  }
+
+  // Ponto de partida de uma nova sessão da conta
+  async saldoDePartida(conta) {
+    const ultima = await Reconciliation.ultimaConcluida(conta._id)
+    return {
+      ultima,
+      saldoInicial: ultima ? ultima.saldoExtrato : (conta.saldoInicial || 0)
+    }
+  }
+}
+
+module.exports = new ReconciliationService()
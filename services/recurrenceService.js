@@ -0,0 +1,391 @@
+// services/recurrenceService.js
+const Transaction = require('../models/Transaction')
+const { reverterImpactos, aplicarImpactos } = require('./transactionImpactService')
+const attachmentService = require('./attachmentService')
+const transactionHistoryService = require('./transactionHistoryService')
+
+// Campos da primeira transação da série copiados para cada ocorrência
+const CAMPOS_MODELO = [
+  'userId', 'tipo', 'descricao', 'valor', 'categoria', 'subcategoria',
+  'divisoes', 'contaId', 'metodoPagamento', 'orcamentoId', 'metaId', 'tags',
+  'localizacao', 'observacoes', 'beneficiarioId'
+]
+
+// Campos que o usuário pode alterar em uma ocorrência ou nas futuras
+const CAMPOS_EDITAVEIS = [
+  'descricao', 'valor', 'categoria', 'subcategoria', 'divisoes', 'contaId',
+  'metodoPagamento', 'tags', 'observacoes'
+]
+
+// Séries de contas pendentes geram as ocorrências antes do vencimento, para avisar o usuário
+const ANTECEDENCIA_PENDENTES_DIAS = 30
+
+function inicioDoDia(data) {
+  const inicio = new Date(data)
+  inicio.setHours(0, 0, 0, 0)
+  return inicio
+}
+
+function fimDoDia(data) {
+  const fim = new Date(data)
+  fim.setHours(23, 59, 59, 999)
+  return fim
+}
+
+function limitePendentes(agora) {
+  return fimDoDia(new Date(agora.getTime() + ANTECEDENCIA_PENDENTES_DIAS * 24 * 60 * 60 * 1000))
+}
+
+class RecurrenceService {
+  constructor() {
+    this.isRunning = false
+  }
+
+  // Gerar as ocorrências vencidas de todas as séries ativas
+  async processarRecorrencias(userId = null) {
+    if (this.isRunning) {
+      console.log('⚠️ Processamento de recorrências já está rodando')
+      return
+    }
+
+    this.isRunning = true
+    console.log('🔁 Iniciando geração de transações recorrentes...')
+
+    try {
+      const agora = new Date()
+      const filtros = {
+        'recorrente.ativo': true,
+        recorrenciaOrigemId: null,
+        $or: [
+          { 'recorrente.proximaData': { $lte: agora } },
+          { 'recorrente.pendente': true, 'recorrente.proximaData': { $lte: limitePendentes(agora) } }
+        ]
+      }
+      if (userId) filtros.userId = userId
+
+      const series = await Transaction.find(filtros)
+
+      const resultados = {
+        series: series.length,
+        geradas: 0,
+        erros: 0,
+        detalhes: []
+      }
+
+      for (const serie of series) {
+        try {
+          const geradas = await this.processarSerie(serie, agora)
+          resultados.geradas += geradas.length
+
+          if (geradas.length > 0) {
+            resultados.detalhes.push({
+              serieId: serie._id,
+              descricao: serie.descricao,
+              status: 'gerada',
+              ocorrencias: geradas.map(t => t.data)
+            })
+          }
+
+        } catch (error) {
+          console.error(`❌ Erro ao processar série ${serie._id}:`, error)
+          resultados.erros++
+          resultados.detalhes.push({
+            serieId: serie._id,
+            descricao: serie.descricao,
+            status: 'erro',
+            erro: error.message
+          })
+        }
+      }
+
+      console.log(`✅ Recorrências processadas: ${resultados.geradas} ocorrências geradas, ${resultados.erros} erros`)
+      return resultados
+
+    } catch (error) {
+      console.error('❌ Erro no processamento de recorrências:', error)
+      throw error
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  // Até quando gerar as ocorrências da série: séries pendentes vão além de hoje
+  limiteDeGeracao(serie, agora = new Date()) {
+    return serie.recorrente?.pendente ? limitePendentes(agora) : agora
+  }
+
+  // Gerar as ocorrências da série até a data informada e avançar proximaData
+  // Ocorrências já existentes ou puladas não são geradas novamente
+  async processarSerie(serie, agora = new Date()) {
+    const datas = serie.projetarOcorrencias(this.limiteDeGeracao(serie, agora))
+    if (datas.length === 0) return []
+
+    const geradas = []
+    for (const data of datas) {
+      if (serie.ocorrenciaPulada(data)) continue
+
+      const ocorrencia = await this.materializarOcorrencia(serie, data)
+      if (ocorrencia) geradas.push(ocorrencia)
+    }
+
+    await this.avancarSerie(serie, serie.calcularProximaData(datas[datas.length - 1]))
+
+    return geradas
+  }
+
+  // Configurar a série de uma transação recém-criada e gerar as ocorrências já vencidas
+  async iniciarSerie(transacao) {
+    if (!transacao.recorrente?.ativo) return []
+
+    await this.avancarSerie(transacao, transacao.calcularProximaData())
+    return await this.processarSerie(transacao)
+  }
+
+  async avancarSerie(serie, proximaData) {
+    serie.recorrente.proximaData = proximaData && serie.dentroDaRecorrencia(proximaData)
+      ? proximaData
+      : null
+
+    await Transaction.updateOne(
+      { _id: serie._id },
+      { 'recorrente.proximaData': serie.recorrente.proximaData }
+    )
+  }
+
+  // Criar a transação de uma ocorrência (null se ela já existir)
+  async materializarOcorrencia(serie, data, alteracoes = {}) {
+    const dados = {}
+    CAMPOS_MODELO.forEach(campo => {
+      if (serie[campo] !== undefined) dados[campo] = serie[campo]
+    })
+
+    let ocorrencia
+    try {
+      ocorrencia = await Transaction.create({
+        ...dados,
+        ...alteracoes,
+        data,
+        status: serie.recorrente?.pendente ? 'pendente' : 'confirmada',
+        recorrenciaOrigemId: serie._id,
+        recorrenciaData: data
+      })
+    } catch (error) {
+      // Índice único (série, data): a ocorrência já foi gerada
+      if (error.code === 11000) return null
+      throw error
+    }
+
+    await aplicarImpactos(ocorrencia)
+    await transactionHistoryService.registrar([ocorrencia], { operacao: 'criacao', origem: 'recorrencia' })
+    return ocorrencia
+  }
+
+  // Manter apenas os campos editáveis de uma requisição
+  extrairAlteracoes(dados) {
+    const alteracoes = {}
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (dados[campo] !== undefined) alteracoes[campo] = dados[campo]
+    })
+    return alteracoes
+  }
+
+  // Ocorrência já gerada na data (comparando apenas o dia)
+  async buscarOcorrencia(serie, data) {
+    return await Transaction.findOne({
+      userId: serie.userId,
+      recorrenciaOrigemId: serie._id,
+      recorrenciaData: { $gte: inicioDoDia(data), $lte: fimDoDia(data) }
+    })
+  }
+
+  // Data prevista da série no dia informado (null se a série não tiver ocorrência nesse dia)
+  dataPrevistaNoDia(serie, data) {
+    const fim = fimDoDia(data)
+    let atual = new Date(serie.data)
+
+    while (atual && atual <= fim) {
+      if (atual >= inicioDoDia(data)) {
+        return serie.dentroDaRecorrencia(atual) ? atual : null
+      }
+      atual = serie.calcularProximaData(atual)
+    }
+
+    return null
+  }
+
+  // Próximas ocorrências (ainda não geradas) das séries do usuário
+  async listarProximas(userId, { dias = 30, contaId = null } = {}) {
+    const ate = fimDoDia(new Date(Date.now() + dias * 24 * 60 * 60 * 1000))
+
+    const filtros = {
+      userId,
+      'recorrente.ativo': true,
+      'recorrente.proximaData': { $ne: null, $lte: ate },
+      recorrenciaOrigemId: null
+    }
+    if (contaId) filtros.contaId = contaId
+
+    const series = await Transaction.find(filtros)
+
+    // Ocorrências antecipadas (editadas antes da data) não aparecem como previstas
+    const jaGeradas = await Transaction.find({
+      userId,
+      recorrenciaOrigemId: { $in: series.map(s => s._id) },
+      recorrenciaData: { $gt: new Date() }
+    }).select('recorrenciaOrigemId recorrenciaData').lean()
+
+    const geradas = new Set(jaGeradas.map(t =>
+      `${t.recorrenciaOrigemId}-${t.recorrenciaData.toDateString()}`
+    ))
+
+    const ocorrencias = []
+    series.forEach(serie => {
+      serie.projetarOcorrencias(ate).forEach(data => {
+        if (serie.ocorrenciaPulada(data)) return
+        if (geradas.has(`${serie._id}-${data.toDateString()}`)) return
+
+        ocorrencias.push({
+          serieId: serie._id,
+          data,
+          tipo: serie.tipo,
+          descricao: serie.descricao,
+          valor: serie.valor,
+          categoria: serie.categoria,
+          contaId: serie.contaId
+        })
+      })
+    })
+
+    return ocorrencias.sort((a, b) => a.data - b.data)
+  }
+
+  // Pular uma ocorrência: registra a exceção e remove a transação se já tiver sido gerada
+  async pularOcorrencia(serie, dataPrevista) {
+    await Transaction.updateOne(
+      { _id: serie._id },
+      { $addToSet: { 'recorrente.excecoes': dataPrevista } }
+    )
+
+    const ocorrencia = await this.buscarOcorrencia(serie, dataPrevista)
+    if (ocorrencia) {
+      await reverterImpactos(ocorrencia)
+      await Transaction.deleteOne({ _id: ocorrencia._id })
+      await attachmentService.removerDasTransacoes([ocorrencia])
+      await transactionHistoryService.registrar([ocorrencia], {
+        operacao: 'exclusao',
+        origem: 'recorrencia',
+        autorId: serie.userId
+      })
+    }
+
+    return { removida: Boolean(ocorrencia) }
+  }
+
+  // Editar apenas uma ocorrência (gerando-a antecipadamente se ainda não existir)
+  async editarOcorrencia(serie, dataPrevista, alteracoes) {
+    const existente = await this.buscarOcorrencia(serie, dataPrevista)
+
+    if (!existente) {
+      return await this.materializarOcorrencia(serie, dataPrevista, alteracoes)
+    }
+
+    const anterior = transactionHistoryService.capturar(existente)
+    await reverterImpactos(existente)
+    existente.set(alteracoes)
+    await existente.save()
+    await aplicarImpactos(existente)
+    await transactionHistoryService.registrar([existente], {
+      operacao: 'edicao',
+      origem: 'recorrencia',
+      autorId: serie.userId,
+      anteriores: [anterior]
+    })
+
+    return existente
+  }
+
+  // Editar esta e as próximas ocorrências: encerra a série na véspera e
+  // inicia uma nova série a partir da data com as alterações.
+  // Ocorrências já geradas a partir da data são substituídas pela nova série
+  async dividirSerie(serie, aPartirDe, alteracoes, regra = {}) {
+    const inicio = inicioDoDia(aPartirDe)
+
+    const substituidas = await Transaction.find({
+      userId: serie.userId,
+      recorrenciaOrigemId: serie._id,
+      recorrenciaData: { $gte: inicio }
+    })
+
+    for (const ocorrencia of substituidas) {
+      await reverterImpactos(ocorrencia)
+    }
+    await Transaction.deleteMany({ _id: { $in: substituidas.map(t => t._id) } })
+    await attachmentService.removerDasTransacoes(substituidas)
+    await transactionHistoryService.registrar(substituidas, {
+      operacao: 'exclusao',
+      origem: 'recorrencia',
+      autorId: serie.userId
+    })
+
+    // Série atual termina na véspera
+    const dataFimOriginal = serie.recorrente.dataFim
+    serie.recorrente.dataFim = new Date(inicio.getTime() - 1)
+    serie.recorrente.excecoes = (serie.recorrente.excecoes || []).filter(d => d < inicio)
+    if (serie.recorrente.proximaData && !serie.dentroDaRecorrencia(serie.recorrente.proximaData)) {
+      serie.recorrente.proximaData = null
+    }
+    await serie.save()
+
+    // Nova série começa na data informada, mantendo o horário original
+    const dataInicial = new Date(inicio)
+    dataInicial.setHours(serie.data.getHours(), serie.data.getMinutes(), serie.data.getSeconds())
+
+    const dados = {}
+    CAMPOS_MODELO.forEach(campo => {
+      if (serie[campo] !== undefined) dados[campo] = serie[campo]
+    })
+
+    // Séries de contas pendentes continuam pendentes (a primeira da nova série ainda não foi paga,
+    // como na criação); nas demais, a nova série mantém o status da original
+    const pendente = Boolean(serie.recorrente.pendente)
+
+    const novaSerie = await Transaction.create({
+      ...dados,
+      ...alteracoes,
+      data: dataInicial,
+      status: pendente ? 'pendente' : serie.status,
+      recorrente: {
+        ativo: true,
+        tipo: regra.tipo || serie.recorrente.tipo,
+        intervalo: regra.intervalo || serie.recorrente.intervalo,
+        dataFim: regra.dataFim !== undefined ? regra.dataFim : dataFimOriginal,
+        pendente
+      }
+    })
+
+    await aplicarImpactos(novaSerie)
+    await transactionHistoryService.registrar([novaSerie], {
+      operacao: 'criacao',
+      origem: 'recorrencia',
+      autorId: serie.userId
+    })
+    const geradas = await this.iniciarSerie(novaSerie)
+
+    return {
+      serieAnterior: serie,
+      novaSerie,
+      substituidas: substituidas.length,
+      geradas: geradas.length
+    }
+  }
+
+  // Encerrar a série: nenhuma nova ocorrência é gerada, as existentes são mantidas
+  async encerrarSerie(serie) {
+    serie.recorrente.ativo = false
+    serie.recorrente.proximaData = null
+    await serie.save()
+    return serie
+  }
+}
+
+module.exports = new RecurrenceService()
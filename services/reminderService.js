@@ -0,0 +1,178 @@
+// services/reminderService.js
+// Lembretes de vencimento das transações pendentes (contas a pagar e a receber)
+const Transaction = require('../models/Transaction')
+const User = require('../models/User')
+const currencyService = require('./currencyService')
+const { sendEmail } = require('../config/mailer')
+
+// Maior antecedência aceita em lembrete.diasAntes e nas configurações do usuário
+const MAX_DIAS_ANTES = 30
+const UM_DIA = 24 * 60 * 60 * 1000
+
+function inicioDoDia(data) {
+  const inicio = new Date(data)
+  inicio.setHours(0, 0, 0, 0)
+  return inicio
+}
+
+class ReminderService {
+  constructor() {
+    this.isRunning = false
+  }
+
+  // Pendentes que já entraram na janela de aviso e ainda não foram lembradas
+  // A antecedência é a da transação ou, sem ela, a das configurações do usuário
+  async buscarParaLembrar(agora = new Date(), userId = null) {
+    const hoje = inicioDoDia(agora)
+    const filtros = Transaction.semTransferencias({
+      status: 'pendente',
+      'lembrete.enviadoEm': null,
+      data: { $gte: hoje, $lt: new Date(hoje.getTime() + (MAX_DIAS_ANTES + 1) * UM_DIA) }
+    })
+    if (userId) filtros.userId = userId
+
+    const pendentes = await Transaction.find(filtros).sort({ data: 1 }).lean()
+    if (pendentes.length === 0) return new Map()
+
+    const usuarios = await User.find({ _id: { $in: [...new Set(pendentes.map(t => String(t.userId)))] } })
+      .select('nome email configuracoes')
+      .lean()
+    const porId = new Map(usuarios.map(u => [String(u._id), u]))
+
+    // { userId: { usuario, transacoes } }
+    const lembretes = new Map()
+    pendentes.forEach(transacao => {
+      const usuario = porId.get(String(transacao.userId))
+      if (!usuario) return
+
+      const padrao = usuario.configuracoes?.notificacoes?.diasAntesVencimento ?? 3
+      const diasAntes = transacao.lembrete?.diasAntes ?? padrao
+      const diasParaVencimento = Math.round((inicioDoDia(transacao.data) - hoje) / UM_DIA)
+      if (diasParaVencimento > diasAntes) return
+
+      const chave = String(usuario._id)
+      if (!lembretes.has(chave)) lembretes.set(chave, { usuario, transacoes: [] })
+      lembretes.get(chave).transacoes.push({ ...transacao, diasParaVencimento })
+    })
+
+    return lembretes
+  }
+
+  // Enviar um email por usuário com as contas que vencem em breve
+  // Só marcam como lembradas as transações cujo email foi enviado
+  async enviarLembretes(agora = new Date()) {
+    if (this.isRunning) {
+      console.log('⚠️ Envio de lembretes já está rodando')
+      return
+    }
+
+    this.isRunning = true
+    console.log('⏰ Verificando vencimentos de transações pendentes...')
+
+    try {
+      const lembretes = await this.buscarParaLembrar(agora)
+      const resultados = { usuarios: lembretes.size, enviados: 0, transacoes: 0, ignorados: 0, erros: 0 }
+
+      for (const { usuario, transacoes } of lembretes.values()) {
+        const notificacoes = usuario.configuracoes?.notificacoes || {}
+
+        if (!usuario.email || notificacoes.email === false || notificacoes.vencimentos === false) {
+          resultados.ignorados++
+          continue
+        }
+
+        try {
+          const enviado = await sendEmail({
+            to: usuario.email,
+            subject: transacoes.length === 1
+              ? `⏰ "${transacoes[0].descricao}" vence ${this.descreverPrazo(transacoes[0].diasParaVencimento)}`
+              : `⏰ ${transacoes.length} contas vencem nos próximos dias`,
+            html: this.gerarTemplateEmail(usuario, transacoes)
+          })
+
+          if (!enviado) {
+            resultados.erros++
+            continue
+          }
+
+          await Transaction.updateMany(
+            { _id: { $in: transacoes.map(t => t._id) } },
+            { 'lembrete.enviadoEm': new Date() }
+          )
+          resultados.enviados++
+          resultados.transacoes += transacoes.length
+
+        } catch (error) {
+          console.error(`❌ Erro ao enviar lembrete para ${usuario.email}:`, error)
+          resultados.erros++
+        }
+      }
+
+      console.log(`✅ Lembretes: ${resultados.enviados} email(s) com ${resultados.transacoes} vencimento(s), ${resultados.erros} erro(s)`)
+      return resultados
+
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  descreverPrazo(dias) {
+    if (dias <= 0) return 'hoje'
+    if (dias === 1) return 'amanhã'
+    return `em ${dias} dias`
+  }
+
+  gerarTemplateEmail(usuario, transacoes) {
+    const formatarData = (data) => new Date(data).toLocaleDateString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric'
+    })
+
+    const linhas = transacoes.map(t => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #e0e0e0;">${t.descricao}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e0e0e0;">${t.tipo === 'despesa' ? 'A pagar' : 'A receber'}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e0e0e0;">${formatarData(t.data)} (${this.descreverPrazo(t.diasParaVencimento)})</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e0e0e0; text-align: right;">${currencyService.formatar(t.valor, t.moeda || usuario.configuracoes?.moeda)}</td>
+      </tr>
+    `).join('')
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <title>Vencimentos próximos</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>⏰ Olá, ${usuario.nome}!</h2>
+          <p>Estas contas pendentes vencem em breve:</p>
+          <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left; padding: 8px;">Descrição</th>
+                <th style="text-align: left; padding: 8px;">Tipo</th>
+                <th style="text-align: left; padding: 8px;">Vencimento</th>
+                <th style="text-align: right; padding: 8px;">Valor</th>
+              </tr>
+            </thead>
+            <tbody>${linhas}</tbody>
+          </table>
+          <p>Depois de pagar, confirme a transação no app para que ela entre no seu saldo.</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.APP_URL || 'https://seuapp.com'}/transactions?status=pendente"
+               style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+              Ver contas pendentes
+            </a>
+          </p>
+          <p style="color: #666; font-size: 12px;">Para desativar estes avisos, acesse as configurações do app</p>
+        </div>
+      </body>
+      </html>
+    `
+  }
+}
+
+module.exports = new ReminderService()
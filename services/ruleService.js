@@ -0,0 +1,217 @@
+// services/ruleService.js
+// Categorização automática: regras do usuário aplicadas ao criar transações,
+// nas importações e retroativamente em um período
+const Transaction = require('../models/Transaction')
+const CategoryRule = require('../models/CategoryRule')
+const { reverterImpactos, aplicarImpactos } = require('./transactionImpactService')
+const transactionHistoryService = require('./transactionHistoryService')
+
+// Limite de transações listadas na simulação retroativa (o resumo conta todas)
+const LIMITE_SIMULACAO = 500
+
+function mesmoValor(a, b) {
+  return String(a || '') === String(b || '')
+}
+
+function referenciaRegra(regra) {
+  return { _id: regra._id, nome: regra.nome }
+}
+
+class RuleService {
+  // Alterações que as regras fariam na transação, sem alterá-la
+  // Cada campo vem da regra de maior prioridade que o define; as tags se acumulam
+  // Sem sobrescrever, campos já preenchidos na transação são mantidos
+  avaliar(transacao, regras, { sobrescrever = false } = {}) {
+    const alteracoes = {}
+    const definidos = new Set()
+    const aplicadas = []
+    const tags = [...(transacao.tags || [])]
+
+    const podeDefinir = (campo, atual) =>
+      !definidos.has(campo) && (sobrescrever || !atual)
+
+    const definir = (campo, valor) => {
+      definidos.add(campo)
+      if (!mesmoValor(transacao[campo], valor)) alteracoes[campo] = valor
+    }
+
+    for (const regra of regras) {
+      if (!regra.corresponde(transacao)) continue
+
+      const { categoria, subcategoria, orcamentoId, metaId } = regra.acoes
+      let usada = false
+
+      if (categoria && podeDefinir('categoria', transacao.categoria)) {
+        definir('categoria', categoria)
+        // Mantém a subcategoria atual quando a regra confirma a mesma categoria sem indicar outra
+        if (subcategoria || !mesmoValor(transacao.categoria, categoria)) {
+          definir('subcategoria', subcategoria || null)
+        }
+        usada = true
+      }
+
+      // Orçamentos acompanham despesas e metas acompanham receitas
+      if (orcamentoId && transacao.tipo === 'despesa' && podeDefinir('orcamentoId', transacao.orcamentoId)) {
+        definir('orcamentoId', orcamentoId)
+        usada = true
+      }
+
+      if (metaId && transacao.tipo === 'receita' && podeDefinir('metaId', transacao.metaId)) {
+        definir('metaId', metaId)
+        usada = true
+      }
+
+      ;(regra.acoes.tags || []).forEach(tag => {
+        if (!tags.includes(tag)) {
+          tags.push(tag)
+          usada = true
+        }
+      })
+
+      if (usada) aplicadas.push(regra)
+      if (regra.pararProcessamento) break
+    }
+
+    if (tags.length > (transacao.tags || []).length) {
+      alteracoes.tags = tags
+    }
+
+    return { alteracoes, regras: aplicadas }
+  }
+
+  // Preencher as transações ainda não gravadas (criação, lote, importação)
+  // Retorna, para cada transação, as regras aplicadas
+  async aplicarEmNovas(userId, transacoes) {
+    const regras = await CategoryRule.buscarAtivas(userId)
+    if (regras.length === 0) return transacoes.map(() => [])
+
+    const aplicadas = transacoes.map(transacao => {
+      const resultado = this.avaliar(transacao, regras)
+      Object.assign(transacao, resultado.alteracoes)
+      return resultado.regras
+    })
+
+    await this.registrarAplicacoes(aplicadas.flat())
+
+    return aplicadas.map(lista => lista.map(referenciaRegra))
+  }
+
+  // Incrementar as estatísticas de uso das regras
+  async registrarAplicacoes(regras) {
+    const contagem = {}
+    regras.forEach(regra => {
+      const id = String(regra._id)
+      contagem[id] = (contagem[id] || 0) + 1
+    })
+
+    const ids = Object.keys(contagem)
+    if (ids.length === 0) return
+
+    const agora = new Date()
+    await CategoryRule.bulkWrite(ids.map(id => ({
+      updateOne: {
+        filter: { _id: id },
+        update: {
+          $inc: { 'estatisticas.aplicacoes': contagem[id] },
+          $set: { 'estatisticas.ultimaAplicacao': agora }
+        }
+      }
+    })))
+  }
+
+  // Transações do período que mudariam ao reaplicar as regras
+  // regraIds restringe a avaliação a algumas regras (ex.: uma regra recém-criada)
+  async calcularRetroativa(userId, { dataInicio, dataFim, contaId, regraIds, sobrescrever = true }) {
+    const filtroRegras = { userId, ativa: true }
+    if (regraIds?.length) filtroRegras._id = { $in: regraIds }
+
+    const regras = await CategoryRule.find(filtroRegras).sort({ prioridade: 1, criadoEm: 1 })
+
+    // Transações divididas mantêm as categorias escolhidas em cada linha
+    const filtros = Transaction.semTransferencias({
+      userId,
+      data: { $gte: dataInicio, $lte: dataFim },
+      'divisoes.0': { $exists: false }
+    })
+    if (contaId) filtros.contaId = contaId
+
+    const transacoes = regras.length > 0
+      ? await Transaction.find(filtros).sort({ data: 1 })
+      : []
+
+    const alteradas = []
+    transacoes.forEach(transacao => {
+      const { alteracoes, regras: aplicadas } = this.avaliar(transacao, regras, { sobrescrever })
+      if (Object.keys(alteracoes).length === 0) return
+
+      alteradas.push({ transacao, alteracoes, regras: aplicadas })
+    })
+
+    return { analisadas: transacoes.length, regras, alteradas }
+  }
+
+  resumirRetroativa({ analisadas, regras, alteradas }) {
+    return {
+      analisadas,
+      alteradas: alteradas.length,
+      porRegra: regras
+        .map(regra => ({
+          ...referenciaRegra(regra),
+          transacoes: alteradas.filter(a => a.regras.includes(regra)).length
+        }))
+        .filter(r => r.transacoes > 0)
+    }
+  }
+
+  // O que mudaria em cada transação, sem gravar
+  async simularRetroativa(userId, opcoes) {
+    const resultado = await this.calcularRetroativa(userId, opcoes)
+
+    return {
+      resumo: this.resumirRetroativa(resultado),
+      alteracoes: resultado.alteradas.slice(0, LIMITE_SIMULACAO).map(({ transacao, alteracoes, regras }) => ({
+        transacaoId: transacao._id,
+        descricao: transacao.descricao,
+        data: transacao.data,
+        valor: transacao.valor,
+        tipo: transacao.tipo,
+        antes: Object.keys(alteracoes).reduce((antes, campo) => {
+          antes[campo] = transacao[campo] ?? null
+          return antes
+        }, {}),
+        depois: alteracoes,
+        regras: regras.map(referenciaRegra)
+      })),
+      listagemTruncada: resultado.alteradas.length > LIMITE_SIMULACAO
+    }
+  }
+
+  // Gravar as alterações, atualizando orçamentos, metas e estatísticas das categorias
+  async aplicarRetroativa(userId, opcoes) {
+    const resultado = await this.calcularRetroativa(userId, opcoes)
+
+    for (const { transacao, alteracoes } of resultado.alteradas) {
+      await reverterImpactos(transacao)
+
+      const atualizada = await Transaction.findOneAndUpdate(
+        { _id: transacao._id, userId },
+        { ...alteracoes, atualizadoEm: new Date() },
+        { new: true, runValidators: true }
+      )
+
+      await aplicarImpactos(atualizada)
+      await transactionHistoryService.registrar([atualizada], {
+        operacao: 'edicao',
+        origem: 'regra',
+        autorId: userId,
+        anteriores: [transacao]
+      })
+    }
+
+    await this.registrarAplicacoes(resultado.alteradas.flatMap(a => a.regras))
+
+    return this.resumirRetroativa(resultado)
+  }
+}
+
+module.exports = new RuleService()
@@ -0,0 +1,187 @@
+// services/tagService.js
+// Tags das transações: uso e totais por tag, renomeação, mesclagem e exclusão.
+// Tags são comparadas sem diferenciar maiúsculas, como na busca de transações
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const CategoryRule = require('../models/CategoryRule')
+const QueryParser = require('../utils/queryParser')
+const transactionHistoryService = require('./transactionHistoryService')
+
+const arredondar = valor => Math.round(valor * 100) / 100
+const chave = tag => String(tag).trim().toLowerCase()
+
+// Soma na moeda base apenas das transações realizadas do tipo informado
+function somaRealizadas(tipo) {
+  return {
+    $sum: {
+      $cond: [
+        {
+          $and: [
+            { $eq: ['$tipo', tipo] },
+            { $eq: ['$status', 'confirmada'] },
+            { $eq: [{ $ifNull: ['$transferenciaId', null] }, null] }
+          ]
+        },
+        '$valor',
+        0
+      ]
+    }
+  }
+}
+
+// Nova lista de tags: as de origens viram o destino (ou somem, sem destino), sem repetir
+function substituirTags(tags, origens, destino) {
+  const novas = []
+  tags.forEach(tag => {
+    const alvo = origens.has(chave(tag)) ? destino : tag
+    if (alvo && !novas.some(nova => chave(nova) === chave(alvo))) novas.push(alvo)
+  })
+  return novas
+}
+
+class TagService {
+  // Tags usadas pelo usuário, com a quantidade de transações (de qualquer status)
+  // e os totais realizados de receitas e despesas
+  async listar(userId, { busca } = {}) {
+    const filtros = {
+      userId: new mongoose.Types.ObjectId(userId),
+      'tags.0': { $exists: true }
+    }
+
+    const tags = await Transaction.aggregate([
+      { $match: filtros },
+      Transaction.emMoedaBase(),
+      { $unwind: '$tags' },
+      ...(busca ? [{ $match: { tags: QueryParser.contem(busca) } }] : []),
+      {
+        $group: {
+          _id: '$tags',
+          quantidade: { $sum: 1 },
+          totalReceitas: somaRealizadas('receita'),
+          totalDespesas: somaRealizadas('despesa'),
+          primeiroUso: { $min: '$data' },
+          ultimoUso: { $max: '$data' }
+        }
+      },
+      { $sort: { quantidade: -1, _id: 1 } }
+    ])
+
+    // Grafias diferentes da mesma tag (ex.: "Viagem" e "viagem") são candidatas à mesclagem
+    const grafias = new Map()
+    tags.forEach(tag => grafias.set(chave(tag._id), (grafias.get(chave(tag._id)) || 0) + 1))
+
+    return tags.map(({ _id, ...tag }) => ({
+      tag: _id,
+      ...tag,
+      totalReceitas: arredondar(tag.totalReceitas),
+      totalDespesas: arredondar(tag.totalDespesas),
+      outrasGrafias: grafias.get(chave(_id)) > 1
+    }))
+  }
+
+  // Trocar as tags de origem pelo destino em todas as transações e regras do usuário.
+  // Renomear é mesclar uma única origem; sem destino, as tags são excluídas
+  async substituir(userId, origens, destino = null, autorId = null) {
+    const chaves = new Set(origens.map(chave))
+    const padroes = origens.map(tag => QueryParser.igual(tag.trim()))
+
+    const anteriores = await Transaction.find({ userId, tags: { $in: padroes } }).lean()
+    const atualizadas = anteriores
+      .map(transacao => ({ ...transacao, tags: substituirTags(transacao.tags, chaves, destino) }))
+      .filter((transacao, indice) => JSON.stringify(transacao.tags) !== JSON.stringify(anteriores[indice].tags))
+
+    if (atualizadas.length > 0) {
+      await Transaction.bulkWrite(atualizadas.map(transacao => ({
+        updateOne: {
+          filter: { _id: transacao._id },
+          update: { $set: { tags: transacao.tags, atualizadoEm: new Date() } }
+        }
+      })), { ordered: false })
+
+      await transactionHistoryService.registrar(atualizadas, {
+        operacao: 'edicao',
+        autorId,
+        anteriores
+      })
+    }
+
+    // Regras que aplicam as tags passam a aplicar o destino; as que ficam sem nenhuma ação são desativadas
+    const regras = await CategoryRule.find({ userId, 'acoes.tags': { $in: padroes } }).lean()
+    const operacoesRegras = regras.map(regra => {
+      const tags = substituirTags(regra.acoes.tags, chaves, destino)
+      const { categoria, orcamentoId, metaId } = regra.acoes
+      const semAcao = tags.length === 0 && !categoria && !orcamentoId && !metaId
+
+      return {
+        updateOne: {
+          filter: { _id: regra._id },
+          update: { $set: { 'acoes.tags': tags, ...(semAcao && { ativa: false }), atualizadoEm: new Date() } }
+        },
+        semAcao
+      }
+    })
+
+    if (operacoesRegras.length > 0) {
+      await CategoryRule.bulkWrite(operacoesRegras.map(({ updateOne }) => ({ updateOne })), { ordered: false })
+    }
+
+    return {
+      transacoes: atualizadas.length,
+      regras: operacoesRegras.length,
+      regrasDesativadas: operacoesRegras.filter(operacao => operacao.semAcao).length
+    }
+  }
+
+  // Totais por tag e evolução no período (transações realizadas, na moeda base)
+  async estatisticas(userId, { dataInicio, dataFim, tags = [], agruparPorMes = false }) {
+    const filtros = Transaction.realizadas({
+      userId: new mongoose.Types.ObjectId(userId),
+      data: { $gte: dataInicio, $lte: dataFim },
+      'tags.0': { $exists: true }
+    })
+
+    const filtroTags = tags.length > 0
+      ? [{ $match: { tags: { $in: tags.map(tag => QueryParser.igual(tag.trim())) } } }]
+      : []
+
+    const periodoDaEvolucao = agruparPorMes
+      ? { mes: { $month: '$data' }, ano: { $year: '$data' } }
+      : { dia: { $dayOfMonth: '$data' }, mes: { $month: '$data' }, ano: { $year: '$data' } }
+
+    const [estatisticas] = await Transaction.aggregate([
+      { $match: filtros },
+      ...filtroTags,
+      Transaction.emMoedaBase(),
+      { $unwind: '$tags' },
+      ...filtroTags,
+      {
+        $facet: {
+          porTag: [
+            {
+              $group: {
+                _id: { tag: '$tags', tipo: '$tipo' },
+                total: { $sum: '$valor' },
+                count: { $sum: 1 },
+                media: { $avg: '$valor' }
+              }
+            },
+            { $sort: { total: -1 } }
+          ],
+          evolucao: [
+            {
+              $group: {
+                _id: { tag: '$tags', ...periodoDaEvolucao, tipo: '$tipo' },
+                total: { $sum: '$valor' }
+              }
+            },
+            { $sort: { '_id.ano': 1, '_id.mes': 1, '_id.dia': 1, '_id.tag': 1 } }
+          ]
+        }
+      }
+    ])
+
+    return estatisticas
+  }
+}
+
+module.exports = new TagService()
@@ -0,0 +1,199 @@
+// services/transactionHistoryService.js
+// Histórico versionado das transações: quem alterou, quando, de onde veio e o que mudou.
+// Cada versão guarda o documento antes e depois, o que permite desfazer e restaurar.
+// Transferências ficam fora: suas pernas são editadas juntas em /api/transfers
+const Transaction = require('../models/Transaction')
+const TransactionHistory = require('../models/TransactionHistory')
+const TrashItem = require('../models/TrashItem')
+const { reverterImpactos, aplicarImpactos } = require('./transactionImpactService')
+const attachmentService = require('./attachmentService')
+
+// Campos comparados entre versões e recuperados numa restauração
+const CAMPOS_AUDITADOS = [
+  'descricao', 'valor', 'tipo', 'categoria', 'subcategoria', 'divisoes', 'data',
+  'contaId', 'moeda', 'metodoPagamento', 'orcamentoId', 'metaId', 'tags',
+  'localizacao', 'observacoes', 'status', 'lembrete'
+]
+
+const normalizar = valor => JSON.stringify(valor ?? null)
+
+class TransactionHistoryService {
+  // Cópia simples do documento para gravar no histórico
+  capturar(transacao) {
+    if (!transacao) return null
+    const copia = typeof transacao.toObject === 'function'
+      ? transacao.toObject({ depopulate: true, virtuals: false })
+      : { ...transacao }
+    delete copia.__v
+    return copia
+  }
+
+  diferencas(anterior, estado) {
+    return CAMPOS_AUDITADOS
+      .filter(campo => normalizar(anterior?.[campo]) !== normalizar(estado?.[campo]))
+      .map(campo => ({
+        campo,
+        anterior: anterior?.[campo] ?? null,
+        novo: estado?.[campo] ?? null
+      }))
+  }
+
+  // Registrar uma nova versão de cada transação
+  // Em edições, anteriores traz os documentos antes da alteração; edições sem diferença são ignoradas.
+  // Falhas são apenas registradas no log: o histórico não impede a operação principal
+  async registrar(transacoes, {
+    operacao,
+    origem = 'app',
+    autorId = null,
+    anteriores = [],
+    versaoRestaurada = null,
+    versaoDesfeita = null
+  }) {
+    const lista = transacoes.filter(t => t && !t.transferenciaId)
+    if (lista.length === 0) return []
+
+    // Mesma data para as versões gravadas juntas (ex.: parcelas excluídas com a compra)
+    const criadoEm = new Date()
+
+    try {
+      const ultimas = await TransactionHistory.aggregate([
+        { $match: { transacaoId: { $in: lista.map(t => t._id) } } },
+        { $group: { _id: '$transacaoId', versao: { $max: '$versao' } } }
+      ])
+      const versoes = new Map(ultimas.map(u => [String(u._id), u.versao]))
+      const antes = new Map(anteriores.map(t => [String(t._id), t]))
+
+      const registros = []
+      for (const transacao of lista) {
+        const id = String(transacao._id)
+        const anterior = operacao === 'criacao' ? null : this.capturar(antes.get(id) || transacao)
+        const estado = operacao === 'exclusao' ? null : this.capturar(transacao)
+        const alteracoes = this.diferencas(anterior, estado)
+
+        if (operacao === 'edicao' && alteracoes.length === 0) continue
+
+        registros.push({
+          userId: transacao.userId,
+          transacaoId: transacao._id,
+          versao: (versoes.get(id) || 0) + 1,
+          operacao,
+          origem,
+          autorId,
+          alteracoes,
+          anterior,
+          estado,
+          versaoRestaurada,
+          versaoDesfeita,
+          criadoEm
+        })
+      }
+
+      if (registros.length > 0) {
+        await TransactionHistory.insertMany(registros, { ordered: false })
+      }
+      return registros
+
+    } catch (error) {
+      console.error('❌ Erro ao registrar histórico de transações:', error)
+      return []
+    }
+  }
+
+  // Versões de uma transação, da mais recente para a mais antiga (sem os documentos completos)
+  async listar(userId, transacaoId) {
+    return await TransactionHistory.find({ userId, transacaoId })
+      .sort({ versao: -1 })
+      .select('-anterior -estado')
+      .lean()
+  }
+
+  async buscarVersao(userId, transacaoId, versao = null) {
+    const filtro = { userId, transacaoId }
+    if (versao !== null) filtro.versao = versao
+
+    return await TransactionHistory.findOne(filtro).sort({ versao: -1 })
+  }
+
+  // Versão que o próximo desfazer reverte, a partir da última: versões geradas por um desfazer
+  // e as que elas desfizeram são puladas, então desfazer seguidas vezes vai voltando no histórico.
+  // null quando não há mais o que desfazer
+  async versaoParaDesfazer(ultima) {
+    let registro = ultima
+    while (registro?.versaoDesfeita) {
+      registro = registro.versaoDesfeita > 1
+        ? await this.buscarVersao(registro.userId, registro.transacaoId, registro.versaoDesfeita - 1)
+        : null
+    }
+    return registro
+  }
+
+  // Exclusões das outras parcelas gravadas junto com a exclusão informada (excluir a parcela 1
+  // remove a compra inteira), desde que as parcelas continuem excluídas
+  async exclusoesDoMesmoLote(registro) {
+    const grupoId = registro.anterior?.parcelamento?.grupoId
+    if (registro.operacao !== 'exclusao' || !grupoId) return []
+
+    const candidatas = await TransactionHistory.find({
+      userId: registro.userId,
+      operacao: 'exclusao',
+      criadoEm: registro.criadoEm,
+      'anterior.parcelamento.grupoId': grupoId,
+      transacaoId: { $ne: registro.transacaoId }
+    })
+
+    const exclusoes = []
+    for (const candidata of candidatas) {
+      const ultima = await this.buscarVersao(candidata.userId, candidata.transacaoId)
+      if (ultima.versao === candidata.versao) exclusoes.push(candidata)
+    }
+    return exclusoes
+  }
+
+  // Levar a transação ao estado informado (null = excluída), revertendo e reaplicando
+  // os impactos em fatura, orçamento, meta e categorias. Retorna a transação resultante
+  // Em um desfazer, versaoDesfeita é a versão revertida
+  async restaurar(atual, alvo, { autorId = null, versaoRestaurada = null, versaoDesfeita = null } = {}) {
+    if (!alvo) {
+      await reverterImpactos(atual)
+      await Transaction.deleteOne({ _id: atual._id })
+      await attachmentService.removerDasTransacoes([atual])
+      await this.registrar([atual], { operacao: 'exclusao', autorId, versaoDesfeita })
+      return null
+    }
+
+    // Transação excluída: recriada com o mesmo _id. Se ainda estiver na lixeira, sai dela
+    // e mantém os anexos; senão os arquivos já foram apagados e só os links voltam
+    if (!atual) {
+      const naLixeira = await TrashItem.findOneAndDelete({ tipo: 'transacao', documentoId: alvo._id })
+      const { conciliacao, anexos = [], ...dados } = alvo
+      const recriada = await Transaction.create({
+        ...dados,
+        anexos: naLixeira ? anexos : anexos.filter(anexo => !anexo.chave),
+        atualizadoEm: new Date()
+      })
+
+      await aplicarImpactos(recriada)
+      await this.registrar([recriada], { operacao: 'restauracao', autorId, versaoRestaurada, versaoDesfeita })
+      return recriada
+    }
+
+    const anterior = this.capturar(atual)
+    await reverterImpactos(atual)
+
+    CAMPOS_AUDITADOS.forEach(campo => atual.set(campo, alvo[campo]))
+    // O validate recalcula a conversão quando valor, data ou moeda mudam
+    await atual.save()
+
+    await aplicarImpactos(atual)
+    await this.registrar([atual], {
+      operacao: 'restauracao',
+      autorId,
+      anteriores: [anterior],
+      versaoRestaurada,
+      versaoDesfeita
+    })
+    return atual
+  }
+}
+
+module.exports = new TransactionHistoryService()
@@ -0,0 +1,114 @@
+// services/transactionImpactService.js
+// Efeitos colaterais de uma transação: fatura do cartão, orçamento, meta,
+// estatísticas da categoria e treino das sugestões de categoria.
+// Usados pelo CRUD de transações, importações, regras e motor de recorrências.
+// Pendentes e canceladas só entram na fatura; o resto vale a partir da confirmação
+const Transaction = require('../models/Transaction')
+const Budget = require('../models/Budget')
+const Goal = require('../models/Goal')
+const Category = require('../models/Category')
+const Invoice = require('../models/Invoice')
+const categorySuggestionService = require('./categorySuggestionService')
+
+// Somar (sinal 1) ou retirar (sinal -1) o valor de cada linha do orçamento vinculado
+async function atualizarOrcamentos(transacao, sinal) {
+  for (const lancamento of Transaction.lancamentos(transacao)) {
+    if (!lancamento.orcamentoId) continue
+
+    await Budget.findOneAndUpdate(
+      { _id: lancamento.orcamentoId, userId: transacao.userId },
+      { $inc: { valorGasto: sinal * lancamento.valor } }
+    )
+  }
+}
+
+// Estatísticas das categorias do usuário (as padrão do sistema são compartilhadas)
+// Linhas da mesma categoria contam como uma transação
+async function atualizarCategorias(transacao, operacao) {
+  const porCategoria = {}
+  Transaction.lancamentos(transacao).forEach(lancamento => {
+    porCategoria[lancamento.categoria] = (porCategoria[lancamento.categoria] || 0) + lancamento.valor
+  })
+
+  for (const [nome, valor] of Object.entries(porCategoria)) {
+    const categoria = await Category.buscarPorNome(transacao.userId, nome)
+
+    if (categoria && categoria.userId) {
+      categoria.atualizarEstatisticas(valor, operacao)
+      await categoria.save()
+    }
+  }
+}
+
+async function reverterImpactos(transacao) {
+  try {
+    // Transferências não afetam orçamentos, metas ou categorias
+    if (transacao.transferenciaId || transacao.status !== 'confirmada') return
+
+    // Reverter orçamentos (um por linha em transações divididas)
+    if (transacao.tipo === 'despesa') {
+      await atualizarOrcamentos(transacao, -1)
+    }
+
+    // Reverter meta
+    if (transacao.metaId && transacao.tipo === 'receita') {
+      const meta = await Goal.findOne({ _id: transacao.metaId, userId: transacao.userId })
+      if (meta) {
+        meta.adicionarContribuicao(-Transaction.valorNaMoedaBase(transacao), 'Reversão de transação', 'retirada')
+        await meta.save()
+      }
+    }
+
+    // Reverter estatísticas das categorias do usuário
+    await atualizarCategorias(transacao, 'remover')
+
+    // Retirar do treino das sugestões (volta com os novos dados em aplicarImpactos)
+    await categorySuggestionService.esquecer(transacao)
+
+  } catch (err) {
+    console.error('Erro ao reverter impactos:', err)
+  }
+}
+
+async function aplicarImpactos(transacao) {
+  try {
+    if (transacao.transferenciaId) return
+
+    // Vincular à fatura do cartão (a conta ou a data podem ter mudado)
+    const faturaId = await Invoice.faturaParaTransacao(transacao)
+    if (String(faturaId) !== String(transacao.faturaId)) {
+      await Transaction.updateOne({ _id: transacao._id }, { faturaId })
+      transacao.faturaId = faturaId
+    }
+
+    if (transacao.status !== 'confirmada') return
+
+    // Aplicar orçamentos (um por linha em transações divididas)
+    if (transacao.tipo === 'despesa') {
+      await atualizarOrcamentos(transacao, 1)
+    }
+
+    // Aplicar meta (pelo valor na moeda base, a mesma da meta)
+    if (transacao.metaId && transacao.tipo === 'receita') {
+      const meta = await Goal.findOne({ _id: transacao.metaId, userId: transacao.userId })
+      if (meta) {
+        meta.adicionarContribuicao(Transaction.valorNaMoedaBase(transacao), transacao.observacoes || '')
+        await meta.save()
+      }
+    }
+
+    // Aplicar estatísticas das categorias do usuário
+    await atualizarCategorias(transacao, 'adicionar')
+
+    // Treinar as sugestões de categoria com a transação
+    await categorySuggestionService.aprender(transacao)
+
+  } catch (err) {
+    console.error('Erro ao aplicar impactos:', err)
+  }
+}
+
+module.exports = {
+  reverterImpactos,
+  aplicarImpactos
+}
@@ -0,0 +1,256 @@
+// services/transactionQueryService.js
+// Filtros, totais e agrupamentos da listagem de transações, compartilhados
+// pela listagem, pelas visões salvas e pelo dashboard
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const Account = require('../models/Account')
+const QueryParser = require('../utils/queryParser')
+const currencyService = require('./currencyService')
+
+const CAMPOS_ORDENACAO = ['data', 'valor', 'descricao', 'categoria', 'criadoEm']
+const AGRUPAMENTOS = ['categoria', 'conta', 'mes', 'tipo', 'metodoPagamento', 'tag']
+
+// Totais de receitas e despesas de um conjunto de transações (na moeda base, após emMoedaBase)
+const TOTAIS = {
+  totalReceitas: { $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] } },
+  totalDespesas: { $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] } },
+  count: { $sum: 1 }
+}
+
+class TransactionQueryService {
+  get camposOrdenacao() {
+    return CAMPOS_ORDENACAO
+  }
+
+  get agrupamentos() {
+    return AGRUPAMENTOS
+  }
+
+  // Converter os parâmetros da listagem em filtros do MongoDB
+  // Os valores já vão convertidos (ObjectId, Date) porque os filtros também alimentam aggregates
+  async montarFiltros(userId, parametros = {}) {
+    const {
+      tipo,
+      categoria,
+      contaId,
+      dataInicio,
+      dataFim,
+      search,
+      q,
+      metodoPagamento,
+      status
+    } = parametros
+
+    const filtros = { userId: new mongoose.Types.ObjectId(userId) }
+
+    if (tipo && tipo !== 'todos') filtros.tipo = tipo
+    if (categoria) {
+      // Inclui transações divididas com alguma linha na categoria
+      filtros.$and = [{ $or: [{ categoria }, { 'divisoes.categoria': categoria }] }]
+    }
+    if (contaId && mongoose.Types.ObjectId.isValid(contaId)) {
+      filtros.contaId = new mongoose.Types.ObjectId(contaId)
+    }
+    if (metodoPagamento) filtros.metodoPagamento = metodoPagamento
+    if (status && status !== 'todos') filtros.status = status === 'vencida' ? 'pendente' : status
+
+    if (dataInicio || dataFim) {
+      filtros.data = {}
+      if (dataInicio) filtros.data.$gte = new Date(dataInicio)
+      if (dataFim) filtros.data.$lte = new Date(dataFim)
+    }
+
+    // Vencidas: pendentes com vencimento antes de hoje
+    if (status === 'vencida') {
+      filtros.data = { ...filtros.data, ...Transaction.filtroVencidas().data }
+    }
+
+    if (search) {
+      const regex = QueryParser.contem(search)
+      filtros.$or = [
+        { descricao: regex },
+        { observacoes: regex },
+        { tags: regex }
+      ]
+    }
+
+    // Linguagem de busca (ex.: valor>100 tag:viagem -pix antes:2025-01-01)
+    if (q) {
+      const contas = QueryParser.usaContas(q)
+        ? await Account.find({ userId }).select('nome').lean()
+        : []
+
+      const { condicoes, erros } = QueryParser.montarFiltro(q, { contas })
+
+      if (erros.length > 0) return { filtros: null, erros }
+
+      if (condicoes.length > 0) {
+        filtros.$and = [...(filtros.$and || []), ...condicoes]
+      }
+    }
+
+    return { filtros, erros: [] }
+  }
+
+  // Totais realizados do filtro na moeda base (transferências não entram em receitas/despesas)
+  // porMoeda traz os totais originais de cada moeda; pendentes são somadas à parte
+  async resumir(filtros) {
+    const [[resultado], moedaBase] = await Promise.all([
+      Transaction.aggregate([
+        { $match: Transaction.semTransferencias(filtros) },
+        Transaction.emMoedaBase(),
+        {
+          $facet: {
+            totais: [{ $match: { status: 'confirmada' } }, { $group: { _id: null, ...TOTAIS } }],
+            pendentes: [{ $match: { status: 'pendente' } }, { $group: { _id: null, ...TOTAIS } }],
+            porMoeda: [
+              { $match: { status: 'confirmada' } },
+              {
+                $group: {
+                  _id: '$moeda',
+                  totalReceitas: { $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valorOriginal', 0] } },
+                  totalDespesas: { $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valorOriginal', 0] } }
+                }
+              },
+              { $sort: { _id: 1 } }
+            ]
+          }
+        }
+      ]),
+      currencyService.moedaBase(filtros.userId)
+    ])
+
+    const [estatisticas] = resultado.totais
+    const [pendentes] = resultado.pendentes
+    const totalReceitas = estatisticas?.totalReceitas || 0
+    const totalDespesas = estatisticas?.totalDespesas || 0
+
+    return {
+      moedaBase,
+      totalReceitas,
+      totalDespesas,
+      saldo: totalReceitas - totalDespesas,
+      quantidade: estatisticas?.count || 0,
+      pendentes: {
+        totalReceitas: pendentes?.totalReceitas || 0,
+        totalDespesas: pendentes?.totalDespesas || 0,
+        quantidade: pendentes?.count || 0
+      },
+      porMoeda: resultado.porMoeda.map(m => ({
+        moeda: m._id || moedaBase,
+        totalReceitas: m.totalReceitas,
+        totalDespesas: m.totalDespesas
+      }))
+    }
+  }
+
+  // Pendentes a pagar e a receber (na moeda base) com vencimento até a data, vencidas incluídas
+  async resumirPendentes(userId, { ate = null, contaId = null, tipo = null } = {}) {
+    const hoje = new Date()
+    hoje.setHours(0, 0, 0, 0)
+
+    const filtros = Transaction.semTransferencias({
+      userId: new mongoose.Types.ObjectId(userId),
+      status: 'pendente'
+    })
+    if (ate) filtros.data = { $lte: ate }
+    if (contaId) filtros.contaId = new mongoose.Types.ObjectId(contaId)
+    if (tipo) filtros.tipo = tipo
+
+    const [resultado] = await Transaction.aggregate([
+      { $match: filtros },
+      Transaction.emMoedaBase(),
+      {
+        $group: {
+          _id: null,
+          aPagar: { $sum: { $cond: [{ $eq: ['$tipo', 'despesa'] }, '$valor', 0] } },
+          aReceber: { $sum: { $cond: [{ $eq: ['$tipo', 'receita'] }, '$valor', 0] } },
+          vencidas: { $sum: { $cond: [{ $lt: ['$data', hoje] }, 1, 0] } },
+          totalVencido: { $sum: { $cond: [{ $lt: ['$data', hoje] }, '$valor', 0] } },
+          quantidade: { $sum: 1 }
+        }
+      }
+    ])
+
+    return {
+      aPagar: resultado?.aPagar || 0,
+      aReceber: resultado?.aReceber || 0,
+      vencidas: resultado?.vencidas || 0,
+      totalVencido: resultado?.totalVencido || 0,
+      quantidade: resultado?.quantidade || 0
+    }
+  }
+
+  // Totais atuais de uma visão salva (período relativo calculado agora)
+  async resumirVisao(userId, visao) {
+    const parametros = visao.parametros()
+    const { filtros, erros } = await this.montarFiltros(userId, parametros)
+
+    return {
+      _id: visao._id,
+      nome: visao.nome,
+      cor: visao.cor,
+      icone: visao.icone,
+      periodo: {
+        tipo: visao.filtros?.periodo || 'todos',
+        dataInicio: parametros.dataInicio || null,
+        dataFim: parametros.dataFim || null
+      },
+      // Ex.: conta da consulta renomeada depois de salvar a visão
+      erros: erros.length > 0 ? erros : undefined,
+      resumo: filtros ? await this.resumir(filtros) : null
+    }
+  }
+
+  // Totais realizados por grupo; por categoria, cada linha de uma transação dividida conta no seu grupo
+  async agrupar(filtros, agrupamento) {
+    const etapas = [{ $match: Transaction.realizadas(filtros) }, Transaction.emMoedaBase()]
+    let chave
+
+    switch (agrupamento) {
+      case 'categoria':
+        etapas.push(...Transaction.expandirDivisoes())
+        chave = '$categoria'
+        break
+      case 'conta':
+        chave = '$contaId'
+        break
+      case 'mes':
+        chave = { $dateToString: { format: '%Y-%m', date: '$data' } }
+        break
+      case 'tag':
+        etapas.push({ $unwind: '$tags' })
+        chave = '$tags'
+        break
+      default:
+        chave = `$${agrupamento}`
+    }
+
+    etapas.push(
+      { $group: { _id: chave, ...TOTAIS } },
+      { $sort: agrupamento === 'mes' ? { _id: 1 } : { totalDespesas: -1, totalReceitas: -1 } }
+    )
+
+    const grupos = await Transaction.aggregate(etapas)
+
+    // Nomes das contas no lugar dos IDs
+    let contas = {}
+    if (agrupamento === 'conta') {
+      const encontradas = await Account.find({ _id: { $in: grupos.map(g => g._id).filter(Boolean) } })
+        .select('nome')
+        .lean()
+      contas = Object.fromEntries(encontradas.map(c => [String(c._id), c.nome]))
+    }
+
+    return grupos.map(grupo => ({
+      chave: grupo._id,
+      ...(agrupamento === 'conta' && { nome: contas[String(grupo._id)] || null }),
+      totalReceitas: grupo.totalReceitas,
+      totalDespesas: grupo.totalDespesas,
+      saldo: grupo.totalReceitas - grupo.totalDespesas,
+      quantidade: grupo.count
+    }))
+  }
+}
+
+module.exports = new TransactionQueryService()
@@ -0,0 +1,222 @@
+// services/trashService.js
+// Lixeira: transações, transferências, orçamentos, metas e categorias excluídos ficam guardados
+// por um período de retenção e podem ser restaurados; o cron de limpeza apaga os expirados
+const Transaction = require('../models/Transaction')
+const Budget = require('../models/Budget')
+const Goal = require('../models/Goal')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const TrashItem = require('../models/TrashItem')
+const { aplicarImpactos } = require('./transactionImpactService')
+const attachmentService = require('./attachmentService')
+const transactionHistoryService = require('./transactionHistoryService')
+
+const TIPOS = {
+  transacao: { modelo: Transaction, descrever: doc => doc.descricao },
+  // Um item com as duas pernas ({ pernas: [débito, crédito] }), restauradas juntas
+  transferencia: { modelo: Transaction, descrever: doc => doc.pernas[0]?.descricao },
+  orcamento: { modelo: Budget, descrever: doc => doc.nome || doc.categoria },
+  meta: { modelo: Goal, descrever: doc => doc.titulo },
+  categoria: { modelo: Category, descrever: doc => doc.nome }
+}
+
+// Campos lidos dos itens ao apagá-los de vez (anexos das transações e das pernas das transferências)
+const CAMPOS_ANEXOS = 'tipo documento.anexos documento.pernas.anexos'
+
+class TrashService {
+  get camposAnexos() {
+    return CAMPOS_ANEXOS
+  }
+
+  // Guardar os documentos (já removidos da coleção de origem) na lixeira
+  async mover(tipo, documentos, { vinculos = {} } = {}) {
+    if (documentos.length === 0) return []
+
+    return await TrashItem.insertMany(documentos.map(documento => {
+      const copia = documento.toObject({ depopulate: true, virtuals: false })
+      delete copia.__v
+
+      return {
+        userId: documento.userId,
+        tipo,
+        documentoId: documento._id,
+        documento: copia,
+        descricao: TIPOS[tipo].descrever(copia) || '',
+        vinculos
+      }
+    }))
+  }
+
+  // Guardar transferências (pernas já removidas) como um item por transferência
+  async moverTransferencias(pernas) {
+    const porTransferencia = new Map()
+    pernas.forEach(perna => {
+      const chave = String(perna.transferenciaId)
+      porTransferencia.set(chave, [...(porTransferencia.get(chave) || []), perna])
+    })
+    if (porTransferencia.size === 0) return []
+
+    return await TrashItem.insertMany([...porTransferencia.values()].map(grupo => {
+      // Débito primeiro: é a perna que descreve a transferência
+      const copias = grupo
+        .map(perna => {
+          const copia = perna.toObject({ depopulate: true, virtuals: false })
+          delete copia.__v
+          return copia
+        })
+        .sort((a, b) => (a.tipo === 'despesa' ? -1 : 0) - (b.tipo === 'despesa' ? -1 : 0))
+
+      return {
+        userId: grupo[0].userId,
+        tipo: 'transferencia',
+        documentoId: grupo[0].transferenciaId,
+        documento: { pernas: copias },
+        descricao: TIPOS.transferencia.descrever({ pernas: copias }) || ''
+      }
+    }))
+  }
+
+  // Retirar da lixeira itens de uma exclusão que falhou depois de movê-los (os anexos continuam nos documentos)
+  async desfazerMovimento(itens) {
+    if (itens.length === 0) return null
+    return await TrashItem.deleteMany({ _id: { $in: itens.map(item => item._id) } })
+  }
+
+  // Itens que voltam juntos: as parcelas de uma compra (excluída pela parcela 1) e as pernas
+  // de uma transferência, para não restaurar uma compra pela metade ou uma perna só
+  async grupoDoItem(item) {
+    const { parcelamento, transferenciaId } = item.tipo === 'transacao' ? item.documento : {}
+
+    let chave = null
+    if (parcelamento?.grupoId) chave = { 'documento.parcelamento.grupoId': parcelamento.grupoId }
+    else if (transferenciaId) chave = { 'documento.transferenciaId': transferenciaId }
+    if (!chave) return [item]
+
+    const grupo = await TrashItem.find({ userId: item.userId, tipo: 'transacao', ...chave })
+    return grupo.some(membro => String(membro._id) === String(item._id)) ? grupo : [item, ...grupo]
+  }
+
+  // Motivo que impede a restauração de algum item do grupo, ou null
+  async conflitoNoGrupo(grupo) {
+    for (const membro of grupo) {
+      const conflito = await this.conflitoNaRestauracao(membro)
+      if (conflito) return grupo.length > 1 ? `"${membro.descricao}": ${conflito}` : conflito
+    }
+    return null
+  }
+
+  // Motivo que impede a restauração do item, ou null
+  async conflitoNaRestauracao(item) {
+    const { modelo } = TIPOS[item.tipo]
+    const documento = item.documento
+
+    if (item.tipo === 'transferencia') {
+      if (await modelo.exists({ userId: item.userId, transferenciaId: item.documentoId })) {
+        return 'O item já foi restaurado'
+      }
+
+      const contas = documento.pernas.map(perna => perna.contaId)
+      if (await Account.countDocuments({ _id: { $in: contas }, userId: item.userId }) < new Set(contas.map(String)).size) {
+        return 'Uma das contas da transferência foi excluída'
+      }
+
+      return null
+    }
+
+    if (await modelo.exists({ _id: item.documentoId })) {
+      return 'O item já foi restaurado'
+    }
+
+    if (item.tipo === 'transacao' && documento.contaId &&
+      !(await Account.exists({ _id: documento.contaId, userId: item.userId }))) {
+      return 'A conta da transação foi excluída'
+    }
+
+    if (item.tipo === 'categoria' && await Category.exists({ userId: item.userId, nome: documento.nome })) {
+      return 'Já existe uma categoria com este nome'
+    }
+
+    if (item.tipo === 'orcamento' && documento.status === 'ativo') {
+      const conflito = await Budget.exists({
+        userId: item.userId,
+        categoria: documento.categoria,
+        status: 'ativo',
+        dataInicio: { $lte: documento.dataFim },
+        dataFim: { $gte: documento.dataInicio }
+      })
+      if (conflito) return 'Já existe um orçamento ativo para esta categoria no período do orçamento excluído'
+    }
+
+    return null
+  }
+
+  // Recriar o documento com o mesmo _id e refazer seus vínculos
+  async restaurar(item, autorId = null) {
+    const { modelo } = TIPOS[item.tipo]
+
+    // Transferências voltam com as duas pernas (sem o pagamento de fatura, desfeito na exclusão)
+    if (item.tipo === 'transferencia') {
+      const pernas = await modelo.insertMany(
+        item.documento.pernas.map(perna => ({ ...perna, atualizadoEm: new Date() }))
+      )
+      await TrashItem.deleteOne({ _id: item._id })
+      return pernas
+    }
+
+    const restaurado = await modelo.create({ ...item.documento, atualizadoEm: new Date() })
+
+    if (item.tipo === 'transacao') {
+      await aplicarImpactos(restaurado)
+      await transactionHistoryService.registrar([restaurado], { operacao: 'restauracao', autorId })
+    }
+
+    const transacoes = item.vinculos?.transacoes || []
+    if (item.tipo === 'orcamento' && transacoes.length > 0) {
+      await Transaction.updateMany(
+        { _id: { $in: transacoes }, userId: item.userId, orcamentoId: null },
+        { orcamentoId: restaurado._id }
+      )
+    }
+
+    await TrashItem.deleteOne({ _id: item._id })
+    return restaurado
+  }
+
+  // Restaurar as transações de um grupo de uma vez: se uma for inválida, nenhuma é gravada
+  async restaurarGrupo(grupo, autorId = null) {
+    const restauradas = await Transaction.insertMany(
+      grupo.map(item => ({ ...item.documento, atualizadoEm: new Date() }))
+    )
+
+    for (const transacao of restauradas) {
+      await aplicarImpactos(transacao)
+    }
+    await transactionHistoryService.registrar(restauradas, { operacao: 'restauracao', autorId })
+
+    await TrashItem.deleteMany({ _id: { $in: grupo.map(item => item._id) } })
+    return restauradas
+  }
+
+  // Apagar de vez: os arquivos dos anexos só são removidos aqui
+  async purgar(itens) {
+    if (itens.length === 0) return 0
+
+    const anexos = itens.flatMap(item => {
+      if (item.tipo === 'transacao') return item.documento.anexos || []
+      if (item.tipo === 'transferencia') return item.documento.pernas.flatMap(perna => perna.anexos || [])
+      return []
+    })
+
+    await TrashItem.deleteMany({ _id: { $in: itens.map(item => item._id) } })
+    await attachmentService.removerArquivos(anexos)
+
+    return itens.length
+  }
+
+  async purgarExpirados(agora = new Date()) {
+    const expirados = await TrashItem.find({ expiraEm: { $lte: agora } }).select(CAMPOS_ANEXOS).lean()
+    return await this.purgar(expirados)
+  }
+}
+
+module.exports = new TrashService()
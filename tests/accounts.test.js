@@ -0,0 +1,108 @@
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+const User = require('../models/User')
+const accountController = require('../controllers/accountController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Account.obterPadrao', () => {
+  it('devolve a conta padrão existente sem criar outra', async () => {
+    const padrao = { _id: novoId(), padrao: true }
+    jest.spyOn(Account, 'findOne').mockResolvedValue(padrao)
+    const create = jest.spyOn(Account, 'create')
+
+    expect(await Account.obterPadrao(novoId())).toBe(padrao)
+    expect(create).not.toHaveBeenCalled()
+  })
+
+  it('cria a conta padrão na moeda do usuário', async () => {
+    const userId = novoId()
+    jest.spyOn(Account, 'findOne').mockResolvedValue(null)
+    jest.spyOn(User, 'findById').mockReturnValue(consulta({ configuracoes: { moeda: 'USD' } }))
+    const create = jest.spyOn(Account, 'create').mockImplementation(async dados => dados)
+
+    const conta = await Account.obterPadrao(userId)
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ userId, nome: 'Principal', moeda: 'USD', padrao: true }))
+    expect(conta.padrao).toBe(true)
+  })
+
+  it('usa a conta criada por outra requisição ao mesmo tempo', async () => {
+    const criadaAoMesmoTempo = { _id: novoId(), padrao: true }
+    jest.spyOn(Account, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(criadaAoMesmoTempo)
+    jest.spyOn(User, 'findById').mockReturnValue(consulta(null))
+    jest.spyOn(Account, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }))
+
+    expect(await Account.obterPadrao(novoId())).toBe(criadaAoMesmoTempo)
+  })
+
+  it('repassa outros erros de criação', async () => {
+    jest.spyOn(Account, 'findOne').mockResolvedValue(null)
+    jest.spyOn(User, 'findById').mockReturnValue(consulta(null))
+    jest.spyOn(Account, 'create').mockRejectedValue(new Error('falha'))
+
+    await expect(Account.obterPadrao(novoId())).rejects.toThrow('falha')
+  })
+})
+
+describe('Account.calcularSaldos', () => {
+  it('soma o saldo inicial às receitas e despesas confirmadas de cada conta', async () => {
+    const corrente = { _id: novoId(), saldoInicial: 100 }
+    const carteira = { _id: novoId() }
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+      { _id: corrente._id, receitas: 500, despesas: 120 }
+    ])
+    const ateData = new Date(2025, 0, 31)
+
+    const saldos = await Account.calcularSaldos(novoId(), [corrente, carteira], ateData)
+
+    expect(saldos).toEqual({ [corrente._id]: 480, [carteira._id]: 0 })
+    const { $match } = aggregate.mock.calls[0][0][0]
+    expect($match.status).toBe('confirmada')
+    expect($match.data).toEqual({ $lte: ateData })
+  })
+})
+
+describe('accountController', () => {
+  it('getSaldo considera o dia informado até o fim', async () => {
+    const conta = new Account({ userId: novoId(), nome: 'Corrente', tipo: 'corrente' })
+    jest.spyOn(Account, 'findOne').mockResolvedValue(conta)
+    const calcularSaldo = jest.spyOn(conta, 'calcularSaldo').mockResolvedValue(250)
+    const res = criarRes()
+
+    await accountController.getSaldo(criarReq({ params: { id: String(conta._id) }, query: { data: '2025-03-10' } }), res)
+
+    const data = calcularSaldo.mock.calls[0][0]
+    expect([data.getDate(), data.getHours(), data.getMinutes()]).toEqual([10, 23, 59])
+    expect(res.body.data.saldo).toBe(250)
+  })
+
+  it('remove não exclui a conta padrão', async () => {
+    jest.spyOn(Account, 'findOne').mockResolvedValue({ _id: novoId(), padrao: true })
+    const deleteOne = jest.spyOn(Account, 'deleteOne')
+    const res = criarRes()
+
+    await accountController.remove(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(deleteOne).not.toHaveBeenCalled()
+  })
+
+  it('remove sugere arquivar quando a conta tem transações', async () => {
+    jest.spyOn(Account, 'findOne').mockResolvedValue({ _id: novoId(), padrao: false })
+    jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(3)
+    const deleteOne = jest.spyOn(Account, 'deleteOne')
+    const res = criarRes()
+
+    await accountController.remove(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.sugestao).toMatch(/arquivar/)
+    expect(deleteOne).not.toHaveBeenCalled()
+  })
+})
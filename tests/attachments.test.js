@@ -0,0 +1,151 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const Transaction = require('../models/Transaction')
+const { ArmazenamentoLocal, criarArmazenamento, armazenamento } = require('../services/attachmentStorage')
+const attachmentService = require('../services/attachmentService')
+const attachmentController = require('../controllers/attachmentController')
+const { criarReq, criarRes, novoId } = require('./helpers')
+
+function lerStream(stream) {
+  return new Promise((resolve, reject) => {
+    const partes = []
+    stream.on('data', parte => partes.push(parte))
+    stream.on('end', () => resolve(Buffer.concat(partes)))
+    stream.on('error', reject)
+  })
+}
+
+async function novaImagemPng(largura, altura) {
+  return await sharp({
+    create: { width: largura, height: altura, channels: 3, background: { r: 200, g: 10, b: 10 } }
+  }).png().toBuffer()
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('ArmazenamentoLocal', () => {
+  let diretorio
+  let local
+
+  beforeEach(async () => {
+    diretorio = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'anexos-'))
+    local = new ArmazenamentoLocal(diretorio)
+  })
+
+  afterEach(async () => {
+    await fs.promises.rm(diretorio, { recursive: true, force: true })
+  })
+
+  it('salva, abre e remove arquivos pela chave', async () => {
+    await local.salvar('usuario/transacao/arquivo.pdf', Buffer.from('%PDF-1.4'))
+
+    expect((await lerStream(await local.abrir('usuario/transacao/arquivo.pdf'))).toString()).toBe('%PDF-1.4')
+
+    await local.removerPrefixo('usuario')
+    expect(await local.abrir('usuario/transacao/arquivo.pdf')).toBeNull()
+  })
+
+  it('não permite chaves fora do diretório base', async () => {
+    await expect(local.salvar('../fora.txt', Buffer.from('x'))).rejects.toThrow('Chave de anexo inválida')
+    expect(() => local.caminho('/etc/passwd')).toThrow('Chave de anexo inválida')
+  })
+
+  it('recusa backends desconhecidos', () => {
+    expect(() => criarArmazenamento('ftp')).toThrow('Armazenamento de anexos desconhecido: ftp')
+  })
+})
+
+describe('attachmentService.preparar', () => {
+  it('gera a miniatura das imagens sem ampliar', async () => {
+    const buffer = await novaImagemPng(1000, 500)
+
+    const { formato, miniatura } = await attachmentService.preparar({ mimetype: 'image/png', buffer })
+
+    expect(formato.tipo).toBe('imagem')
+    const info = await sharp(miniatura).metadata()
+    expect([info.format, info.width, info.height]).toEqual(['webp', 320, 160])
+  })
+
+  it('aceita PDF sem miniatura', async () => {
+    const preparado = await attachmentService.preparar({ mimetype: 'application/pdf', buffer: Buffer.from('%PDF-1.7 ...') })
+
+    expect(preparado).toMatchObject({ formato: { tipo: 'pdf' }, miniatura: null })
+  })
+
+  it('recusa tipos não permitidos e conteúdo que não corresponde ao tipo', async () => {
+    expect((await attachmentService.preparar({ mimetype: 'text/html', buffer: Buffer.from('<html>') })).erro)
+      .toMatch(/não permitido/)
+    expect((await attachmentService.preparar({ mimetype: 'image/png', buffer: Buffer.from('%PDF-1.4') })).erro)
+      .toMatch(/não corresponde/)
+  })
+})
+
+describe('attachmentService.anexar', () => {
+  it('grava arquivo e miniatura na pasta da transação', async () => {
+    const salvar = jest.spyOn(armazenamento, 'salvar').mockResolvedValue()
+    const updateOne = jest.spyOn(Transaction, 'updateOne').mockResolvedValue({})
+    const transacao = { _id: novoId(), userId: novoId() }
+
+    const anexo = await attachmentService.anexar(
+      transacao,
+      { originalname: '../../nota.png', size: 10, mimetype: 'image/png', buffer: Buffer.from('x') },
+      { formato: { tipo: 'imagem', extensao: '.png' }, miniatura: Buffer.from('m') }
+    )
+
+    expect(anexo.nome).toBe('nota.png')
+    expect(anexo.chave).toMatch(new RegExp(`^${transacao.userId}/${transacao._id}/[\\w-]+\\.png$`))
+    expect(salvar).toHaveBeenCalledWith(anexo.chaveMiniatura, Buffer.from('m'))
+    expect(updateOne.mock.calls[0][1].$push.anexos).toBe(anexo)
+  })
+
+  it('remove os arquivos gravados se a transação não puder ser atualizada', async () => {
+    jest.spyOn(armazenamento, 'salvar').mockResolvedValue()
+    const remover = jest.spyOn(armazenamento, 'remover').mockResolvedValue()
+    jest.spyOn(Transaction, 'updateOne').mockRejectedValue(new Error('falha'))
+
+    await expect(attachmentService.anexar(
+      { _id: novoId(), userId: novoId() },
+      { originalname: 'nota.pdf', size: 10, mimetype: 'application/pdf', buffer: Buffer.from('%PDF-') },
+      { formato: { tipo: 'pdf', extensao: '.pdf' }, miniatura: null }
+    )).rejects.toThrow('falha')
+    expect(remover).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('attachmentController.upload', () => {
+  const arquivo = { originalname: 'nota.pdf', size: 2048, mimetype: 'application/pdf', buffer: Buffer.from('%PDF-') }
+
+  it('recusa quando a cota do usuário não comporta o arquivo', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue({ _id: novoId(), anexos: [] })
+    jest.spyOn(attachmentService, 'uso').mockResolvedValue({ bytes: 99, disponivel: 1024 })
+    const anexar = jest.spyOn(attachmentService, 'anexar')
+    const req = criarReq({ params: { id: novoId().toString() } })
+    req.file = arquivo
+    const res = criarRes()
+
+    await attachmentController.upload(req, res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('Cota de armazenamento de anexos excedida')
+    expect(anexar).not.toHaveBeenCalled()
+  })
+
+  it('limita a quantidade de anexos por transação', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue({
+      _id: novoId(),
+      anexos: Array(attachmentService.anexosPorTransacao).fill({})
+    })
+    const req = criarReq({ params: { id: novoId().toString() } })
+    req.file = arquivo
+    const res = criarRes()
+
+    await attachmentController.upload(req, res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toMatch(/no máximo/)
+  })
+})
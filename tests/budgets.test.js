@@ -0,0 +1,106 @@
+const Budget = require('../models/Budget')
+const budgetController = require('../controllers/budgetController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+function novoOrcamento(dados = {}) {
+  return new Budget({
+    userId: novoId(),
+    nome: 'Mercado',
+    categoria: 'Alimentação',
+    valorLimite: 1000,
+    valorGasto: 600,
+    moeda: 'BRL',
+    periodo: 'mensal',
+    dataInicio: new Date(2025, 0, 1),
+    dataFim: new Date(2025, 0, 31),
+    renovacaoAutomatica: true,
+    ...dados
+  })
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Budget#renovar', () => {
+  it('inicia o próximo período com o gasto zerado e registra no histórico', () => {
+    const orcamento = novoOrcamento()
+
+    expect(orcamento.renovar()).toBe(true)
+
+    expect(orcamento.dataInicio).toEqual(new Date(2025, 1, 1))
+    expect(orcamento.dataFim).toEqual(new Date(2025, 2, 1))
+    expect(orcamento.valorGasto).toBe(0)
+    expect(orcamento.valorLimite).toBe(1000)
+    expect(orcamento.estatisticasRenovacao.totalRenovacoes).toBe(1)
+    expect(orcamento.historico.at(-1).acao).toBe('renovado')
+  })
+
+  it('soma o saldo restante ao limite com rollover', () => {
+    const orcamento = novoOrcamento({ configuracoes: { renovacao: { rollover: true } } })
+
+    orcamento.renovar()
+
+    expect(orcamento.valorLimite).toBe(1400)
+  })
+
+  it('não renova sem renovação automática ou com período personalizado', () => {
+    expect(novoOrcamento({ renovacaoAutomatica: false }).renovar()).toBe(false)
+    expect(novoOrcamento({ periodo: 'personalizado' }).renovar()).toBe(false)
+  })
+})
+
+describe('budgetController', () => {
+  it('update não altera gasto, histórico nem estatísticas enviados no corpo', async () => {
+    const orcamento = novoOrcamento()
+    jest.spyOn(Budget, 'findOne').mockResolvedValue(orcamento)
+    jest.spyOn(orcamento, 'save').mockResolvedValue(orcamento)
+    const res = criarRes()
+
+    await budgetController.update(criarReq({
+      params: { id: String(orcamento._id) },
+      body: { nome: 'Feira', valorGasto: 0, historico: [], estatisticasRenovacao: { totalRenovacoes: 99 } }
+    }), res)
+
+    expect(res.body.success).toBe(true)
+    expect(orcamento.nome).toBe('Feira')
+    expect(orcamento.valorGasto).toBe(600)
+    expect(orcamento.estatisticasRenovacao.totalRenovacoes).toBe(0)
+  })
+
+  it('renovar recusa orçamentos sem renovação automática', async () => {
+    jest.spyOn(Budget, 'findOne').mockResolvedValue(novoOrcamento({ renovacaoAutomatica: false }))
+    const res = criarRes()
+
+    await budgetController.renovar(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+  })
+
+  it('getHistorico devolve as entradas da mais recente para a mais antiga', async () => {
+    const orcamento = novoOrcamento()
+    orcamento.historico.push({ data: new Date(2025, 0, 1), acao: 'criado' })
+    orcamento.historico.push({ data: new Date(2025, 0, 15), acao: 'editado' })
+    jest.spyOn(Budget, 'findOne').mockReturnValue(consulta(orcamento))
+    const res = criarRes()
+
+    await budgetController.getHistorico(criarReq({ params: { id: String(orcamento._id) } }), res)
+
+    expect(res.body.data.historico.map(h => h.acao)).toEqual(['editado', 'criado'])
+  })
+
+  it('processarVencimentos considera apenas os orçamentos do usuário', async () => {
+    const find = jest.spyOn(Budget, 'find').mockResolvedValue([])
+    const req = criarReq()
+    const res = criarRes()
+
+    await budgetController.processarVencimentos(req, res)
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ userId: req.userId, status: 'ativo' }))
+    expect(res.body.data).toEqual({ finalizados: 0, renovados: 0, erros: 0 })
+  })
+})
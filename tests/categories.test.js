@@ -0,0 +1,87 @@
+const Category = require('../models/Category')
+const categoryController = require('../controllers/categoryController')
+const { criarReq, criarRes, novoId } = require('./helpers')
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Category.mesclarComPadrao', () => {
+  it('mantém a categoria do usuário no lugar da padrão de mesmo nome', () => {
+    const userId = novoId()
+    const padraoAlimentacao = { nome: 'Alimentação', userId: null, padrao: true }
+    const doUsuario = { nome: 'Alimentação', userId }
+    const padraoLazer = { nome: 'Lazer', userId: null, padrao: true }
+
+    const resultado = Category.mesclarComPadrao([padraoAlimentacao, doUsuario, padraoLazer])
+
+    expect(resultado).toEqual([doUsuario, padraoLazer])
+  })
+})
+
+describe('Category.buscarPorNome', () => {
+  it('prefere a categoria do usuário e cai para a do sistema', async () => {
+    const userId = novoId()
+    const padrao = { nome: 'Lazer', padrao: true }
+    const findOne = jest.spyOn(Category, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(padrao)
+
+    const categoria = await Category.buscarPorNome(userId, 'Lazer', { ativa: true })
+
+    expect(categoria).toBe(padrao)
+    expect(findOne).toHaveBeenNthCalledWith(1, { userId, nome: 'Lazer', ativa: true })
+    expect(findOne).toHaveBeenNthCalledWith(2, { padrao: true, userId: null, nome: 'Lazer', ativa: true })
+  })
+})
+
+describe('Category#atualizarEstatisticas', () => {
+  it('soma e subtrai sem deixar totais negativos', () => {
+    const categoria = new Category({ nome: 'Lazer', tipo: 'despesa', userId: novoId() })
+
+    categoria.atualizarEstatisticas(50)
+    expect(categoria.estatisticas.totalTransacoes).toBe(1)
+    expect(categoria.estatisticas.totalValor).toBe(50)
+
+    categoria.atualizarEstatisticas(80, 'remover')
+    expect(categoria.estatisticas.totalTransacoes).toBe(0)
+    expect(categoria.estatisticas.totalValor).toBe(0)
+  })
+})
+
+describe('categoryController', () => {
+  it('create recusa nome já usado pelo usuário ou pelo sistema', async () => {
+    const findOne = jest.spyOn(Category, 'findOne').mockResolvedValue({ nome: 'Lazer' })
+    const save = jest.spyOn(Category.prototype, 'save')
+    const res = criarRes()
+
+    await categoryController.create(criarReq({ body: { nome: ' Lazer ', tipo: 'despesa' } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(findOne.mock.calls[0][0].$or).toEqual(expect.arrayContaining([
+      expect.objectContaining({ nome: 'Lazer', padrao: true, userId: null })
+    ]))
+    expect(save).not.toHaveBeenCalled()
+  })
+
+  it('updateOrdem grava a posição de cada categoria do usuário', async () => {
+    const bulkWrite = jest.spyOn(Category, 'bulkWrite').mockResolvedValue({})
+    const [a, b] = [novoId(), novoId()]
+    const req = criarReq({ body: { categorias: [{ id: b }, { id: a }] } })
+
+    await categoryController.updateOrdem(req, criarRes())
+
+    expect(bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: b, userId: req.userId }, update: { ordem: 0 } } },
+      { updateOne: { filter: { _id: a, userId: req.userId }, update: { ordem: 1 } } }
+    ])
+  })
+
+  it('buscar exige ao menos 2 caracteres', async () => {
+    const res = criarRes()
+
+    await categoryController.buscar(criarReq({ query: { q: 'a' } }), res)
+
+    expect(res.statusCode).toBe(400)
+  })
+})
@@ -0,0 +1,142 @@
+const Transaction = require('../models/Transaction')
+const Category = require('../models/Category')
+const CategoryClassifier = require('../models/CategoryClassifier')
+const categorySuggestionService = require('../services/categorySuggestionService')
+const { consulta, novoId } = require('./helpers')
+
+const HISTORICO = [
+  { tipo: 'despesa', categoria: 'Transporte', descricao: 'Uber trip centro', valor: 25, metodoPagamento: 'cartao_credito' },
+  { tipo: 'despesa', categoria: 'Transporte', descricao: 'UBER *TRIP', valor: 18, metodoPagamento: 'cartao_credito' },
+  { tipo: 'despesa', categoria: 'Alimentação', descricao: 'iFood restaurante', valor: 45, metodoPagamento: 'cartao_credito' },
+  { tipo: 'despesa', categoria: 'Alimentação', descricao: 'Padaria Pão Quente', valor: 12, metodoPagamento: 'pix' },
+  { tipo: 'receita', categoria: 'Salário', descricao: 'Salário empresa', valor: 5000, metodoPagamento: 'transferencia' }
+].map(t => ({ ...t, status: 'confirmada', transferenciaId: null }))
+
+// Transaction.find(...).select(...).lean().cursor() percorrendo o histórico
+function cursorDoHistorico(transacoes) {
+  const query = consulta(transacoes)
+  query.cursor = () => (async function * () { yield * transacoes })()
+  return query
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('categorySuggestionService.caracteristicas', () => {
+  it('usa palavras sem acento, faixa de valor e método de pagamento', () => {
+    expect(categorySuggestionService.tokenizar('Compra PADARIA São João 123 x')).toEqual(['padaria', 'sao', 'joao'])
+    expect(categorySuggestionService.caracteristicas({ descricao: 'Uber', valor: 25, metodoPagamento: 'pix' }))
+      .toEqual(['p_uber', 'valor_1', 'metodo_pix'])
+    expect(categorySuggestionService.faixaValor(20000)).toBe(9)
+  })
+
+  it('aprende só com receitas e despesas confirmadas', () => {
+    const base = { tipo: 'despesa', categoria: 'Lazer', status: 'confirmada' }
+
+    expect(categorySuggestionService.deveAprender(base)).toBeTruthy()
+    expect(categorySuggestionService.deveAprender({ ...base, status: 'pendente' })).toBeFalsy()
+    expect(categorySuggestionService.deveAprender({ ...base, transferenciaId: novoId() })).toBeFalsy()
+  })
+})
+
+describe('categorySuggestionService treino incremental', () => {
+  it('aprender soma as características e esquecer remove modelos zerados', async () => {
+    const updateOne = jest.spyOn(CategoryClassifier, 'updateOne').mockResolvedValue({})
+    const deleteOne = jest.spyOn(CategoryClassifier, 'deleteOne').mockResolvedValue({})
+    const transacao = { ...HISTORICO[0], userId: novoId() }
+
+    await categorySuggestionService.aprender(transacao)
+    expect(updateOne).toHaveBeenLastCalledWith(
+      expect.objectContaining({ categoria: 'Transporte', subcategoria: null }),
+      { $inc: expect.objectContaining({ documentos: 1, 'caracteristicas.p_uber': 1 }) },
+      { upsert: true }
+    )
+    expect(deleteOne).not.toHaveBeenCalled()
+
+    await categorySuggestionService.esquecer(transacao)
+    expect(updateOne.mock.calls[1][1].$inc.documentos).toBe(-1)
+    expect(updateOne.mock.calls[1][2]).toEqual({ upsert: false })
+    expect(deleteOne).toHaveBeenCalledWith(expect.objectContaining({ documentos: { $lte: 0 } }))
+  })
+})
+
+describe('categorySuggestionService.retreinar', () => {
+  it('reconstrói um modelo por categoria a partir das transações realizadas', async () => {
+    const userId = novoId()
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(cursorDoHistorico(HISTORICO))
+    jest.spyOn(CategoryClassifier, 'deleteMany').mockResolvedValue({})
+    const insertMany = jest.spyOn(CategoryClassifier, 'insertMany').mockResolvedValue([])
+
+    const resultado = await categorySuggestionService.retreinar(userId)
+
+    expect(find).toHaveBeenCalledWith(Transaction.realizadas({ userId }))
+    expect(resultado).toEqual({ transacoes: 5, categorias: 3 })
+    const transporte = insertMany.mock.calls[0][0].find(m => m.categoria === 'Transporte')
+    expect(transporte).toMatchObject({ documentos: 2, caracteristicas: expect.objectContaining({ p_uber: 2, p_trip: 2 }) })
+    expect(transporte.treinadoEm).toBeInstanceOf(Date)
+  })
+})
+
+describe('categorySuggestionService.sugerir', () => {
+  const userId = novoId()
+  let modelos
+
+  beforeAll(async () => {
+    jest.spyOn(Transaction, 'find').mockReturnValue(cursorDoHistorico(HISTORICO))
+    jest.spyOn(CategoryClassifier, 'deleteMany').mockResolvedValue({})
+    const insertMany = jest.spyOn(CategoryClassifier, 'insertMany').mockResolvedValue([])
+    await categorySuggestionService.retreinar(userId)
+    modelos = insertMany.mock.calls[0][0]
+    jest.restoreAllMocks()
+  })
+
+  beforeEach(() => {
+    jest.spyOn(CategoryClassifier, 'exists').mockResolvedValue({ _id: novoId() })
+    jest.spyOn(Category, 'find').mockReturnValue(consulta(
+      ['Transporte', 'Alimentação', 'Salário'].map(nome => ({ nome, padrao: true, userId: null }))
+    ))
+  })
+
+  it('sugere a categoria das transações com palavras parecidas', async () => {
+    jest.spyOn(CategoryClassifier, 'find').mockReturnValue(consulta(modelos.filter(m => m.tipo === 'despesa')))
+
+    const { candidatos } = await categorySuggestionService.sugerir(userId, {
+      descricao: 'UBER TRIP 1234',
+      valor: 30,
+      metodoPagamento: 'cartao_credito',
+      tipo: 'despesa'
+    })
+
+    expect(candidatos[0]).toMatchObject({ categoria: 'Transporte', transacoesSemelhantes: 2 })
+    expect(candidatos[0].confianca).toBeGreaterThan(0.8)
+  })
+
+  it('não sugere nada sem palavras conhecidas', async () => {
+    jest.spyOn(CategoryClassifier, 'find').mockReturnValue(consulta(modelos))
+
+    const resultado = await categorySuggestionService.sugerir(userId, { descricao: 'xyz', valor: 30, metodoPagamento: 'pix' })
+
+    expect(resultado).toEqual({ candidatos: [], transacoesAnalisadas: 5, caracteristicasReconhecidas: 0 })
+  })
+
+  it('ignora categorias desativadas', async () => {
+    jest.spyOn(CategoryClassifier, 'find').mockReturnValue(consulta(modelos))
+    Category.find.mockReturnValue(consulta([{ nome: 'Alimentação', padrao: true, userId: null }]))
+
+    const { candidatos } = await categorySuggestionService.sugerir(userId, { descricao: 'Uber', valor: 20 })
+
+    expect(candidatos.map(c => c.categoria)).not.toContain('Transporte')
+  })
+
+  it('treina com o histórico no primeiro uso', async () => {
+    CategoryClassifier.exists.mockResolvedValue(null)
+    const retreinar = jest.spyOn(categorySuggestionService, 'retreinar').mockResolvedValue({ transacoes: 0, categorias: 0 })
+    jest.spyOn(CategoryClassifier, 'find').mockReturnValue(consulta([]))
+
+    const resultado = await categorySuggestionService.sugerir(userId, { descricao: 'Uber' })
+
+    expect(retreinar).toHaveBeenCalledWith(userId)
+    expect(resultado.candidatos).toEqual([])
+  })
+})
@@ -0,0 +1,96 @@
+const Category = require('../models/Category')
+const CsvParser = require('../utils/csvParser')
+const importService = require('../services/importService')
+const { novoId } = require('./helpers')
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('CsvParser', () => {
+  it('detecta o delimitador e respeita aspas com delimitador e quebra de linha', () => {
+    const csv = CsvParser.parse('﻿Data;Descrição;Valor\r\n10/01/2025;"Padaria; centro";-12,50\r\n11/01/2025;"Linha ""1""\nLinha 2";100,00\r\n')
+
+    expect(csv.delimitador).toBe(';')
+    expect(csv.cabecalho).toEqual(['Data', 'Descrição', 'Valor'])
+    expect(csv.linhas).toEqual([
+      { Data: '10/01/2025', 'Descrição': 'Padaria; centro', Valor: '-12,50' },
+      { Data: '11/01/2025', 'Descrição': 'Linha "1"\nLinha 2', Valor: '100,00' }
+    ])
+  })
+
+  it('exige cabeçalho e ao menos uma linha', () => {
+    expect(() => CsvParser.parse('data,valor\n')).toThrow('cabeçalho')
+  })
+
+  it('lê arquivos em Windows-1252', () => {
+    const csv = CsvParser.parse(Buffer.from('descricao,valor\nPão de açúcar,10\n', 'latin1'))
+
+    expect(csv.linhas[0].descricao).toBe('Pão de açúcar')
+  })
+
+  it('detecta vírgula decimal e interpreta formatos de valor', () => {
+    expect(CsvParser.detectarDecimal(['1.234,56', '-10,00', '7'])).toBe('virgula')
+    expect(CsvParser.parseValor('R$ 1.234,56', 'virgula')).toBe(1234.56)
+    expect(CsvParser.parseValor('(50,00)', 'virgula')).toBe(-50)
+    expect(CsvParser.parseValor('50.00-')).toBe(-50)
+    expect(CsvParser.parseValor('abc')).toBeNull()
+  })
+
+  it('detecta o formato de data, preferindo DD/MM em empate', () => {
+    expect(CsvParser.detectarFormatoData(['01/02/2025', '03/04/2025'])).toBe('DD/MM/AAAA')
+    expect(CsvParser.detectarFormatoData(['01/31/2025', '02/15/2025'])).toBe('MM/DD/AAAA')
+    expect(CsvParser.detectarFormatoData(['2025-01-31'])).toBe('AAAA-MM-DD')
+    expect(CsvParser.parseData('31/02/2025', 'DD/MM/AAAA')).toBeNull()
+  })
+})
+
+describe('importService.sugerirMapeamento', () => {
+  it('reconhece colunas comuns sem acento e ignora entrada/saída com coluna de valor', () => {
+    const mapeamento = importService.sugerirMapeamento(['Data', 'Histórico', 'Valor (R$)', 'Entrada', 'Categoria'])
+
+    expect(mapeamento).toEqual({ data: 'Data', descricao: 'Histórico', valor: 'Valor (R$)', categoria: 'Categoria' })
+  })
+
+  it('aponta colunas do mapeamento que não existem no arquivo', () => {
+    expect(importService.colunasAusentes({ data: 'Data', valor: 'Montante' }, ['Data', 'Valor'])).toEqual(['Montante'])
+  })
+})
+
+describe('importService.linhasDoCsv', () => {
+  it('valida cada linha e usa colunas de entrada/saída', async () => {
+    jest.spyOn(Category, 'buscarPorNome').mockImplementation(async (userId, nome) => nome === 'Mercado' ? { nome: 'Mercado' } : null)
+    const csv = CsvParser.parse([
+      'Data;Descrição;Entrada;Saída;Categoria',
+      '05/01/2025;Feira;;89,90;Mercado',
+      '06/01/2025;Salário;5.000,00;;',
+      '32/01/2025;;;10,00;Viagem'
+    ].join('\n'))
+
+    const { linhas, deteccao } = await importService.linhasDoCsv(novoId(), csv, {
+      mapeamento: { data: 'Data', descricao: 'Descrição', valorReceita: 'Entrada', valorDespesa: 'Saída', categoria: 'Categoria' }
+    })
+
+    expect(deteccao).toMatchObject({ delimitador: ';', separadorDecimal: 'virgula', formatoData: 'DD/MM/AAAA' })
+    expect(linhas[0]).toMatchObject({ valor: -89.9, categoria: 'Mercado', data: new Date(2025, 0, 5, 12) })
+    expect(linhas[0].erros).toBeUndefined()
+    expect(linhas[1].valor).toBe(5000)
+    expect(linhas[2].erros).toEqual([
+      'Data inválida: "32/01/2025"',
+      'Descrição vazia',
+      'Categoria não encontrada: "Viagem"'
+    ])
+  })
+
+  it('a coluna de tipo define o sinal e o sinal pode ser invertido', async () => {
+    const csv = CsvParser.parse('date,description,amount,type\n2025-01-05,Refund,10.00,credit\n2025-01-06,Coffee,4.50,\n')
+
+    const { linhas } = await importService.linhasDoCsv(novoId(), csv, {
+      mapeamento: { data: 'date', descricao: 'description', valor: 'amount', tipo: 'type' },
+      inverterSinal: true
+    })
+
+    expect(linhas[0].valor).toBe(10)
+    expect(linhas[1].erros).toEqual(['Tipo não reconhecido: ""'])
+  })
+})
@@ -0,0 +1,205 @@
+const ExchangeRate = require('../models/ExchangeRate')
+const Transaction = require('../models/Transaction')
+const Budget = require('../models/Budget')
+const Goal = require('../models/Goal')
+const Category = require('../models/Category')
+const User = require('../models/User')
+const currencyService = require('../services/currencyService')
+const { consulta, novoId } = require('./helpers')
+
+function cotacao(dados) {
+  return { userId: null, fonte: 'admin', data: new Date(2025, 0, 10), ...dados }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('ExchangeRate.buscarTaxa', () => {
+  const userId = novoId()
+
+  it('na mesma data, a cotação do usuário vence a geral e a direta vence a inversa', async () => {
+    jest.spyOn(ExchangeRate, 'find').mockReturnValue(consulta([
+      cotacao({ moedaOrigem: 'BRL', moedaDestino: 'USD', taxa: 0.2 }),
+      cotacao({ moedaOrigem: 'USD', moedaDestino: 'BRL', taxa: 5 }),
+      cotacao({ moedaOrigem: 'BRL', moedaDestino: 'USD', taxa: 0.25, userId, fonte: 'csv' }),
+      cotacao({ moedaOrigem: 'USD', moedaDestino: 'BRL', taxa: 5.5, data: new Date(2025, 0, 9) })
+    ]))
+
+    const resultado = await ExchangeRate.buscarTaxa(userId, 'USD', 'BRL', new Date(2025, 0, 10, 15))
+
+    expect(resultado).toEqual({ taxa: 4, data: new Date(2025, 0, 10), fonte: 'csv' })
+  })
+
+  it('usa a primeira cotação posterior quando não há nenhuma até a data', async () => {
+    const find = jest.spyOn(ExchangeRate, 'find')
+      .mockReturnValueOnce(consulta([]))
+      .mockReturnValueOnce(consulta([cotacao({ moedaOrigem: 'USD', moedaDestino: 'BRL', taxa: 5 })]))
+
+    const resultado = await ExchangeRate.buscarTaxa(userId, 'USD', 'BRL', new Date(2024, 11, 31, 9))
+
+    expect(find.mock.calls[0][0].data).toEqual({ $lte: new Date(2024, 11, 31, 23, 59, 59, 999) })
+    expect(find.mock.calls[1][0].data).toEqual({ $gt: new Date(2024, 11, 31, 23, 59, 59, 999) })
+    expect(resultado.taxa).toBe(5)
+  })
+
+  it('a mesma moeda tem taxa 1 e par sem cotações devolve null', async () => {
+    const find = jest.spyOn(ExchangeRate, 'find').mockReturnValue(consulta([]))
+
+    expect((await ExchangeRate.buscarTaxa(userId, 'BRL', 'BRL')).taxa).toBe(1)
+    expect(find).not.toHaveBeenCalled()
+    expect(await ExchangeRate.buscarTaxa(userId, 'JPY', 'BRL')).toBeNull()
+  })
+
+  it('recusa cotação de uma moeda para ela mesma', async () => {
+    const erro = await new ExchangeRate({ moedaOrigem: 'brl', moedaDestino: 'BRL', data: new Date(), taxa: 1 })
+      .validate().catch(err => err)
+
+    expect(erro.errors.moedaDestino.message).toBe('Moedas de origem e destino devem ser diferentes')
+  })
+})
+
+describe('conversão de transações', () => {
+  it('converte pela cotação da data da transação e guarda o valor original', async () => {
+    const buscarTaxa = jest.spyOn(ExchangeRate, 'buscarTaxa').mockResolvedValue({ taxa: 5.4321, data: new Date(2025, 0, 10) })
+    const data = new Date(2025, 0, 10, 12)
+
+    const conversao = await Transaction.calcularConversao(novoId(), { valor: 10.5, moeda: 'USD', data }, 'BRL')
+
+    expect(buscarTaxa).toHaveBeenCalledWith(expect.anything(), 'USD', 'BRL', data)
+    expect(conversao).toEqual({ moeda: 'BRL', valor: 57.04, taxa: 5.4321, dataCotacao: new Date(2025, 0, 10) })
+    expect(await currencyService.converter(novoId(), 100, 'USD', 'BRL')).toMatchObject({ valor: 543.21 })
+  })
+
+  it('os agregados usam o valor convertido e mantêm o original', () => {
+    expect(Transaction.emMoedaBase().$addFields).toEqual({
+      valorOriginal: '$valor',
+      moeda: { $ifNull: ['$moeda', '$conversao.moeda'] },
+      valor: { $ifNull: ['$conversao.valor', '$valor'] }
+    })
+  })
+
+  it('sem cotação, paraMoedaBase mantém o valor', async () => {
+    jest.spyOn(ExchangeRate, 'buscarTaxa').mockResolvedValue(null)
+
+    expect(await currencyService.paraMoedaBase(novoId(), 100, 'EUR', 'BRL')).toBe(100)
+  })
+
+  it('formata na moeda informada', () => {
+    expect(currencyService.formatar(1234.5, 'BRL')).toMatch(/^R\$\s1\.234,50$/)
+    expect(currencyService.formatar(10, 'USD')).toMatch(/^US\$\s10,00$/)
+    expect(currencyService.formatar(10, 'XYZ1')).toBe('XYZ1 10.00')
+  })
+})
+
+describe('currencyService validações', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue(consulta({ configuracoes: { moeda: 'BRL' } }))
+  })
+
+  it('a transação usa a moeda da conta, que precisa ter cotação', async () => {
+    const existePar = jest.spyOn(ExchangeRate, 'existePar').mockResolvedValue(false)
+    const conta = { nome: 'Wise', moeda: 'USD' }
+
+    expect(await currencyService.validarMoedaDaConta(novoId(), conta, 'eur'))
+      .toBe('A moeda da transação deve ser a da conta Wise (USD)')
+    expect(await currencyService.validarMoedaDaConta(novoId(), conta, 'usd'))
+      .toMatch(/^Nenhuma cotação de USD para BRL/)
+
+    existePar.mockResolvedValue(true)
+    expect(await currencyService.validarMoedaDaConta(novoId(), conta)).toBeNull()
+  })
+
+  it('transferências só entre contas da mesma moeda', async () => {
+    expect(await currencyService.validarTransferencia(novoId(), { moeda: 'USD' }, { moeda: 'BRL' }))
+      .toMatch(/^Transferências entre contas de moedas diferentes/)
+  })
+})
+
+describe('currencyService.lerCsv', () => {
+  it('aceita nomes de coluna alternativos e taxa com vírgula', () => {
+    const { cotacoes, erros } = currencyService.lerCsv(
+      'Data;De;Para;Cotação\n10/01/2025;usd;brl;5,1234\n11/01/2025;EUR;BRL;1.234,5'
+    )
+
+    expect(erros).toEqual([])
+    expect(cotacoes).toEqual([
+      { moedaOrigem: 'USD', moedaDestino: 'BRL', data: new Date(2025, 0, 10, 12), taxa: 5.1234 },
+      { moedaOrigem: 'EUR', moedaDestino: 'BRL', data: new Date(2025, 0, 11, 12), taxa: 1234.5 }
+    ])
+  })
+
+  it('aponta a linha de cada erro', () => {
+    const { cotacoes, erros } = currencyService.lerCsv([
+      'data,moeda_origem,moeda_destino,taxa',
+      '2025-01-10,USD,BRL,5',
+      '2025-02-30,USD,BRL,5',
+      '2025-01-11,US,BRL,5',
+      '2025-01-12,BRL,BRL,1',
+      '2025-01-13,USD,BRL,0'
+    ].join('\n'))
+
+    expect(cotacoes).toHaveLength(1)
+    expect(erros).toEqual([
+      'Linha 3: data inválida',
+      'Linha 4: moedas devem ser códigos ISO de 3 letras',
+      'Linha 5: moedas de origem e destino iguais',
+      'Linha 6: taxa inválida'
+    ])
+    expect(currencyService.lerCsv('data,taxa\n2025-01-10,5').erros)
+      .toEqual(['Colunas obrigatórias ausentes: moedaOrigem, moedaDestino'])
+  })
+
+  it('registrar substitui a cotação do mesmo dia, par e dono', async () => {
+    const bulkWrite = jest.spyOn(ExchangeRate, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, modifiedCount: 0 })
+
+    const resultado = await currencyService.registrar(
+      [{ moedaOrigem: 'USD', moedaDestino: 'BRL', data: new Date(2025, 0, 10, 12), taxa: 5 }],
+      { fonte: 'csv' }
+    )
+
+    expect(resultado).toEqual({ importadas: 1, atualizadas: 0 })
+    expect(bulkWrite.mock.calls[0][0][0].updateOne).toMatchObject({
+      filter: { userId: null, moedaOrigem: 'USD', moedaDestino: 'BRL', data: new Date(2025, 0, 10) },
+      update: { $set: { taxa: 5, fonte: 'csv' } },
+      upsert: true
+    })
+  })
+})
+
+describe('currencyService.alterarMoedaBase', () => {
+  it('reconverte cada transação pela cotação da sua data, uma busca por moeda e dia', async () => {
+    const userId = novoId()
+    const transacoes = [
+      { _id: novoId(), valor: 10, moeda: 'USD', data: new Date(2025, 0, 10, 9) },
+      { _id: novoId(), valor: 20, moeda: 'USD', data: new Date(2025, 0, 10, 18) },
+      { _id: novoId(), valor: 100, moeda: null, data: new Date(2025, 0, 11) },
+      { _id: novoId(), valor: 5, moeda: 'JPY', data: new Date(2025, 0, 11) }
+    ]
+    const query = consulta(transacoes)
+    query.cursor = () => (async function * () { yield * transacoes })()
+    jest.spyOn(Transaction, 'find').mockReturnValue(query)
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({})
+    const taxas = { USD: 1, BRL: 0.2 }
+    const buscarTaxa = jest.spyOn(ExchangeRate, 'buscarTaxa').mockImplementation(async (id, moeda, destino, data) =>
+      taxas[moeda] ? { taxa: taxas[moeda], data: ExchangeRate.inicioDoDia(data || new Date()) } : null
+    )
+    jest.spyOn(Budget, 'updateMany').mockResolvedValue({ modifiedCount: 0 })
+    jest.spyOn(Goal, 'updateMany').mockResolvedValue({ modifiedCount: 0 })
+    jest.spyOn(Budget, 'distinct').mockResolvedValue([])
+    jest.spyOn(Goal, 'distinct').mockResolvedValue([])
+    const categorias = jest.spyOn(Category, 'updateMany').mockResolvedValue({})
+
+    const resumo = await currencyService.alterarMoedaBase(userId, 'BRL', 'USD')
+
+    expect(resumo).toEqual({ transacoes: 4, semCotacao: 1, orcamentos: 0, metas: 0 })
+    expect(buscarTaxa.mock.calls.filter(([, moeda]) => moeda === 'USD')).toHaveLength(1)
+    expect(bulkWrite.mock.calls[0][0].map(op => op.updateOne.update.$set)).toEqual([
+      expect.objectContaining({ moeda: 'USD', conversao: expect.objectContaining({ moeda: 'USD', valor: 10 }) }),
+      expect.objectContaining({ moeda: 'USD', conversao: expect.objectContaining({ valor: 20 }) }),
+      expect.objectContaining({ moeda: 'BRL', conversao: expect.objectContaining({ valor: 20, taxa: 0.2 }) }),
+      { moeda: 'JPY', conversao: null }
+    ])
+    expect(categorias).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,35 @@
+// Requisição e resposta mínimas do Express para chamar os controllers diretamente,
+// sem servidor nem banco (os métodos dos models são substituídos com jest.spyOn)
+const mongoose = require('mongoose')
+
+function criarReq({ userId = new mongoose.Types.ObjectId().toString(), params = {}, query = {}, body = {} } = {}) {
+  return { userId, params, query, body }
+}
+
+function criarRes() {
+  const res = { statusCode: 200, body: undefined }
+  res.status = jest.fn(codigo => {
+    res.statusCode = codigo
+    return res
+  })
+  res.json = jest.fn(corpo => {
+    res.body = corpo
+    return res
+  })
+  return res
+}
+
+// Query encadeável (find().sort().skip()...) que resolve com o resultado informado
+function consulta(resultado) {
+  const query = {}
+  ;['select', 'sort', 'skip', 'limit', 'lean', 'populate', 'session'].forEach(metodo => {
+    query[metodo] = jest.fn(() => query)
+  })
+  query.then = (resolver, rejeitar) => Promise.resolve(resultado).then(resolver, rejeitar)
+  query.exec = () => Promise.resolve(resultado)
+  return query
+}
+
+const novoId = () => new mongoose.Types.ObjectId()
+
+module.exports = { criarReq, criarRes, consulta, novoId }
@@ -0,0 +1,203 @@
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const TransactionHistory = require('../models/TransactionHistory')
+const TrashItem = require('../models/TrashItem')
+const attachmentService = require('../services/attachmentService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const { aplicarImpactos, reverterImpactos } = require('../services/transactionImpactService')
+const transactionController = require('../controllers/transactionController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+const userId = novoId()
+const transacaoId = novoId()
+
+function estado(valor, dados = {}) {
+  return { _id: transacaoId, userId, descricao: 'Mercado', valor, tipo: 'despesa', categoria: 'Alimentação', ...dados }
+}
+
+function versao(numero, operacao, anterior, depois, dados = {}) {
+  return { userId, transacaoId, versao: numero, operacao, anterior, estado: depois, versaoDesfeita: null, criadoEm: new Date(), ...dados }
+}
+
+// TransactionHistory.findOne(...).sort(...) sobre uma lista de versões em memória
+function historicoEmMemoria(versoes) {
+  return jest.spyOn(TransactionHistory, 'findOne').mockImplementation(filtro => consulta(
+    versoes
+      .filter(v => String(v.transacaoId) === String(filtro.transacaoId))
+      .filter(v => filtro.versao === undefined || v.versao === filtro.versao)
+      .sort((a, b) => b.versao - a.versao)[0] || null
+  ))
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('transactionHistoryService.registrar', () => {
+  it('numera as versões e guarda a diferença dos campos auditados', async () => {
+    jest.spyOn(TransactionHistory, 'aggregate').mockResolvedValue([{ _id: transacaoId, versao: 2 }])
+    const insertMany = jest.spyOn(TransactionHistory, 'insertMany').mockResolvedValue([])
+    const autorId = novoId()
+
+    const [registro] = await transactionHistoryService.registrar([estado(30, { atualizadoEm: new Date() })], {
+      operacao: 'edicao',
+      origem: 'regra',
+      autorId,
+      anteriores: [estado(20, { tags: ['casa'] })]
+    })
+
+    expect(registro).toMatchObject({ versao: 3, operacao: 'edicao', origem: 'regra', autorId })
+    expect(registro.alteracoes).toEqual([
+      { campo: 'valor', anterior: 20, novo: 30 },
+      { campo: 'tags', anterior: ['casa'], novo: null }
+    ])
+    expect(insertMany).toHaveBeenCalledWith([registro], { ordered: false })
+  })
+
+  it('ignora transferências e edições sem diferença', async () => {
+    jest.spyOn(TransactionHistory, 'aggregate').mockResolvedValue([])
+    const insertMany = jest.spyOn(TransactionHistory, 'insertMany')
+
+    expect(await transactionHistoryService.registrar([estado(10, { transferenciaId: novoId() })], { operacao: 'criacao' })).toEqual([])
+    expect(await transactionHistoryService.registrar([estado(10)], { operacao: 'edicao', anteriores: [estado(10)] })).toEqual([])
+    expect(insertMany).not.toHaveBeenCalled()
+  })
+
+  it('criações partem de nada e exclusões terminam em nada', async () => {
+    jest.spyOn(TransactionHistory, 'aggregate').mockResolvedValue([])
+    jest.spyOn(TransactionHistory, 'insertMany').mockResolvedValue([])
+
+    const [criacao] = await transactionHistoryService.registrar([estado(10)], { operacao: 'criacao' })
+    const [exclusao] = await transactionHistoryService.registrar([estado(10)], { operacao: 'exclusao' })
+
+    expect([criacao.versao, criacao.anterior, criacao.estado.valor]).toEqual([1, null, 10])
+    expect([exclusao.anterior.valor, exclusao.estado]).toEqual([10, null])
+  })
+
+  it('falhas no histórico não interrompem a operação', async () => {
+    jest.spyOn(TransactionHistory, 'aggregate').mockRejectedValue(new Error('fora do ar'))
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    await expect(transactionHistoryService.registrar([estado(10)], { operacao: 'criacao' })).resolves.toEqual([])
+  })
+})
+
+describe('transactionHistoryService.versaoParaDesfazer', () => {
+  const v1 = versao(1, 'criacao', null, estado(10))
+  const v2 = versao(2, 'edicao', estado(10), estado(20))
+  const v3 = versao(3, 'edicao', estado(20), estado(30))
+  const v4 = versao(4, 'restauracao', estado(30), estado(20), { versaoDesfeita: 3 })
+  const v5 = versao(5, 'restauracao', estado(20), estado(10), { versaoDesfeita: 2 })
+  const v6 = versao(6, 'exclusao', estado(10), null, { versaoDesfeita: 1 })
+
+  it('desfazer seguidas vezes volta no histórico', async () => {
+    historicoEmMemoria([v1, v2, v3, v4, v5, v6])
+
+    expect(await transactionHistoryService.versaoParaDesfazer(v3)).toBe(v3)
+    expect(await transactionHistoryService.versaoParaDesfazer(v4)).toBe(v2)
+    expect(await transactionHistoryService.versaoParaDesfazer(v5)).toBe(v1)
+    expect(await transactionHistoryService.versaoParaDesfazer(v6)).toBeNull()
+  })
+
+  it('o controller avisa quando não há mais o que desfazer', async () => {
+    historicoEmMemoria([v1, v2, v3, v4, v5, v6])
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null)
+    const restaurar = jest.spyOn(transactionHistoryService, 'restaurar')
+    const res = criarRes()
+
+    await transactionController.desfazer(criarReq({ userId, params: { id: String(transacaoId) } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('Não há mais alterações para desfazer')
+    expect(restaurar).not.toHaveBeenCalled()
+  })
+
+  it('o controller desfaz a versão encontrada e informa qual foi', async () => {
+    historicoEmMemoria([v1, v2, v3, v4])
+    const atual = { _id: transacaoId, descricao: 'Mercado' }
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(atual)
+    const restaurar = jest.spyOn(transactionHistoryService, 'restaurar').mockResolvedValue({ ...atual, valor: 10 })
+    const res = criarRes()
+
+    await transactionController.desfazer(criarReq({ userId, params: { id: String(transacaoId) } }), res)
+
+    expect(restaurar).toHaveBeenCalledWith(atual, v2.anterior, { autorId: userId, versaoRestaurada: 1, versaoDesfeita: 2 })
+    expect(res.body.message).toBe('Alteração da versão 2 desfeita com sucesso')
+  })
+})
+
+describe('transactionHistoryService.exclusoesDoMesmoLote', () => {
+  it('traz as parcelas excluídas junto que continuam excluídas', async () => {
+    const grupoId = novoId()
+    const criadoEm = new Date()
+    const parcela = (id, numero) => versao(numero, 'exclusao', { _id: id, parcelamento: { grupoId, numero } }, null, { transacaoId: id, criadoEm })
+    const [a, b, c] = [novoId(), novoId(), novoId()]
+    const primeira = parcela(a, 1)
+    const segunda = parcela(b, 2)
+    const terceira = parcela(c, 3)
+    // A terceira já foi restaurada depois da exclusão
+    const restaurada = versao(4, 'restauracao', null, {}, { transacaoId: c })
+    const find = jest.spyOn(TransactionHistory, 'find').mockResolvedValue([segunda, terceira])
+    historicoEmMemoria([segunda, terceira, restaurada])
+
+    expect(await transactionHistoryService.exclusoesDoMesmoLote(primeira)).toEqual([segunda])
+    expect(find.mock.calls[0][0]).toMatchObject({ criadoEm, 'anterior.parcelamento.grupoId': grupoId, transacaoId: { $ne: a } })
+    expect(await transactionHistoryService.exclusoesDoMesmoLote(versao(2, 'edicao', estado(1), estado(2)))).toEqual([])
+  })
+})
+
+describe('transactionHistoryService.restaurar', () => {
+  beforeEach(() => {
+    jest.spyOn(TransactionHistory, 'aggregate').mockResolvedValue([])
+    jest.spyOn(TransactionHistory, 'insertMany').mockResolvedValue([])
+  })
+
+  it('alvo vazio exclui a transação revertendo os impactos', async () => {
+    const atual = estado(10)
+    const deleteOne = jest.spyOn(Transaction, 'deleteOne').mockResolvedValue({})
+    const removerAnexos = jest.spyOn(attachmentService, 'removerDasTransacoes').mockResolvedValue()
+
+    expect(await transactionHistoryService.restaurar(atual, null, { versaoDesfeita: 1 })).toBeNull()
+    expect(reverterImpactos).toHaveBeenCalledWith(atual)
+    expect(deleteOne).toHaveBeenCalledWith({ _id: transacaoId })
+    expect(removerAnexos).toHaveBeenCalledWith([atual])
+  })
+
+  it('recria a transação excluída com o mesmo _id, sem a conciliação', async () => {
+    jest.spyOn(TrashItem, 'findOneAndDelete').mockResolvedValue(null)
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(async dados => dados)
+    const anexos = [{ nome: 'nota.pdf', chave: 'u/t/a.pdf' }, { nome: 'link', url: 'https://exemplo.com' }]
+
+    const recriada = await transactionHistoryService.restaurar(null, estado(10, { conciliacao: { conciliacaoId: novoId() }, anexos }))
+
+    expect(create.mock.calls[0][0]).toMatchObject({ _id: transacaoId, valor: 10, anexos: [anexos[1]] })
+    expect(create.mock.calls[0][0].conciliacao).toBeUndefined()
+    expect(aplicarImpactos).toHaveBeenCalledWith(recriada)
+  })
+
+  it('volta os campos auditados e reaplica os impactos', async () => {
+    const atual = new Transaction({
+      userId,
+      descricao: 'Mercado',
+      valor: 30,
+      tipo: 'despesa',
+      categoria: 'Alimentação',
+      data: new Date(2025, 0, 10),
+      moeda: 'BRL',
+      metodoPagamento: 'pix'
+    })
+    jest.spyOn(atual, 'save').mockResolvedValue(atual)
+
+    await transactionHistoryService.restaurar(atual, { ...atual.toObject(), valor: 20, observacoes: 'restaurada' })
+
+    expect([atual.valor, atual.observacoes]).toEqual([20, 'restaurada'])
+    expect(reverterImpactos.mock.invocationCallOrder[0]).toBeLessThan(atual.save.mock.invocationCallOrder[0])
+    expect(aplicarImpactos).toHaveBeenCalledWith(atual)
+    expect(TransactionHistory.insertMany.mock.calls[0][0][0].alteracoes).toEqual([
+      { campo: 'valor', anterior: 30, novo: 20 },
+      { campo: 'observacoes', anterior: null, novo: 'restaurada' }
+    ])
+  })
+})
@@ -0,0 +1,134 @@
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const ruleService = require('../services/ruleService')
+const payeeService = require('../services/payeeService')
+const currencyService = require('../services/currencyService')
+const trashService = require('../services/trashService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const { aplicarImpactos, reverterImpactos } = require('../services/transactionImpactService')
+const transactionController = require('../controllers/transactionController')
+const { criarReq, criarRes, novoId } = require('./helpers')
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('Transaction.calcularParcelas', () => {
+  it('sem juros, divide em partes iguais e deixa o arredondamento na primeira', () => {
+    const parcelas = Transaction.calcularParcelas(100, 3)
+
+    expect(parcelas).toEqual([33.34, 33.33, 33.33])
+  })
+
+  it('com juros, usa parcelas fixas da tabela Price', () => {
+    const parcelas = Transaction.calcularParcelas(1000, 10, 2)
+
+    expect(parcelas.slice(0, 9)).toEqual(Array(9).fill(111.33))
+    expect(parcelas.reduce((total, p) => total + p, 0)).toBeCloseTo(1113.27, 2)
+  })
+})
+
+describe('Transaction.gerarParcelas', () => {
+  it('rotula "n/N" e avança um mês por parcela mantendo o dia possível', () => {
+    const parcelas = Transaction.gerarParcelas(
+      { descricao: 'Notebook ', valor: 300, data: new Date(2025, 0, 31) },
+      3
+    )
+
+    expect(parcelas.map(p => p.descricao)).toEqual(['Notebook (1/3)', 'Notebook (2/3)', 'Notebook (3/3)'])
+    expect(parcelas.map(p => p.data)).toEqual([new Date(2025, 0, 31), new Date(2025, 1, 28), new Date(2025, 2, 31)])
+    expect(parcelas[2].parcelamento).toEqual({ numero: 3, total: 3, valorCompra: 300, taxaJuros: 0 })
+  })
+})
+
+describe('transactionController.create parcelado', () => {
+  beforeEach(() => {
+    jest.spyOn(ruleService, 'aplicarEmNovas').mockResolvedValue([[]])
+    jest.spyOn(payeeService, 'aplicarEmNovas').mockImplementation(async (userId, transacoes) => transacoes)
+    jest.spyOn(Category, 'buscarPorNome').mockResolvedValue({ nome: 'Compras' })
+    jest.spyOn(Account, 'obterPadrao').mockResolvedValue({ _id: novoId(), moeda: 'BRL' })
+    jest.spyOn(currencyService, 'validarMoedaDaConta').mockResolvedValue(null)
+    jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+  })
+
+  it('cria uma transação por parcela vinculadas à primeira', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany').mockImplementation(async docs => docs)
+    const res = criarRes()
+
+    await transactionController.create(criarReq({
+      body: { descricao: 'Geladeira', valor: 1000, tipo: 'despesa', categoria: 'Compras', parcelas: 4 }
+    }), res)
+
+    expect(res.statusCode).toBe(201)
+    const parcelas = insertMany.mock.calls[0][0]
+    expect(parcelas).toHaveLength(4)
+    expect(parcelas.every(p => p.parcelamento.grupoId === parcelas[0]._id)).toBe(true)
+    expect(aplicarImpactos).toHaveBeenCalledTimes(4)
+  })
+
+  it('não aceita parcelamento e recorrência juntos', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany')
+    const res = criarRes()
+
+    await transactionController.create(criarReq({
+      body: {
+        descricao: 'Academia',
+        valor: 100,
+        tipo: 'despesa',
+        categoria: 'Compras',
+        parcelas: 3,
+        recorrente: { ativo: true, tipo: 'mensal' }
+      }
+    }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(insertMany).not.toHaveBeenCalled()
+  })
+})
+
+describe('transactionController.remove parcelado', () => {
+  function novasParcelas(total) {
+    const grupoId = novoId()
+    return Transaction.gerarParcelas({ userId: novoId(), descricao: 'TV', valor: 900, tipo: 'despesa', categoria: 'Compras' }, total)
+      .map((dados, indice) => new Transaction({
+        ...dados,
+        ...(indice === 0 && { _id: grupoId }),
+        parcelamento: { ...dados.parcelamento, grupoId }
+      }))
+  }
+
+  beforeEach(() => {
+    jest.spyOn(trashService, 'mover').mockResolvedValue([])
+    jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+  })
+
+  it('excluir a primeira parcela remove a compra inteira', async () => {
+    const parcelas = novasParcelas(3)
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(parcelas[0])
+    jest.spyOn(Transaction, 'find').mockResolvedValue(parcelas)
+    const deleteMany = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({})
+    const res = criarRes()
+
+    await transactionController.remove(criarReq({ params: { id: String(parcelas[0]._id) } }), res)
+
+    expect(deleteMany.mock.calls[0][0]._id.$in).toEqual(parcelas.map(p => p._id))
+    expect(reverterImpactos).toHaveBeenCalledTimes(3)
+    expect(res.body.message).toMatch(/3 parcelas/)
+  })
+
+  it('excluir outra parcela remove apenas ela', async () => {
+    const parcelas = novasParcelas(3)
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(parcelas[1])
+    const find = jest.spyOn(Transaction, 'find')
+    const deleteMany = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({})
+
+    await transactionController.remove(criarReq({ params: { id: String(parcelas[1]._id) } }), criarRes())
+
+    expect(find).not.toHaveBeenCalled()
+    expect(deleteMany.mock.calls[0][0]._id.$in).toEqual([parcelas[1]._id])
+  })
+})
@@ -0,0 +1,132 @@
+const Invoice = require('../models/Invoice')
+const Account = require('../models/Account')
+const Transaction = require('../models/Transaction')
+const currencyService = require('../services/currencyService')
+const invoiceController = require('../controllers/invoiceController')
+const { criarReq, criarRes, novoId } = require('./helpers')
+
+function novaFatura(dados = {}) {
+  return new Invoice({
+    userId: novoId(),
+    contaId: novoId(),
+    mes: 1,
+    ano: 2025,
+    dataFechamento: new Date(2025, 0, 5, 23, 59, 59, 999),
+    dataVencimento: new Date(2025, 0, 15),
+    ...dados
+  })
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Invoice.calcularCiclo', () => {
+  const cartao = { diaFechamento: 5, diaVencimento: 15 }
+
+  it('compra até o fechamento entra na fatura do mês', () => {
+    const ciclo = Invoice.calcularCiclo(cartao, new Date(2025, 2, 5, 18))
+
+    expect(ciclo.mes).toBe(3)
+    expect(ciclo.ano).toBe(2025)
+    expect(ciclo.dataVencimento).toEqual(new Date(2025, 2, 15))
+  })
+
+  it('compra após o fechamento vai para a fatura seguinte, virando o ano', () => {
+    const ciclo = Invoice.calcularCiclo(cartao, new Date(2025, 11, 6))
+
+    expect(ciclo).toMatchObject({ mes: 1, ano: 2026 })
+  })
+
+  it('vencimento antes do fechamento cai no mês seguinte', () => {
+    const ciclo = Invoice.calcularCiclo({ diaFechamento: 25, diaVencimento: 5 }, new Date(2025, 0, 10))
+
+    expect(ciclo.mes).toBe(1)
+    expect(ciclo.dataVencimento).toEqual(new Date(2025, 1, 5))
+  })
+
+  it('limita o dia ao fim de meses curtos', () => {
+    const ciclo = Invoice.calcularCiclo({ diaFechamento: 31, diaVencimento: 10 }, new Date(2025, 1, 20))
+
+    expect(ciclo.dataFechamento.getDate()).toBe(28)
+  })
+})
+
+describe('Invoice.faturaParaTransacao', () => {
+  it('ignora transferências e contas que não são cartão', async () => {
+    expect(await Invoice.faturaParaTransacao({ contaId: novoId(), transferenciaId: novoId() })).toBeNull()
+
+    jest.spyOn(Account, 'findById').mockResolvedValue({ tipo: 'corrente' })
+    expect(await Invoice.faturaParaTransacao({ contaId: novoId() })).toBeNull()
+  })
+
+  it('associa a compra no cartão à fatura do ciclo', async () => {
+    const fatura = { _id: novoId() }
+    const conta = { _id: novoId(), tipo: 'cartao_credito', cartao: { diaFechamento: 5, diaVencimento: 15 } }
+    jest.spyOn(Account, 'findById').mockResolvedValue(conta)
+    const obterPorData = jest.spyOn(Invoice, 'obterPorData').mockResolvedValue(fatura)
+    const data = new Date(2025, 0, 10)
+
+    expect(await Invoice.faturaParaTransacao({ contaId: conta._id, data })).toBe(fatura._id)
+    expect(obterPorData).toHaveBeenCalledWith(conta, data)
+  })
+})
+
+describe('Invoice#atualizarStatus', () => {
+  it('fica aberta antes do fechamento, fechada depois e paga quando quitada', () => {
+    const futura = novaFatura({ dataFechamento: new Date(Date.now() + 86400000) })
+    expect(futura.atualizarStatus(100)).toBe('aberta')
+
+    const fechada = novaFatura()
+    expect(fechada.atualizarStatus(100)).toBe('fechada')
+
+    fechada.pagamentos.push({ transferenciaId: novoId(), valor: 100 })
+    expect(fechada.atualizarStatus(100)).toBe('paga')
+  })
+})
+
+describe('invoiceController.pagar', () => {
+  const cartao = { _id: novoId(), nome: 'Visa', tipo: 'cartao_credito', moeda: 'BRL' }
+  const corrente = { _id: novoId(), nome: 'Corrente', tipo: 'corrente', moeda: 'BRL' }
+
+  it('paga o restante com uma transferência da conta para o cartão', async () => {
+    const fatura = novaFatura({ contaId: cartao._id })
+    fatura.pagamentos.push({ transferenciaId: novoId(), valor: 100 })
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(fatura)
+    jest.spyOn(Account, 'findOne').mockImplementation(async filtro => String(filtro._id) === String(cartao._id) ? cartao : corrente)
+    jest.spyOn(currencyService, 'validarTransferencia').mockResolvedValue(null)
+    jest.spyOn(Invoice, 'calcularTotais').mockResolvedValue({ [fatura._id]: { total: 350, compras: 350, estornos: 0, quantidade: 2 } })
+    const transferenciaId = novoId()
+    const criarTransferencia = jest.spyOn(Transaction, 'criarTransferencia')
+      .mockResolvedValue([{ transferenciaId, data: new Date() }])
+    jest.spyOn(fatura, 'save').mockResolvedValue(fatura)
+    const res = criarRes()
+
+    await invoiceController.pagar(criarReq({ params: { id: String(fatura._id) }, body: { contaOrigemId: String(corrente._id) } }), res)
+
+    expect(res.statusCode).toBe(201)
+    expect(criarTransferencia).toHaveBeenCalledWith(expect.objectContaining({
+      contaOrigem: corrente,
+      contaDestino: cartao,
+      valor: 250,
+      descricao: 'Pagamento fatura Visa 01/2025'
+    }))
+    expect(fatura.status).toBe('paga')
+    expect(res.body.data.transferenciaId).toBe(transferenciaId)
+  })
+
+  it('não paga a partir de outro cartão', async () => {
+    const fatura = novaFatura({ contaId: cartao._id })
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(fatura)
+    jest.spyOn(Account, 'findOne').mockImplementation(async filtro => String(filtro._id) === String(cartao._id)
+      ? cartao
+      : { _id: novoId(), tipo: 'cartao_credito' })
+    const criarTransferencia = jest.spyOn(Transaction, 'criarTransferencia')
+    const res = criarRes()
+
+    await invoiceController.pagar(criarReq({ params: { id: String(fatura._id) }, body: { contaOrigemId: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(criarTransferencia).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,181 @@
+const Transaction = require('../models/Transaction')
+const CategoryRule = require('../models/CategoryRule')
+const OfxParser = require('../utils/ofxParser')
+const importService = require('../services/importService')
+const { consulta, novoId } = require('./helpers')
+
+const OFX_SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+ENCODING:USASCII
+CHARSET:1252
+
+<OFX>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<STMTRS>
+<CURDEF>BRL
+<BANKACCTFROM>
+<BANKID>0260
+<BRANCHID>0001
+<ACCTID>12345-6
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20250101
+<DTEND>20250131
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250110120000[-3:BRT]
+<TRNAMT>-45,90
+<FITID>A1
+<MEMO>Pix enviado - Padaria &amp; Cia
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250115
+<TRNAMT>3500.00
+<FITID>A2
+<NAME>SALARIO
+</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>1234.56
+<DTASOF>20250131
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>`
+
+const OFX_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220"?>
+<OFX>
+  <CREDITCARDMSGSRSV1>
+    <CCSTMTTRNRS>
+      <CCSTMTRS>
+        <CURDEF>BRL</CURDEF>
+        <CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+        <BANKTRANLIST>
+          <STMTTRN>
+            <TRNTYPE>POS</TRNTYPE>
+            <DTPOSTED>20250205</DTPOSTED>
+            <TRNAMT>-120.00</TRNAMT>
+            <FITID>C1</FITID>
+            <NAME>Mercado Sol</NAME>
+          </STMTTRN>
+        </BANKTRANLIST>
+      </CCSTMTRS>
+    </CCSTMTTRNRS>
+  </CREDITCARDMSGSRSV1>
+</OFX>`
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('OfxParser', () => {
+  it('lê extratos OFX 1.x em SGML', () => {
+    const extrato = OfxParser.parse(OFX_SGML)
+
+    expect(extrato.conta).toEqual({ banco: '0260', agencia: '0001', numero: '12345-6', tipo: 'CHECKING' })
+    expect(extrato.saldo.valor).toBe(1234.56)
+    expect(extrato.transacoes).toHaveLength(2)
+    expect(extrato.transacoes[0]).toMatchObject({
+      linha: 1,
+      fitId: 'A1',
+      tipoOfx: 'DEBIT',
+      valor: -45.9,
+      memo: 'Pix enviado - Padaria & Cia'
+    })
+    expect(extrato.transacoes[0].data).toEqual(new Date(Date.UTC(2025, 0, 10, 15)))
+    expect(extrato.transacoes[1]).toMatchObject({ nome: 'SALARIO', valor: 3500 })
+  })
+
+  it('lê extratos de cartão em OFX 2.x (XML)', () => {
+    const extrato = OfxParser.parse(Buffer.from(OFX_XML))
+
+    expect(extrato.conta.tipo).toBe('cartao_credito')
+    expect(extrato.transacoes).toEqual([expect.objectContaining({ fitId: 'C1', valor: -120, nome: 'Mercado Sol' })])
+  })
+
+  it('recusa arquivos que não são OFX', () => {
+    expect(() => OfxParser.parse('data;valor\n')).toThrow('Arquivo não é um OFX válido')
+  })
+
+  it('interpreta datas sem fuso no horário local, ao meio-dia', () => {
+    expect(OfxParser.parseData('20250301')).toEqual(new Date(2025, 2, 1, 12))
+    expect(OfxParser.parseData('xx')).toBeNull()
+  })
+})
+
+describe('importService.linhasDoOfx', () => {
+  it('usa o nome ou memo como descrição e deduz o método de pagamento', () => {
+    const extrato = OfxParser.parse(OFX_SGML)
+
+    const linhas = importService.linhasDoOfx(extrato, { tipo: 'corrente' })
+
+    expect(linhas[0]).toMatchObject({ idExterno: 'A1', descricao: 'Pix enviado - Padaria & Cia', metodoPagamento: 'pix' })
+    expect(linhas[1]).toMatchObject({ idExterno: 'A2', descricao: 'SALARIO', metodoPagamento: 'transferencia' })
+  })
+
+  it('compras de extrato de cartão são cartão de crédito', () => {
+    const linhas = importService.linhasDoOfx(OfxParser.parse(OFX_XML), { tipo: 'cartao_credito' })
+
+    expect(linhas[0].metodoPagamento).toBe('cartao_credito')
+  })
+})
+
+describe('importService.classificar', () => {
+  const conta = { _id: novoId(), tipo: 'corrente' }
+
+  function linha(dados) {
+    return { linha: 1, descricao: 'Lançamento', ...dados }
+  }
+
+  beforeEach(() => {
+    jest.spyOn(CategoryRule, 'buscarAtivas').mockResolvedValue([])
+  })
+
+  it('separa novas, duplicadas por FITID, repetidas no arquivo, conflitos e inválidas', async () => {
+    const jaImportada = {
+      _id: novoId(),
+      tipo: 'despesa',
+      valor: 45.9,
+      data: new Date(2025, 0, 10),
+      importacao: { idExterno: 'A1', origem: 'ofx' }
+    }
+    const lancadaAMao = { _id: novoId(), tipo: 'despesa', valor: 80, data: new Date(2025, 0, 11) }
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([jaImportada, lancadaAMao]))
+
+    const linhas = await importService.classificar(novoId(), conta, [
+      linha({ idExterno: 'A1', data: new Date(2025, 0, 10), valor: -45.9 }),
+      linha({ idExterno: 'A3', data: new Date(2025, 0, 12), valor: -80 }),
+      linha({ idExterno: 'A3', data: new Date(2025, 0, 12), valor: -80 }),
+      linha({ idExterno: 'A4', data: new Date(2025, 0, 12), valor: 200 }),
+      linha({ idExterno: 'A5', data: null, valor: 10 })
+    ])
+
+    expect(linhas.map(l => l.status)).toEqual(['duplicada', 'conflito', 'duplicada', 'nova', 'invalida'])
+    expect(linhas[1].transacaoExistente._id).toBe(lancadaAMao._id)
+    expect(linhas[3]).toMatchObject({ tipo: 'receita', valor: 200 })
+    expect(importService.resumir(linhas)).toEqual({ total: 5, novas: 1, duplicadas: 2, conflitos: 1, invalidas: 1 })
+  })
+
+  it('reconhece reimportação sem FITID pelo mesmo valor e dia', async () => {
+    const importadaAntes = {
+      _id: novoId(),
+      tipo: 'despesa',
+      valor: 30,
+      data: new Date(2025, 0, 5, 12),
+      importacao: { origem: 'csv' }
+    }
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([importadaAntes]))
+
+    const [resultado] = await importService.classificar(novoId(), conta, [
+      linha({ data: new Date(2025, 0, 5), valor: -30 })
+    ])
+
+    expect(resultado.status).toBe('duplicada')
+  })
+})
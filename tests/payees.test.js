@@ -0,0 +1,237 @@
+const Transaction = require('../models/Transaction')
+const Payee = require('../models/Payee')
+const Category = require('../models/Category')
+const payeeService = require('../services/payeeService')
+const payeeController = require('../controllers/payeeController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+const userId = novoId()
+
+function beneficiario(nome, dados = {}) {
+  return new Payee({ userId, nome, ...dados })
+}
+
+// Payee.create valida o documento, o que calcula a chave
+async function criado(dados) {
+  const payee = beneficiario(dados.nome, dados)
+  await payee.validate()
+  return payee
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Payee.normalizarDescricao', () => {
+  it('descrições do mesmo estabelecimento viram a mesma chave', () => {
+    expect(['PAG*IFOOD 123', 'IFOOD *SP', 'iFood', 'MP *IFOOD'].map(d => Payee.normalizarDescricao(d)))
+      .toEqual(['ifood', 'ifood', 'ifood', 'ifood'])
+  })
+
+  it('remove as palavras de extrato antes do nome e mantém a grafia na limpeza', () => {
+    expect(Payee.limparDescricao('COMPRA NO DEBITO Padaria Bella 0042')).toBe('Padaria Bella')
+    expect(Payee.limparDescricao('Pix enviado João')).toBe('João')
+    expect(Payee.normalizarDescricao('Pão de Açúcar')).toBe('pao de acucar')
+    expect(Payee.normalizarDescricao('12345 *')).toBe('')
+  })
+})
+
+describe('Payee.validate', () => {
+  it('calcula a chave e normaliza os aliases sem repetir a chave', async () => {
+    const payee = beneficiario('iFood', { aliases: ['IFOOD *SP', 'Ifood', 'ifood sp', 'Rappi'] })
+
+    await payee.validate()
+
+    expect(payee.chave).toBe('ifood')
+    expect([...payee.aliases]).toEqual(['ifood sp', 'rappi'])
+  })
+
+  it('recusa nome sem letras e regex perigosa', async () => {
+    const erro = await beneficiario('1234', { padroes: [{ operador: 'regex', valor: '(a+)+$' }] }).validate().catch(err => err)
+
+    expect(erro.errors.nome.message).toBe('Nome do beneficiário precisa ter ao menos uma letra')
+    expect(erro.errors['padroes.0.valor']).toBeDefined()
+  })
+
+  it('os padrões ignoram acentos e maiúsculas', () => {
+    const payee = beneficiario('Uber', {
+      padroes: [{ operador: 'comeca_com', valor: 'uber' }, { operador: 'regex', valor: '^99\\s*(pop|taxi)' }]
+    })
+
+    expect(payee.padraoCorresponde('UBER *TRIP')).toBe(true)
+    expect(payee.padraoCorresponde('99 POP 1234')).toBe(true)
+    expect(payee.padraoCorresponde('PAG*UBER')).toBe(false)
+  })
+})
+
+describe('payeeService.identificar', () => {
+  it('os padrões têm prioridade sobre o nome e os aliases', () => {
+    const ifood = beneficiario('iFood', { chave: 'ifood', aliases: ['ifd'] })
+    const delivery = beneficiario('Delivery', { padroes: [{ operador: 'contem', valor: 'ifood' }] })
+
+    expect(payeeService.identificar('PAG*IFOOD 123', [ifood, delivery])).toBe(delivery)
+    expect(payeeService.identificar('IFD', [ifood])).toBe(ifood)
+    expect(payeeService.identificar('Rappi', [ifood])).toBeNull()
+    expect(payeeService.identificar('123', [ifood])).toBeNull()
+  })
+})
+
+describe('payeeService.aplicarEmNovas', () => {
+  it('reconhece, cria os novos uma vez e preenche só a categoria vazia do mesmo tipo', async () => {
+    const ifood = beneficiario('iFood', { categoriaPadrao: { nome: 'Alimentação', subcategoria: 'Delivery', tipo: 'despesa' } })
+    await ifood.validate()
+    jest.spyOn(Payee, 'find').mockResolvedValue([ifood])
+    const create = jest.spyOn(Payee, 'create').mockImplementation(criado)
+
+    const transacoes = await payeeService.aplicarEmNovas(userId, [
+      { descricao: 'PAG*IFOOD 123', tipo: 'despesa', categoria: '' },
+      { descricao: 'IFOOD *SP', tipo: 'despesa', categoria: 'Lazer' },
+      { descricao: 'iFood', tipo: 'receita', categoria: '' },
+      { descricao: 'PADARIA BELLA 01', tipo: 'despesa' },
+      { descricao: 'Padaria Bella', tipo: 'despesa' },
+      { descricao: 'Transferência', tipo: 'despesa', transferenciaId: novoId() }
+    ])
+
+    expect(transacoes.slice(0, 3).map(t => t.beneficiarioId)).toEqual([ifood._id, ifood._id, ifood._id])
+    expect(transacoes.slice(0, 3).map(t => t.categoria)).toEqual(['Alimentação', 'Lazer', ''])
+    expect(transacoes[0].subcategoria).toBe('Delivery')
+    expect(create).toHaveBeenCalledTimes(1)
+    expect(create).toHaveBeenCalledWith({ userId, nome: 'PADARIA BELLA', origem: 'automatico' })
+    expect(transacoes[4].beneficiarioId).toEqual(transacoes[3].beneficiarioId)
+    expect(transacoes[5].beneficiarioId).toBeUndefined()
+  })
+
+  it('mantém o beneficiário escolhido só quando é do usuário', async () => {
+    const ifood = beneficiario('iFood')
+    await ifood.validate()
+    jest.spyOn(Payee, 'find').mockResolvedValue([ifood])
+    jest.spyOn(Payee, 'create').mockImplementation(criado)
+
+    const [escolhido, deOutro] = await payeeService.aplicarEmNovas(userId, [
+      { descricao: 'Rappi', tipo: 'despesa', beneficiarioId: ifood._id },
+      { descricao: 'iFood', tipo: 'despesa', beneficiarioId: novoId() }
+    ])
+
+    expect(escolhido.beneficiarioId).toBe(ifood._id)
+    expect(deOutro.beneficiarioId).toBe(ifood._id)
+  })
+
+  it('criado ao mesmo tempo por outra requisição, usa o existente', async () => {
+    const existente = beneficiario('Padaria')
+    jest.spyOn(Payee, 'create').mockRejectedValue(Object.assign(new Error('duplicado'), { code: 11000 }))
+    const findOne = jest.spyOn(Payee, 'findOne').mockResolvedValue(existente)
+
+    expect(await payeeService.criarAutomatico(userId, 'COMPRA PADARIA 22')).toBe(existente)
+    expect(findOne).toHaveBeenCalledWith({ userId, chave: 'padaria' })
+    expect(await payeeService.criarAutomatico(userId, '0042 *')).toBeNull()
+  })
+})
+
+describe('payeeService.reprocessar', () => {
+  it('só grava as transações cujo beneficiário muda', async () => {
+    const ifood = beneficiario('iFood')
+    await ifood.validate()
+    jest.spyOn(Payee, 'find').mockResolvedValue([ifood])
+    jest.spyOn(Payee, 'create').mockResolvedValue(null)
+    const lista = [
+      { _id: novoId(), descricao: 'PAG*IFOOD', beneficiarioId: ifood._id },
+      { _id: novoId(), descricao: 'IFOOD *SP', beneficiarioId: null },
+      { _id: novoId(), descricao: '123', beneficiarioId: null }
+    ]
+    const query = consulta(lista)
+    query.cursor = () => (async function* () { yield* lista })()
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(query)
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({})
+
+    const resumo = await payeeService.reprocessar(userId, { sobrescrever: true })
+
+    expect(resumo).toEqual({ analisadas: 3, atualizadas: 1, criados: 0 })
+    expect(find.mock.calls[0][0].beneficiarioId).toBeUndefined()
+    expect(bulkWrite.mock.calls[0][0]).toEqual([
+      { updateOne: { filter: { _id: lista[1]._id }, update: { $set: { beneficiarioId: ifood._id } } } }
+    ])
+  })
+})
+
+describe('payeeService.mesclar', () => {
+  it('move transações, aliases, padrões e a categoria padrão para o destino', async () => {
+    const destino = beneficiario('iFood', { chave: 'ifood' })
+    const origem = beneficiario('Ifood Sp', {
+      chave: 'ifood sp',
+      aliases: ['ifd sp'],
+      padroes: [{ operador: 'contem', valor: 'ifood*' }],
+      categoriaPadrao: { nome: 'Alimentação', tipo: 'despesa' }
+    })
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 4 })
+    jest.spyOn(destino, 'save').mockResolvedValue(destino)
+    const deleteOne = jest.spyOn(Payee, 'deleteOne').mockResolvedValue({})
+
+    expect(await payeeService.mesclar(destino, origem)).toBe(4)
+    expect(updateMany).toHaveBeenCalledWith({ userId, beneficiarioId: origem._id }, { beneficiarioId: destino._id })
+    expect([...destino.aliases]).toEqual(['ifood sp', 'ifd sp'])
+    expect(destino.padroes.map(p => p.valor)).toEqual(['ifood*'])
+    expect(destino.categoriaPadrao.nome).toBe('Alimentação')
+    expect(deleteOne).toHaveBeenCalledWith({ _id: origem._id })
+  })
+})
+
+describe('payeeService.analise', () => {
+  it('calcula participação, ticket médio e frequência', async () => {
+    const beneficiarioId = novoId()
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+      resumo: [{ total: 400, quantidade: 5 }],
+      beneficiarios: [{
+        _id: beneficiarioId,
+        beneficiario: [{ nome: 'iFood' }],
+        total: 100.005,
+        quantidade: 4,
+        ticketMedio: 25.0012,
+        maiorValor: 40,
+        primeiraTransacao: new Date(2025, 0, 1),
+        ultimaTransacao: new Date(2025, 1, 1),
+        meses: ['2025-01', '2025-02'],
+        categorias: ['Alimentação']
+      }]
+    }])
+
+    const analise = await payeeService.analise(String(userId), { dataInicio: '2025-01-01', ordenarPor: 'quantidade' })
+
+    const [{ $match }] = aggregate.mock.calls[0][0]
+    expect($match).toMatchObject({ tipo: 'despesa', beneficiarioId: { $ne: null }, data: { $gte: new Date('2025-01-01') } })
+    expect(aggregate.mock.calls[0][0][2].$facet.beneficiarios[1]).toEqual({ $sort: { quantidade: -1, total: -1 } })
+    expect(analise).toMatchObject({ total: 400, quantidade: 5 })
+    expect(analise.beneficiarios[0]).toMatchObject({
+      nome: 'iFood',
+      total: 100.01,
+      participacao: 25,
+      ticketMedio: 25,
+      mesesComTransacao: 2,
+      mediaPorMes: 2,
+      intervaloMedioDias: 10.3
+    })
+  })
+})
+
+describe('payeeController', () => {
+  it('categoria padrão inexistente é recusada', async () => {
+    jest.spyOn(Category, 'buscarPorNome').mockResolvedValue(null)
+    const create = jest.spyOn(Payee, 'create')
+    const res = criarRes()
+
+    await payeeController.create(criarReq({ userId, body: { nome: 'iFood', categoriaPadrao: { nome: 'Comida' } } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toEqual({ error: 'Categoria não encontrada: Comida' })
+    expect(create).not.toHaveBeenCalled()
+  })
+
+  it('não mescla um beneficiário nele mesmo', async () => {
+    const id = String(novoId())
+    const res = criarRes()
+
+    await payeeController.mesclar(criarReq({ userId, params: { id }, body: { origemId: id } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('Escolha outro beneficiário para mesclar')
+  })
+})
@@ -0,0 +1,198 @@
+jest.mock('../config/mailer', () => ({ sendEmail: jest.fn(), testConnection: jest.fn() }))
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const Budget = require('../models/Budget')
+const User = require('../models/User')
+const Invoice = require('../models/Invoice')
+const { sendEmail } = require('../config/mailer')
+const reminderService = require('../services/reminderService')
+const transactionQueryService = require('../services/transactionQueryService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const currencyService = require('../services/currencyService')
+const { aplicarImpactos } = require('../services/transactionImpactService')
+const transactionController = require('../controllers/transactionController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+// Data a n dias de hoje (negativo para o passado)
+function diasAFrente(n, hora = 12) {
+  const data = new Date()
+  data.setDate(data.getDate() + n)
+  data.setHours(hora, 0, 0, 0)
+  return data
+}
+
+function pendente(dados = {}) {
+  return new Transaction({
+    userId: novoId(),
+    tipo: 'despesa',
+    descricao: 'Aluguel',
+    valor: 1500,
+    data: new Date(2025, 0, 10, 12),
+    moeda: 'BRL',
+    metodoPagamento: 'boleto',
+    categoria: 'Moradia',
+    status: 'pendente',
+    ...dados
+  })
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('Transaction pendentes', () => {
+  it('realizadas ficam só com as confirmadas e sem transferências', () => {
+    expect(Transaction.realizadas({ userId: 'u' })).toEqual({ userId: 'u', transferenciaId: null, status: 'confirmada' })
+  })
+
+  it('vencidas são pendentes com data anterior a hoje', () => {
+    const filtro = Transaction.filtroVencidas({ userId: 'u' })
+
+    expect(filtro).toMatchObject({ userId: 'u', status: 'pendente' })
+    expect(filtro.data.$lt).toEqual(diasAFrente(0, 0))
+    expect(pendente({ data: diasAFrente(-1) }).estaVencida()).toBe(true)
+    expect(pendente({ data: diasAFrente(0) }).estaVencida()).toBe(false)
+    expect(pendente({ data: diasAFrente(-1), status: 'confirmada' }).estaVencida()).toBe(false)
+  })
+
+  it('pendentes só entram na fatura, sem orçamento ou categoria', async () => {
+    const { aplicarImpactos: aplicarDeVerdade } = jest.requireActual('../services/transactionImpactService')
+    const faturaParaTransacao = jest.spyOn(Invoice, 'faturaParaTransacao').mockResolvedValue(null)
+    const budgetUpdate = jest.spyOn(Budget, 'findOneAndUpdate')
+
+    await aplicarDeVerdade({ _id: novoId(), userId: novoId(), tipo: 'despesa', status: 'pendente', faturaId: null, valor: 10, orcamentoId: novoId() })
+
+    expect(faturaParaTransacao).toHaveBeenCalled()
+    expect(budgetUpdate).not.toHaveBeenCalled()
+  })
+})
+
+describe('transactionController.confirmar', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction, 'calcularConversao').mockResolvedValue({ moeda: 'BRL', valor: 1480, taxa: 1 })
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(async function() {
+      await this.validate()
+      return this
+    })
+    jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+  })
+
+  it('confirma com outro valor e data, guardando o previsto', async () => {
+    const transacao = pendente()
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(transacao)
+    const res = criarRes()
+
+    await transactionController.confirmar(criarReq({
+      params: { id: transacao._id.toString() },
+      body: { valor: 1480, data: '2025-01-12T12:00:00' }
+    }), res)
+
+    expect(res.body.message).toBe('Transação confirmada com sucesso')
+    expect(transacao).toMatchObject({ status: 'confirmada', valor: 1480, data: new Date(2025, 0, 12, 12) })
+    expect(transacao.confirmacao).toMatchObject({ valorPrevisto: 1500, dataPrevista: new Date(2025, 0, 10, 12) })
+    expect(aplicarImpactos).toHaveBeenCalledWith(transacao)
+    expect(transactionHistoryService.registrar.mock.calls[0][1].anteriores[0].status).toBe('pendente')
+  })
+
+  it('sem alterações, o previsto fica vazio', async () => {
+    const transacao = pendente()
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(transacao)
+
+    await transactionController.confirmar(criarReq({ params: { id: transacao._id.toString() } }), criarRes())
+
+    expect(transacao.confirmacao).toMatchObject({ valorPrevisto: null, dataPrevista: null })
+  })
+
+  it('só confirma pendentes', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(pendente({ status: 'confirmada' }))
+    const res = criarRes()
+
+    await transactionController.confirmar(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('Apenas transações pendentes podem ser confirmadas (status atual: confirmada)')
+    expect(aplicarImpactos).not.toHaveBeenCalled()
+  })
+
+  it('transação dividida com novo valor precisa das novas divisões', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(pendente({
+      divisoes: [{ categoria: 'Moradia', valor: 1000 }, { categoria: 'Serviços', valor: 500 }]
+    }))
+    const res = criarRes()
+
+    await transactionController.confirmar(criarReq({ params: { id: novoId().toString() }, body: { valor: 1600 } }), res)
+
+    expect(res.body.error).toBe('Envie as divisões junto com o novo valor')
+  })
+})
+
+describe('transactionController.getPendentes', () => {
+  it('marca vencidas e conta os dias até o vencimento', async () => {
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(consulta([
+      { _id: novoId(), descricao: 'Luz', valor: 200, data: diasAFrente(-2) },
+      { _id: novoId(), descricao: 'Aluguel', valor: 1500, data: diasAFrente(5) }
+    ]))
+    jest.spyOn(transactionQueryService, 'resumirPendentes').mockResolvedValue({ aPagar: 1700, vencidas: 1 })
+    jest.spyOn(currencyService, 'moedaBase').mockResolvedValue('BRL')
+    const res = criarRes()
+
+    await transactionController.getPendentes(criarReq({ query: { dias: '7' } }), res)
+
+    expect(find.mock.calls[0][0]).toMatchObject({ status: 'pendente', transferenciaId: null })
+    expect(find.mock.calls[0][0].data.$lte).toEqual(new Date(diasAFrente(8, 0).getTime() - 1))
+    expect(res.body.data.transacoes.map(t => [t.vencida, t.diasParaVencimento])).toEqual([[true, -2], [false, 5]])
+    expect(res.body.data.resumo).toEqual({ moedaBase: 'BRL', aPagar: 1700, vencidas: 1 })
+  })
+})
+
+describe('reminderService', () => {
+  const agora = diasAFrente(0, 8)
+
+  function usuario(notificacoes = {}) {
+    return { _id: novoId(), nome: 'Ana', email: 'ana@exemplo.com', configuracoes: { notificacoes } }
+  }
+
+  it('lembra na antecedência da transação ou, sem ela, na do usuário', async () => {
+    const ana = usuario({ diasAntesVencimento: 2 })
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([
+      { _id: novoId(), userId: ana._id, descricao: 'Hoje', data: diasAFrente(0) },
+      { _id: novoId(), userId: ana._id, descricao: 'Em 2 dias', data: diasAFrente(2) },
+      { _id: novoId(), userId: ana._id, descricao: 'Em 5 dias', data: diasAFrente(5) },
+      { _id: novoId(), userId: ana._id, descricao: 'Em 10 dias', data: diasAFrente(10), lembrete: { diasAntes: 10 } }
+    ]))
+    jest.spyOn(User, 'find').mockReturnValue(consulta([ana]))
+
+    const lembretes = await reminderService.buscarParaLembrar(agora)
+
+    expect(lembretes.get(String(ana._id)).transacoes.map(t => [t.descricao, t.diasParaVencimento])).toEqual([
+      ['Hoje', 0],
+      ['Em 2 dias', 2],
+      ['Em 10 dias', 10]
+    ])
+  })
+
+  it('marca como lembradas apenas as transações cujo email foi enviado', async () => {
+    const ana = usuario()
+    const bia = usuario({ vencimentos: false })
+    const caio = usuario()
+    const transacao = (dono, descricao) => ({ _id: novoId(), userId: dono._id, descricao, valor: 100, tipo: 'despesa', data: diasAFrente(1) })
+    const daAna = transacao(ana, 'Internet')
+    jest.spyOn(reminderService, 'buscarParaLembrar').mockResolvedValue(new Map([
+      [String(ana._id), { usuario: ana, transacoes: [{ ...daAna, diasParaVencimento: 1 }] }],
+      [String(bia._id), { usuario: bia, transacoes: [{ ...transacao(bia, 'Luz'), diasParaVencimento: 1 }] }],
+      [String(caio._id), { usuario: caio, transacoes: [{ ...transacao(caio, 'Água'), diasParaVencimento: 1 }] }]
+    ]))
+    sendEmail.mockResolvedValueOnce(true).mockResolvedValueOnce(false)
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({})
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+
+    const resultados = await reminderService.enviarLembretes(agora)
+
+    expect(resultados).toEqual({ usuarios: 3, enviados: 1, transacoes: 1, ignorados: 1, erros: 1 })
+    expect(sendEmail.mock.calls[0][0].subject).toBe('⏰ "Internet" vence amanhã')
+    expect(updateMany).toHaveBeenCalledTimes(1)
+    expect(updateMany.mock.calls[0][0]).toEqual({ _id: { $in: [daAna._id] } })
+  })
+})
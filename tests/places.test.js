@@ -0,0 +1,181 @@
+const Transaction = require('../models/Transaction')
+const currencyService = require('../services/currencyService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const placeService = require('../services/placeService')
+const { consulta, novoId } = require('./helpers')
+
+const userId = novoId().toString()
+
+function comLocal(nome, latitude, longitude, dados = {}) {
+  return {
+    _id: novoId(),
+    tipo: 'despesa',
+    valor: 10,
+    categoria: 'Alimentação',
+    data: new Date(2025, 0, 10),
+    localizacao: { nome, latitude, longitude, ponto: { type: 'Point', coordinates: [longitude, latitude] } },
+    ...dados
+  }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Transaction.localizacao', () => {
+  it('o ponto GeoJSON vem de latitude e longitude válidas', () => {
+    expect(Transaction.pontoDaLocalizacao({ latitude: '-23.56', longitude: -46.65 }))
+      .toEqual({ type: 'Point', coordinates: [-46.65, -23.56] })
+    expect(Transaction.pontoDaLocalizacao({ nome: 'Sem coordenadas' })).toBeUndefined()
+    expect(Transaction.pontoDaLocalizacao({ latitude: 91, longitude: 0 })).toBeUndefined()
+    expect(Transaction.pontoDaLocalizacao({ latitude: 'x', longitude: 0 })).toBeUndefined()
+  })
+
+  it('o validate acompanha as mudanças de localização', async () => {
+    jest.spyOn(Transaction, 'calcularConversao').mockResolvedValue({ moeda: 'BRL', valor: 8, taxa: 1 })
+    const transacao = new Transaction({
+      userId,
+      descricao: 'Café',
+      valor: 8,
+      tipo: 'despesa',
+      categoria: 'Alimentação',
+      data: new Date(2025, 0, 10),
+      moeda: 'BRL',
+      metodoPagamento: 'pix',
+      localizacao: { nome: 'Café', latitude: -23.56, longitude: -46.65 }
+    })
+
+    await transacao.validate()
+    expect(transacao.localizacao.ponto.coordinates).toEqual([-46.65, -23.56])
+
+    transacao.localizacao = { nome: 'Café' }
+    await transacao.validate()
+    expect(transacao.localizacao.ponto?.coordinates).toBeUndefined()
+  })
+})
+
+describe('placeService.gastosProximos', () => {
+  it('busca com $geoNear em volta do ponto e resume por categoria', async () => {
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+      resumo: [{ total: 120.456, quantidade: 3 }],
+      porCategoria: [{ _id: 'Alimentação', total: 100.004, quantidade: 2 }, { _id: 'Lazer', total: 20.452, quantidade: 1 }],
+      transacoes: []
+    }])
+    jest.spyOn(currencyService, 'moedaBase').mockResolvedValue('BRL')
+
+    const resultado = await placeService.gastosProximos(userId, { latitude: -23.56, longitude: -46.65, raio: 500 })
+
+    const { $geoNear } = aggregate.mock.calls[0][0][0]
+    expect($geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [-46.65, -23.56] },
+      key: 'localizacao.ponto',
+      maxDistance: 500,
+      spherical: true,
+      query: { tipo: 'despesa', status: 'confirmada', transferenciaId: null, 'localizacao.ponto': { $exists: true } }
+    })
+    expect(resultado).toMatchObject({
+      centro: { latitude: -23.56, longitude: -46.65 },
+      raio: 500,
+      moeda: 'BRL',
+      total: 120.46,
+      quantidade: 3,
+      porCategoria: [
+        { categoria: 'Alimentação', total: 100, quantidade: 2 },
+        { categoria: 'Lazer', total: 20.45, quantidade: 1 }
+      ]
+    })
+  })
+
+  it('sem transações no raio, o total é zero', async () => {
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ resumo: [], porCategoria: [], transacoes: [] }])
+    jest.spyOn(currencyService, 'moedaBase').mockResolvedValue('BRL')
+
+    expect(await placeService.gastosProximos(userId, { latitude: 0, longitude: 0 })).toMatchObject({ raio: 1000, total: 0, quantidade: 0 })
+  })
+})
+
+describe('placeService.maioresLugares', () => {
+  it('agrupa pelo nome sem diferenciar maiúsculas e calcula o ticket médio', async () => {
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+      { _id: 'padaria', nome: 'Padaria', total: 100, quantidade: 3, latitude: -23.5, longitude: -46.6 }
+    ])
+
+    const lugares = await placeService.maioresLugares(userId, { dataInicio: '2025-01-01' })
+
+    expect(aggregate.mock.calls[0][0][0].$match).toMatchObject({
+      tipo: 'despesa',
+      'localizacao.nome': { $nin: [null, ''] },
+      data: { $gte: new Date('2025-01-01') }
+    })
+    expect(aggregate.mock.calls[0][0][2].$group._id).toEqual({ $toLower: { $trim: { input: '$localizacao.nome' } } })
+    expect(lugares).toEqual([{ nome: 'Padaria', total: 100, quantidade: 3, latitude: -23.5, longitude: -46.6, ticketMedio: 33.33 }])
+  })
+})
+
+describe('placeService.lugaresFrequentes', () => {
+  it('junta as transações próximas num lugar com o nome mais usado', async () => {
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([
+      comLocal('Padaria Bella', -23.5614, -46.6559, { data: new Date(2025, 0, 1) }),
+      comLocal('PADARIA BELLA', -23.5616, -46.6560, { valor: 20 }),
+      comLocal('Padaria Bella', -23.5613, -46.6557, { valor: 30, conversao: { valor: 33, taxa: 1.1 } }),
+      comLocal('Mercado', -23.5505, -46.6333, { categoria: 'Mercado', valor: 200 }),
+      comLocal('Mercado', -23.5506, -46.6334, { categoria: 'Mercado', valor: 100, data: new Date(2025, 0, 20) }),
+      comLocal('Cinema', -23.5800, -46.6900, { categoria: 'Lazer' }),
+      comLocal('Padaria Bella', -23.5615, -46.6558, { tipo: 'receita', valor: 500, categoria: 'Reembolso' })
+    ]))
+
+    const lugares = await placeService.lugaresFrequentes(userId, {})
+
+    expect(lugares.map(l => [l.nome, l.visitas, l.gasto, l.categoriaPrincipal])).toEqual([
+      ['Padaria Bella', 4, 63, 'Alimentação'],
+      ['Mercado', 2, 300, 'Mercado']
+    ])
+    expect(lugares[0].nomes).toEqual(['Padaria Bella', 'PADARIA BELLA'])
+    expect(lugares[0].raio).toBeLessThan(50)
+    expect(lugares[1]).toMatchObject({ primeiraVisita: new Date(2025, 0, 10), ultimaVisita: new Date(2025, 0, 20) })
+  })
+
+  it('o raio e o mínimo de visitas definem os lugares', async () => {
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([
+      comLocal('A', -23.5614, -46.6559),
+      comLocal('B', -23.5634, -46.6559)
+    ]))
+
+    expect(await placeService.lugaresFrequentes(userId, {})).toEqual([])
+    expect((await placeService.lugaresFrequentes(userId, { raio: 300 }))[0].visitas).toBe(2)
+  })
+})
+
+describe('placeService.renomear', () => {
+  it('renomeia as transações no raio e registra no histórico', async () => {
+    const anteriores = [comLocal('padaria', -23.56, -46.65)]
+    const renomeadas = [comLocal('Padaria Bella', -23.56, -46.65, { _id: anteriores[0]._id })]
+    const find = jest.spyOn(Transaction, 'find').mockResolvedValueOnce(anteriores).mockResolvedValueOnce(renomeadas)
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({})
+    const registrar = jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+
+    const quantidade = await placeService.renomear(userId, {
+      latitude: -23.56,
+      longitude: -46.65,
+      nome: 'Padaria Bella',
+      nomeAtual: ' padaria '
+    })
+
+    expect(quantidade).toBe(1)
+    expect(find.mock.calls[0][0]).toEqual({
+      userId,
+      'localizacao.ponto': { $geoWithin: { $centerSphere: [[-46.65, -23.56], 100 / 6378100] } },
+      'localizacao.nome': { $ne: 'Padaria Bella', $regex: /^padaria$/i }
+    })
+    expect(updateMany.mock.calls[0][1]).toMatchObject({ 'localizacao.nome': 'Padaria Bella' })
+    expect(registrar).toHaveBeenCalledWith(renomeadas, { operacao: 'edicao', autorId: userId, anteriores })
+  })
+
+  it('não atualiza nada quando nenhuma transação muda', async () => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue([])
+    const updateMany = jest.spyOn(Transaction, 'updateMany')
+
+    expect(await placeService.renomear(userId, { latitude: 0, longitude: 0, nome: 'X' })).toBe(0)
+    expect(updateMany).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose')
+const Account = require('../models/Account')
+const QueryParser = require('../utils/queryParser')
+const transactionQueryService = require('../services/transactionQueryService')
+const transactionController = require('../controllers/transactionController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('QueryParser.tokenizar', () => {
+  it('separa campos, operadores, negações e frases entre aspas', () => {
+    const { termos, erros } = QueryParser.tokenizar('valor>100 tag:viagem -pix "padaria do bairro" descricao="a b"')
+
+    expect(erros).toEqual([])
+    expect(termos).toEqual([
+      { campo: 'valor', operador: '>', valor: '100', negado: false },
+      { campo: 'tag', operador: ':', valor: 'viagem', negado: false },
+      { campo: 'texto', operador: ':', valor: 'pix', negado: true },
+      { campo: 'texto', operador: ':', valor: 'padaria do bairro', negado: false },
+      { campo: 'descricao', operador: ':', valor: 'a b', negado: false }
+    ])
+  })
+
+  it('aponta campos desconhecidos, campos sem valor e excesso de termos', () => {
+    expect(QueryParser.tokenizar('cor:azul valor: tag:""').erros).toEqual([
+      'Campo de busca desconhecido: cor',
+      'Informe um valor para valor',
+      'Informe um valor para tag'
+    ])
+    expect(QueryParser.tokenizar(Array(31).fill('x').join(' ')).erros).toEqual(['A busca pode ter no máximo 30 termos'])
+  })
+})
+
+describe('QueryParser.montarFiltro', () => {
+  it('converte a consulta do exemplo em condições para $and', () => {
+    const { condicoes, erros } = QueryParser.montarFiltro(
+      'valor>100 tag:viagem categoria:Alimentação -pix antes:2025-01-01 "padaria"'
+    )
+
+    expect(erros).toEqual([])
+    expect(condicoes).toEqual([
+      { valor: { $gt: 100 } },
+      { tags: { $in: [/^viagem$/i] } },
+      { $or: [{ categoria: { $in: [/^Alimentação$/i] } }, { 'divisoes.categoria': { $in: [/^Alimentação$/i] } }] },
+      { $nor: [{ $or: [{ descricao: /pix/i }, { observacoes: /pix/i }, { tags: /pix/i }, { metodoPagamento: 'pix' }] }] },
+      { data: { $lt: new Date(2025, 0, 1) } },
+      { $or: [{ descricao: /padaria/i }, { observacoes: /padaria/i }, { tags: /padaria/i }] }
+    ])
+  })
+
+  it('escapa o texto antes de montar a regex', () => {
+    const { condicoes } = QueryParser.montarFiltro('"a.b(c" descricao:1+1')
+
+    const regex = condicoes[0].$or[0].descricao
+    expect(regex.test('nota a.b(c')).toBe(true)
+    expect(regex.test('aXb(c')).toBe(false)
+    expect(condicoes[1].descricao.test('1+1=2')).toBe(true)
+  })
+
+  it('aceita faixas de valor e de data e períodos de um mês', () => {
+    const { condicoes, erros } = QueryParser.montarFiltro('valor:50..200 valor:..10,5 data:2025-01 data:01/02/2025..2025-02-10')
+
+    expect(erros).toEqual([])
+    expect(condicoes).toEqual([
+      { valor: { $gte: 50, $lte: 200 } },
+      { valor: { $lte: 10.5 } },
+      { data: { $gte: new Date(2025, 0, 1), $lte: new Date(2025, 0, 31, 23, 59, 59, 999) } },
+      { data: { $gte: new Date(2025, 1, 1), $lte: new Date(2025, 1, 10, 23, 59, 59, 999) } }
+    ])
+  })
+
+  it('vírgula separa alternativas, exceto entre aspas', () => {
+    const { condicoes } = QueryParser.montarFiltro('status:pendente,confirmada cat:"Bares, cafés",Lazer')
+
+    expect(condicoes[0]).toEqual({ status: { $in: ['pendente', 'confirmada'] } })
+    expect(condicoes[1].$or[0].categoria.$in).toEqual([/^Bares, cafés$/i, /^Lazer$/i])
+  })
+
+  it('procura as contas pelo nome ou id', () => {
+    const nubank = { _id: novoId(), nome: 'Nubank' }
+    const inter = { _id: novoId(), nome: 'Inter' }
+
+    const { condicoes, erros } = QueryParser.montarFiltro(`conta:nubank,${inter._id} conta:Itaú`, { contas: [nubank, inter] })
+
+    expect(condicoes).toEqual([{ contaId: { $in: [nubank._id, inter._id] } }])
+    expect(erros).toEqual(['Conta não encontrada: Itaú'])
+  })
+
+  it('junta os erros de todos os termos inválidos', () => {
+    const { erros } = QueryParser.montarFiltro('status:paga valor:abc valor:10..x antes:2025-02-30 tag>1')
+
+    expect(erros).toEqual([
+      'status inválido: paga (use pendente, confirmada, cancelada)',
+      'Valor inválido: abc',
+      'Faixa de valor inválida: 10..x',
+      'Data inválida: 2025-02-30 (use AAAA-MM-DD, DD/MM/AAAA ou AAAA-MM)',
+      'Operador > não se aplica a tag'
+    ])
+  })
+})
+
+describe('transactionQueryService.montarFiltros com q', () => {
+  it('só busca as contas quando a consulta usa o campo conta', async () => {
+    const userId = novoId().toString()
+    const contaId = novoId()
+    const find = jest.spyOn(Account, 'find').mockReturnValue(consulta([{ _id: contaId, nome: 'Nubank' }]))
+
+    const semConta = await transactionQueryService.montarFiltros(userId, { q: 'valor>10' })
+    expect(find).not.toHaveBeenCalled()
+    expect(semConta.filtros.$and).toEqual([{ valor: { $gt: 10 } }])
+
+    const { filtros } = await transactionQueryService.montarFiltros(userId, { categoria: 'Lazer', q: 'conta:nubank' })
+    expect(filtros.userId).toEqual(new mongoose.Types.ObjectId(userId))
+    expect(filtros.$and).toEqual([
+      { $or: [{ categoria: 'Lazer' }, { 'divisoes.categoria': 'Lazer' }] },
+      { contaId: { $in: [contaId] } }
+    ])
+  })
+})
+
+describe('transactionController.getAll', () => {
+  it('recusa ordenação fora dos campos permitidos', async () => {
+    const res = criarRes()
+
+    await transactionController.getAll(criarReq({ query: { sortBy: 'userId' } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('Ordenação inválida (use data, valor, descricao, categoria, criadoEm)')
+  })
+
+  it('devolve os erros da busca', async () => {
+    const res = criarRes()
+
+    await transactionController.getAll(criarReq({ query: { q: 'cor:azul' } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toEqual({ error: 'Busca inválida', detalhes: ['Campo de busca desconhecido: cor'] })
+  })
+})
@@ -0,0 +1,215 @@
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const Reconciliation = require('../models/Reconciliation')
+const Account = require('../models/Account')
+const reconciliationService = require('../services/reconciliationService')
+const { reverterImpactos } = require('../services/transactionImpactService')
+const reconciliationController = require('../controllers/reconciliationController')
+const transactionController = require('../controllers/transactionController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+function novaSessao(dados = {}) {
+  return new Reconciliation({
+    userId: novoId(),
+    contaId: novoId(),
+    dataExtrato: new Date(2025, 0, 31),
+    saldoExtrato: 1150,
+    saldoInicial: 1000,
+    ...dados
+  })
+}
+
+function conciliada(dados = {}) {
+  return {
+    _id: novoId(),
+    descricao: 'Salário',
+    valor: 500,
+    tipo: 'receita',
+    status: 'confirmada',
+    data: new Date(2025, 0, 5, 12),
+    contaId: novoId(),
+    conciliacao: { conciliacaoId: novoId(), conciliadaEm: new Date() },
+    ...dados
+  }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('reconciliationService.calcularResumo', () => {
+  it('saldo conferido é o inicial mais as receitas e menos as despesas marcadas', async () => {
+    const sessao = novaSessao({ transacoes: [novoId(), novoId()] })
+    const aggregate = jest.spyOn(Transaction, 'aggregate')
+      .mockResolvedValueOnce([{ receitas: 200, despesas: 50.3, quantidade: 2 }])
+      .mockResolvedValueOnce([{ quantidade: 5 }])
+    const conta = { moeda: 'BRL', calcularSaldo: jest.fn().mockResolvedValue(1180.456) }
+
+    const resumo = await reconciliationService.calcularResumo(sessao, conta)
+
+    expect(resumo).toEqual({
+      moeda: 'BRL',
+      saldoInicial: 1000,
+      saldoExtrato: 1150,
+      receitas: 200,
+      despesas: 50.3,
+      quantidade: 2,
+      naoMarcadas: 3,
+      saldoConciliado: 1149.7,
+      diferenca: 0.3,
+      saldoSistema: 1180.46,
+      diferencaSistema: -30.46
+    })
+    expect(conta.calcularSaldo).toHaveBeenCalledWith(new Date(2025, 0, 31, 23, 59, 59, 999))
+    expect(aggregate.mock.calls[0][0][0].$match).toMatchObject({
+      status: 'confirmada',
+      'conciliacao.conciliacaoId': { $in: [null, sessao._id] }
+    })
+  })
+})
+
+describe('reconciliationService.marcar', () => {
+  it('só marca candidatas da sessão', async () => {
+    const sessao = novaSessao()
+    const valida = novoId()
+    jest.spyOn(Transaction, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([valida]) })
+
+    expect(await reconciliationService.marcar(sessao, { marcar: [valida, novoId()] })).toMatch(/^Só podem ser marcadas/)
+    expect(sessao.transacoes).toHaveLength(0)
+
+    expect(await reconciliationService.marcar(sessao, { marcar: [valida, valida] })).toBeNull()
+    expect(sessao.transacoes.map(String)).toEqual([String(valida)])
+  })
+
+  it('desmarcar não consulta as transações', async () => {
+    const [a, b] = [novoId(), novoId()]
+    const sessao = novaSessao({ transacoes: [a, b] })
+    const find = jest.spyOn(Transaction, 'find')
+
+    await reconciliationService.marcar(sessao, { desmarcar: [String(a)] })
+
+    expect(find).not.toHaveBeenCalled()
+    expect(sessao.transacoes.map(String)).toEqual([String(b)])
+  })
+})
+
+describe('reconciliationService concluir e desfazer', () => {
+  it('trava apenas as marcadas que continuam candidatas e grava os totais', async () => {
+    const [a, b] = [novoId(), novoId()]
+    const sessao = novaSessao({ transacoes: [a, b] })
+    jest.spyOn(Transaction, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue([a]) })
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({})
+    jest.spyOn(sessao, 'save').mockResolvedValue(sessao)
+
+    await reconciliationService.concluir(sessao, { receitas: 150, despesas: 0, saldoConciliado: 1150, diferenca: 0 })
+
+    expect(updateMany.mock.calls[0][0]).toEqual({ _id: { $in: [a] } })
+    expect(updateMany.mock.calls[0][1]['conciliacao.conciliacaoId']).toBe(sessao._id)
+    expect(sessao.status).toBe('concluida')
+    expect(sessao.resumo.quantidade).toBe(1)
+  })
+
+  it('desfazer libera as transações da sessão', async () => {
+    const sessao = novaSessao({ status: 'concluida' })
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 3 })
+    jest.spyOn(sessao, 'save').mockResolvedValue(sessao)
+
+    expect(await reconciliationService.desfazer(sessao)).toBe(3)
+    expect(updateMany).toHaveBeenCalledWith(
+      { 'conciliacao.conciliacaoId': sessao._id },
+      { 'conciliacao.conciliacaoId': null, 'conciliacao.conciliadaEm': null }
+    )
+    expect(sessao.status).toBe('desfeita')
+  })
+
+  it('a nova sessão parte do saldo do último extrato conciliado', async () => {
+    jest.spyOn(Reconciliation, 'ultimaConcluida').mockResolvedValueOnce(null).mockResolvedValueOnce({ saldoExtrato: 870 })
+
+    expect((await reconciliationService.saldoDePartida({ _id: novoId(), saldoInicial: 100 })).saldoInicial).toBe(100)
+    expect((await reconciliationService.saldoDePartida({ _id: novoId(), saldoInicial: 100 })).saldoInicial).toBe(870)
+  })
+})
+
+describe('reconciliationController', () => {
+  it('não conclui enquanto houver diferença para o extrato', async () => {
+    const sessao = novaSessao()
+    jest.spyOn(Reconciliation, 'findOne').mockResolvedValue(sessao)
+    jest.spyOn(Account, 'findById').mockResolvedValue({ moeda: 'BRL' })
+    jest.spyOn(reconciliationService, 'calcularResumo').mockResolvedValue({ diferenca: -12.5, moeda: 'BRL' })
+    const concluir = jest.spyOn(reconciliationService, 'concluir')
+    const res = criarRes()
+
+    await reconciliationController.concluir(criarReq({ params: { id: sessao._id.toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('O saldo conferido difere do extrato em -12.50 BRL')
+    expect(concluir).not.toHaveBeenCalled()
+  })
+
+  it('só desfaz a última conciliação concluída da conta', async () => {
+    const sessao = novaSessao({ status: 'concluida' })
+    const ultima = novaSessao({ status: 'concluida' })
+    jest.spyOn(Reconciliation, 'findOne').mockResolvedValue(sessao)
+    jest.spyOn(Reconciliation, 'ultimaConcluida').mockResolvedValue(ultima)
+    const res = criarRes()
+
+    await reconciliationController.desfazer(criarReq({ params: { id: sessao._id.toString() } }), res)
+
+    expect(res.body).toEqual({
+      error: 'Apenas a última conciliação da conta pode ser desfeita',
+      sugestao: `Desfaça antes a conciliação em /api/reconciliations/${ultima._id}/desfazer`
+    })
+  })
+
+  it('recusa extrato anterior à última conciliação', async () => {
+    const conta = { _id: novoId(), saldoInicial: 0 }
+    jest.spyOn(Account, 'findOne').mockResolvedValue(conta)
+    jest.spyOn(Reconciliation, 'findOne').mockResolvedValue(null)
+    jest.spyOn(Reconciliation, 'ultimaConcluida').mockResolvedValue({ _id: novoId(), dataExtrato: new Date(2025, 1, 28), saldoExtrato: 10 })
+    const create = jest.spyOn(Reconciliation, 'create')
+    const res = criarRes()
+
+    await reconciliationController.create(criarReq({
+      body: { contaId: String(conta._id), dataExtrato: '2025-01-31', saldoExtrato: 10 }
+    }), res)
+
+    expect(res.body.error).toBe('A data do extrato é anterior à última conciliação da conta')
+    expect(create).not.toHaveBeenCalled()
+  })
+})
+
+describe('trava de transações conciliadas', () => {
+  it('bloqueia só os campos que mudam o saldo', () => {
+    const transacao = conciliada()
+
+    expect(Transaction.camposConciliadosAlterados(transacao, {
+      valor: '500',
+      data: new Date(2025, 0, 5, 12).toISOString(),
+      categoria: 'Outros',
+      status: 'cancelada'
+    })).toEqual(['status'])
+    expect(Transaction.bloqueioDeConciliacao([transacao], { descricao: 'Salário janeiro' })).toBeNull()
+    expect(Transaction.camposConciliadosAlterados({ ...transacao, conciliacao: null }, { valor: 1 })).toEqual([])
+  })
+
+  it('a edição de campos travados e a exclusão indicam como desfazer', async () => {
+    const transacao = conciliada()
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(transacao)
+    const res = criarRes()
+
+    await transactionController.update(criarReq({ params: { id: String(transacao._id) }, body: { valor: 450 } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toEqual({
+      error: '"Salário" já foi conciliada com o extrato e não pode ter valor alterado(s)',
+      sugestao: `Desfaça a conciliação em /api/reconciliations/${transacao.conciliacao.conciliacaoId}/desfazer`
+    })
+
+    await transactionController.remove(criarReq({ params: { id: String(transacao._id) } }), res)
+
+    expect(res.body.error).toBe('"Salário" já foi conciliada com o extrato e não pode ser excluída')
+    expect(reverterImpactos).not.toHaveBeenCalled()
+  })
+})
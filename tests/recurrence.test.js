@@ -0,0 +1,179 @@
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const attachmentService = require('../services/attachmentService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const recurrenceService = require('../services/recurrenceService')
+const { aplicarImpactos, reverterImpactos } = require('../services/transactionImpactService')
+const { novoId } = require('./helpers')
+
+function novaSerie(recorrente = {}, dados = {}) {
+  return new Transaction({
+    userId: novoId(),
+    tipo: 'despesa',
+    descricao: 'Aluguel',
+    valor: 1500,
+    categoria: 'Moradia',
+    data: new Date(2025, 0, 31, 9),
+    recorrente: { ativo: true, tipo: 'mensal', ...recorrente },
+    ...dados
+  })
+}
+
+beforeEach(() => {
+  jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+  jest.spyOn(Transaction, 'updateOne').mockResolvedValue({})
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('Transaction#calcularProximaData', () => {
+  it('mantém o dia da primeira ocorrência nos meses seguintes', () => {
+    const serie = novaSerie()
+
+    const fevereiro = serie.calcularProximaData()
+    expect(fevereiro).toEqual(new Date(2025, 1, 28, 9))
+    expect(serie.calcularProximaData(fevereiro)).toEqual(new Date(2025, 2, 31, 9))
+  })
+
+  it('respeita o intervalo semanal', () => {
+    const serie = novaSerie({ tipo: 'semanal', intervalo: 2 })
+
+    expect(serie.calcularProximaData()).toEqual(new Date(2025, 1, 14, 9))
+  })
+})
+
+describe('Transaction#projetarOcorrencias', () => {
+  it('projeta a partir da próxima data até o limite e a data final', () => {
+    const serie = novaSerie({ proximaData: new Date(2025, 1, 28, 9), dataFim: new Date(2025, 3, 30) })
+
+    expect(serie.projetarOcorrencias(new Date(2025, 11, 31))).toEqual([
+      new Date(2025, 1, 28, 9),
+      new Date(2025, 2, 31, 9),
+      new Date(2025, 3, 30, 9)
+    ])
+  })
+})
+
+describe('recurrenceService.processarSerie', () => {
+  it('gera as ocorrências vencidas, pula exceções e avança a próxima data', async () => {
+    const serie = novaSerie({
+      proximaData: new Date(2025, 1, 28, 9),
+      excecoes: [new Date(2025, 2, 31)]
+    })
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(async dados => dados)
+
+    const geradas = await recurrenceService.processarSerie(serie, new Date(2025, 3, 5))
+
+    expect(geradas.map(t => t.data)).toEqual([new Date(2025, 1, 28, 9)])
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      recorrenciaOrigemId: serie._id,
+      recorrenciaData: new Date(2025, 1, 28, 9),
+      status: 'confirmada',
+      descricao: 'Aluguel'
+    }))
+    expect(serie.recorrente.proximaData).toEqual(new Date(2025, 3, 30, 9))
+    expect(aplicarImpactos).toHaveBeenCalledTimes(1)
+  })
+
+  it('não duplica uma ocorrência já gerada', async () => {
+    const serie = novaSerie({ proximaData: new Date(2025, 1, 28, 9) })
+    jest.spyOn(Transaction, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }))
+
+    const geradas = await recurrenceService.processarSerie(serie, new Date(2025, 2, 1))
+
+    expect(geradas).toEqual([])
+    expect(aplicarImpactos).not.toHaveBeenCalled()
+    expect(serie.recorrente.proximaData).toEqual(new Date(2025, 2, 31, 9))
+  })
+
+  it('encerra a próxima data depois do fim da série', async () => {
+    const serie = novaSerie({ proximaData: new Date(2025, 1, 28, 9), dataFim: new Date(2025, 2, 15) })
+    jest.spyOn(Transaction, 'create').mockImplementation(async dados => dados)
+
+    await recurrenceService.processarSerie(serie, new Date(2025, 2, 1))
+
+    expect(serie.recorrente.proximaData).toBeNull()
+  })
+})
+
+describe('recurrenceService.dataPrevistaNoDia', () => {
+  it('encontra a ocorrência do dia ou devolve null', () => {
+    const serie = novaSerie()
+
+    expect(recurrenceService.dataPrevistaNoDia(serie, new Date(2025, 1, 28))).toEqual(new Date(2025, 1, 28, 9))
+    expect(recurrenceService.dataPrevistaNoDia(serie, new Date(2025, 1, 27))).toBeNull()
+  })
+})
+
+describe('recurrenceService.pularOcorrencia', () => {
+  it('registra a exceção e remove a ocorrência já gerada', async () => {
+    const serie = novaSerie()
+    const ocorrencia = { _id: novoId() }
+    const data = new Date(2025, 1, 28, 9)
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(ocorrencia)
+    const deleteOne = jest.spyOn(Transaction, 'deleteOne').mockResolvedValue({})
+    jest.spyOn(attachmentService, 'removerDasTransacoes').mockResolvedValue()
+
+    const resultado = await recurrenceService.pularOcorrencia(serie, data)
+
+    expect(resultado).toEqual({ removida: true })
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      { _id: serie._id },
+      { $addToSet: { 'recorrente.excecoes': data } }
+    )
+    expect(reverterImpactos).toHaveBeenCalledWith(ocorrencia)
+    expect(deleteOne).toHaveBeenCalledWith({ _id: ocorrencia._id })
+  })
+})
+
+describe('recurrenceService.listarProximas', () => {
+  it('omite ocorrências puladas e as já geradas antecipadamente', async () => {
+    const diasAFrente = n => {
+      const data = new Date()
+      data.setDate(data.getDate() + n)
+      return data
+    }
+    const serie = novaSerie({ tipo: 'diario', proximaData: diasAFrente(1) }, { data: diasAFrente(1) })
+    serie.recorrente.excecoes = [diasAFrente(2)]
+    jest.spyOn(Transaction, 'find')
+      .mockResolvedValueOnce([serie])
+      .mockReturnValueOnce({
+        select: () => ({
+          lean: async () => [{ recorrenciaOrigemId: serie._id, recorrenciaData: diasAFrente(3) }]
+        })
+      })
+
+    const proximas = await recurrenceService.listarProximas(serie.userId, { dias: 4 })
+
+    expect(proximas.map(o => o.data.toDateString())).toEqual([diasAFrente(1), diasAFrente(4)].map(d => d.toDateString()))
+  })
+})
+
+describe('recurrenceService.dividirSerie', () => {
+  it('encerra a série na véspera e cria a nova com as alterações', async () => {
+    const serie = novaSerie({ proximaData: new Date(2025, 3, 30, 9) })
+    const ocorrenciaFutura = { _id: novoId() }
+    jest.spyOn(Transaction, 'find').mockResolvedValue([ocorrenciaFutura])
+    const deleteMany = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({})
+    jest.spyOn(attachmentService, 'removerDasTransacoes').mockResolvedValue()
+    jest.spyOn(serie, 'save').mockResolvedValue(serie)
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(async dados => new Transaction(dados))
+    jest.spyOn(recurrenceService, 'iniciarSerie').mockResolvedValue([])
+
+    const resultado = await recurrenceService.dividirSerie(serie, new Date(2025, 3, 1), { valor: 1700 })
+
+    expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [ocorrenciaFutura._id] } })
+    expect(serie.recorrente.dataFim).toEqual(new Date(new Date(2025, 3, 1).getTime() - 1))
+    expect(serie.recorrente.proximaData).toBeNull()
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      valor: 1700,
+      data: new Date(2025, 3, 1, 9),
+      status: 'confirmada'
+    }))
+    expect(resultado.substituidas).toBe(1)
+  })
+})
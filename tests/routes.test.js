@@ -0,0 +1,55 @@
+const express = require('express')
+const request = require('supertest')
+const { modulos, registrarRotas, getCatalogo } = require('../routes')
+
+let app
+let registro
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  app = express()
+  app.use(express.json())
+  registro = registrarRotas(app)
+})
+
+afterAll(() => {
+  jest.restoreAllMocks()
+})
+
+describe('registro de rotas', () => {
+  it('carrega todos os módulos', () => {
+    expect(registro.filter(modulo => !modulo.carregado)).toEqual([])
+    expect(registro).toHaveLength(modulos.length)
+  })
+
+  it('monta caminhos mais específicos antes do caminho pai', () => {
+    const caminhos = modulos.map(modulo => modulo.caminho)
+
+    caminhos.forEach((caminho, indice) => {
+      const pai = caminhos.findIndex(outro => outro !== caminho && caminho.startsWith(`${outro}/`))
+      if (pai !== -1) expect(indice).toBeLessThan(pai)
+    })
+  })
+
+  it('lista os módulos carregados no catálogo', () => {
+    const { endpoints, falhas } = getCatalogo()
+
+    expect(falhas).toEqual([])
+    expect(endpoints).toMatchObject({
+      dashboard: '/api/dashboard',
+      reports: '/api/reports',
+      user: '/api/user',
+      transactions: '/api/transactions'
+    })
+  })
+
+  it.each(['/api/dashboard', '/api/reports/mensal', '/api/user/profile', '/api/transactions'])(
+    'exige autenticação em %s',
+    async caminho => {
+      const resposta = await request(app).get(caminho)
+
+      expect(resposta.status).toBe(401)
+      expect(resposta.body.code).toBe('NO_TOKEN')
+    }
+  )
+})
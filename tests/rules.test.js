@@ -0,0 +1,179 @@
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const CategoryRule = require('../models/CategoryRule')
+const ruleService = require('../services/ruleService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const { aplicarImpactos, reverterImpactos } = require('../services/transactionImpactService')
+const { validarRegex, testarRegex } = require('../utils/regexSeguro')
+const { consulta, novoId } = require('./helpers')
+
+function novaRegra(condicoes = {}, acoes = {}, dados = {}) {
+  return new CategoryRule({
+    userId: novoId(),
+    nome: `Regra ${Math.random()}`,
+    condicoes,
+    acoes: { categoria: 'Alimentação', ...acoes },
+    ...dados
+  })
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('regexSeguro', () => {
+  it('aceita expressões comuns', () => {
+    expect(validarRegex('^(uber|99) ?trip')).toBeNull()
+    expect(validarRegex('ifood.*restaurante')).toBeNull()
+    expect(validarRegex('\\d{2}/\\d{2}')).toBeNull()
+  })
+
+  it.each([
+    ['^(a+)+$', /repetição ou alternativas/],
+    ['(a|aa)*b', /repetição ou alternativas/],
+    ['(.*a){12}', /repetição ou alternativas/],
+    ['(a)\\1', /Referências/],
+    ['.*a.*b.*c.*d', /no máximo 3/],
+    ['[abc', /inválida/],
+    ['a'.repeat(101), /até 100 caracteres/]
+  ])('recusa %s', (padrao, mensagem) => {
+    expect(validarRegex(padrao)).toMatch(mensagem)
+  })
+
+  it('padrões recusados nunca correspondem e não travam o teste', () => {
+    const inicio = Date.now()
+
+    expect(testarRegex('^(a+)+$', `${'a'.repeat(40)}!`)).toBe(false)
+    expect(Date.now() - inicio).toBeLessThan(100)
+    expect(testarRegex('^uber', 'UBER TRIP', 'i')).toBe(true)
+  })
+})
+
+describe('CategoryRule', () => {
+  it('exige condição e ação e recusa regex perigosa', async () => {
+    const vazia = await new CategoryRule({ userId: novoId(), nome: 'Vazia' }).validate().catch(err => err)
+    expect(Object.keys(vazia.errors)).toEqual(expect.arrayContaining(['condicoes', 'acoes']))
+
+    const perigosa = await novaRegra({ descricao: { operador: 'regex', valor: '(x+)+y' } }).validate().catch(err => err)
+    expect(Object.keys(perigosa.errors)).toEqual(['condicoes.descricao.valor'])
+  })
+
+  it('compara a descrição ignorando maiúsculas e acentos por padrão', () => {
+    const regra = novaRegra({ descricao: { operador: 'contem', valor: 'PADARIA' } })
+
+    expect(regra.descricaoCorresponde('Compra padária do Zé')).toBe(true)
+    expect(novaRegra({ descricao: { operador: 'comeca_com', valor: 'uber' } }).descricaoCorresponde('Pagamento Uber')).toBe(false)
+    expect(novaRegra({ descricao: { operador: 'igual', valor: 'Uber', diferenciarMaiusculas: true } }).descricaoCorresponde('uber')).toBe(false)
+  })
+
+  it('exige todas as condições', () => {
+    const contaId = novoId()
+    const regra = novaRegra({
+      tipo: 'despesa',
+      valorMin: 10,
+      valorMax: 100,
+      metodosPagamento: ['pix'],
+      contaIds: [contaId],
+      descricao: { valor: 'mercado' }
+    })
+    const transacao = { tipo: 'despesa', valor: 50, metodoPagamento: 'pix', contaId, descricao: 'Mercado Bom' }
+
+    expect(regra.corresponde(transacao)).toBe(true)
+    expect(regra.corresponde({ ...transacao, valor: 150 })).toBe(false)
+    expect(regra.corresponde({ ...transacao, metodoPagamento: 'boleto' })).toBe(false)
+    expect(regra.corresponde({ ...transacao, contaId: novoId() })).toBe(false)
+  })
+})
+
+describe('ruleService.avaliar', () => {
+  it('cada campo vem da regra de maior prioridade e as tags se acumulam', () => {
+    const regras = [
+      novaRegra({ descricao: { valor: 'uber' } }, { categoria: 'Transporte', tags: ['app'] }),
+      novaRegra({ descricao: { valor: 'uber' } }, { categoria: 'Lazer', tags: ['corrida'] })
+    ]
+
+    const { alteracoes, regras: aplicadas } = ruleService.avaliar({ descricao: 'Uber trip', tipo: 'despesa' }, regras)
+
+    expect(alteracoes).toEqual({ categoria: 'Transporte', tags: ['app', 'corrida'] })
+    expect(aplicadas).toEqual(regras)
+  })
+
+  it('mantém campos já preenchidos, a menos que deva sobrescrever', () => {
+    const regras = [novaRegra({ descricao: { valor: 'uber' } }, { categoria: 'Transporte' })]
+    const transacao = { descricao: 'Uber', tipo: 'despesa', categoria: 'Lazer' }
+
+    expect(ruleService.avaliar(transacao, regras).alteracoes).toEqual({})
+    expect(ruleService.avaliar(transacao, regras, { sobrescrever: true }).alteracoes.categoria).toBe('Transporte')
+  })
+
+  it('interrompe a avaliação quando a regra pede', () => {
+    const regras = [
+      novaRegra({ descricao: { valor: 'uber' } }, { categoria: 'Transporte' }, { pararProcessamento: true }),
+      novaRegra({ descricao: { valor: 'uber' } }, { categoria: null, tags: ['app'] })
+    ]
+
+    expect(ruleService.avaliar({ descricao: 'Uber', tipo: 'despesa' }, regras).alteracoes.tags).toBeUndefined()
+  })
+
+  it('orçamento só em despesas e meta só em receitas', () => {
+    const orcamentoId = novoId()
+    const metaId = novoId()
+    const regras = [novaRegra({ valorMin: 1 }, { categoria: null, orcamentoId, metaId })]
+
+    expect(ruleService.avaliar({ tipo: 'despesa', valor: 5 }, regras).alteracoes).toEqual({ orcamentoId })
+    expect(ruleService.avaliar({ tipo: 'receita', valor: 5 }, regras).alteracoes).toEqual({ metaId })
+  })
+})
+
+describe('ruleService.aplicarEmNovas', () => {
+  it('preenche as transações e conta as aplicações de cada regra', async () => {
+    const regra = novaRegra({ descricao: { valor: 'ifood' } })
+    jest.spyOn(CategoryRule, 'buscarAtivas').mockResolvedValue([regra])
+    const bulkWrite = jest.spyOn(CategoryRule, 'bulkWrite').mockResolvedValue({})
+    const transacoes = [{ descricao: 'iFood', tipo: 'despesa' }, { descricao: 'iFood 2', tipo: 'despesa' }, { descricao: 'Luz', tipo: 'despesa' }]
+
+    const aplicadas = await ruleService.aplicarEmNovas(novoId(), transacoes)
+
+    expect(transacoes.map(t => t.categoria)).toEqual(['Alimentação', 'Alimentação', undefined])
+    expect(aplicadas).toEqual([[{ _id: regra._id, nome: regra.nome }], [{ _id: regra._id, nome: regra.nome }], []])
+    expect(bulkWrite.mock.calls[0][0][0].updateOne.update.$inc).toEqual({ 'estatisticas.aplicacoes': 2 })
+  })
+})
+
+describe('ruleService retroativa', () => {
+  const periodo = { dataInicio: new Date(2025, 0, 1), dataFim: new Date(2025, 0, 31) }
+
+  it('simula sem gravar, ignorando transferências e divididas', async () => {
+    const regra = novaRegra({ descricao: { valor: 'uber' } }, { categoria: 'Transporte' })
+    jest.spyOn(CategoryRule, 'find').mockReturnValue(consulta([regra]))
+    const transacao = new Transaction({ userId: novoId(), descricao: 'Uber', valor: 20, tipo: 'despesa', categoria: 'Outros' })
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(consulta([transacao]))
+    const update = jest.spyOn(Transaction, 'findOneAndUpdate')
+
+    const simulacao = await ruleService.simularRetroativa(novoId(), periodo)
+
+    expect(find.mock.calls[0][0]).toMatchObject({ transferenciaId: null, 'divisoes.0': { $exists: false } })
+    expect(simulacao.resumo).toMatchObject({ analisadas: 1, alteradas: 1 })
+    expect(simulacao.alteracoes[0]).toMatchObject({ antes: { categoria: 'Outros' }, depois: { categoria: 'Transporte' } })
+    expect(update).not.toHaveBeenCalled()
+  })
+
+  it('aplica revertendo e reaplicando os impactos de cada transação', async () => {
+    const regra = novaRegra({ descricao: { valor: 'uber' } }, { categoria: 'Transporte' })
+    jest.spyOn(CategoryRule, 'find').mockReturnValue(consulta([regra]))
+    jest.spyOn(CategoryRule, 'bulkWrite').mockResolvedValue({})
+    const transacao = new Transaction({ userId: novoId(), descricao: 'Uber', valor: 20, tipo: 'despesa', categoria: 'Outros' })
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([transacao]))
+    const atualizada = { _id: transacao._id, categoria: 'Transporte' }
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(atualizada)
+    jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+
+    const resumo = await ruleService.aplicarRetroativa(novoId(), periodo)
+
+    expect(reverterImpactos).toHaveBeenCalledWith(transacao)
+    expect(aplicarImpactos).toHaveBeenCalledWith(atualizada)
+    expect(resumo.porRegra).toEqual([{ _id: regra._id, nome: regra.nome, transacoes: 1 }])
+  })
+})
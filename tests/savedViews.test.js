@@ -0,0 +1,161 @@
+const SavedView = require('../models/SavedView')
+const Transaction = require('../models/Transaction')
+const Account = require('../models/Account')
+const currencyService = require('../services/currencyService')
+const transactionQueryService = require('../services/transactionQueryService')
+const savedViewController = require('../controllers/savedViewController')
+const transactionController = require('../controllers/transactionController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+function novaVisao(dados = {}) {
+  return new SavedView({ userId: novoId(), nome: 'Cartão no mês', ...dados })
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('SavedView', () => {
+  const agora = new Date(2025, 2, 15, 10)
+
+  it('recalcula os períodos relativos na data de referência', () => {
+    expect(novaVisao({ filtros: { periodo: 'mes_atual' } }).intervalo(agora)).toEqual({
+      dataInicio: new Date(2025, 2, 1),
+      dataFim: new Date(2025, 2, 31, 23, 59, 59, 999)
+    })
+    expect(novaVisao({ filtros: { periodo: 'mes_anterior' } }).intervalo(agora)).toEqual({
+      dataInicio: new Date(2025, 1, 1),
+      dataFim: new Date(2025, 1, 28, 23, 59, 59, 999)
+    })
+    expect(novaVisao({ filtros: { periodo: 'ultimos_7_dias' } }).intervalo(agora).dataInicio).toEqual(new Date(2025, 2, 9))
+    expect(novaVisao().intervalo(agora)).toEqual({})
+  })
+
+  it('converte filtros, ordenação e agrupamento nos parâmetros da listagem', () => {
+    const contaId = novoId()
+    const visao = novaVisao({
+      filtros: { consulta: 'valor>200', tipo: 'despesa', contaId, metodoPagamento: 'cartao_credito', periodo: 'mes_atual' },
+      ordenacao: { campo: 'valor', direcao: 'asc' },
+      agrupamento: 'categoria'
+    })
+
+    expect(visao.parametros(agora)).toEqual({
+      dataInicio: new Date(2025, 2, 1),
+      dataFim: new Date(2025, 2, 31, 23, 59, 59, 999),
+      sortBy: 'valor',
+      sortOrder: 'asc',
+      q: 'valor>200',
+      tipo: 'despesa',
+      contaId: String(contaId),
+      metodoPagamento: 'cartao_credito',
+      agruparPor: 'categoria'
+    })
+  })
+
+  it('período personalizado precisa de início e fim em ordem', async () => {
+    const semFim = await novaVisao({ filtros: { periodo: 'personalizado', dataInicio: new Date(2025, 0, 1) } })
+      .validate().catch(err => err)
+    expect(Object.keys(semFim.errors)).toEqual(['filtros.dataInicio'])
+
+    const invertido = await novaVisao({
+      filtros: { periodo: 'personalizado', dataInicio: new Date(2025, 1, 1), dataFim: new Date(2025, 0, 1) }
+    }).validate().catch(err => err)
+    expect(invertido.errors['filtros.dataFim'].message).toBe('Data de fim deve ser posterior à data de início')
+  })
+})
+
+describe('transactionQueryService.resumirVisao', () => {
+  it('calcula os totais da visão como o bloco resumo da listagem', async () => {
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+      totais: [{ totalReceitas: 1000, totalDespesas: 400, count: 5 }],
+      pendentes: [],
+      porMoeda: [{ _id: 'BRL', totalReceitas: 1000, totalDespesas: 400 }]
+    }])
+    jest.spyOn(currencyService, 'moedaBase').mockResolvedValue('BRL')
+    const visao = novaVisao({ filtros: { tipo: 'despesa' } })
+
+    const resultado = await transactionQueryService.resumirVisao(visao.userId.toString(), visao)
+
+    expect(aggregate.mock.calls[0][0][0].$match).toMatchObject({ tipo: 'despesa' })
+    expect(resultado).toMatchObject({
+      _id: visao._id,
+      nome: 'Cartão no mês',
+      periodo: { tipo: 'todos', dataInicio: null, dataFim: null },
+      erros: undefined,
+      resumo: { totalReceitas: 1000, totalDespesas: 400, saldo: 600, quantidade: 5, pendentes: { quantidade: 0 } }
+    })
+  })
+
+  it('devolve os erros quando a consulta deixou de ser válida', async () => {
+    jest.spyOn(Account, 'find').mockReturnValue(consulta([]))
+    const aggregate = jest.spyOn(Transaction, 'aggregate')
+    const visao = novaVisao({ filtros: { consulta: 'conta:Antiga' } })
+
+    const resultado = await transactionQueryService.resumirVisao(novoId().toString(), visao)
+
+    expect(resultado).toMatchObject({ erros: ['Conta não encontrada: Antiga'], resumo: null })
+    expect(aggregate).not.toHaveBeenCalled()
+  })
+})
+
+describe('savedViewController.create', () => {
+  it('recusa consultas inválidas antes de salvar', async () => {
+    const save = jest.spyOn(SavedView.prototype, 'save')
+    const res = criarRes()
+
+    await savedViewController.create(criarReq({ body: { nome: 'Quebrada', filtros: { consulta: 'cor:azul' } } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toEqual({ error: 'Visão inválida', detalhes: ['Campo de busca desconhecido: cor'] })
+    expect(save).not.toHaveBeenCalled()
+  })
+
+  it('limita as visões fixadas no dashboard', async () => {
+    jest.spyOn(SavedView, 'countDocuments').mockResolvedValue(6)
+    const res = criarRes()
+
+    await savedViewController.create(criarReq({ body: { nome: 'Fixa', fixadaNoDashboard: true } }), res)
+
+    expect(res.body.detalhes).toEqual(['O dashboard comporta no máximo 6 visões fixadas'])
+  })
+
+  it('salva a visão do usuário autenticado', async () => {
+    jest.spyOn(SavedView, 'countDocuments').mockResolvedValue(2)
+    jest.spyOn(SavedView.prototype, 'save').mockResolvedValue()
+    const req = criarReq({ body: { nome: 'Fixa', fixadaNoDashboard: true, userId: novoId().toString() } })
+    const res = criarRes()
+
+    await savedViewController.create(req, res)
+
+    expect(res.statusCode).toBe(201)
+    expect(String(res.body.data.userId)).toBe(req.userId)
+  })
+})
+
+describe('transactionController.getAll com viewId', () => {
+  it('usa os filtros da visão, com prioridade para os parâmetros da requisição', async () => {
+    const visao = novaVisao({ filtros: { tipo: 'despesa', metodoPagamento: 'pix' }, ordenacao: { campo: 'valor' } })
+    jest.spyOn(SavedView, 'findOne').mockResolvedValue(visao)
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(consulta([]))
+    jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(0)
+    jest.spyOn(transactionQueryService, 'resumir').mockResolvedValue({ totalReceitas: 0, totalDespesas: 0, saldo: 0 })
+    const res = criarRes()
+
+    await transactionController.getAll(criarReq({ query: { viewId: visao._id.toString(), tipo: 'receita' } }), res)
+
+    expect(find.mock.calls[0][0]).toMatchObject({ tipo: 'receita', metodoPagamento: 'pix' })
+    expect(find.mock.results[0].value.sort).toHaveBeenCalledWith({ valor: -1 })
+    expect(res.body.data.visao).toEqual({ _id: visao._id, nome: visao.nome })
+  })
+
+  it('responde 404 para visões de outro usuário ou ids inválidos', async () => {
+    jest.spyOn(SavedView, 'findOne').mockResolvedValue(null)
+    const res = criarRes()
+
+    await transactionController.getAll(criarReq({ query: { viewId: novoId().toString() } }), res)
+    expect(res.statusCode).toBe(404)
+
+    await transactionController.getAll(criarReq({ query: { viewId: 'abc' } }), res)
+    expect(SavedView.findOne).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const Budget = require('../models/Budget')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const Invoice = require('../models/Invoice')
+const ruleService = require('../services/ruleService')
+const payeeService = require('../services/payeeService')
+const currencyService = require('../services/currencyService')
+const categorySuggestionService = require('../services/categorySuggestionService')
+const { aplicarImpactos } = require('../services/transactionImpactService')
+const transactionController = require('../controllers/transactionController')
+const categoryController = require('../controllers/categoryController')
+const userController = require('../controllers/userController')
+const Goal = require('../models/Goal')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+const DIVISOES = [
+  { categoria: 'Alimentação', valor: 70 },
+  { categoria: 'Limpeza', subcategoria: 'Casa', valor: 20 },
+  { categoria: 'Saúde', valor: 10 }
+]
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Transaction.validarDivisoes', () => {
+  it('aceita linhas que somam o valor da transação', () => {
+    expect(Transaction.validarDivisoes(DIVISOES, 100)).toBeNull()
+    expect(Transaction.validarDivisoes([], 100)).toBeNull()
+  })
+
+  it('recusa uma linha só, linhas sem categoria ou soma diferente', () => {
+    expect(Transaction.validarDivisoes([{ categoria: 'A', valor: 100 }], 100)).toMatch(/duas linhas/)
+    expect(Transaction.validarDivisoes([{ categoria: 'A', valor: 50 }, { valor: 50 }], 100)).toMatch(/categoria e valor/)
+    expect(Transaction.validarDivisoes(DIVISOES, 99.5)).toBe(
+      'A soma das divisões (100.00) deve ser igual ao valor da transação (99.50)'
+    )
+  })
+})
+
+describe('Transaction com divisões', () => {
+  it('a categoria principal é a da maior linha e o orçamento fica nas linhas', async () => {
+    const transacao = new Transaction({
+      userId: novoId(),
+      tipo: 'despesa',
+      descricao: 'Supermercado',
+      valor: 100,
+      data: new Date(2025, 0, 10),
+      moeda: 'BRL',
+      metodoPagamento: 'cartao_debito',
+      categoria: 'Outros',
+      orcamentoId: novoId(),
+      divisoes: [DIVISOES[1], DIVISOES[0], DIVISOES[2]]
+    })
+    jest.spyOn(Transaction, 'calcularConversao').mockResolvedValue({ moeda: 'BRL', valor: 100, taxa: 1 })
+
+    await transacao.validate()
+
+    expect(transacao.categoria).toBe('Alimentação')
+    expect(transacao.subcategoria).toBeNull()
+    expect(transacao.orcamentoId).toBeNull()
+  })
+
+  it('lançamentos atribuem cada linha à sua categoria na moeda base', () => {
+    const transacao = { valor: 100, divisoes: DIVISOES, conversao: { valor: 550, taxa: 5.5 } }
+
+    expect(Transaction.lancamentos(transacao).map(l => [l.categoria, l.valor])).toEqual([
+      ['Alimentação', 385],
+      ['Limpeza', 110],
+      ['Saúde', 55]
+    ])
+    expect(Transaction.lancamentos({ categoria: 'Lazer', valor: 30 })).toEqual([
+      { categoria: 'Lazer', subcategoria: null, valor: 30, orcamentoId: null }
+    ])
+  })
+})
+
+describe('aplicarImpactos em transação dividida', () => {
+  it('soma cada linha ao seu orçamento e à sua categoria', async () => {
+    const userId = novoId()
+    const orcamentoMercado = novoId()
+    const orcamentoCasa = novoId()
+    jest.spyOn(Invoice, 'faturaParaTransacao').mockResolvedValue(null)
+    const budgetUpdate = jest.spyOn(Budget, 'findOneAndUpdate').mockResolvedValue({})
+    const categorias = {}
+    jest.spyOn(Category, 'buscarPorNome').mockImplementation(async (id, nome) => {
+      categorias[nome] = categorias[nome] || { userId, atualizarEstatisticas: jest.fn(), save: jest.fn() }
+      return categorias[nome]
+    })
+    jest.spyOn(categorySuggestionService, 'aprender').mockResolvedValue()
+
+    await aplicarImpactos({
+      _id: novoId(),
+      userId,
+      tipo: 'despesa',
+      status: 'confirmada',
+      faturaId: null,
+      valor: 100,
+      divisoes: [
+        { ...DIVISOES[0], orcamentoId: orcamentoMercado },
+        { ...DIVISOES[1], orcamentoId: orcamentoCasa },
+        DIVISOES[2]
+      ]
+    })
+
+    expect(budgetUpdate.mock.calls).toEqual([
+      [{ _id: orcamentoMercado, userId }, { $inc: { valorGasto: 70 } }],
+      [{ _id: orcamentoCasa, userId }, { $inc: { valorGasto: 20 } }]
+    ])
+    expect(categorias['Saúde'].atualizarEstatisticas).toHaveBeenCalledWith(10, 'adicionar')
+  })
+})
+
+describe('transactionController.bulkCreate com divisões', () => {
+  beforeEach(() => {
+    jest.spyOn(Account, 'obterPadrao').mockResolvedValue({ _id: novoId(), moeda: 'BRL' })
+    jest.spyOn(currencyService, 'validarMoedaDaConta').mockResolvedValue(null)
+    jest.spyOn(ruleService, 'aplicarEmNovas').mockResolvedValue([])
+    jest.spyOn(payeeService, 'aplicarEmNovas').mockResolvedValue([])
+  })
+
+  it('valida as divisões de cada transação e aponta qual falhou', async () => {
+    jest.spyOn(Category, 'buscarPorNome').mockResolvedValue({ nome: 'ok' })
+    const insertMany = jest.spyOn(Transaction, 'insertMany')
+    const res = criarRes()
+
+    await transactionController.bulkCreate(criarReq({
+      body: {
+        transacoes: [
+          { descricao: 'Feira', valor: 100, tipo: 'despesa', divisoes: DIVISOES },
+          { descricao: 'Mercado', valor: 50, tipo: 'despesa', divisoes: DIVISOES }
+        ]
+      }
+    }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toMatch(/^Transação 2: A soma das divisões/)
+    expect(insertMany).not.toHaveBeenCalled()
+  })
+
+  it('recusa categoria inexistente em uma linha', async () => {
+    jest.spyOn(Category, 'buscarPorNome').mockImplementation(async (userId, nome) => nome === 'Saúde' ? null : { nome })
+    const res = criarRes()
+
+    await transactionController.bulkCreate(criarReq({
+      body: { transacoes: [{ descricao: 'Feira', valor: 100, tipo: 'despesa', divisoes: DIVISOES }] }
+    }), res)
+
+    expect(res.body.error).toBe('Transação 1: Categoria não encontrada: Saúde')
+  })
+})
+
+describe('estatísticas por categoria com divisões', () => {
+  // Uma compra de mercado dividida: só a linha de Limpeza conta para a categoria Limpeza
+  const dividida = { _id: novoId(), descricao: 'Mercado', valor: 100, categoria: 'Alimentação', divisoes: DIVISOES }
+
+  it('o detalhe da categoria encontra as transações divididas e conta só a linha', async () => {
+    const categoria = { _id: novoId(), nome: 'Limpeza' }
+    jest.spyOn(Category, 'findOne').mockResolvedValue(categoria)
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ porTipo: [], porMes: [], porMetodoPagamento: [] }])
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(consulta([dividida]))
+    const req = criarReq({ params: { id: String(categoria._id) } })
+    const res = criarRes()
+
+    await categoryController.getById(req, res)
+
+    const [filtro, ...etapas] = aggregate.mock.calls[0][0]
+    expect(filtro.$match.userId).toBeInstanceOf(mongoose.Types.ObjectId)
+    expect(String(filtro.$match.userId)).toBe(req.userId)
+    expect(filtro.$match.$or).toEqual([{ categoria: 'Limpeza' }, { 'divisoes.categoria': 'Limpeza' }])
+    const expandir = Transaction.expandirDivisoes()
+    expect(etapas.slice(0, expandir.length)).toEqual(expandir)
+    expect(etapas[expandir.length]).toEqual({ $match: { categoria: 'Limpeza' } })
+    expect(find.mock.calls[0][0].$or).toEqual(filtro.$match.$or)
+    expect(res.body.data.transacoesRecentes).toEqual([dividida])
+  })
+
+  it('as categorias mais usadas contam cada linha da divisão', async () => {
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([])
+    jest.spyOn(Budget, 'find').mockResolvedValue([])
+    jest.spyOn(Goal, 'find').mockResolvedValue([])
+    const res = criarRes()
+
+    await userController.getEstatisticasGerais(criarReq({ query: { periodo: 'mes' } }), res)
+
+    expect(res.body.success).toBe(true)
+    const [resumo, maisUsadas, evolucao] = aggregate.mock.calls.map(([etapas]) => etapas)
+    ;[resumo, maisUsadas, evolucao].forEach(etapas => {
+      expect(etapas[0].$match.userId).toBeInstanceOf(mongoose.Types.ObjectId)
+    })
+    const expandir = Transaction.expandirDivisoes()
+    expect(maisUsadas.slice(1, 1 + expandir.length)).toEqual(expandir)
+    expect(maisUsadas[1 + expandir.length].$group._id).toBe('$categoria')
+  })
+})
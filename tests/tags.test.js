@@ -0,0 +1,140 @@
+const Transaction = require('../models/Transaction')
+const CategoryRule = require('../models/CategoryRule')
+const currencyService = require('../services/currencyService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const tagService = require('../services/tagService')
+const tagController = require('../controllers/tagController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+const userId = novoId().toString()
+
+function comTags(tags, dados = {}) {
+  return { _id: novoId(), userId, descricao: 'Hotel', tags, ...dados }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('tagService.listar', () => {
+  it('arredonda os totais e aponta grafias diferentes da mesma tag', async () => {
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+      { _id: 'viagem', quantidade: 5, totalReceitas: 0, totalDespesas: 1234.567 },
+      { _id: 'Viagem', quantidade: 1, totalReceitas: 10, totalDespesas: 0 },
+      { _id: 'mercado', quantidade: 1, totalReceitas: 0, totalDespesas: 50 }
+    ])
+
+    const tags = await tagService.listar(userId, { busca: 'vi.gem' })
+
+    expect(tags.map(t => [t.tag, t.totalDespesas, t.outrasGrafias])).toEqual([
+      ['viagem', 1234.57, true],
+      ['Viagem', 0, true],
+      ['mercado', 50, false]
+    ])
+    const etapas = aggregate.mock.calls[0][0]
+    expect(etapas[3].$match.tags.test('vi.gem')).toBe(true)
+    expect(etapas[3].$match.tags.test('viagem')).toBe(false)
+  })
+})
+
+describe('tagService.substituir', () => {
+  beforeEach(() => {
+    jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+  })
+
+  it('mescla as origens no destino sem repetir tags', async () => {
+    const transacoes = [
+      comTags(['Viagem', 'praia']),
+      comTags(['viagem ', 'ferias', 'Férias 2025']),
+      comTags(['ferias'])
+    ]
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue(consulta(transacoes))
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({})
+    jest.spyOn(CategoryRule, 'find').mockReturnValue(consulta([]))
+
+    const resultado = await tagService.substituir(userId, ['viagem', 'ferias'], 'férias', userId)
+
+    expect(find.mock.calls[0][0].tags.$in).toEqual([/^viagem$/i, /^ferias$/i])
+    expect(bulkWrite.mock.calls[0][0].map(op => op.updateOne.update.$set.tags)).toEqual([
+      ['férias', 'praia'],
+      ['férias', 'Férias 2025'],
+      ['férias']
+    ])
+    expect(resultado).toEqual({ transacoes: 3, regras: 0, regrasDesativadas: 0 })
+    expect(transactionHistoryService.registrar).toHaveBeenCalledWith(
+      expect.any(Array),
+      { operacao: 'edicao', autorId: userId, anteriores: transacoes }
+    )
+  })
+
+  it('sem destino exclui a tag e desativa regras que ficam sem ação', async () => {
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([comTags(['uber', 'app'])]))
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({})
+    const soTag = { _id: novoId(), acoes: { tags: ['uber'] } }
+    const comCategoria = { _id: novoId(), acoes: { tags: ['UBER', 'app'], categoria: 'Transporte' } }
+    jest.spyOn(CategoryRule, 'find').mockReturnValue(consulta([soTag, comCategoria]))
+    const regrasBulk = jest.spyOn(CategoryRule, 'bulkWrite').mockResolvedValue({})
+
+    const resultado = await tagService.substituir(userId, ['uber'])
+
+    expect(bulkWrite.mock.calls[0][0][0].updateOne.update.$set.tags).toEqual(['app'])
+    expect(regrasBulk.mock.calls[0][0].map(op => op.updateOne.update.$set)).toEqual([
+      expect.objectContaining({ 'acoes.tags': [], ativa: false }),
+      expect.not.objectContaining({ ativa: false })
+    ])
+    expect(resultado).toEqual({ transacoes: 1, regras: 2, regrasDesativadas: 1 })
+  })
+
+  it('não grava transações cujas tags não mudam', async () => {
+    jest.spyOn(Transaction, 'find').mockReturnValue(consulta([comTags(['Viagem'])]))
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite')
+    jest.spyOn(CategoryRule, 'find').mockReturnValue(consulta([]))
+
+    expect((await tagService.substituir(userId, ['viagem'], 'Viagem')).transacoes).toBe(0)
+    expect(bulkWrite).not.toHaveBeenCalled()
+    expect(transactionHistoryService.registrar).not.toHaveBeenCalled()
+  })
+})
+
+describe('tagService.estatisticas', () => {
+  it('filtra as tags pedidas antes e depois do $unwind', async () => {
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ porTag: [], evolucao: [] }])
+    const periodo = { dataInicio: new Date(2025, 0, 1), dataFim: new Date(2025, 11, 31) }
+
+    await tagService.estatisticas(userId, { ...periodo, tags: [' viagem'], agruparPorMes: true })
+
+    const etapas = aggregate.mock.calls[0][0]
+    expect(etapas[0].$match).toMatchObject({ status: 'confirmada', transferenciaId: null, data: { $gte: periodo.dataInicio, $lte: periodo.dataFim } })
+    expect(etapas[1]).toEqual({ $match: { tags: { $in: [/^viagem$/i] } } })
+    expect(etapas[4]).toEqual(etapas[1])
+    expect(etapas[5].$facet.evolucao[0].$group._id).toEqual({ tag: '$tags', mes: { $month: '$data' }, ano: { $year: '$data' }, tipo: '$tipo' })
+  })
+})
+
+describe('tagController', () => {
+  it('renomear uma tag inexistente responde 404', async () => {
+    jest.spyOn(tagService, 'substituir').mockResolvedValue({ transacoes: 0, regras: 0, regrasDesativadas: 0 })
+    const res = criarRes()
+
+    await tagController.renomear(criarReq({ params: { tag: 'viajem' }, body: { nome: 'viagem' } }), res)
+
+    expect(res.statusCode).toBe(404)
+    expect(res.body).toEqual({ error: 'Tag não encontrada' })
+  })
+
+  it('estatísticas do ano evoluem por mês', async () => {
+    const estatisticas = jest.spyOn(tagService, 'estatisticas').mockResolvedValue({ porTag: [], evolucao: [] })
+    jest.spyOn(currencyService, 'moedaBase').mockResolvedValue('BRL')
+    const res = criarRes()
+
+    await tagController.getStatistics(criarReq({ query: { periodo: 'ano', ano: '2024', tags: 'viagem, ,praia' } }), res)
+
+    expect(estatisticas.mock.calls[0][1]).toEqual({
+      dataInicio: new Date(2024, 0, 1),
+      dataFim: new Date(2024, 11, 31, 23, 59, 59, 999),
+      tags: ['viagem', 'praia'],
+      agruparPorMes: true
+    })
+    expect(res.body.data.moedaBase).toBe('BRL')
+  })
+})
@@ -0,0 +1,213 @@
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const Invoice = require('../models/Invoice')
+const ruleService = require('../services/ruleService')
+const payeeService = require('../services/payeeService')
+const currencyService = require('../services/currencyService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const trashService = require('../services/trashService')
+const { aplicarImpactos, reverterImpactos } = require('../services/transactionImpactService')
+const transactionController = require('../controllers/transactionController')
+const { criarReq, criarRes, novoId } = require('./helpers')
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('transactionController.getById', () => {
+  it('responde 404 quando a transação não é do usuário', async () => {
+    const findOne = jest.spyOn(Transaction, 'findOne').mockResolvedValue(null)
+    const req = criarReq({ params: { id: novoId().toString() } })
+    const res = criarRes()
+
+    await transactionController.getById(req, res)
+
+    expect(findOne).toHaveBeenCalledWith({ _id: req.params.id, userId: req.userId })
+    expect(res.statusCode).toBe(404)
+  })
+
+  it('retorna a transação encontrada', async () => {
+    const transacao = { _id: novoId(), descricao: 'Mercado' }
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(transacao)
+    const res = criarRes()
+
+    await transactionController.getById(criarReq({ params: { id: String(transacao._id) } }), res)
+
+    expect(res.body).toEqual({ success: true, data: transacao })
+  })
+})
+
+describe('transactionController.create', () => {
+  const conta = { _id: novoId(), moeda: 'BRL' }
+
+  beforeEach(() => {
+    jest.spyOn(ruleService, 'aplicarEmNovas').mockResolvedValue([[]])
+    jest.spyOn(payeeService, 'aplicarEmNovas').mockImplementation(async (userId, transacoes) => transacoes)
+    jest.spyOn(Account, 'obterPadrao').mockResolvedValue(conta)
+    jest.spyOn(currencyService, 'validarMoedaDaConta').mockResolvedValue(null)
+    jest.spyOn(Invoice, 'faturaParaTransacao').mockResolvedValue(null)
+    jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+  })
+
+  it('exige categoria quando nenhuma regra ou beneficiário define uma', async () => {
+    const res = criarRes()
+
+    await transactionController.create(criarReq({ body: { descricao: 'Sem categoria', valor: 10, tipo: 'despesa' } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toMatch(/Categoria é obrigatória/)
+  })
+
+  it('recusa categoria inexistente', async () => {
+    jest.spyOn(Category, 'buscarPorNome').mockResolvedValue(null)
+    const res = criarRes()
+
+    await transactionController.create(criarReq({
+      body: { descricao: 'Cinema', valor: 30, tipo: 'despesa', categoria: 'Inexistente' }
+    }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('Categoria não encontrada')
+  })
+
+  it('grava na conta padrão e aplica os impactos', async () => {
+    jest.spyOn(Category, 'buscarPorNome').mockResolvedValue({ nome: 'Lazer' })
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(async dados => ({ _id: novoId(), ...dados }))
+    const req = criarReq({ body: { descricao: 'Cinema', valor: 30, tipo: 'despesa', categoria: 'Lazer' } })
+    const res = criarRes()
+
+    await transactionController.create(req, res)
+
+    expect(res.statusCode).toBe(201)
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: req.userId,
+      contaId: conta._id,
+      moeda: 'BRL',
+      categoria: 'Lazer'
+    }))
+    expect(aplicarImpactos).toHaveBeenCalledTimes(1)
+  })
+
+  it('ignora campos controlados pelo servidor', async () => {
+    jest.spyOn(Category, 'buscarPorNome').mockResolvedValue({ nome: 'Lazer' })
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(async dados => ({ _id: novoId(), ...dados }))
+
+    await transactionController.create(criarReq({
+      body: {
+        descricao: 'Cinema',
+        valor: 30,
+        tipo: 'despesa',
+        categoria: 'Lazer',
+        transferenciaId: novoId(),
+        faturaId: novoId(),
+        conversao: { valor: 1 }
+      }
+    }), criarRes())
+
+    const dados = create.mock.calls[0][0]
+    expect(dados.transferenciaId).toBeUndefined()
+    expect(dados.conversao).toBeUndefined()
+  })
+})
+
+describe('transactionController.bulkCreate', () => {
+  beforeEach(() => {
+    jest.spyOn(Account, 'obterPadrao').mockResolvedValue({ _id: novoId(), moeda: 'BRL' })
+    jest.spyOn(currencyService, 'validarMoedaDaConta').mockResolvedValue(null)
+    jest.spyOn(ruleService, 'aplicarEmNovas').mockResolvedValue([])
+    jest.spyOn(payeeService, 'aplicarEmNovas').mockResolvedValue([])
+    jest.spyOn(Category, 'buscarPorNome').mockResolvedValue({ nome: 'Lazer' })
+    jest.spyOn(Transaction, 'calcularConversao').mockResolvedValue({ moeda: 'BRL', valor: 30, taxa: 1 })
+  })
+
+  it('recusa o lote inteiro e aponta o item inválido', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany')
+    const res = criarRes()
+
+    await transactionController.bulkCreate(criarReq({
+      body: {
+        transacoes: [
+          { descricao: 'Cinema', valor: 30, tipo: 'despesa', categoria: 'Lazer', metodoPagamento: 'pix', data: new Date() },
+          { descricao: 'Teatro', valor: 30, tipo: 'despesa', categoria: 'Lazer', metodoPagamento: 'fiado', data: new Date() }
+        ]
+      }
+    }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.detalhes).toEqual([
+      { field: 'transacoes[1].metodoPagamento', message: expect.any(String) }
+    ])
+    expect(insertMany).not.toHaveBeenCalled()
+  })
+
+  it('grava os documentos já validados', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany').mockImplementation(async documentos => documentos)
+    jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+    const res = criarRes()
+
+    await transactionController.bulkCreate(criarReq({
+      body: { transacoes: [{ descricao: 'Cinema', valor: 30, tipo: 'despesa', categoria: 'Lazer', metodoPagamento: 'pix', data: new Date() }] }
+    }), res)
+
+    expect(res.statusCode).toBe(201)
+    expect(insertMany.mock.calls[0][0][0]).toBeInstanceOf(Transaction)
+    expect(aplicarImpactos).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('transactionController.remove', () => {
+  it('responde 404 para transação inexistente', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null)
+    const res = criarRes()
+
+    await transactionController.remove(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(404)
+  })
+
+  it('não exclui uma perna de transferência isoladamente', async () => {
+    const transferenciaId = novoId()
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue({ _id: novoId(), transferenciaId })
+    const deleteMany = jest.spyOn(Transaction, 'deleteMany')
+    const res = criarRes()
+
+    await transactionController.remove(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.sugestao).toContain(String(transferenciaId))
+    expect(deleteMany).not.toHaveBeenCalled()
+  })
+})
+
+describe('transactionController.bulkDelete', () => {
+  it('uma perna selecionada leva a outra junto para a lixeira e o histórico', async () => {
+    const transferenciaId = novoId()
+    const avulsa = new Transaction({ descricao: 'Cinema', valor: 30, tipo: 'despesa', categoria: 'Lazer' })
+    const debito = new Transaction({ descricao: 'Reserva', valor: 100, tipo: 'despesa', transferenciaId })
+    const credito = new Transaction({ descricao: 'Reserva', valor: 100, tipo: 'receita', transferenciaId })
+    jest.spyOn(Transaction, 'find')
+      .mockResolvedValueOnce([avulsa, debito])
+      .mockResolvedValueOnce([debito, credito])
+    const deleteMany = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({ deletedCount: 3 })
+    jest.spyOn(Invoice, 'sincronizarPagamento').mockResolvedValue(null)
+    const mover = jest.spyOn(trashService, 'mover').mockResolvedValue([])
+    const moverTransferencias = jest.spyOn(trashService, 'moverTransferencias').mockResolvedValue([])
+    const registrar = jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+    const req = criarReq({ body: { ids: [String(avulsa._id), String(debito._id)] } })
+    const res = criarRes()
+
+    await transactionController.bulkDelete(req, res)
+
+    const excluidas = [avulsa, debito, credito]
+    expect(deleteMany).toHaveBeenCalledWith({ userId: req.userId, _id: { $in: excluidas.map(t => t._id) } })
+    expect(reverterImpactos.mock.calls.map(([t]) => t)).toEqual(excluidas)
+    expect(mover).toHaveBeenCalledWith('transacao', [avulsa])
+    expect(moverTransferencias).toHaveBeenCalledWith([debito, credito])
+    expect(registrar).toHaveBeenCalledWith(excluidas, { operacao: 'exclusao', autorId: req.userId })
+    expect(res.body.data.deletedCount).toBe(3)
+  })
+})
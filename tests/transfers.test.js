@@ -0,0 +1,234 @@
+const Transaction = require('../models/Transaction')
+const Account = require('../models/Account')
+const Invoice = require('../models/Invoice')
+const currencyService = require('../services/currencyService')
+const trashService = require('../services/trashService')
+const transferController = require('../controllers/transferController')
+const { criarReq, criarRes, novoId } = require('./helpers')
+
+function novasPernas(dados = {}) {
+  const userId = novoId()
+  const transferenciaId = novoId()
+  const base = {
+    userId,
+    transferenciaId,
+    descricao: 'Reserva',
+    valor: 200,
+    data: new Date(2025, 0, 10),
+    categoria: 'Transferência',
+    metodoPagamento: 'transferencia',
+    moeda: 'BRL',
+    ...dados
+  }
+  return [
+    new Transaction({ ...base, tipo: 'despesa', contaId: novoId() }),
+    new Transaction({ ...base, tipo: 'receita', contaId: novoId() })
+  ]
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('Transaction.criarTransferencia', () => {
+  it('cria débito na origem e crédito no destino com o mesmo vínculo', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany').mockImplementation(async docs => docs)
+    const contaOrigem = { _id: novoId(), nome: 'Corrente', moeda: 'BRL' }
+    const contaDestino = { _id: novoId(), nome: 'Poupança', moeda: 'BRL' }
+
+    const [debito, credito] = await Transaction.criarTransferencia({ userId: novoId(), contaOrigem, contaDestino, valor: 50 })
+
+    expect(insertMany).toHaveBeenCalledTimes(1)
+    expect(debito).toMatchObject({ tipo: 'despesa', contaId: contaOrigem._id, descricao: 'Transferência: Corrente → Poupança' })
+    expect(credito).toMatchObject({ tipo: 'receita', contaId: contaDestino._id })
+    expect(debito.transferenciaId).toBe(credito.transferenciaId)
+  })
+
+  it('desfaz a primeira perna se a gravação falhar', async () => {
+    jest.spyOn(Transaction, 'insertMany').mockRejectedValue(new Error('falha'))
+    const deleteMany = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({})
+    const userId = novoId()
+
+    await expect(Transaction.criarTransferencia({
+      userId,
+      contaOrigem: { _id: novoId(), nome: 'A' },
+      contaDestino: { _id: novoId(), nome: 'B' },
+      valor: 50
+    })).rejects.toThrow('falha')
+    expect(deleteMany).toHaveBeenCalledWith(expect.objectContaining({ userId }))
+  })
+})
+
+describe('Transaction.restaurarPernas', () => {
+  it('regrava as pernas como estavam e recria as excluídas', async () => {
+    const pernas = novasPernas()
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({})
+
+    await Transaction.restaurarPernas(pernas)
+
+    expect(bulkWrite.mock.calls[0][0].map(op => op.replaceOne)).toEqual(pernas.map(perna => ({
+      filter: { _id: perna._id },
+      replacement: expect.objectContaining({ _id: perna._id, valor: 200, contaId: perna.contaId }),
+      upsert: true
+    })))
+    expect(await Transaction.restaurarPernas([])).toBeNull()
+  })
+})
+
+describe('Transaction.realizadas', () => {
+  it('deixa transferências e pendentes fora das receitas e despesas', () => {
+    expect(Transaction.realizadas({ userId: 'u' })).toEqual({ userId: 'u', transferenciaId: null, status: 'confirmada' })
+  })
+})
+
+describe('transferController.create', () => {
+  it('recusa a mesma conta como origem e destino', async () => {
+    const contaId = novoId().toString()
+    const res = criarRes()
+
+    await transferController.create(criarReq({ body: { contaOrigemId: contaId, contaDestinoId: contaId, valor: 10 } }), res)
+
+    expect(res.statusCode).toBe(400)
+  })
+})
+
+describe('transferController.update', () => {
+  it('calcula a conversão antes de gravar as duas pernas', async () => {
+    const [debito, credito] = novasPernas()
+    jest.spyOn(Transaction, 'find').mockResolvedValue([debito, credito])
+    const conversao = { moeda: 'BRL', valor: 300, taxa: 1 }
+    const calcularConversao = jest.spyOn(Transaction, 'calcularConversao').mockResolvedValue(conversao)
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({})
+    jest.spyOn(Invoice, 'sincronizarPagamento').mockResolvedValue(null)
+    const res = criarRes()
+
+    await transferController.update(criarReq({
+      userId: debito.userId,
+      params: { id: String(debito.transferenciaId) },
+      body: { valor: 300 }
+    }), res)
+
+    expect(res.body.success).toBe(true)
+    expect(calcularConversao).toHaveBeenCalledWith(debito.userId, expect.objectContaining({ valor: 300, moeda: 'BRL' }))
+    const [operacaoDebito, operacaoCredito] = bulkWrite.mock.calls[0][0]
+    expect(operacaoDebito.updateOne.update.$set).toMatchObject({ valor: 300, conversao, contaId: debito.contaId })
+    expect(operacaoCredito.updateOne.update.$set).toMatchObject({ valor: 300, conversao, contaId: credito.contaId })
+  })
+
+  it('volta as duas pernas e o pagamento da fatura se a gravação falhar no meio', async () => {
+    const [debito, credito] = novasPernas()
+    jest.spyOn(Transaction, 'find').mockResolvedValue([debito, credito])
+    jest.spyOn(Transaction, 'calcularConversao').mockResolvedValue({ moeda: 'BRL', valor: 300, taxa: 1 })
+    jest.spyOn(Transaction, 'bulkWrite').mockRejectedValueOnce(new Error('falha na segunda perna'))
+    const restaurarPernas = jest.spyOn(Transaction, 'restaurarPernas').mockResolvedValue({})
+    const sincronizar = jest.spyOn(Invoice, 'sincronizarPagamento').mockResolvedValue(null)
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const res = criarRes()
+
+    await transferController.update(criarReq({ params: { id: String(debito.transferenciaId) }, body: { valor: 300 } }), res)
+
+    expect(res.statusCode).toBe(500)
+    expect(restaurarPernas).toHaveBeenCalledWith([debito, credito])
+    expect(sincronizar).toHaveBeenCalledTimes(1)
+    expect(sincronizar.mock.calls[0][2]).toEqual({ valor: 200, data: debito.data })
+  })
+
+  it('não grava nada sem cotação para a moeda', async () => {
+    const pernas = novasPernas({ moeda: 'USD' })
+    jest.spyOn(Transaction, 'find').mockResolvedValue(pernas)
+    jest.spyOn(Transaction, 'calcularConversao').mockResolvedValue(null)
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite')
+    const res = criarRes()
+
+    await transferController.update(criarReq({ params: { id: String(pernas[0].transferenciaId) }, body: { valor: 10 } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toMatch(/USD/)
+    expect(bulkWrite).not.toHaveBeenCalled()
+  })
+
+  it('valida as moedas ao trocar de conta', async () => {
+    const pernas = novasPernas()
+    jest.spyOn(Transaction, 'find').mockResolvedValue(pernas)
+    jest.spyOn(Account, 'findOne').mockResolvedValue({ _id: novoId(), moeda: 'USD' })
+    jest.spyOn(currencyService, 'validarTransferencia').mockResolvedValue('Contas em moedas diferentes')
+    const bulkWrite = jest.spyOn(Transaction, 'bulkWrite')
+    const res = criarRes()
+
+    await transferController.update(criarReq({
+      params: { id: String(pernas[0].transferenciaId) },
+      body: { contaDestinoId: novoId().toString() }
+    }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toBe('Contas em moedas diferentes')
+    expect(bulkWrite).not.toHaveBeenCalled()
+  })
+})
+
+describe('transferController.remove', () => {
+  it('exclui as duas pernas e as envia para a lixeira', async () => {
+    const pernas = novasPernas()
+    const id = String(pernas[0].transferenciaId)
+    jest.spyOn(Transaction, 'find').mockResolvedValue(pernas)
+    const deleteMany = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({})
+    const mover = jest.spyOn(trashService, 'moverTransferencias').mockResolvedValue([])
+    jest.spyOn(Invoice, 'sincronizarPagamento').mockResolvedValue(null)
+    const req = criarReq({ params: { id } })
+    const res = criarRes()
+
+    await transferController.remove(req, res)
+
+    expect(res.body.success).toBe(true)
+    expect(deleteMany).toHaveBeenCalledWith({ userId: req.userId, transferenciaId: id })
+    expect(mover).toHaveBeenCalledWith(pernas)
+  })
+
+  it('devolve as pernas e tira da lixeira se a fatura falhar', async () => {
+    const pernas = novasPernas()
+    jest.spyOn(Transaction, 'find').mockResolvedValue(pernas)
+    jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({})
+    const itens = [{ _id: novoId() }]
+    jest.spyOn(trashService, 'moverTransferencias').mockResolvedValue(itens)
+    jest.spyOn(Invoice, 'sincronizarPagamento').mockRejectedValue(new Error('fora do ar'))
+    const restaurarPernas = jest.spyOn(Transaction, 'restaurarPernas').mockResolvedValue({})
+    const desfazerMovimento = jest.spyOn(trashService, 'desfazerMovimento').mockResolvedValue({})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const res = criarRes()
+
+    await transferController.remove(criarReq({ params: { id: String(pernas[0].transferenciaId) } }), res)
+
+    expect(res.statusCode).toBe(500)
+    expect(restaurarPernas).toHaveBeenCalledWith(pernas)
+    expect(desfazerMovimento).toHaveBeenCalledWith(itens)
+  })
+
+  it('uma falha ao desfazer não esconde o erro original', async () => {
+    const pernas = novasPernas()
+    jest.spyOn(Transaction, 'find').mockResolvedValue(pernas)
+    jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({})
+    jest.spyOn(trashService, 'moverTransferencias').mockRejectedValue(new Error('lixeira indisponível'))
+    jest.spyOn(Transaction, 'restaurarPernas').mockRejectedValue(new Error('banco indisponível'))
+    const desfazerMovimento = jest.spyOn(trashService, 'desfazerMovimento')
+    const erro = jest.spyOn(console, 'error').mockImplementation(() => {})
+    const res = criarRes()
+
+    await transferController.remove(criarReq({ params: { id: String(pernas[0].transferenciaId) } }), res)
+
+    expect(res.statusCode).toBe(500)
+    expect(desfazerMovimento).not.toHaveBeenCalled()
+    expect(erro.mock.calls.map(([mensagem, falha]) => [mensagem, falha.message])).toEqual([
+      ['Erro ao desfazer a remoção da transferência:', 'banco indisponível'],
+      ['Erro ao remover transferência:', 'lixeira indisponível']
+    ])
+  })
+
+  it('responde 404 quando não há pernas', async () => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue([])
+    const res = criarRes()
+
+    await transferController.remove(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,286 @@
+jest.mock('../services/transactionImpactService')
+
+const Transaction = require('../models/Transaction')
+const Budget = require('../models/Budget')
+const Category = require('../models/Category')
+const Account = require('../models/Account')
+const TrashItem = require('../models/TrashItem')
+const trashService = require('../services/trashService')
+const attachmentService = require('../services/attachmentService')
+const transactionHistoryService = require('../services/transactionHistoryService')
+const { aplicarImpactos } = require('../services/transactionImpactService')
+const trashController = require('../controllers/trashController')
+const { criarReq, criarRes, consulta, novoId } = require('./helpers')
+
+const userId = novoId()
+
+function novaTransacao(dados = {}) {
+  return new Transaction({
+    userId,
+    descricao: 'Cinema',
+    valor: 40,
+    tipo: 'despesa',
+    categoria: 'Lazer',
+    data: new Date(2025, 0, 10),
+    ...dados
+  })
+}
+
+function pernas() {
+  const transferenciaId = novoId()
+  const base = { valor: 100, transferenciaId, categoria: 'Transferência' }
+  return [
+    novaTransacao({ ...base, tipo: 'receita', descricao: 'Transferência: Nubank → Inter', contaId: novoId() }),
+    novaTransacao({ ...base, tipo: 'despesa', descricao: 'Transferência: Nubank → Inter', contaId: novoId() })
+  ]
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  jest.clearAllMocks()
+})
+
+describe('TrashItem', () => {
+  it('expira depois do período de retenção', () => {
+    const item = new TrashItem({ userId, tipo: 'meta', documentoId: novoId(), documento: {} })
+
+    expect(TrashItem.RETENCAO_DIAS).toBe(30)
+    expect(item.expiraEm - item.excluidoEm).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000 - 1000)
+  })
+})
+
+describe('trashService.mover', () => {
+  beforeEach(() => {
+    jest.spyOn(TrashItem, 'insertMany').mockImplementation(async itens => itens)
+  })
+
+  it('guarda uma cópia do documento com a descrição do tipo e os vínculos', async () => {
+    const transacao = novaTransacao()
+    const vinculadas = [novoId()]
+
+    const [item] = await trashService.mover('transacao', [transacao], { vinculos: { transacoes: vinculadas } })
+
+    expect(item).toMatchObject({ userId, tipo: 'transacao', documentoId: transacao._id, descricao: 'Cinema', vinculos: { transacoes: vinculadas } })
+    expect(item.documento).toMatchObject({ _id: transacao._id, valor: 40 })
+    expect(item.documento.__v).toBeUndefined()
+    expect(await trashService.mover('meta', [])).toEqual([])
+  })
+
+  it('guarda cada transferência como um item, com o débito primeiro', async () => {
+    const primeira = pernas()
+    const segunda = pernas()
+
+    const itens = await trashService.moverTransferencias([...primeira, ...segunda])
+
+    expect(itens).toHaveLength(2)
+    expect(itens[0]).toMatchObject({ tipo: 'transferencia', documentoId: primeira[0].transferenciaId, descricao: 'Transferência: Nubank → Inter' })
+    expect(itens[0].documento.pernas.map(p => p.tipo)).toEqual(['despesa', 'receita'])
+  })
+})
+
+describe('trashService.conflitoNaRestauracao', () => {
+  function item(tipo, documento) {
+    return { userId, tipo, documentoId: documento._id || novoId(), documento }
+  }
+
+  it('não restaura o que já foi restaurado', async () => {
+    jest.spyOn(Transaction, 'exists').mockResolvedValue({ _id: novoId() })
+
+    expect(await trashService.conflitoNaRestauracao(item('transacao', { _id: novoId() }))).toBe('O item já foi restaurado')
+  })
+
+  it('confere a conta da transação e as contas da transferência', async () => {
+    jest.spyOn(Transaction, 'exists').mockResolvedValue(null)
+    jest.spyOn(Account, 'exists').mockResolvedValue(null)
+    jest.spyOn(Account, 'countDocuments').mockResolvedValue(1)
+
+    expect(await trashService.conflitoNaRestauracao(item('transacao', { _id: novoId(), contaId: novoId() })))
+      .toBe('A conta da transação foi excluída')
+    expect(await trashService.conflitoNaRestauracao(item('transferencia', { pernas: [{ contaId: novoId() }, { contaId: novoId() }] })))
+      .toBe('Uma das contas da transferência foi excluída')
+  })
+
+  it('recusa categoria com nome repetido e orçamento ativo sobreposto', async () => {
+    jest.spyOn(Category, 'exists').mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: novoId() })
+    const budgetExists = jest.spyOn(Budget, 'exists').mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: novoId() })
+    const orcamento = { categoria: 'Lazer', status: 'ativo', dataInicio: new Date(2025, 0, 1), dataFim: new Date(2025, 0, 31) }
+
+    expect(await trashService.conflitoNaRestauracao(item('categoria', { nome: 'Pets' })))
+      .toBe('Já existe uma categoria com este nome')
+    expect(await trashService.conflitoNaRestauracao(item('orcamento', orcamento)))
+      .toBe('Já existe um orçamento ativo para esta categoria no período do orçamento excluído')
+    expect(budgetExists.mock.calls[1][0]).toMatchObject({
+      categoria: 'Lazer',
+      dataInicio: { $lte: orcamento.dataFim },
+      dataFim: { $gte: orcamento.dataInicio }
+    })
+  })
+})
+
+describe('trashService.restaurar', () => {
+  beforeEach(() => {
+    jest.spyOn(TrashItem, 'deleteOne').mockResolvedValue({})
+  })
+
+  it('transação volta com o mesmo _id e reaplica os impactos', async () => {
+    const documento = novaTransacao().toObject()
+    const restaurada = { ...documento }
+    const create = jest.spyOn(Transaction, 'create').mockResolvedValue(restaurada)
+    const registrar = jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+    const autorId = novoId()
+    const itemId = novoId()
+
+    expect(await trashService.restaurar({ _id: itemId, userId, tipo: 'transacao', documento }, autorId)).toBe(restaurada)
+    expect(create.mock.calls[0][0]._id).toEqual(documento._id)
+    expect(aplicarImpactos).toHaveBeenCalledWith(restaurada)
+    expect(registrar).toHaveBeenCalledWith([restaurada], { operacao: 'restauracao', autorId })
+    expect(TrashItem.deleteOne).toHaveBeenCalledWith({ _id: itemId })
+  })
+
+  it('orçamento volta a ser o das transações que ainda estão sem orçamento', async () => {
+    const restaurado = { _id: novoId() }
+    jest.spyOn(Budget, 'create').mockResolvedValue(restaurado)
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({})
+    const vinculadas = [novoId(), novoId()]
+
+    await trashService.restaurar({ userId, tipo: 'orcamento', documento: { nome: 'Lazer' }, vinculos: { transacoes: vinculadas } })
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: vinculadas }, userId, orcamentoId: null },
+      { orcamentoId: restaurado._id }
+    )
+    expect(aplicarImpactos).not.toHaveBeenCalled()
+  })
+
+  it('transferência volta com as duas pernas', async () => {
+    const insertMany = jest.spyOn(Transaction, 'insertMany').mockImplementation(async docs => docs)
+    const documento = { pernas: pernas().map(p => p.toObject()) }
+
+    const restauradas = await trashService.restaurar({ userId, tipo: 'transferencia', documento })
+
+    expect(restauradas.map(p => p._id)).toEqual(documento.pernas.map(p => p._id))
+    expect(insertMany).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('grupos restaurados juntos', () => {
+  // Compra parcelada enviada para a lixeira pela parcela 1: um item por parcela
+  function parcelasNaLixeira(total = 3) {
+    const grupoId = novoId()
+    return Array.from({ length: total }, (_, indice) => {
+      const documento = novaTransacao({
+        descricao: 'Geladeira',
+        contaId: novoId(),
+        parcelamento: { grupoId, numero: indice + 1, total }
+      }).toObject()
+      return { _id: novoId(), userId, tipo: 'transacao', documentoId: documento._id, documento, descricao: `Geladeira (${indice + 1}/${total})` }
+    })
+  }
+
+  it('o grupo de uma parcela são todas as parcelas da compra na lixeira', async () => {
+    const parcelas = parcelasNaLixeira()
+    const find = jest.spyOn(TrashItem, 'find').mockResolvedValue(parcelas)
+
+    expect(await trashService.grupoDoItem(parcelas[1])).toBe(parcelas)
+    expect(find).toHaveBeenCalledWith({
+      userId,
+      tipo: 'transacao',
+      'documento.parcelamento.grupoId': parcelas[0].documento.parcelamento.grupoId
+    })
+
+    const avulsa = { _id: novoId(), userId, tipo: 'transacao', documento: novaTransacao().toObject() }
+    expect(await trashService.grupoDoItem(avulsa)).toEqual([avulsa])
+    expect(find).toHaveBeenCalledTimes(1)
+  })
+
+  it('um conflito em qualquer parcela impede a restauração e diz qual foi', async () => {
+    const parcelas = parcelasNaLixeira()
+    jest.spyOn(Transaction, 'exists').mockResolvedValue(null)
+    jest.spyOn(Account, 'exists').mockImplementation(async ({ _id }) => _id === parcelas[2].documento.contaId ? null : { _id })
+
+    expect(await trashService.conflitoNoGrupo(parcelas)).toBe('"Geladeira (3/3)": A conta da transação foi excluída')
+    expect(await trashService.conflitoNoGrupo(parcelas.slice(0, 2))).toBeNull()
+  })
+
+  it('as parcelas voltam numa gravação só, com impactos e histórico', async () => {
+    const parcelas = parcelasNaLixeira()
+    const insertMany = jest.spyOn(Transaction, 'insertMany').mockImplementation(async docs => docs)
+    const registrar = jest.spyOn(transactionHistoryService, 'registrar').mockResolvedValue([])
+    const deleteMany = jest.spyOn(TrashItem, 'deleteMany').mockResolvedValue({})
+    const autorId = novoId()
+
+    const restauradas = await trashService.restaurarGrupo(parcelas, autorId)
+
+    expect(insertMany).toHaveBeenCalledTimes(1)
+    expect(restauradas.map(t => t._id)).toEqual(parcelas.map(p => p.documentoId))
+    expect(aplicarImpactos).toHaveBeenCalledTimes(3)
+    expect(registrar).toHaveBeenCalledWith(restauradas, { operacao: 'restauracao', autorId })
+    expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: parcelas.map(p => p._id) } })
+  })
+
+  it('restaurar uma parcela pelo controller traz a compra inteira', async () => {
+    const parcelas = parcelasNaLixeira(2)
+    jest.spyOn(TrashItem, 'findOne').mockResolvedValue(parcelas[1])
+    jest.spyOn(trashService, 'grupoDoItem').mockResolvedValue(parcelas)
+    jest.spyOn(trashService, 'conflitoNoGrupo').mockResolvedValue(null)
+    const restaurarGrupo = jest.spyOn(trashService, 'restaurarGrupo').mockResolvedValue([])
+    const restaurar = jest.spyOn(trashService, 'restaurar')
+    const res = criarRes()
+
+    await trashController.restaurar(criarReq({ userId, params: { id: String(parcelas[1]._id) } }), res)
+
+    expect(restaurarGrupo).toHaveBeenCalledWith(parcelas, userId)
+    expect(restaurar).not.toHaveBeenCalled()
+    expect(res.body.message).toBe('"Geladeira (2/2)" restaurado da lixeira com os outros 1 item(ns) do grupo')
+  })
+})
+
+describe('trashService.purgar', () => {
+  it('apaga os itens e só então os arquivos dos anexos', async () => {
+    const deleteMany = jest.spyOn(TrashItem, 'deleteMany').mockResolvedValue({})
+    const removerArquivos = jest.spyOn(attachmentService, 'removerArquivos').mockResolvedValue()
+    const [a, b, c] = [{ chave: 'a' }, { chave: 'b' }, { chave: 'c' }]
+    const itens = [
+      { _id: novoId(), tipo: 'transacao', documento: { anexos: [a] } },
+      { _id: novoId(), tipo: 'transferencia', documento: { pernas: [{ anexos: [b] }, { anexos: [c] }] } },
+      { _id: novoId(), tipo: 'meta', documento: {} }
+    ]
+
+    expect(await trashService.purgar(itens)).toBe(3)
+    expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: itens.map(i => i._id) } })
+    expect(removerArquivos).toHaveBeenCalledWith([a, b, c])
+    expect(deleteMany.mock.invocationCallOrder[0]).toBeLessThan(removerArquivos.mock.invocationCallOrder[0])
+  })
+
+  it('o cron apaga os itens expirados', async () => {
+    const agora = new Date(2025, 5, 1)
+    const find = jest.spyOn(TrashItem, 'find').mockReturnValue(consulta([]))
+
+    expect(await trashService.purgarExpirados(agora)).toBe(0)
+    expect(find).toHaveBeenCalledWith({ expiraEm: { $lte: agora } })
+  })
+})
+
+describe('trashController.restaurar', () => {
+  it('informa o conflito sem restaurar', async () => {
+    jest.spyOn(TrashItem, 'findOne').mockResolvedValue({ _id: novoId(), tipo: 'categoria', documento: { nome: 'Pets' } })
+    jest.spyOn(trashService, 'conflitoNaRestauracao').mockResolvedValue('Já existe uma categoria com este nome')
+    const restaurar = jest.spyOn(trashService, 'restaurar')
+    const res = criarRes()
+
+    await trashController.restaurar(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toEqual({ error: 'Já existe uma categoria com este nome' })
+    expect(restaurar).not.toHaveBeenCalled()
+  })
+
+  it('responde 404 para itens de outro usuário', async () => {
+    jest.spyOn(TrashItem, 'findOne').mockResolvedValue(null)
+    const res = criarRes()
+
+    await trashController.restaurar(criarReq({ params: { id: novoId().toString() } }), res)
+
+    expect(res.statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,189 @@
+// utils/csvParser.js
+// Leitura de planilhas CSV exportadas por outros apps (Mobills, Organizze, Nubank...)
+// com detecção de delimitador, separador decimal e formato de data
+
+const DELIMITADORES = [';', ',', '\t', '|']
+
+// Formatos de data aceitos: [nome, regex, posições de dia/mês/ano]
+const FORMATOS_DATA = {
+  'DD/MM/AAAA': { regex: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/, dia: 1, mes: 2, ano: 3 },
+  'MM/DD/AAAA': { regex: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/, dia: 2, mes: 1, ano: 3 },
+  'AAAA-MM-DD': { regex: /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/, dia: 3, mes: 2, ano: 1 },
+  'DD/MM/AA': { regex: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2})(?!\d)/, dia: 1, mes: 2, ano: 3 }
+}
+
+class CsvParser {
+  // Converter o arquivo em { delimitador, cabecalho, linhas }
+  static parse(conteudo, delimitador = null) {
+    const texto = this.decodificar(conteudo).replace(/^\uFEFF/, '')
+
+    const separador = delimitador || this.detectarDelimitador(texto)
+    const registros = this.lerRegistros(texto, separador)
+      .filter(registro => registro.some(celula => celula.trim() !== ''))
+
+    if (registros.length < 2) {
+      throw new Error('Arquivo CSV deve ter um cabeçalho e ao menos uma linha')
+    }
+
+    const cabecalho = registros[0].map(coluna => coluna.trim())
+
+    return {
+      delimitador: separador,
+      cabecalho,
+      linhas: registros.slice(1).map(registro => {
+        const linha = {}
+        cabecalho.forEach((coluna, indice) => {
+          linha[coluna] = (registro[indice] || '').trim()
+        })
+        return linha
+      })
+    }
+  }
+
+  // UTF-8 quando válido; senão, Windows-1252 (padrão do Excel em português)
+  static decodificar(conteudo) {
+    if (typeof conteudo === 'string') return conteudo
+
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(conteudo)
+    } catch (err) {
+      return new TextDecoder('windows-1252').decode(conteudo)
+    }
+  }
+
+  // O delimitador é o que aparece o mesmo número de vezes (> 0) nos primeiros registros
+  // (registros, não linhas: uma célula entre aspas pode ter quebra de linha)
+  static detectarDelimitador(texto) {
+    const amostra = texto.slice(0, 64 * 1024)
+
+    let melhor = { delimitador: ',', pontuacao: 0 }
+    DELIMITADORES.forEach(delimitador => {
+      const contagens = this.lerRegistros(amostra, delimitador)
+        .filter(registro => registro.some(celula => celula.trim() !== ''))
+        .slice(0, 10)
+        .map(registro => registro.length - 1)
+      const consistente = contagens.every(c => c === contagens[0])
+      const pontuacao = consistente ? contagens[0] : 0
+
+      if (pontuacao > melhor.pontuacao) {
+        melhor = { delimitador, pontuacao }
+      }
+    })
+
+    return melhor.delimitador
+  }
+
+  // Registros no padrão RFC 4180 (aspas duplas, "" como aspas escapadas, quebras dentro de aspas)
+  static lerRegistros(texto, delimitador) {
+    const registros = []
+    let registro = []
+    let celula = ''
+    let entreAspas = false
+
+    for (let i = 0; i < texto.length; i++) {
+      const caractere = texto[i]
+
+      if (entreAspas) {
+        if (caractere === '"' && texto[i + 1] === '"') {
+          celula += '"'
+          i++
+        } else if (caractere === '"') {
+          entreAspas = false
+        } else {
+          celula += caractere
+        }
+      } else if (caractere === '"') {
+        entreAspas = true
+      } else if (caractere === delimitador) {
+        registro.push(celula)
+        celula = ''
+      } else if (caractere === '\n' || caractere === '\r') {
+        if (caractere === '\r' && texto[i + 1] === '\n') i++
+        registro.push(celula)
+        registros.push(registro)
+        registro = []
+        celula = ''
+      } else {
+        celula += caractere
+      }
+    }
+
+    if (celula !== '' || registro.length > 0) {
+      registro.push(celula)
+      registros.push(registro)
+    }
+
+    return registros
+  }
+
+  // Vírgula decimal quando os valores terminam em ",dd" (ex.: 1.234,56)
+  static detectarDecimal(valores) {
+    const preenchidos = valores.filter(Boolean)
+    const virgula = preenchidos.filter(v => /,\d{1,2}\s*$/.test(v)).length
+    const ponto = preenchidos.filter(v => /\.\d{1,2}\s*$/.test(v)).length
+
+    return virgula > ponto ? 'virgula' : 'ponto'
+  }
+
+  // Formato que interpreta mais datas (linhas com data inválida não impedem a detecção)
+  // Em empate, DD/MM tem prioridade sobre MM/DD
+  static detectarFormatoData(valores) {
+    const preenchidos = valores.filter(Boolean).slice(0, 50)
+
+    let melhor = { formato: null, validas: 0 }
+    Object.keys(FORMATOS_DATA).forEach(formato => {
+      const validas = preenchidos.filter(valor => this.parseData(valor, formato) !== null).length
+      if (validas > melhor.validas) {
+        melhor = { formato, validas }
+      }
+    })
+
+    return melhor.formato
+  }
+
+  static parseData(texto, formato) {
+    const definicao = FORMATOS_DATA[formato]
+    const match = definicao && String(texto).trim().match(definicao.regex)
+    if (!match) return null
+
+    let ano = Number(match[definicao.ano])
+    if (ano < 100) ano += 2000
+    const mes = Number(match[definicao.mes])
+    const dia = Number(match[definicao.dia])
+
+    // Meio-dia evita mudança de dia ao converter fusos
+    const data = new Date(ano, mes - 1, dia, 12)
+    if (data.getMonth() !== mes - 1 || data.getDate() !== dia) return null
+
+    return data
+  }
+
+  // Aceita "R$ 1.234,56", "-50.00", "(50,00)" e "50,00-"
+  static parseValor(texto, decimal = 'ponto') {
+    if (texto === undefined || texto === null) return null
+
+    let valor = String(texto).trim().replace(/[R$\s]/g, '')
+    if (!valor) return null
+
+    let negativo = false
+    if (/^\(.*\)$/.test(valor) || valor.endsWith('-')) {
+      negativo = true
+      valor = valor.replace(/[()]/g, '').replace(/-$/, '')
+    }
+
+    valor = decimal === 'virgula'
+      ? valor.replace(/\./g, '').replace(',', '.')
+      : valor.replace(/,/g, '')
+
+    const numero = Number(valor)
+    if (valor === '' || isNaN(numero)) return null
+
+    return negativo ? -Math.abs(numero) : numero
+  }
+
+  static get formatosData() {
+    return Object.keys(FORMATOS_DATA)
+  }
+}
+
+module.exports = CsvParser
@@ -0,0 +1,167 @@
+// utils/ofxParser.js
+// Leitura de extratos OFX 1.x (SGML, tags sem fechamento) e 2.x (XML)
+
+class OfxParser {
+  // Converter o arquivo em { conta, periodo, saldo, transacoes }
+  static parse(conteudo) {
+    const texto = this.decodificar(conteudo)
+
+    const inicio = texto.search(/<OFX>/i)
+    if (inicio === -1) {
+      throw new Error('Arquivo não é um OFX válido')
+    }
+
+    const raiz = this.montarArvore(texto.slice(inicio))
+    const ofx = raiz.OFX?.[0]
+    if (!ofx) {
+      throw new Error('Arquivo não é um OFX válido')
+    }
+
+    // Extrato bancário (STMTRS) ou de cartão de crédito (CCSTMTRS)
+    const extrato = this.buscar(ofx, ['BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS']) ||
+      this.buscar(ofx, ['CREDITCARDMSGSRSV1', 'CCSTMTTRNRS', 'CCSTMTRS'])
+
+    if (!extrato) {
+      throw new Error('Nenhum extrato encontrado no arquivo OFX')
+    }
+
+    const cartaoCredito = Boolean(this.buscar(ofx, ['CREDITCARDMSGSRSV1']))
+    const contaOfx = this.buscar(extrato, ['BANKACCTFROM']) || this.buscar(extrato, ['CCACCTFROM']) || {}
+    const lista = this.buscar(extrato, ['BANKTRANLIST']) || {}
+    const saldo = this.buscar(extrato, ['LEDGERBAL'])
+
+    return {
+      conta: {
+        banco: this.valor(contaOfx, 'BANKID'),
+        agencia: this.valor(contaOfx, 'BRANCHID'),
+        numero: this.valor(contaOfx, 'ACCTID'),
+        tipo: cartaoCredito ? 'cartao_credito' : this.valor(contaOfx, 'ACCTTYPE')
+      },
+      moeda: this.valor(extrato, 'CURDEF'),
+      periodo: {
+        inicio: this.parseData(this.valor(lista, 'DTSTART')),
+        fim: this.parseData(this.valor(lista, 'DTEND'))
+      },
+      saldo: saldo
+        ? {
+            valor: this.parseValor(this.valor(saldo, 'BALAMT')),
+            data: this.parseData(this.valor(saldo, 'DTASOF'))
+          }
+        : null,
+      transacoes: (lista.STMTTRN || []).map((trn, indice) => this.parseTransacao(trn, indice))
+    }
+  }
+
+  // OFX 1.x de bancos brasileiros costuma vir em Windows-1252
+  static decodificar(conteudo) {
+    if (typeof conteudo === 'string') return conteudo
+
+    const cabecalho = conteudo.slice(0, 500).toString('latin1')
+    const utf8 = /encoding=["']?utf-8/i.test(cabecalho) || /CHARSET:\s*(UTF-8|NONE)/i.test(cabecalho)
+
+    return new TextDecoder(utf8 ? 'utf-8' : 'windows-1252').decode(conteudo)
+  }
+
+  // Árvore { TAG: [nós] } a partir das tags. Tags com texto e sem fechamento (SGML)
+  // são folhas; as demais são agregados fechados por </TAG>
+  static montarArvore(texto) {
+    const raiz = {}
+    const pilha = [{ tag: null, no: raiz }]
+    const regex = /<(\/?)([A-Z0-9_.]+)[^>]*>([^<]*)/gi
+    let match
+
+    while ((match = regex.exec(texto)) !== null) {
+      const [, fechamento, nomeTag, textoApos] = match
+      const tag = nomeTag.toUpperCase()
+      const conteudo = this.decodificarEntidades(textoApos.trim())
+
+      if (fechamento) {
+        // Fecha o agregado (e quaisquer folhas SGML abertas acima dele)
+        const indice = pilha.map(item => item.tag).lastIndexOf(tag)
+        if (indice > 0) pilha.length = indice
+        continue
+      }
+
+      const pai = pilha[pilha.length - 1].no
+      pai[tag] = pai[tag] || []
+
+      if (conteudo) {
+        pai[tag].push(conteudo)
+      } else {
+        const no = {}
+        pai[tag].push(no)
+        pilha.push({ tag, no })
+      }
+    }
+
+    return raiz
+  }
+
+  static decodificarEntidades(texto) {
+    return texto
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+  }
+
+  static buscar(no, caminho) {
+    return caminho.reduce((atual, tag) => {
+      const filho = atual?.[tag]?.[0]
+      return filho && typeof filho === 'object' ? filho : null
+    }, no)
+  }
+
+  static valor(no, tag) {
+    const valor = no?.[tag]?.[0]
+    return typeof valor === 'string' ? valor : null
+  }
+
+  static parseTransacao(trn, indice) {
+    const valor = this.parseValor(this.valor(trn, 'TRNAMT'))
+
+    return {
+      linha: indice + 1,
+      fitId: this.valor(trn, 'FITID'),
+      tipoOfx: (this.valor(trn, 'TRNTYPE') || 'OTHER').toUpperCase(),
+      data: this.parseData(this.valor(trn, 'DTPOSTED')),
+      valor,
+      nome: this.valor(trn, 'NAME') || this.valor(this.buscar(trn, ['PAYEE']), 'NAME'),
+      memo: this.valor(trn, 'MEMO'),
+      numeroDocumento: this.valor(trn, 'CHECKNUM') || this.valor(trn, 'REFNUM')
+    }
+  }
+
+  // Valores podem usar vírgula decimal (ex.: -1234,56)
+  static parseValor(texto) {
+    if (!texto) return null
+
+    const normalizado = texto.includes(',') && !texto.includes('.')
+      ? texto.replace(',', '.')
+      : texto.replace(/,/g, '')
+    const valor = parseFloat(normalizado)
+
+    return isNaN(valor) ? null : valor
+  }
+
+  // Formato AAAAMMDD[HHMMSS[.XXX]][[-3:BRT]]; sem fuso, considera o horário local
+  static parseData(texto) {
+    if (!texto) return null
+
+    const match = texto.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::[^\]]*)?\])?/)
+    if (!match) return null
+
+    const [, ano, mes, dia, hora = '12', minuto = '00', segundo = '00', fuso] = match
+
+    if (fuso === undefined) {
+      return new Date(Number(ano), Number(mes) - 1, Number(dia), Number(hora), Number(minuto), Number(segundo))
+    }
+
+    const utc = Date.UTC(Number(ano), Number(mes) - 1, Number(dia), Number(hora), Number(minuto), Number(segundo))
+    return new Date(utc - parseFloat(fuso) * 60 * 60 * 1000)
+  }
+}
+
+module.exports = OfxParser
@@ -0,0 +1,304 @@
+// utils/queryParser.js
+// Linguagem de busca de transações, convertida em filtros do MongoDB:
+//   valor>100 valor:50..200 categoria:Alimentação,Transporte tag:viagem tag:praia,campo
+//   conta:Nubank status:pendente metodo:pix tipo:despesa antes:2025-01-01 depois:2024-12-01
+//   data:2025-01 "padaria do bairro" -uber -categoria:Lazer
+// Termos separados por espaço devem ser todos atendidos; vírgula separa alternativas
+// dentro de um campo e "-" no início nega o termo. Palavras soltas buscam na
+// descrição, nas observações e nas tags; as que são um método de pagamento, status ou tipo
+// (ex.: pix, pendente) também buscam nesse campo, então -pix exclui os pagamentos por pix.
+// Todo texto é escapado antes de virar regex.
+
+const CAMPOS = {
+  valor: 'valor',
+  categoria: 'categoria',
+  cat: 'categoria',
+  subcategoria: 'subcategoria',
+  sub: 'subcategoria',
+  tag: 'tag',
+  tags: 'tag',
+  conta: 'conta',
+  status: 'status',
+  metodo: 'metodo',
+  tipo: 'tipo',
+  descricao: 'descricao',
+  antes: 'antes',
+  depois: 'depois',
+  data: 'data'
+}
+
+const VALORES_PERMITIDOS = {
+  status: ['pendente', 'confirmada', 'cancelada'],
+  metodo: ['dinheiro', 'cartao_debito', 'cartao_credito', 'pix', 'transferencia', 'boleto', 'cheque'],
+  tipo: ['receita', 'despesa']
+}
+
+// Campos que aceitam alternativas separadas por vírgula
+const CAMPOS_LISTA = ['categoria', 'subcategoria', 'tag', 'conta', 'status', 'metodo', 'tipo']
+
+const OPERADORES_MONGO = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' }
+
+// [-][campo operador]valor, onde o valor pode ter trechos entre aspas (com espaços)
+const PADRAO_TERMO = /(-)?(?:([\p{L}]+)(>=|<=|>|<|:|=))?((?:"[^"]*(?:"|$)|[^\s"])+)/gu
+const CAMPO_SEM_VALOR = /^([\p{L}]+)(>=|<=|>|<|:|=)$/u
+
+const LIMITE_TERMOS = 30
+
+function inicioDoDia(data) {
+  return new Date(data.getFullYear(), data.getMonth(), data.getDate())
+}
+
+function fimDoDia(data) {
+  return new Date(data.getFullYear(), data.getMonth(), data.getDate(), 23, 59, 59, 999)
+}
+
+class QueryParser {
+  static escaparRegex(texto) {
+    return String(texto).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+
+  static contem(texto) {
+    return new RegExp(this.escaparRegex(texto), 'i')
+  }
+
+  // Igualdade sem diferenciar maiúsculas (nomes de categorias e tags)
+  static igual(texto) {
+    return new RegExp(`^${this.escaparRegex(texto)}$`, 'i')
+  }
+
+  // Quebrar a consulta em termos { campo, operador, valor, negado }
+  // Palavras e frases soltas têm campo "texto"
+  static tokenizar(consulta) {
+    const termos = []
+    const erros = []
+
+    for (const [, negacao, nomeCampo, operador = ':', bruto] of String(consulta || '').matchAll(PADRAO_TERMO)) {
+      if (!nomeCampo) {
+        const semValor = bruto.match(CAMPO_SEM_VALOR)
+        if (semValor && CAMPOS[semValor[1].toLowerCase()]) {
+          erros.push(`Informe um valor para ${semValor[1]}`)
+          continue
+        }
+
+        const valor = this.semAspas(bruto)
+        if (valor) termos.push({ campo: 'texto', operador: ':', valor, negado: Boolean(negacao) })
+        continue
+      }
+
+      const campo = CAMPOS[nomeCampo.toLowerCase()]
+      if (!campo) {
+        erros.push(`Campo de busca desconhecido: ${nomeCampo}`)
+        continue
+      }
+
+      // Campos com alternativas guardam as aspas para separar a lista depois
+      const valor = CAMPOS_LISTA.includes(campo) ? bruto : this.semAspas(bruto)
+      if (!this.semAspas(bruto)) {
+        erros.push(`Informe um valor para ${nomeCampo}`)
+        continue
+      }
+
+      termos.push({ campo, operador: operador === '=' ? ':' : operador, valor, negado: Boolean(negacao) })
+    }
+
+    if (termos.length > LIMITE_TERMOS) {
+      erros.push(`A busca pode ter no máximo ${LIMITE_TERMOS} termos`)
+    }
+
+    return { termos, erros }
+  }
+
+  static numero(texto) {
+    const numero = parseFloat(String(texto).replace(',', '.'))
+    return Number.isFinite(numero) && /^\d+([.,]\d+)?$/.test(texto) ? numero : null
+  }
+
+  // AAAA-MM-DD, DD/MM/AAAA ou AAAA-MM (mês inteiro) => { inicio, fim }
+  static periodo(texto) {
+    let partes = texto.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/)
+    if (partes) return this.dia(+partes[1], +partes[2], +partes[3])
+
+    partes = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)
+    if (partes) return this.dia(+partes[3], +partes[2], +partes[1])
+
+    partes = texto.match(/^(\d{4})-(\d{1,2})$/)
+    if (partes && +partes[2] >= 1 && +partes[2] <= 12) {
+      const inicio = new Date(+partes[1], +partes[2] - 1, 1)
+      const fim = new Date(+partes[1], +partes[2], 0, 23, 59, 59, 999)
+      return { inicio, fim }
+    }
+
+    return null
+  }
+
+  static dia(ano, mes, dia) {
+    const data = new Date(ano, mes - 1, dia)
+    if (data.getFullYear() !== ano || data.getMonth() !== mes - 1 || data.getDate() !== dia) return null
+    return { inicio: inicioDoDia(data), fim: fimDoDia(data) }
+  }
+
+  // Faixa "a..b" (extremos opcionais) ou valor único
+  static faixa(texto, converter) {
+    if (!texto.includes('..')) return null
+
+    const [de, ate] = texto.split('..')
+    const inicio = de ? converter(de) : undefined
+    const fim = ate ? converter(ate) : undefined
+
+    if (inicio === null || fim === null || (inicio === undefined && fim === undefined)) return false
+    return { inicio, fim }
+  }
+
+  static semAspas(texto) {
+    return texto.replace(/"/g, '').trim()
+  }
+
+  // Alternativas separadas por vírgula (vírgulas entre aspas fazem parte do nome)
+  static lista(valor) {
+    const itens = [...valor.matchAll(/"([^"]*)"?|([^,"]+)/g)].map(([, entreAspas, solto]) =>
+      (entreAspas !== undefined ? entreAspas : solto).trim()
+    )
+    return [...new Set(itens.filter(Boolean))]
+  }
+
+  // Condição do MongoDB para um termo (sem a negação); string quando o termo é inválido
+  static condicao(termo, { contas = [] } = {}) {
+    const { campo, operador, valor } = termo
+
+    if (campo !== 'valor' && campo !== 'data' && operador !== ':') {
+      return `Operador ${operador} não se aplica a ${campo}`
+    }
+
+    switch (campo) {
+      case 'texto': {
+        const regex = this.contem(valor)
+        const condicoes = [{ descricao: regex }, { observacoes: regex }, { tags: regex }]
+
+        const palavra = valor.toLowerCase()
+        Object.entries(VALORES_PERMITIDOS).forEach(([nome, valores]) => {
+          if (valores.includes(palavra)) {
+            condicoes.push({ [nome === 'metodo' ? 'metodoPagamento' : nome]: palavra })
+          }
+        })
+
+        return { $or: condicoes }
+      }
+
+      case 'descricao':
+        return { descricao: this.contem(valor) }
+
+      case 'valor': {
+        if (operador === ':') {
+          const faixa = this.faixa(valor, v => this.numero(v))
+          if (faixa === false) return `Faixa de valor inválida: ${valor}`
+          if (faixa) {
+            const filtro = {}
+            if (faixa.inicio !== undefined) filtro.$gte = faixa.inicio
+            if (faixa.fim !== undefined) filtro.$lte = faixa.fim
+            return { valor: filtro }
+          }
+        }
+
+        const numero = this.numero(valor)
+        if (numero === null) return `Valor inválido: ${valor}`
+
+        return operador === ':'
+          ? { valor: numero }
+          : { valor: { [OPERADORES_MONGO[operador]]: numero } }
+      }
+
+      case 'antes':
+      case 'depois':
+      case 'data': {
+        if (campo === 'data' && operador === ':') {
+          const faixa = this.faixa(valor, v => this.periodo(v))
+          if (faixa === false) return `Período inválido: ${valor}`
+          if (faixa) {
+            const filtro = {}
+            if (faixa.inicio) filtro.$gte = faixa.inicio.inicio
+            if (faixa.fim) filtro.$lte = faixa.fim.fim
+            return { data: filtro }
+          }
+        }
+
+        const periodo = this.periodo(valor)
+        if (!periodo) return `Data inválida: ${valor} (use AAAA-MM-DD, DD/MM/AAAA ou AAAA-MM)`
+
+        if (campo === 'antes') return { data: { $lt: periodo.inicio } }
+        if (campo === 'depois') return { data: { $gt: periodo.fim } }
+
+        switch (operador) {
+          case '>': return { data: { $gt: periodo.fim } }
+          case '>=': return { data: { $gte: periodo.inicio } }
+          case '<': return { data: { $lt: periodo.inicio } }
+          case '<=': return { data: { $lte: periodo.fim } }
+          default: return { data: { $gte: periodo.inicio, $lte: periodo.fim } }
+        }
+      }
+
+      // Transações divididas entram quando alguma linha é da categoria
+      case 'categoria': {
+        const nomes = this.lista(valor).map(nome => this.igual(nome))
+        return { $or: [{ categoria: { $in: nomes } }, { 'divisoes.categoria': { $in: nomes } }] }
+      }
+
+      case 'subcategoria': {
+        const nomes = this.lista(valor).map(nome => this.igual(nome))
+        return { $or: [{ subcategoria: { $in: nomes } }, { 'divisoes.subcategoria': { $in: nomes } }] }
+      }
+
+      // tag:a,b => qualquer uma delas; tag:a tag:b => as duas
+      case 'tag':
+        return { tags: { $in: this.lista(valor).map(tag => this.igual(tag)) } }
+
+      case 'conta': {
+        const ids = []
+        for (const nome of this.lista(valor)) {
+          const conta = contas.find(c => String(c._id) === nome || c.nome.toLowerCase() === nome.toLowerCase())
+          if (!conta) return `Conta não encontrada: ${nome}`
+          ids.push(conta._id)
+        }
+        return { contaId: { $in: ids } }
+      }
+
+      case 'status':
+      case 'metodo':
+      case 'tipo': {
+        const valores = this.lista(valor.toLowerCase())
+        const invalido = valores.find(v => !VALORES_PERMITIDOS[campo].includes(v))
+        if (invalido) {
+          return `${campo} inválido: ${invalido} (use ${VALORES_PERMITIDOS[campo].join(', ')})`
+        }
+
+        const caminho = campo === 'metodo' ? 'metodoPagamento' : campo
+        return { [caminho]: { $in: valores } }
+      }
+    }
+  }
+
+  // Converter a consulta em condições para $and
+  // contas: contas do usuário ({ _id, nome }), necessárias para o campo conta
+  static montarFiltro(consulta, opcoes = {}) {
+    const { termos, erros } = this.tokenizar(consulta)
+    const condicoes = []
+
+    termos.forEach(termo => {
+      const condicao = this.condicao(termo, opcoes)
+
+      if (typeof condicao === 'string') {
+        erros.push(condicao)
+        return
+      }
+
+      condicoes.push(termo.negado ? { $nor: [condicao] } : condicao)
+    })
+
+    return { condicoes, erros }
+  }
+
+  static usaContas(consulta) {
+    return this.tokenizar(consulta).termos.some(termo => termo.campo === 'conta')
+  }
+}
+
+module.exports = QueryParser
@@ -0,0 +1,135 @@
+// utils/regexSeguro.js
+// Expressões regulares escritas pelo usuário (condições de regras, padrões de beneficiários).
+// O motor de regex do Node testa caminhos alternativos um a um (backtracking) na única thread
+// do servidor: uma expressão como ^(a+)+$ leva segundos numa descrição curta e trava todas as
+// requisições. Só são aceitas expressões curtas, sem quantificadores aninhados, sem repetir
+// grupos com alternativas, sem referências a grupos e com poucas repetições ilimitadas
+
+const TAMANHO_MAXIMO = 100
+// Repetições ilimitadas (*, +, {n,}) por expressão; com descrições de até 200 caracteres,
+// três repetições encadeadas (ex.: .*a.*b.*c) ainda terminam em poucos milissegundos
+const MAXIMO_REPETICOES = 3
+// {n,m} com m acima disso conta como repetição ilimitada
+const LIMITE_REPETICAO_FINITA = 10
+
+const QUANTIFICADOR_CHAVES = /^\{(\d+)(,(\d*))?\}/
+
+// Compiladas uma vez por padrão; null = padrão recusado
+const cache = new Map()
+
+// Motivo pelo qual a estrutura da expressão é perigosa, ou null
+function analisar(padrao) {
+  // Cada nível guarda se o grupo tem repetição ilimitada ou alternativa ("|") dentro dele
+  const pilha = [{ repete: false, alternativa: false }]
+  let ultimoGrupo = null
+  let repeticoes = 0
+
+  for (let i = 0; i < padrao.length; i++) {
+    const c = padrao[i]
+    let grupoAnterior = null
+
+    if (c === '\\') {
+      const seguinte = padrao[i + 1]
+      if (/[1-9]/.test(seguinte) || seguinte === 'k') {
+        return 'Referências a grupos (\\1, \\k) não são permitidas'
+      }
+      i++
+    } else if (c === '[') {
+      // Classe de caracteres: avança até o "]" que a fecha
+      i++
+      if (padrao[i] === '^') i++
+      if (padrao[i] === ']') i++
+      while (i < padrao.length && padrao[i] !== ']') {
+        if (padrao[i] === '\\') i++
+        i++
+      }
+    } else if (c === '(') {
+      pilha.push({ repete: false, alternativa: false })
+      // Pula o prefixo de grupos sem captura, lookarounds e grupos nomeados
+      const prefixo = padrao.slice(i + 1).match(/^\?(?::|=|!|<=|<!|<[A-Za-z_]\w*>)/)
+      if (prefixo) i += prefixo[0].length
+      ultimoGrupo = null
+      continue
+    } else if (c === ')') {
+      if (pilha.length > 1) {
+        grupoAnterior = pilha.pop()
+        const pai = pilha[pilha.length - 1]
+        pai.repete = pai.repete || grupoAnterior.repete
+      }
+    } else if (c === '|') {
+      pilha[pilha.length - 1].alternativa = true
+    } else if (c === '*' || c === '+' || c === '?' || c === '{') {
+      let ilimitado = c === '*' || c === '+'
+      let maximo = c === '?' ? 1 : Infinity
+      if (c === '{') {
+        const chaves = padrao.slice(i).match(QUANTIFICADOR_CHAVES)
+        if (chaves) {
+          maximo = chaves[2] === undefined ? Number(chaves[1]) : (chaves[3] === '' ? Infinity : Number(chaves[3]))
+          ilimitado = maximo > LIMITE_REPETICAO_FINITA
+          i += chaves[0].length - 1
+        }
+      }
+      if (padrao[i + 1] === '?') i++
+
+      // Mesmo com limite, repetir um grupo que já repete multiplica as tentativas (ex.: (.*a){12})
+      if (maximo > 1 && ultimoGrupo?.repete) {
+        return 'Grupos com repetição ou alternativas não podem ser repetidos (ex.: (a+)+ ou (a|b)*)'
+      }
+
+      if (ilimitado) {
+        if (ultimoGrupo && (ultimoGrupo.repete || ultimoGrupo.alternativa)) {
+          return 'Grupos com repetição ou alternativas não podem ser repetidos (ex.: (a+)+ ou (a|b)*)'
+        }
+        repeticoes++
+        pilha[pilha.length - 1].repete = true
+      }
+    }
+
+    ultimoGrupo = grupoAnterior
+  }
+
+  if (repeticoes > MAXIMO_REPETICOES) {
+    return `Use no máximo ${MAXIMO_REPETICOES} repetições ilimitadas (*, + ou {n,})`
+  }
+  return null
+}
+
+// Mensagem de erro da expressão, ou null se ela pode ser usada
+function validarRegex(padrao) {
+  const texto = String(padrao ?? '')
+
+  if (texto.length > TAMANHO_MAXIMO) {
+    return `Expressão regular deve ter até ${TAMANHO_MAXIMO} caracteres`
+  }
+
+  try {
+    new RegExp(texto)
+  } catch (err) {
+    return 'Expressão regular inválida'
+  }
+
+  return analisar(texto)
+}
+
+// Regex compilada, ou null se o padrão for recusado (ex.: gravado antes da validação)
+function compilarRegex(padrao, flags = '') {
+  const chave = `${flags}/${padrao}`
+  if (!cache.has(chave)) {
+    if (cache.size >= 1000) cache.clear()
+    cache.set(chave, validarRegex(padrao) ? null : new RegExp(padrao, flags))
+  }
+  return cache.get(chave)
+}
+
+// Testar o texto contra o padrão do usuário; padrões recusados nunca correspondem
+function testarRegex(padrao, texto, flags = '') {
+  const regex = compilarRegex(padrao, flags)
+  return regex ? regex.test(String(texto || '')) : false
+}
+
+module.exports = {
+  TAMANHO_MAXIMO_REGEX: TAMANHO_MAXIMO,
+  validarRegex,
+  compilarRegex,
+  testarRegex
+}